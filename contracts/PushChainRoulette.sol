@@ -2,21 +2,69 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 
 /**
  * @title PushChainRoulette - Testnet Version
  * @dev Provably fair roulette game on Push Chain for testnet (no Chainlink VRF fees)
- * @notice Uses block.prevrandao + commit-reveal for randomness
+ * @notice Uses commit-reveal with a later block hash for randomness
  * 
- * Prize distribution:
- * - 60% chance: No win (0 PC)
- * - 30% chance: 0.05 PC
- * - 5% chance: 0.1 PC
- * - 3% chance: 0.2 PC
- * - 1.5% chance: 0.5 PC
- * - 0.5% chance: 1 PC
+ * Prizes are multipliers of the stake. Default table (owner-configurable while paused),
+ * with the payout for a 0.1 PC stake:
+ * - 60% chance: No win (0x)
+ * - 30% chance: 0.5x (0.05 PC)
+ * - 5% chance: 1x (0.1 PC)
+ * - 3% chance: 2x (0.2 PC)
+ * - 1.5% chance: 5x (0.5 PC)
+ * - 0.5% chance: 10x (1 PC)
+ * 
+ * Table mode: European single-zero roulette (spinTable) with inside and outside
+ * bets settled against a 0-36 result at the standard payouts.
+ * 
+ * Responsible gaming: players can set a daily spend limit, a session loss
+ * limit and a self-exclusion period for their own address. Tightening takes
+ * effect at once; loosening a limit only after LIMIT_INCREASE_DELAY.
+ * 
+ * Progressive jackpot: an owner-set share of every stake goes into jackpotPool,
+ * held apart from houseBalance. Each revealed commit-reveal spin makes a
+ * second, independent draw from its entropy and wins the whole pool with odds
+ * of 1 in JACKPOT_ODDS; the pool then restarts from jackpotSeed, taken from
+ * the free bankroll. Quick and table spins pay into the pool but never draw
+ * it: their entropy is known before the transaction runs, so a contract could
+ * simulate the draw and revert until it won. A reveal's entropy comes only
+ * from the committed secret and the hash of block commit + REVEAL_DELAY, so it
+ * is the same in every block the reveal could land in and reverting a losing
+ * reveal to retry it later draws the same result.
+ * 
+ * Referrals: a player can bind a referrer once (setReferrer). From then on
+ * referralShareBps of their stakes accrues to the referrer as referral
+ * earnings, held apart from houseBalance until claimed.
+ * 
+ * ERC-20 tokens: the owner can whitelist tokens for the prize wheel, each with
+ * its own stake range, payout cap, prize table and house balance. Players
+ * approve the contract and bet with commitTokenSpin or quickSpinToken; prizes
+ * are paid in the same token. Stakes and deposits are credited with the
+ * amount actually received, so fee-on-transfer tokens are accounted
+ * correctly; rebasing tokens are not supported. The jackpot, referrals and
+ * the PC-denominated spend and loss limits apply to PC stakes only;
+ * self-exclusion and the cooldown cover every game. playerTotalSpins counts
+ * spins in every currency; token stakes and prizes are tracked per token in
+ * playerTokenWagered and playerTokenWins.
+ * 
+ * Commits must be revealed within REVEAL_WINDOW blocks, while the hash of
+ * block commit + REVEAL_DELAY that seeds the result is still available. After that anyone can cancel the commit:
+ * the stake goes to the house, minus the refund share the owner has set.
+ * The window keeps running during a pause, so pausing stops new spins but not
+ * reveals of the open commits.
+ * 
+ * Bankroll: every open commit reserves its worst-case payout. Only the free
+ * part of the house balance (houseBalance minus the reserves) backs new spins
+ * and can be withdrawn, so a reveal can always be paid. A prize the player
+ * cannot receive (e.g. a contract wallet that rejects PC) is kept as claimable
+ * winnings and paid out later through claimWinnings.
  * 
  * Security features:
  * - Commit-reveal pattern for randomness
@@ -29,30 +77,136 @@ import "@openzeppelin/contracts/security/Pausable.sol";
  * For production with real money, integrate Chainlink VRF.
  */
 contract PushChainRoulette is Ownable, ReentrancyGuard, Pausable {
+    using SafeERC20 for IERC20;
     
     // ========== Game Configuration ==========
-    uint256 public constant SPIN_COST = 0.1 ether; // 0.1 PC
     uint256 public constant COOLDOWN_PERIOD = 30 seconds; // Rate limiting
-    uint256 public constant MAX_PRIZE = 1 ether; // Maximum prize: 1 PC
-    uint256 public constant REVEAL_DELAY = 2; // Blocks to wait before reveal
+    uint256 public constant MAX_PRIZE = 1 ether; // Maximum payout for a single spin: 1 PC
+    uint256 public constant MULTIPLIER_BASE = 10000; // Prize multipliers in basis points (10000 = 1x)
+    uint256 public constant REVEAL_DELAY = 2; // The hash of block commit + REVEAL_DELAY seeds the reveal
+    uint256 public constant REVEAL_WINDOW = 250; // Blocks a commit can be revealed in, below the 256 with a blockhash
+    uint256 public constant BPS_BASE = 10000; // Refunds and jackpot contributions are in basis points of the stake
+    uint256 public constant MAX_EXPIRED_REFUND_BPS = 5000; // Never refund more than half, or holding a commit open is free
+    uint256 public constant PRIZE_WEIGHT_TOTAL = 1000; // Prize weights are out of 1000
+    uint256 public constant MAX_PRIZE_TIERS = 12; // Bounds the prize lookup loop
+    
+    // ========== Jackpot Configuration ==========
+    uint256 public constant JACKPOT_ODDS = 10000; // One spin in JACKPOT_ODDS wins the pool
+    uint256 public constant MAX_JACKPOT_CONTRIBUTION_BPS = 1000; // At most 10% of a stake goes to the pool
     
-    // Prize tiers (in wei / uPC)
-    uint256 private constant PRIZE_0 = 0;
-    uint256 private constant PRIZE_1 = 0.05 ether;
-    uint256 private constant PRIZE_2 = 0.1 ether;
-    uint256 private constant PRIZE_3 = 0.2 ether;
-    uint256 private constant PRIZE_4 = 0.5 ether;
-    uint256 private constant PRIZE_5 = 1 ether;
+    // ========== Referral Configuration ==========
+    uint256 public constant MAX_REFERRAL_SHARE_BPS = 500; // At most 5% of a stake goes to the referrer
+    
+    // ========== Table Configuration ==========
+    uint256 public constant TABLE_POCKETS = 37; // European wheel: 0-36
+    uint256 public constant MAX_TABLE_BETS = 10; // Bets per spinTable call
+    uint64 private constant RED_NUMBERS = 0x154aad52aa; // Bitmask of the red pockets
+    uint64 private constant BLACK_NUMBERS = 0xab552ad54; // Bitmask of the black pockets
+    
+    // ========== Responsible Gaming Configuration ==========
+    uint256 public constant LIMIT_INCREASE_DELAY = 24 hours; // Wait before a looser limit applies
+    uint256 public constant SESSION_TIMEOUT = 1 hours; // A break this long starts a new session
+    uint256 public constant MAX_SELF_EXCLUSION = 5 * 365 days;
+    
+    /**
+     * @dev Inside bets use `number` as follows:
+     * - Straight: the pocket (0-36)
+     * - SplitHorizontal: n and n+1 (n not in the top row)
+     * - SplitVertical: n and n+3 (n <= 33)
+     * - Street: row starting at n (n = 1, 4, ..., 34)
+     * - Corner: n, n+1, n+3, n+4 (n not in the top row, n <= 32)
+     * Dozen and Column take 1-3; even-money bets take 0.
+     */
+    enum BetType {
+        Straight,
+        SplitHorizontal,
+        SplitVertical,
+        Street,
+        Corner,
+        Dozen,
+        Column,
+        Red,
+        Black,
+        Odd,
+        Even,
+        Low,
+        High
+    }
+    
+    struct TableBet {
+        BetType betType;
+        uint8 number;
+        uint256 amount;
+    }
     
     // ========== State Variables ==========
     uint256 public houseBalance;
+    uint256 private s_reservedBalance; // Worst-case payouts of open commits, part of houseBalance
+    uint256 public openCommits; // PC commits not yet revealed or cancelled, reserved under the current prize table
+    uint256 public totalClaimableWinnings; // Failed payouts owed to players, not part of houseBalance
     uint256 private nonce; // Internal nonce for additional entropy
     
+    // Prize table: tier i pays stake * prizeMultipliers[i] / MULTIPLIER_BASE
+    // with probability prizeWeights[i] / PRIZE_WEIGHT_TOTAL
+    uint256[] private s_prizeMultipliers;
+    uint256[] private s_prizeWeights;
+    uint256 private s_maxMultiplier;
+    
+    // Allowed stake range (wei / uPC)
+    uint256 public minBet;
+    uint256 public maxBet;
+    
+    // Share of the stake returned when an expired commit is cancelled, in BPS_BASE
+    uint256 public expiredRefundBps;
+    
+    // Progressive jackpot, not part of houseBalance
+    uint256 public jackpotPool;
+    uint256 public jackpotContributionBps; // Share of every stake paid into the pool, in BPS_BASE
+    uint256 public jackpotSeed; // Pool restarts from this after a win
+    
+    // Referrals: earnings owed to referrers are not part of houseBalance
+    uint256 public referralShareBps; // Share of a referred player's stakes, in BPS_BASE
+    uint256 public totalReferralEarnings; // Accrued and not yet claimed, across all referrers
+    mapping(address => address) public referrerOf;
+    mapping(address => uint256) public referralCount; // Players who bound this referrer
+    mapping(address => uint256) public referralEarnings; // Claimable
+    mapping(address => uint256) public referralEarningsClaimed;
+    
+    /**
+     * @dev Prize wheel settings and bankroll of a whitelisted ERC-20 token, in
+     *      the token's own units. A token is configured once prizeWeights is set.
+     */
+    struct TokenGame {
+        bool enabled; // New bets allowed; open commits reveal either way
+        uint256 houseBalance;
+        uint256 reservedBalance; // Worst-case payouts of open commits, part of houseBalance
+        uint256 openCommits; // Commits reserved under the current prize table
+        uint256 minBet;
+        uint256 maxBet;
+        uint256 maxPrize;
+        uint256 maxMultiplier;
+        uint256[] prizeMultipliers;
+        uint256[] prizeWeights;
+    }
+    
+    mapping(address => TokenGame) private s_tokenGames;
+    address[] private s_tokens; // Every token ever configured, for getTokens
+    mapping(address => mapping(address => uint256)) public claimableTokenWinnings; // token => player => amount
+    // Token stakes and prizes per player; playerTotalWagered and playerTotalWins are PC only
+    mapping(address => mapping(address => uint256)) public playerTokenWagered; // token => player => amount
+    mapping(address => mapping(address => uint256)) public playerTokenWins; // token => player => amount
+    
     // Commit-Reveal Storage
+    // timestamp and nonce are the commit hash inputs, kept per commit so other
+    // players' spins in between can't break the reveal
     struct SpinCommit {
         bytes32 commitHash;
         uint256 blockNumber;
         uint256 betAmount;
+        uint256 reserved; // Worst-case payout held back from the free bankroll
+        uint256 timestamp;
+        uint256 nonce;
+        address token; // address(0) for PC
         bool revealed;
     }
     
@@ -61,16 +215,48 @@ contract PushChainRoulette is Ownable, ReentrancyGuard, Pausable {
     // Rate limiting: player address => last spin timestamp
     mapping(address => uint256) private s_lastSpinTime;
     
+    /**
+     * @dev A player-set limit in wei, 0 meaning no limit. A looser value waits
+     *      in pendingValue until pendingAt (0 when nothing is pending).
+     */
+    struct Limit {
+        uint256 value;
+        uint256 pendingValue;
+        uint256 pendingAt;
+    }
+    
+    struct PlayerLimits {
+        Limit daily; // Max wagered per UTC day
+        Limit sessionLoss; // Max net loss per session
+        uint256 excludedUntil; // Self-exclusion end
+    }
+    
+    struct PlayerActivity {
+        uint256 day; // UTC day (timestamp / 1 days) that spentToday belongs to
+        uint256 spentToday;
+        uint256 sessionLastPlay;
+        uint256 sessionWagered;
+        uint256 sessionWon;
+    }
+    
+    mapping(address => PlayerLimits) private s_limits;
+    mapping(address => PlayerActivity) private s_activity;
+    
     // Player statistics
     mapping(address => uint256) public playerTotalSpins;
     mapping(address => uint256) public playerTotalWins;
+    mapping(address => uint256) public playerTotalWagered;
+    mapping(address => uint256) public claimableWinnings;
     
     // ========== Events ==========
+    /// @notice secretHash, player, timestamp and nonce hash to commitHash, so reveals can be checked against it
     event SpinCommitted(
         address indexed player,
         bytes32 commitHash,
         uint256 blockNumber,
-        uint256 timestamp
+        uint256 timestamp,
+        bytes32 secretHash,
+        uint256 nonce
     );
     
     event SpinRevealed(
@@ -81,22 +267,110 @@ contract PushChainRoulette is Ownable, ReentrancyGuard, Pausable {
         uint256 timestamp
     );
     
+    /// @notice Inputs to _generateEntropy, so reveals can be verified off-chain
+    event SpinEntropy(
+        address indexed player,
+        uint256 secret,
+        uint256 commitBlock,
+        bytes32 entropyBlockHash
+    );
+    
+    event TableSpin(
+        address indexed player,
+        uint256 totalBet,
+        uint256 payout,
+        uint256 result,
+        uint256 timestamp
+    );
+    
     event FundsDeposited(address indexed depositor, uint256 amount);
     event FundsWithdrawn(address indexed owner, uint256 amount);
+    event PrizeTableUpdated(uint256[] multipliers, uint256[] weights);
+    event BetLimitsUpdated(uint256 minBet, uint256 maxBet);
+    event DailyLimitSet(address indexed player, uint256 limit, uint256 effectiveAt);
+    event SessionLossLimitSet(address indexed player, uint256 limit, uint256 effectiveAt);
+    event SelfExclusionSet(address indexed player, uint256 excludedUntil);
+    event PrizePendingClaim(address indexed player, uint256 amount);
+    event WinningsClaimed(address indexed player, uint256 amount);
+    event JackpotWon(address indexed player, uint256 amount, uint256 timestamp);
+    event JackpotFunded(address indexed funder, uint256 amount);
+    event JackpotConfigUpdated(uint256 contributionBps, uint256 seed);
+    event ReferrerSet(address indexed player, address indexed referrer);
+    event ReferralEarningsClaimed(address indexed referrer, uint256 amount);
+    event ReferralShareUpdated(uint256 shareBps);
+    event CommitCancelled(address indexed player, address indexed cancelledBy, uint256 betAmount, uint256 refund);
+    event ExpiredRefundUpdated(uint256 refundBps);
+    event TokenConfigured(
+        address indexed token,
+        uint256 minBet,
+        uint256 maxBet,
+        uint256 maxPrize,
+        uint256[] multipliers,
+        uint256[] weights
+    );
+    event TokenStatusUpdated(address indexed token, bool enabled);
+    event TokenFundsDeposited(address indexed token, address indexed depositor, uint256 amount);
+    event TokenFundsWithdrawn(address indexed token, address indexed owner, uint256 amount);
+    event TokenSpinRevealed(
+        address indexed player,
+        address indexed token,
+        uint256 betAmount,
+        uint256 prizeAmount,
+        uint256 randomNumber,
+        uint256 timestamp
+    );
+    event TokenPrizePendingClaim(address indexed player, address indexed token, uint256 amount);
+    event TokenWinningsClaimed(address indexed player, address indexed token, uint256 amount);
     
     // ========== Errors ==========
     error InsufficientHouseBalance(uint256 required, uint256 available);
-    error IncorrectBetAmount(uint256 sent, uint256 required);
+    error BetOutOfRange(uint256 sent, uint256 minBet, uint256 maxBet);
     error CooldownNotExpired(uint256 timeRemaining);
     error NoCommitFound();
     error CommitAlreadyRevealed();
     error RevealTooEarly(uint256 blocksRemaining);
     error TransferFailed();
+    error InvalidPrizeTable(uint256 multipliersLength, uint256 weightsLength);
+    error InvalidPrizeWeights(uint256 total, uint256 required);
+    error PrizeExceedsMax(uint256 prize, uint256 maxPrize);
+    error InvalidBetLimits(uint256 minBet, uint256 maxBet);
+    error InvalidTableBet(uint8 betType, uint8 number);
+    error InvalidBetCount(uint256 count, uint256 max);
+    error TableStakeMismatch(uint256 sent, uint256 betTotal);
+    error PlayerSelfExcluded(uint256 excludedUntil);
+    error DailyLimitExceeded(uint256 amount, uint256 remaining);
+    error SessionLossLimitExceeded(uint256 amount, uint256 remaining);
+    error InvalidExclusionPeriod(uint256 duration, uint256 maxDuration);
+    error WithdrawalExceedsFreeBalance(uint256 amount, uint256 freeBalance);
+    error NothingToClaim();
+    error CommitExpired(uint256 expiredAtBlock);
+    error CommitNotExpired(uint256 blocksRemaining);
+    error InvalidRefundPolicy(uint256 refundBps, uint256 maxRefundBps);
+    error InvalidJackpotContribution(uint256 contributionBps, uint256 maxContributionBps);
+    error ReferrerAlreadySet(address referrer);
+    error InvalidReferrer(address referrer);
+    error ReferralLoop(address referrer);
+    error InvalidReferralShare(uint256 shareBps, uint256 maxShareBps);
+    error InvalidToken(address token);
+    error TokenNotEnabled(address token);
+    error OpenCommitsPending(uint256 openCommits);
 
     /**
-     * @notice Constructor initializes the contract
+     * @notice Constructor initializes the contract with the default prize table
+     *         and a 0.01 - 0.1 PC stake range
      */
-    constructor() Ownable(msg.sender) {}
+    constructor() Ownable(msg.sender) {
+        uint256[] memory multipliers = new uint256[](6);
+        uint256[] memory weights = new uint256[](6);
+        (multipliers[0], weights[0]) = (0, 600);      // 60%: No win
+        (multipliers[1], weights[1]) = (5000, 300);   // 30%: 0.5x
+        (multipliers[2], weights[2]) = (10000, 50);   // 5%: 1x
+        (multipliers[3], weights[3]) = (20000, 30);   // 3%: 2x
+        (multipliers[4], weights[4]) = (50000, 15);   // 1.5%: 5x
+        (multipliers[5], weights[5]) = (100000, 5);   // 0.5%: 10x
+        _setPrizeTable(multipliers, weights);
+        _setBetLimits(0.01 ether, 0.1 ether);
+    }
     
     // ========== External Functions ==========
     
@@ -112,10 +386,14 @@ contract PushChainRoulette is Ownable, ReentrancyGuard, Pausable {
     
     /**
      * @notice Withdraw funds from the house balance (owner only)
+     * @dev Only the free bankroll; funds reserved for open commits stay
      * @param amount Amount of PC to withdraw
      */
     function withdrawFunds(uint256 amount) external onlyOwner nonReentrant {
-        require(amount <= houseBalance, "Insufficient balance");
+        uint256 free = freeBalance();
+        if (amount > free) {
+            revert WithdrawalExceedsFreeBalance(amount, free);
+        }
         houseBalance -= amount;
         
         (bool success, ) = payable(owner()).call{value: amount}("");
@@ -124,6 +402,73 @@ contract PushChainRoulette is Ownable, ReentrancyGuard, Pausable {
         emit FundsWithdrawn(owner(), amount);
     }
     
+    /**
+     * @notice Replace the prize table (owner only, when paused)
+     * @dev Weights must add up to PRIZE_WEIGHT_TOTAL and the top prize at maxBet
+     *      may not exceed MAX_PRIZE. Open commits reserved their payout under the
+     *      old table, so every one must be revealed or cancelled first; no new ones
+     *      can start while paused, open ones can still be revealed, and expired
+     *      ones can be cancelled by anyone.
+     * @param multipliers Prize multiplier for each tier, in MULTIPLIER_BASE units
+     * @param weights Weight of each tier out of PRIZE_WEIGHT_TOTAL
+     */
+    function setPrizeTable(uint256[] calldata multipliers, uint256[] calldata weights)
+        external
+        onlyOwner
+        whenPaused
+    {
+        if (openCommits > 0) {
+            revert OpenCommitsPending(openCommits);
+        }
+        _setPrizeTable(multipliers, weights);
+    }
+    
+    /**
+     * @notice Set the allowed stake range (owner only)
+     * @dev The top prize at maxBet may not exceed MAX_PRIZE
+     * @param newMinBet Smallest allowed stake
+     * @param newMaxBet Largest allowed stake
+     */
+    function setBetLimits(uint256 newMinBet, uint256 newMaxBet) external onlyOwner {
+        _setBetLimits(newMinBet, newMaxBet);
+    }
+    
+    /**
+     * @notice Set the share of the stake refunded when an expired commit is cancelled (owner only)
+     * @dev Applies to commits cancelled from now on; the rest of the stake stays with the house
+     * @param refundBps Refund in basis points of the stake, at most MAX_EXPIRED_REFUND_BPS
+     */
+    function setExpiredRefund(uint256 refundBps) external onlyOwner {
+        if (refundBps > MAX_EXPIRED_REFUND_BPS) {
+            revert InvalidRefundPolicy(refundBps, MAX_EXPIRED_REFUND_BPS);
+        }
+        expiredRefundBps = refundBps;
+        emit ExpiredRefundUpdated(refundBps);
+    }
+    
+    /**
+     * @notice Configure the progressive jackpot (owner only)
+     * @param contributionBps Share of every stake paid into the pool, at most MAX_JACKPOT_CONTRIBUTION_BPS
+     * @param seed Amount the pool restarts from after a win, taken from the free bankroll
+     */
+    function setJackpotConfig(uint256 contributionBps, uint256 seed) external onlyOwner {
+        if (contributionBps > MAX_JACKPOT_CONTRIBUTION_BPS) {
+            revert InvalidJackpotContribution(contributionBps, MAX_JACKPOT_CONTRIBUTION_BPS);
+        }
+        jackpotContributionBps = contributionBps;
+        jackpotSeed = seed;
+        emit JackpotConfigUpdated(contributionBps, seed);
+    }
+    
+    /**
+     * @notice Add PC straight to the jackpot pool (owner only)
+     */
+    function fundJackpot() external payable onlyOwner {
+        require(msg.value > 0, "Must send some PC");
+        jackpotPool += msg.value;
+        emit JackpotFunded(msg.sender, msg.value);
+    }
+    
     /**
      * @notice Step 1: Commit to a spin
      * @dev Player commits with a random secret, preventing front-running
@@ -136,63 +481,28 @@ contract PushChainRoulette is Ownable, ReentrancyGuard, Pausable {
         nonReentrant 
         returns (bytes32 commitHash) 
     {
-        // Validate bet amount
-        if (msg.value != SPIN_COST) {
-            revert IncorrectBetAmount(msg.value, SPIN_COST);
-        }
-        
-        // Check house balance can cover max prize
-        if (houseBalance < MAX_PRIZE) {
-            revert InsufficientHouseBalance(MAX_PRIZE, houseBalance);
-        }
+        _validateSpin(msg.value);
         
-        // Rate limiting check
-        uint256 lastSpin = s_lastSpinTime[msg.sender];
-        if (block.timestamp < lastSpin + COOLDOWN_PERIOD) {
-            revert CooldownNotExpired((lastSpin + COOLDOWN_PERIOD) - block.timestamp);
-        }
-        
-        // Check no pending commit
-        require(
-            commits[msg.sender].revealed || commits[msg.sender].blockNumber == 0,
-            "Previous spin not revealed"
-        );
-        
-        // Add bet to house balance
-        houseBalance += msg.value;
-        
-        // Update last spin time
-        s_lastSpinTime[msg.sender] = block.timestamp;
+        // Add bet to house balance and hold back its worst-case payout until the reveal
+        _takeStake(msg.value);
+        uint256 reserved = maxPayout(msg.value);
+        s_reservedBalance += reserved;
+        openCommits++;
+        playerTotalWagered[msg.sender] += msg.value;
+        _trackWager(msg.value);
         
-        // Create commit hash combining user secret with contract state
-        commitHash = keccak256(abi.encodePacked(
-            secretHash,
-            msg.sender,
-            block.timestamp,
-            nonce++
-        ));
-        
-        // Store commit
-        commits[msg.sender] = SpinCommit({
-            commitHash: commitHash,
-            blockNumber: block.number,
-            betAmount: msg.value,
-            revealed: false
-        });
-        
-        emit SpinCommitted(msg.sender, commitHash, block.number, block.timestamp);
-        
-        return commitHash;
+        return _storeCommit(secretHash, msg.value, reserved, address(0));
     }
     
     /**
      * @notice Step 2: Reveal the spin result
-     * @dev Must wait REVEAL_DELAY blocks to prevent same-block manipulation
+     * @dev Allowed once block commit + REVEAL_DELAY is mined, since its hash seeds the result.
+     *      Works while paused: the reveal window can't be stopped, so a pause would otherwise
+     *      let the commit expire.
      * @param secret The secret used in commitSpin
      */
     function revealSpin(uint256 secret) 
         external 
-        whenNotPaused 
         nonReentrant 
         returns (uint256 prize) 
     {
@@ -208,9 +518,13 @@ contract PushChainRoulette is Ownable, ReentrancyGuard, Pausable {
             revert CommitAlreadyRevealed();
         }
         
-        // Validate reveal delay
-        if (block.number < commit.blockNumber + REVEAL_DELAY) {
-            revert RevealTooEarly((commit.blockNumber + REVEAL_DELAY) - block.number);
+        // Validate reveal delay and window
+        uint256 entropyBlock = commit.blockNumber + REVEAL_DELAY;
+        if (block.number <= entropyBlock) {
+            revert RevealTooEarly(entropyBlock + 1 - block.number);
+        }
+        if (block.number > commit.blockNumber + REVEAL_WINDOW) {
+            revert CommitExpired(commit.blockNumber + REVEAL_WINDOW);
         }
         
         // Verify secret matches commit
@@ -218,34 +532,35 @@ contract PushChainRoulette is Ownable, ReentrancyGuard, Pausable {
         bytes32 expectedCommit = keccak256(abi.encodePacked(
             secretHash,
             msg.sender,
-            s_lastSpinTime[msg.sender],
-            nonce - 1 // Use the nonce from commit time
+            commit.timestamp,
+            commit.nonce
         ));
         
         require(expectedCommit == commit.commitHash, "Invalid secret");
         
-        // Mark as revealed
+        // Mark as revealed; the reserve is released and the prize paid from the house balance below
         commit.revealed = true;
         
-        // Generate random number using multiple entropy sources
-        uint256 randomNumber = _generateRandomNumber(secret, commit.blockNumber);
+        // Fixed by the commit and block entropyBlock, whichever block the reveal lands in
+        uint256 entropy = _generateEntropy(secret, entropyBlock);
+        uint256 randomNumber = entropy % PRIZE_WEIGHT_TOTAL;
+        emit SpinEntropy(msg.sender, secret, commit.blockNumber, blockhash(entropyBlock));
+        
+        if (commit.token != address(0)) {
+            s_tokenGames[commit.token].openCommits--;
+            return _settleTokenSpin(commit.token, commit.betAmount, commit.reserved, randomNumber);
+        }
+        s_reservedBalance -= commit.reserved;
+        openCommits--;
         
         // Calculate prize
-        prize = _calculatePrize(randomNumber);
+        prize = _calculatePrize(randomNumber, commit.betAmount, s_prizeMultipliers, s_prizeWeights);
         
         // Pay out prize if any
         if (prize > 0) {
-            require(houseBalance >= prize, "Insufficient house balance");
-            houseBalance -= prize;
-            playerTotalWins[msg.sender] += prize;
-            
-            (bool success, ) = payable(msg.sender).call{value: prize}("");
-            if (!success) {
-                // If transfer fails, add prize back to house balance
-                houseBalance += prize;
-                playerTotalWins[msg.sender] -= prize;
-            }
+            _payPrize(prize);
         }
+        _drawJackpot(entropy);
         
         // Update stats
         playerTotalSpins[msg.sender]++;
@@ -261,6 +576,63 @@ contract PushChainRoulette is Ownable, ReentrancyGuard, Pausable {
         return prize;
     }
     
+    /**
+     * @notice Cancel a commit that was not revealed within REVEAL_WINDOW blocks
+     * @dev Anyone may cancel, so the house can release the reserve of an abandoned
+     * commit; a refund always goes to the player. Works while paused, since a
+     * commit can expire during a pause.
+     * @param player Owner of the expired commit
+     * @return refund Amount returned to the player, in the commit's currency
+     */
+    function cancelExpiredCommit(address player) external nonReentrant returns (uint256 refund) {
+        SpinCommit storage commit = commits[player];
+        
+        if (commit.blockNumber == 0) {
+            revert NoCommitFound();
+        }
+        if (commit.revealed) {
+            revert CommitAlreadyRevealed();
+        }
+        uint256 expiresAt = commit.blockNumber + REVEAL_WINDOW;
+        if (block.number <= expiresAt) {
+            revert CommitNotExpired(expiresAt + 1 - block.number);
+        }
+        
+        uint256 betAmount = commit.betAmount;
+        uint256 reserved = commit.reserved;
+        address token = commit.token;
+        delete commits[player];
+        refund = (betAmount * expiredRefundBps) / BPS_BASE;
+        
+        if (token != address(0)) {
+            TokenGame storage game = s_tokenGames[token];
+            game.reservedBalance -= reserved;
+            game.openCommits--;
+            if (refund > game.houseBalance) {
+                refund = game.houseBalance;
+            }
+            if (refund > 0) {
+                game.houseBalance -= refund;
+                _sendOrCreditToken(token, player, refund);
+            }
+        } else {
+            s_reservedBalance -= reserved;
+            openCommits--;
+            // The stake went into houseBalance at commit time; an emergency withdrawal may have taken it since
+            if (refund > houseBalance) {
+                refund = houseBalance;
+            }
+            if (refund > 0) {
+                houseBalance -= refund;
+                _sendOrCredit(player, refund);
+            }
+        }
+        
+        emit CommitCancelled(player, msg.sender, betAmount, refund);
+        
+        return refund;
+    }
+    
     /**
      * @notice Quick spin for instant play (less secure but faster)
      * @dev Combines commit and reveal in one transaction
@@ -273,45 +645,25 @@ contract PushChainRoulette is Ownable, ReentrancyGuard, Pausable {
         nonReentrant 
         returns (uint256 prize) 
     {
-        // Validate bet amount
-        if (msg.value != SPIN_COST) {
-            revert IncorrectBetAmount(msg.value, SPIN_COST);
-        }
-        
-        // Check house balance
-        if (houseBalance < MAX_PRIZE) {
-            revert InsufficientHouseBalance(MAX_PRIZE, houseBalance);
-        }
-        
-        // Rate limiting
-        uint256 lastSpin = s_lastSpinTime[msg.sender];
-        if (block.timestamp < lastSpin + COOLDOWN_PERIOD) {
-            revert CooldownNotExpired((lastSpin + COOLDOWN_PERIOD) - block.timestamp);
-        }
+        _validateSpin(msg.value);
         
         // Add bet to house balance
-        houseBalance += msg.value;
+        _takeStake(msg.value);
+        playerTotalWagered[msg.sender] += msg.value;
         
         // Update last spin time
         s_lastSpinTime[msg.sender] = block.timestamp;
+        _trackWager(msg.value);
         
         // Generate random number (less secure but instant)
-        uint256 randomNumber = _generateQuickRandomNumber();
+        uint256 randomNumber = _generateQuickEntropy() % PRIZE_WEIGHT_TOTAL;
         
         // Calculate prize
-        prize = _calculatePrize(randomNumber);
+        prize = _calculatePrize(randomNumber, msg.value, s_prizeMultipliers, s_prizeWeights);
         
         // Pay out prize
         if (prize > 0) {
-            require(houseBalance >= prize, "Insufficient house balance");
-            houseBalance -= prize;
-            playerTotalWins[msg.sender] += prize;
-            
-            (bool success, ) = payable(msg.sender).call{value: prize}("");
-            if (!success) {
-                houseBalance += prize;
-                playerTotalWins[msg.sender] -= prize;
-            }
+            _payPrize(prize);
         }
         
         // Update stats
@@ -328,6 +680,98 @@ contract PushChainRoulette is Ownable, ReentrancyGuard, Pausable {
         return prize;
     }
     
+    /**
+     * @notice Play one round of European roulette with up to MAX_TABLE_BETS bets
+     * @dev Settled instantly like quickSpin. The total stake must be within the
+     *      bet limits and the house must cover the best outcome for the player.
+     * @param bets Bets to place; their amounts must add up to msg.value
+     * @return result Winning pocket (0-36)
+     * @return payout Total returned to the player, stakes of winning bets included
+     */
+    function spinTable(TableBet[] calldata bets)
+        external
+        payable
+        whenNotPaused
+        nonReentrant
+        returns (uint256 result, uint256 payout)
+    {
+        if (bets.length == 0 || bets.length > MAX_TABLE_BETS) {
+            revert InvalidBetCount(bets.length, MAX_TABLE_BETS);
+        }
+        
+        uint256 betTotal = 0;
+        uint64[] memory masks = new uint64[](bets.length);
+        uint256[] memory payouts = new uint256[](bets.length);
+        for (uint256 i = 0; i < bets.length; i++) {
+            uint256 covered;
+            (masks[i], covered) = _tableBetMask(bets[i]);
+            // Standard payouts: 35:1 straight up down to 1:1 even money, plus the stake
+            payouts[i] = (bets[i].amount * 36) / covered;
+            betTotal += bets[i].amount;
+        }
+        
+        if (betTotal != msg.value) {
+            revert TableStakeMismatch(msg.value, betTotal);
+        }
+        if (betTotal < minBet || betTotal > maxBet) {
+            revert BetOutOfRange(betTotal, minBet, maxBet);
+        }
+        
+        // Worst case for the house is the pocket that pays the most
+        uint256 worstCase = 0;
+        for (uint256 pocket = 0; pocket < TABLE_POCKETS; pocket++) {
+            uint256 pocketPayout = _tablePayout(masks, payouts, pocket);
+            if (pocketPayout > worstCase) {
+                worstCase = pocketPayout;
+            }
+        }
+        if (worstCase > MAX_PRIZE) {
+            revert PrizeExceedsMax(worstCase, MAX_PRIZE);
+        }
+        _validatePlay(msg.value, worstCase);
+        
+        // Add bets to house balance
+        _takeStake(msg.value);
+        playerTotalWagered[msg.sender] += msg.value;
+        
+        // Update last spin time
+        s_lastSpinTime[msg.sender] = block.timestamp;
+        _trackWager(msg.value);
+        
+        result = _generateQuickEntropy() % TABLE_POCKETS;
+        payout = _tablePayout(masks, payouts, result);
+        
+        if (payout > 0) {
+            _payPrize(payout);
+        }
+        
+        // Update stats
+        playerTotalSpins[msg.sender]++;
+        
+        emit TableSpin(msg.sender, msg.value, payout, result, block.timestamp);
+        
+        return (result, payout);
+    }
+
+    /**
+     * @notice Withdraw prizes whose payout to msg.sender failed
+     * @dev Works while paused so players can always collect what they are owed
+     * @return amount Amount of PC paid out
+     */
+    function claimWinnings() external nonReentrant returns (uint256 amount) {
+        amount = claimableWinnings[msg.sender];
+        if (amount == 0) revert NothingToClaim();
+
+        claimableWinnings[msg.sender] = 0;
+        totalClaimableWinnings -= amount;
+
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        if (!success) revert TransferFailed();
+
+        emit WinningsClaimed(msg.sender, amount);
+        return amount;
+    }
+
     /**
      * @notice Pause the contract (emergency only)
      */
@@ -344,27 +788,48 @@ contract PushChainRoulette is Ownable, ReentrancyGuard, Pausable {
     
     /**
      * @notice Get contract statistics
+     * @return contractBalance PC held by the contract
+     * @return availableBalance Free bankroll: backs new spins and can be withdrawn
+     * @return reservedBalance Held back for the worst-case payouts of open commits
+     * @return minStake Smallest allowed stake
+     * @return maxStake Largest allowed stake
+     * @return isPaused Whether spins are paused
      */
     function getStats() external view returns (
         uint256 contractBalance,
         uint256 availableBalance,
-        uint256 spinCost,
+        uint256 reservedBalance,
+        uint256 minStake,
+        uint256 maxStake,
         bool isPaused
     ) {
         return (
             address(this).balance,
-            houseBalance,
-            SPIN_COST,
+            freeBalance(),
+            s_reservedBalance,
+            minBet,
+            maxBet,
             paused()
         );
     }
     
+    /**
+     * @notice House balance not reserved for open commits
+     * @dev Zero if an emergency withdrawal left reserves uncovered
+     */
+    function freeBalance() public view returns (uint256) {
+        return houseBalance > s_reservedBalance ? houseBalance - s_reservedBalance : 0;
+    }
+    
     /**
      * @notice Get player statistics
+     * @dev totalSpins counts every currency; totalWins and totalWagered are in PC.
+     *      See playerTokenWagered and playerTokenWins for token stakes.
      */
     function getPlayerStats(address player) external view returns (
         uint256 totalSpins,
         uint256 totalWins,
+        uint256 totalWagered,
         uint256 lastSpinTime,
         uint256 canSpinAgainAt
     ) {
@@ -374,11 +839,31 @@ contract PushChainRoulette is Ownable, ReentrancyGuard, Pausable {
         return (
             playerTotalSpins[player],
             playerTotalWins[player],
+            playerTotalWagered[player],
             lastSpin,
             canSpinAt > block.timestamp ? canSpinAt : block.timestamp
         );
     }
     
+    /**
+     * @notice Get the prize table
+     * @return multipliers Prize multiplier for each tier, in MULTIPLIER_BASE units
+     * @return weights Weight of each tier out of PRIZE_WEIGHT_TOTAL
+     */
+    function getPrizeTable() external view returns (
+        uint256[] memory multipliers,
+        uint256[] memory weights
+    ) {
+        return (s_prizeMultipliers, s_prizeWeights);
+    }
+    
+    /**
+     * @notice Worst-case payout for a stake under the current prize table
+     */
+    function maxPayout(uint256 betAmount) public view returns (uint256) {
+        return (betAmount * s_maxMultiplier) / MULTIPLIER_BASE;
+    }
+    
     /**
      * @notice Check if player has pending commit
      */
@@ -389,30 +874,45 @@ contract PushChainRoulette is Ownable, ReentrancyGuard, Pausable {
     
     /**
      * @notice Get commit details
+     * @dev expiresAtBlock is the last block the commit can be revealed in; once
+     * expired, it can only be cancelled. token is address(0) for a PC stake.
      */
     function getCommitDetails(address player) external view returns (
         bytes32 commitHash,
         uint256 blockNumber,
         uint256 betAmount,
         bool revealed,
-        bool canReveal
+        bool canReveal,
+        uint256 expiresAtBlock,
+        bool expired,
+        address token
     ) {
         SpinCommit storage commit = commits[player];
+        expiresAtBlock = commit.blockNumber + REVEAL_WINDOW;
+        expired = commit.blockNumber > 0 && !commit.revealed && block.number > expiresAtBlock;
         return (
             commit.commitHash,
             commit.blockNumber,
             commit.betAmount,
             commit.revealed,
-            block.number >= commit.blockNumber + REVEAL_DELAY
+            block.number > commit.blockNumber + REVEAL_DELAY && block.number <= expiresAtBlock,
+            expiresAtBlock,
+            expired,
+            commit.token
         );
     }
     
     /**
      * @notice Emergency withdraw (owner only, when paused)
+     * @dev Takes everything except claimable winnings, referral earnings and the reserves
+     *      of open commits, including the jackpot pool. The reserves stay in houseBalance
+     *      so those commits can still be revealed, or cancelled once expired.
      */
     function emergencyWithdraw() external onlyOwner whenPaused nonReentrant {
-        uint256 balance = address(this).balance;
-        houseBalance = 0;
+        // Winnings and referral earnings owed to players stay claimable
+        uint256 balance = address(this).balance - totalClaimableWinnings - totalReferralEarnings - s_reservedBalance;
+        houseBalance = s_reservedBalance;
+        jackpotPool = 0;
         
         (bool success, ) = payable(owner()).call{value: balance}("");
         if (!success) revert TransferFailed();
@@ -420,33 +920,566 @@ contract PushChainRoulette is Ownable, ReentrancyGuard, Pausable {
         emit FundsWithdrawn(owner(), balance);
     }
     
+    // ========== Responsible Gaming ==========
+    
+    /**
+     * @notice Limit how much you can wager per UTC day
+     * @dev A lower limit applies at once; a higher one or 0 (no limit) after LIMIT_INCREASE_DELAY
+     * @param limit Max total stake per day, 0 for no limit
+     */
+    function setDailyLimit(uint256 limit) external {
+        uint256 effectiveAt = _setLimit(s_limits[msg.sender].daily, limit);
+        emit DailyLimitSet(msg.sender, limit, effectiveAt);
+    }
+    
+    /**
+     * @notice Limit your net loss in one session (play with no break of SESSION_TIMEOUT or longer)
+     * @dev A lower limit applies at once; a higher one or 0 (no limit) after LIMIT_INCREASE_DELAY
+     * @param limit Max net loss per session, 0 for no limit
+     */
+    function setSessionLossLimit(uint256 limit) external {
+        uint256 effectiveAt = _setLimit(s_limits[msg.sender].sessionLoss, limit);
+        emit SessionLossLimitSet(msg.sender, limit, effectiveAt);
+    }
+    
+    /**
+     * @notice Block yourself from playing for `duration` seconds
+     * @dev Can extend but never shorten a running exclusion. Pending reveals can still be finished.
+     */
+    function selfExclude(uint256 duration) external {
+        if (duration == 0 || duration > MAX_SELF_EXCLUSION) {
+            revert InvalidExclusionPeriod(duration, MAX_SELF_EXCLUSION);
+        }
+        
+        uint256 until = block.timestamp + duration;
+        if (until > s_limits[msg.sender].excludedUntil) {
+            s_limits[msg.sender].excludedUntil = until;
+        }
+        
+        emit SelfExclusionSet(msg.sender, s_limits[msg.sender].excludedUntil);
+    }
+    
+    /**
+     * @notice A player's limits in force now, and looser ones still waiting out the delay
+     * @return dailyLimit Max wagered per UTC day, 0 for none
+     * @return sessionLossLimit Max net loss per session, 0 for none
+     * @return excludedUntil Self-exclusion end, in the past when not excluded
+     * @return pendingDailyLimit Daily limit that applies at dailyLimitChangeAt
+     * @return dailyLimitChangeAt 0 when no change is pending
+     * @return pendingSessionLossLimit Session loss limit that applies at sessionLossLimitChangeAt
+     * @return sessionLossLimitChangeAt 0 when no change is pending
+     */
+    function getPlayerLimits(address player) external view returns (
+        uint256 dailyLimit,
+        uint256 sessionLossLimit,
+        uint256 excludedUntil,
+        uint256 pendingDailyLimit,
+        uint256 dailyLimitChangeAt,
+        uint256 pendingSessionLossLimit,
+        uint256 sessionLossLimitChangeAt
+    ) {
+        PlayerLimits storage limits = s_limits[player];
+        dailyLimit = _effectiveLimit(limits.daily);
+        sessionLossLimit = _effectiveLimit(limits.sessionLoss);
+        excludedUntil = limits.excludedUntil;
+        if (limits.daily.pendingAt > block.timestamp) {
+            (pendingDailyLimit, dailyLimitChangeAt) = (limits.daily.pendingValue, limits.daily.pendingAt);
+        }
+        if (limits.sessionLoss.pendingAt > block.timestamp) {
+            (pendingSessionLossLimit, sessionLossLimitChangeAt) = (limits.sessionLoss.pendingValue, limits.sessionLoss.pendingAt);
+        }
+    }
+    
+    /**
+     * @notice How much of their limits a player has used
+     * @return spentToday Wagered since 00:00 UTC
+     * @return sessionLoss Net loss in the current session
+     * @return sessionEndsAt When the session ends if they don't play again, 0 when no session is running
+     */
+    function getLimitUsage(address player) external view returns (
+        uint256 spentToday,
+        uint256 sessionLoss,
+        uint256 sessionEndsAt
+    ) {
+        PlayerActivity storage activity = s_activity[player];
+        spentToday = _spentToday(activity);
+        if (_sessionActive(activity)) {
+            sessionLoss = _sessionLoss(activity);
+            sessionEndsAt = activity.sessionLastPlay + SESSION_TIMEOUT;
+        }
+    }
+    
+    // ========== Referrals ==========
+    
+    /**
+     * @notice Bind msg.sender to a referrer, once
+     * @dev Rejects self-referral and any referrer whose own referral chain leads
+     * back to msg.sender. The chain is walked to its root; every binding is
+     * checked the same way, so it always ends.
+     * @param referrer Address that referred msg.sender
+     */
+    function setReferrer(address referrer) external {
+        if (referrerOf[msg.sender] != address(0)) {
+            revert ReferrerAlreadySet(referrerOf[msg.sender]);
+        }
+        if (referrer == address(0) || referrer == msg.sender) {
+            revert InvalidReferrer(referrer);
+        }
+        for (address ancestor = referrerOf[referrer]; ancestor != address(0); ancestor = referrerOf[ancestor]) {
+            if (ancestor == msg.sender) revert ReferralLoop(referrer);
+        }
+        
+        referrerOf[msg.sender] = referrer;
+        referralCount[referrer]++;
+        emit ReferrerSet(msg.sender, referrer);
+    }
+    
+    /**
+     * @notice Withdraw the referral earnings accrued to msg.sender
+     * @dev Works while paused, like claimWinnings
+     * @return amount Amount of PC paid out
+     */
+    function claimReferralEarnings() external nonReentrant returns (uint256 amount) {
+        amount = referralEarnings[msg.sender];
+        if (amount == 0) revert NothingToClaim();
+        
+        referralEarnings[msg.sender] = 0;
+        referralEarningsClaimed[msg.sender] += amount;
+        totalReferralEarnings -= amount;
+        
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        if (!success) revert TransferFailed();
+        
+        emit ReferralEarningsClaimed(msg.sender, amount);
+        return amount;
+    }
+    
+    /**
+     * @notice Set the share of referred players' stakes paid to their referrers (owner only)
+     * @param shareBps Share in basis points, at most MAX_REFERRAL_SHARE_BPS
+     */
+    function setReferralShare(uint256 shareBps) external onlyOwner {
+        if (shareBps > MAX_REFERRAL_SHARE_BPS) {
+            revert InvalidReferralShare(shareBps, MAX_REFERRAL_SHARE_BPS);
+        }
+        referralShareBps = shareBps;
+        emit ReferralShareUpdated(shareBps);
+    }
+    
+    // ========== ERC-20 Tokens ==========
+    
+    /**
+     * @notice Whitelist an ERC-20 token for the prize wheel, or replace its settings (owner only)
+     * @dev Changing a token that is already configured needs a pause and no open
+     *      commits in it, like setPrizeTable. Weights must add up to PRIZE_WEIGHT_TOTAL and the top prize at newMaxBet may
+     *      not exceed newMaxPrize. All amounts are in the token's own units.
+     * @param token ERC-20 token contract
+     * @param newMinBet Smallest allowed stake
+     * @param newMaxBet Largest allowed stake
+     * @param newMaxPrize Cap on the top prize of a single spin
+     * @param multipliers Prize multiplier for each tier, in MULTIPLIER_BASE units
+     * @param weights Weight of each tier out of PRIZE_WEIGHT_TOTAL
+     */
+    function configureToken(
+        address token,
+        uint256 newMinBet,
+        uint256 newMaxBet,
+        uint256 newMaxPrize,
+        uint256[] calldata multipliers,
+        uint256[] calldata weights
+    ) external onlyOwner {
+        if (token == address(0) || token.code.length == 0) {
+            revert InvalidToken(token);
+        }
+        if (newMinBet == 0 || newMinBet > newMaxBet) {
+            revert InvalidBetLimits(newMinBet, newMaxBet);
+        }
+        
+        TokenGame storage game = s_tokenGames[token];
+        if (game.prizeWeights.length > 0) {
+            _requirePaused();
+            if (game.openCommits > 0) {
+                revert OpenCommitsPending(game.openCommits);
+            }
+        } else {
+            s_tokens.push(token);
+            game.enabled = true;
+        }
+        
+        game.maxMultiplier = _validatePrizeTable(multipliers, weights, newMaxBet, newMaxPrize);
+        game.minBet = newMinBet;
+        game.maxBet = newMaxBet;
+        game.maxPrize = newMaxPrize;
+        game.prizeMultipliers = multipliers;
+        game.prizeWeights = weights;
+        
+        emit TokenConfigured(token, newMinBet, newMaxBet, newMaxPrize, multipliers, weights);
+    }
+    
+    /**
+     * @notice Allow or stop new bets in a configured token (owner only)
+     * @dev Open commits can still be revealed or cancelled, and the bankroll withdrawn
+     */
+    function setTokenEnabled(address token, bool enabled) external onlyOwner {
+        _requireConfigured(token);
+        s_tokenGames[token].enabled = enabled;
+        emit TokenStatusUpdated(token, enabled);
+    }
+    
+    /**
+     * @notice Add tokens to a token's house balance (owner only)
+     * @dev Pulls `amount` with transferFrom; the house is credited with what arrives
+     */
+    function depositTokenFunds(address token, uint256 amount) external onlyOwner nonReentrant {
+        _requireConfigured(token);
+        uint256 received = _pullTokens(token, amount);
+        require(received > 0, "Must send some tokens");
+        s_tokenGames[token].houseBalance += received;
+        emit TokenFundsDeposited(token, msg.sender, received);
+    }
+    
+    /**
+     * @notice Withdraw from a token's free house balance (owner only)
+     * @dev Funds reserved for open commits in that token stay
+     */
+    function withdrawTokenFunds(address token, uint256 amount) external onlyOwner nonReentrant {
+        TokenGame storage game = s_tokenGames[token];
+        uint256 free = _tokenFreeBalance(game);
+        if (amount > free) {
+            revert WithdrawalExceedsFreeBalance(amount, free);
+        }
+        game.houseBalance -= amount;
+        
+        IERC20(token).safeTransfer(owner(), amount);
+        
+        emit TokenFundsWithdrawn(token, owner(), amount);
+    }
+    
+    /**
+     * @notice Step 1 of a secure spin staked in an ERC-20 token
+     * @dev Same commit-reveal flow as commitSpin, finished with revealSpin. The
+     *      contract must be approved for `amount`; the stake is what arrives.
+     * @param token Whitelisted token to bet in
+     * @param amount Amount to transfer from the player
+     * @param secretHash Hash of player's secret (keccak256(abi.encodePacked(secret)))
+     */
+    function commitTokenSpin(address token, uint256 amount, bytes32 secretHash)
+        external
+        whenNotPaused
+        nonReentrant
+        returns (bytes32 commitHash)
+    {
+        TokenGame storage game = s_tokenGames[token];
+        uint256 stake = _takeTokenStake(token, game, amount);
+        
+        uint256 reserved = _tokenMaxPayout(game, stake);
+        game.reservedBalance += reserved;
+        game.openCommits++;
+        
+        return _storeCommit(secretHash, stake, reserved, token);
+    }
+    
+    /**
+     * @notice Quick spin staked in an ERC-20 token
+     * @dev Settled instantly like quickSpin; the prize is paid in the same token
+     * @param token Whitelisted token to bet in
+     * @param amount Amount to transfer from the player
+     */
+    function quickSpinToken(address token, uint256 amount)
+        external
+        whenNotPaused
+        nonReentrant
+        returns (uint256 prize)
+    {
+        TokenGame storage game = s_tokenGames[token];
+        uint256 stake = _takeTokenStake(token, game, amount);
+        s_lastSpinTime[msg.sender] = block.timestamp;
+        
+        uint256 randomNumber = _generateQuickEntropy() % PRIZE_WEIGHT_TOTAL;
+        return _settleTokenSpin(token, stake, 0, randomNumber);
+    }
+    
+    /**
+     * @notice Withdraw token prizes whose payout to msg.sender failed
+     * @dev Works while paused, like claimWinnings
+     * @return amount Amount of the token paid out
+     */
+    function claimTokenWinnings(address token) external nonReentrant returns (uint256 amount) {
+        amount = claimableTokenWinnings[token][msg.sender];
+        if (amount == 0) revert NothingToClaim();
+        
+        claimableTokenWinnings[token][msg.sender] = 0;
+        IERC20(token).safeTransfer(msg.sender, amount);
+        
+        emit TokenWinningsClaimed(msg.sender, token, amount);
+        return amount;
+    }
+    
+    /**
+     * @notice Every token ever configured, including disabled ones
+     */
+    function getTokens() external view returns (address[] memory) {
+        return s_tokens;
+    }
+    
+    /**
+     * @notice Settings and bankroll of a token's prize wheel, in the token's units
+     * @return enabled Whether new bets are allowed
+     * @return tokenHouseBalance Tokens backing prizes, reserves included
+     * @return availableBalance Free bankroll: backs new spins and can be withdrawn
+     * @return reservedBalance Held back for the worst-case payouts of open commits
+     * @return minStake Smallest allowed stake
+     * @return maxStake Largest allowed stake
+     * @return maxPrize Cap on the top prize of a single spin
+     * @return multipliers Prize multiplier for each tier, in MULTIPLIER_BASE units
+     * @return weights Weight of each tier out of PRIZE_WEIGHT_TOTAL
+     */
+    function getTokenGame(address token) external view returns (
+        bool enabled,
+        uint256 tokenHouseBalance,
+        uint256 availableBalance,
+        uint256 reservedBalance,
+        uint256 minStake,
+        uint256 maxStake,
+        uint256 maxPrize,
+        uint256[] memory multipliers,
+        uint256[] memory weights
+    ) {
+        TokenGame storage game = s_tokenGames[token];
+        return (
+            game.enabled,
+            game.houseBalance,
+            _tokenFreeBalance(game),
+            game.reservedBalance,
+            game.minBet,
+            game.maxBet,
+            game.maxPrize,
+            game.prizeMultipliers,
+            game.prizeWeights
+        );
+    }
+    
     // ========== Internal Functions ==========
     
     /**
-     * @notice Generate random number using commit-reveal pattern
-     * @dev Combines multiple entropy sources for better randomness
+     * @notice Record msg.sender's commit, staked in PC or a token
+     * @dev The hash inputs are stored with the commit for revealSpin
+     */
+    function _storeCommit(bytes32 secretHash, uint256 betAmount, uint256 reserved, address token)
+        private
+        returns (bytes32 commitHash)
+    {
+        // Check no pending commit
+        require(
+            commits[msg.sender].revealed || commits[msg.sender].blockNumber == 0,
+            "Previous spin not revealed"
+        );
+        
+        // Update last spin time
+        s_lastSpinTime[msg.sender] = block.timestamp;
+        
+        // Create commit hash combining user secret with contract state
+        uint256 commitNonce = nonce++;
+        commitHash = keccak256(abi.encodePacked(
+            secretHash,
+            msg.sender,
+            block.timestamp,
+            commitNonce
+        ));
+        
+        commits[msg.sender] = SpinCommit({
+            commitHash: commitHash,
+            blockNumber: block.number,
+            betAmount: betAmount,
+            reserved: reserved,
+            timestamp: block.timestamp,
+            nonce: commitNonce,
+            token: token,
+            revealed: false
+        });
+        
+        emit SpinCommitted(msg.sender, commitHash, block.number, block.timestamp, secretHash, commitNonce);
+    }
+    
+    /**
+     * @notice Transfer `amount` of a token from msg.sender and return what actually arrived
+     * @dev Measured on the contract's balance, so fee-on-transfer tokens are credited correctly
+     */
+    function _pullTokens(address token, uint256 amount) private returns (uint256) {
+        uint256 before = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        return IERC20(token).balanceOf(address(this)) - before;
+    }
+    
+    /**
+     * @notice Take msg.sender's token stake into the token's house balance
+     * @dev The amount received must be within the token's bet limits and its free
+     *      bankroll must cover the worst-case payout. Self-exclusion and the cooldown
+     *      apply as for PC; the spend and loss limits are in PC and don't.
+     * @return stake Amount received
+     */
+    function _takeTokenStake(address token, TokenGame storage game, uint256 amount) private returns (uint256 stake) {
+        if (!game.enabled) {
+            revert TokenNotEnabled(token);
+        }
+        uint256 excludedUntil = s_limits[msg.sender].excludedUntil;
+        if (block.timestamp < excludedUntil) {
+            revert PlayerSelfExcluded(excludedUntil);
+        }
+        _validateCooldown();
+        
+        stake = _pullTokens(token, amount);
+        if (stake < game.minBet || stake > game.maxBet) {
+            revert BetOutOfRange(stake, game.minBet, game.maxBet);
+        }
+        uint256 worstCase = _tokenMaxPayout(game, stake);
+        uint256 free = _tokenFreeBalance(game);
+        if (free < worstCase) {
+            revert InsufficientHouseBalance(worstCase, free);
+        }
+        
+        game.houseBalance += stake;
+        playerTokenWagered[token][msg.sender] += stake;
+    }
+    
+    /**
+     * @notice Release a token spin's reserve and pay its prize to msg.sender
+     */
+    function _settleTokenSpin(address token, uint256 betAmount, uint256 reserved, uint256 randomNumber)
+        private
+        returns (uint256 prize)
+    {
+        TokenGame storage game = s_tokenGames[token];
+        game.reservedBalance -= reserved;
+        
+        prize = _calculatePrize(randomNumber, betAmount, game.prizeMultipliers, game.prizeWeights);
+        if (prize > 0) {
+            game.houseBalance -= prize;
+            playerTokenWins[token][msg.sender] += prize;
+            _sendOrCreditToken(token, msg.sender, prize);
+        }
+        playerTotalSpins[msg.sender]++;
+        
+        emit TokenSpinRevealed(msg.sender, token, betAmount, prize, randomNumber, block.timestamp);
+    }
+    
+    /**
+     * @notice Send tokens already taken out of a house balance to a player
+     * @dev If the transfer fails the amount is credited to claimableTokenWinnings
+     */
+    function _sendOrCreditToken(address token, address player, uint256 amount) private {
+        if (!IERC20(token).trySafeTransfer(player, amount)) {
+            claimableTokenWinnings[token][player] += amount;
+            emit TokenPrizePendingClaim(player, token, amount);
+        }
+    }
+    
+    function _requireConfigured(address token) private view {
+        if (s_tokenGames[token].prizeWeights.length == 0) {
+            revert InvalidToken(token);
+        }
+    }
+    
+    function _tokenMaxPayout(TokenGame storage game, uint256 betAmount) private view returns (uint256) {
+        return (betAmount * game.maxMultiplier) / MULTIPLIER_BASE;
+    }
+    
+    function _tokenFreeBalance(TokenGame storage game) private view returns (uint256) {
+        return game.houseBalance > game.reservedBalance ? game.houseBalance - game.reservedBalance : 0;
+    }
+    
+    
+    /**
+     * @notice Pay a prize to msg.sender from the house balance
+     */
+    function _payPrize(uint256 prize) private {
+        require(houseBalance >= prize, "Insufficient house balance");
+        houseBalance -= prize;
+        playerTotalWins[msg.sender] += prize;
+        s_activity[msg.sender].sessionWon += prize;
+        _sendOrCredit(msg.sender, prize);
+    }
+    
+    /**
+     * @notice Send PC already taken out of houseBalance to a player
+     * @dev If the transfer fails the amount is credited to claimableWinnings
+     * instead of going back to the house
+     */
+    function _sendOrCredit(address player, uint256 amount) private {
+        (bool success, ) = payable(player).call{value: amount}("");
+        if (!success) {
+            claimableWinnings[player] += amount;
+            totalClaimableWinnings += amount;
+            emit PrizePendingClaim(player, amount);
+        }
+    }
+    
+    /**
+     * @notice Add msg.sender's stake to the bankroll, less the jackpot contribution
+     * and the referral share of their referrer, if any
+     */
+    function _takeStake(uint256 amount) private {
+        uint256 contribution = (amount * jackpotContributionBps) / BPS_BASE;
+        jackpotPool += contribution;
+        
+        uint256 referralReward = 0;
+        address referrer = referrerOf[msg.sender];
+        if (referrer != address(0)) {
+            referralReward = (amount * referralShareBps) / BPS_BASE;
+            referralEarnings[referrer] += referralReward;
+            totalReferralEarnings += referralReward;
+        }
+        
+        houseBalance += amount - contribution - referralReward;
+    }
+    
+    /**
+     * @notice Pay the whole jackpot pool to msg.sender if this spin's draw wins it
+     * @dev Only called from revealSpin. The draw hashes the spin's entropy again,
+     * so it is independent of the prize draw (entropy modulo PRIZE_WEIGHT_TOTAL).
+     * The pool restarts from jackpotSeed, as far as the free bankroll covers it.
+     */
+    function _drawJackpot(uint256 entropy) private {
+        if (jackpotPool == 0) return;
+        if (uint256(keccak256(abi.encode(entropy))) % JACKPOT_ODDS != 0) return;
+        
+        uint256 amount = jackpotPool;
+        uint256 free = freeBalance();
+        uint256 seed = jackpotSeed < free ? jackpotSeed : free;
+        houseBalance -= seed;
+        jackpotPool = seed;
+        
+        playerTotalWins[msg.sender] += amount;
+        s_activity[msg.sender].sessionWon += amount;
+        _sendOrCredit(msg.sender, amount);
+        
+        emit JackpotWon(msg.sender, amount, block.timestamp);
+    }
+    
+    /**
+     * @notice Generate spin entropy using commit-reveal pattern
+     * @dev The player's secret and the hash of a block mined after the commit: neither
+     * side knows both when committing, and nothing about the reveal block (prevrandao,
+     * timestamp, balance) goes in, so retrying a reveal can't change the result.
+     * The prize draw is the entropy modulo PRIZE_WEIGHT_TOTAL.
+     * @param entropyBlock Block commit + REVEAL_DELAY, already mined and within the last 256
      */
-    function _generateRandomNumber(uint256 secret, uint256 commitBlock) 
+    function _generateEntropy(uint256 secret, uint256 entropyBlock) 
         private 
         view 
         returns (uint256) 
     {
         return uint256(keccak256(abi.encodePacked(
             secret,
-            block.prevrandao,        // New random source in post-merge Ethereum
-            blockhash(commitBlock),  // Block hash from commit time
-            block.timestamp,
-            msg.sender,
-            nonce,
-            address(this).balance
-        ))) % 1000;
+            blockhash(entropyBlock)
+        )));
     }
     
     /**
-     * @notice Generate quick random number (less secure)
-     * @dev For instant spins, combines available entropy sources
+     * @notice Generate spin entropy for instant spins (less secure)
+     * @dev Combines available entropy sources; callers reduce it to their range
      */
-    function _generateQuickRandomNumber() private returns (uint256) {
+    function _generateQuickEntropy() private returns (uint256) {
         nonce++;
         return uint256(keccak256(abi.encodePacked(
             block.prevrandao,
@@ -455,39 +1488,309 @@ contract PushChainRoulette is Ownable, ReentrancyGuard, Pausable {
             nonce,
             blockhash(block.number - 1),
             address(this).balance
-        ))) % 1000;
+        )));
     }
     
     /**
-     * @notice Calculate prize based on random number
-     * @dev Distribution:
-     * 0-599 (60%): No win
-     * 600-899 (30%): 0.05 PC
-     * 900-949 (5%): 0.1 PC
-     * 950-979 (3%): 0.2 PC
-     * 980-994 (1.5%): 0.5 PC
-     * 995-999 (0.5%): 1 PC
+     * @notice Shared checks for commitSpin and quickSpin
+     * @dev Stake must be within the bet limits, then see _validatePlay
      */
-    function _calculatePrize(uint256 randomNumber) 
-        private 
-        pure 
-        returns (uint256) 
-    {
-        if (randomNumber < 600) {
-            return PRIZE_0; // 60%
-        } else if (randomNumber < 900) {
-            return PRIZE_1; // 30%
-        } else if (randomNumber < 950) {
-            return PRIZE_2; // 5%
-        } else if (randomNumber < 980) {
-            return PRIZE_3; // 3%
-        } else if (randomNumber < 995) {
-            return PRIZE_4; // 1.5%
+    function _validateSpin(uint256 betAmount) private view {
+        if (betAmount < minBet || betAmount > maxBet) {
+            revert BetOutOfRange(betAmount, minBet, maxBet);
+        }
+        
+        _validatePlay(betAmount, maxPayout(betAmount));
+    }
+    
+    /**
+     * @notice Checks shared by every game
+     * @dev The stake must fit the player's own limits, the free bankroll must cover the
+     *      worst-case payout and the player's cooldown must have expired
+     */
+    function _validatePlay(uint256 betAmount, uint256 worstCase) private view {
+        _validateLimits(msg.sender, betAmount);
+        
+        uint256 free = freeBalance();
+        if (free < worstCase) {
+            revert InsufficientHouseBalance(worstCase, free);
+        }
+        
+        _validateCooldown();
+    }
+    
+    function _validateCooldown() private view {
+        uint256 lastSpin = s_lastSpinTime[msg.sender];
+        if (block.timestamp < lastSpin + COOLDOWN_PERIOD) {
+            revert CooldownNotExpired((lastSpin + COOLDOWN_PERIOD) - block.timestamp);
+        }
+    }
+    
+    /**
+     * @notice Reject stakes beyond the player's own limits
+     * @dev A stake can be lost in full, so it counts in full against the session loss limit
+     */
+    function _validateLimits(address player, uint256 betAmount) private view {
+        PlayerLimits storage limits = s_limits[player];
+        if (block.timestamp < limits.excludedUntil) {
+            revert PlayerSelfExcluded(limits.excludedUntil);
+        }
+        
+        PlayerActivity storage activity = s_activity[player];
+        
+        uint256 dailyLimit = _effectiveLimit(limits.daily);
+        if (dailyLimit > 0) {
+            uint256 spent = _spentToday(activity);
+            uint256 remaining = dailyLimit > spent ? dailyLimit - spent : 0;
+            if (betAmount > remaining) revert DailyLimitExceeded(betAmount, remaining);
+        }
+        
+        uint256 sessionLossLimit = _effectiveLimit(limits.sessionLoss);
+        if (sessionLossLimit > 0) {
+            uint256 loss = _sessionActive(activity) ? _sessionLoss(activity) : 0;
+            uint256 remaining = sessionLossLimit > loss ? sessionLossLimit - loss : 0;
+            if (betAmount > remaining) revert SessionLossLimitExceeded(betAmount, remaining);
+        }
+    }
+    
+    /**
+     * @notice Count a stake towards the player's daily spend and current session
+     */
+    function _trackWager(uint256 betAmount) private {
+        PlayerActivity storage activity = s_activity[msg.sender];
+        
+        uint256 today = block.timestamp / 1 days;
+        if (activity.day != today) {
+            activity.day = today;
+            activity.spentToday = 0;
+        }
+        activity.spentToday += betAmount;
+        
+        if (!_sessionActive(activity)) {
+            activity.sessionWagered = 0;
+            activity.sessionWon = 0;
+        }
+        activity.sessionWagered += betAmount;
+        activity.sessionLastPlay = block.timestamp;
+    }
+    
+    function _spentToday(PlayerActivity storage activity) private view returns (uint256) {
+        return activity.day == block.timestamp / 1 days ? activity.spentToday : 0;
+    }
+    
+    function _sessionActive(PlayerActivity storage activity) private view returns (bool) {
+        return activity.sessionLastPlay > 0 && block.timestamp < activity.sessionLastPlay + SESSION_TIMEOUT;
+    }
+    
+    function _sessionLoss(PlayerActivity storage activity) private view returns (uint256) {
+        return activity.sessionWagered > activity.sessionWon ? activity.sessionWagered - activity.sessionWon : 0;
+    }
+    
+    /**
+     * @notice Limit value in force now, with a pending change applied once due
+     */
+    function _effectiveLimit(Limit storage limit) private view returns (uint256) {
+        if (limit.pendingAt != 0 && block.timestamp >= limit.pendingAt) {
+            return limit.pendingValue;
+        }
+        return limit.value;
+    }
+    
+    /**
+     * @notice Apply a tighter limit now or schedule a looser one
+     * @dev 0 means no limit, so it is the loosest value. Setting any value
+     *      replaces a change that is still pending.
+     * @return effectiveAt When the new limit applies
+     */
+    function _setLimit(Limit storage limit, uint256 newValue) private returns (uint256 effectiveAt) {
+        uint256 current = _effectiveLimit(limit);
+        bool tighter = newValue == current || (newValue != 0 && (current == 0 || newValue < current));
+        
+        if (tighter) {
+            limit.value = newValue;
+            limit.pendingValue = 0;
+            limit.pendingAt = 0;
+            return block.timestamp;
+        }
+        
+        limit.value = current;
+        limit.pendingValue = newValue;
+        limit.pendingAt = block.timestamp + LIMIT_INCREASE_DELAY;
+        return limit.pendingAt;
+    }
+    
+    /**
+     * @notice Pockets covered by a table bet
+     * @return mask Bit n is set if pocket n wins
+     * @return covered Number of pockets covered
+     */
+    function _tableBetMask(TableBet calldata bet) private pure returns (uint64 mask, uint256 covered) {
+        uint8 n = bet.number;
+        BetType t = bet.betType;
+        bool valid;
+        
+        if (t == BetType.Straight) {
+            valid = n <= 36;
+            mask = uint64(1) << n;
+            covered = 1;
+        } else if (t == BetType.SplitHorizontal) {
+            valid = n >= 1 && n <= 35 && n % 3 != 0;
+            mask = (uint64(1) << n) | (uint64(1) << (n + 1));
+            covered = 2;
+        } else if (t == BetType.SplitVertical) {
+            valid = n >= 1 && n <= 33;
+            mask = (uint64(1) << n) | (uint64(1) << (n + 3));
+            covered = 2;
+        } else if (t == BetType.Street) {
+            valid = n >= 1 && n <= 34 && n % 3 == 1;
+            mask = uint64(7) << n;
+            covered = 3;
+        } else if (t == BetType.Corner) {
+            valid = n >= 1 && n <= 32 && n % 3 != 0;
+            mask = (uint64(3) << n) | (uint64(3) << (n + 3));
+            covered = 4;
+        } else if (t == BetType.Dozen) {
+            valid = n >= 1 && n <= 3;
+            mask = valid ? uint64(0xfff) << (12 * (n - 1) + 1) : 0;
+            covered = 12;
+        } else if (t == BetType.Column) {
+            valid = n >= 1 && n <= 3;
+            for (uint8 k = n; valid && k <= 36; k += 3) {
+                mask |= uint64(1) << k;
+            }
+            covered = 12;
         } else {
-            return PRIZE_5; // 0.5%
+            // Even-money bets
+            valid = n == 0;
+            if (t == BetType.Red) {
+                mask = RED_NUMBERS;
+            } else if (t == BetType.Black) {
+                mask = BLACK_NUMBERS;
+            } else {
+                for (uint8 k = 1; k <= 36; k++) {
+                    bool hit = t == BetType.Odd ? k % 2 == 1
+                        : t == BetType.Even ? k % 2 == 0
+                        : t == BetType.Low ? k <= 18
+                        : k >= 19;
+                    if (hit) mask |= uint64(1) << k;
+                }
+            }
+            covered = 18;
+        }
+        
+        if (!valid || bet.amount == 0) {
+            revert InvalidTableBet(uint8(t), n);
+        }
+    }
+    
+    /**
+     * @notice Total payout of a set of table bets if `pocket` wins
+     */
+    function _tablePayout(uint64[] memory masks, uint256[] memory payouts, uint256 pocket)
+        private
+        pure
+        returns (uint256 total)
+    {
+        for (uint256 i = 0; i < masks.length; i++) {
+            if (masks[i] & (uint64(1) << uint8(pocket)) != 0) {
+                total += payouts[i];
+            }
         }
     }
     
+    /**
+     * @notice Calculate prize based on random number and stake
+     * @dev Walks the cumulative prize weights; with the default table:
+     * 0-599 (60%): No win
+     * 600-899 (30%): 0.5x
+     * 900-949 (5%): 1x
+     * 950-979 (3%): 2x
+     * 980-994 (1.5%): 5x
+     * 995-999 (0.5%): 10x
+     */
+    function _calculatePrize(
+        uint256 randomNumber,
+        uint256 betAmount,
+        uint256[] storage multipliers,
+        uint256[] storage weights
+    ) private view returns (uint256) {
+        uint256 cumulative = 0;
+        uint256 tiers = weights.length;
+        for (uint256 i = 0; i < tiers; i++) {
+            cumulative += weights[i];
+            if (randomNumber < cumulative) {
+                return (betAmount * multipliers[i]) / MULTIPLIER_BASE;
+            }
+        }
+        return (betAmount * multipliers[tiers - 1]) / MULTIPLIER_BASE;
+    }
+    
+    /**
+     * @notice Validate and store a new prize table
+     */
+    function _setPrizeTable(uint256[] memory multipliers, uint256[] memory weights) private {
+        s_maxMultiplier = _validatePrizeTable(multipliers, weights, maxBet, MAX_PRIZE);
+        s_prizeMultipliers = multipliers;
+        s_prizeWeights = weights;
+        
+        emit PrizeTableUpdated(multipliers, weights);
+    }
+    
+    /**
+     * @notice Check a prize table against the weight total and a payout cap
+     * @dev The top prize at stakeCap may not exceed prizeCap
+     * @return maxMultiplier Largest multiplier in the table
+     */
+    function _validatePrizeTable(
+        uint256[] memory multipliers,
+        uint256[] memory weights,
+        uint256 stakeCap,
+        uint256 prizeCap
+    ) private pure returns (uint256 maxMultiplier) {
+        if (
+            multipliers.length != weights.length ||
+            multipliers.length == 0 ||
+            multipliers.length > MAX_PRIZE_TIERS
+        ) {
+            revert InvalidPrizeTable(multipliers.length, weights.length);
+        }
+        
+        uint256 totalWeight = 0;
+        for (uint256 i = 0; i < multipliers.length; i++) {
+            if (multipliers[i] > maxMultiplier) {
+                maxMultiplier = multipliers[i];
+            }
+            totalWeight += weights[i];
+        }
+        if (totalWeight != PRIZE_WEIGHT_TOTAL) {
+            revert InvalidPrizeWeights(totalWeight, PRIZE_WEIGHT_TOTAL);
+        }
+        
+        uint256 topPrize = (stakeCap * maxMultiplier) / MULTIPLIER_BASE;
+        if (topPrize > prizeCap) {
+            revert PrizeExceedsMax(topPrize, prizeCap);
+        }
+    }
+    
+    /**
+     * @notice Validate and store a new stake range
+     */
+    function _setBetLimits(uint256 newMinBet, uint256 newMaxBet) private {
+        if (newMinBet == 0 || newMinBet > newMaxBet) {
+            revert InvalidBetLimits(newMinBet, newMaxBet);
+        }
+        
+        uint256 topPrize = (newMaxBet * s_maxMultiplier) / MULTIPLIER_BASE;
+        if (topPrize > MAX_PRIZE) {
+            revert PrizeExceedsMax(topPrize, MAX_PRIZE);
+        }
+        
+        minBet = newMinBet;
+        maxBet = newMaxBet;
+        
+        emit BetLimitsUpdated(newMinBet, newMaxBet);
+    }
+    
     // ========== Receive Functions ==========
     
     receive() external payable {
@@ -1,4 +1,5 @@
 const hre = require("hardhat");
+const { writeFrontendConfig } = require("./frontendConfig");
 
 async function main() {
   console.log("\n🚀 Deploying PushChainRoulette to", hre.network.name, "...\n");
@@ -54,10 +55,11 @@ async function main() {
   console.log("📊 Contract Stats:");
   try {
     const stats = await roulette.getStats();
-    console.log("   Contract Balance:", hre.ethers.formatEther(stats[0]), "PC");
-    console.log("   Available Balance:", hre.ethers.formatEther(stats[1]), "PC");
-    console.log("   Spin Cost:", hre.ethers.formatEther(stats[2]), "PC");
-    console.log("   Is Paused:", stats[3]);
+    console.log("   Contract Balance:", hre.ethers.formatEther(stats.contractBalance), "PC");
+    console.log("   Available Balance:", hre.ethers.formatEther(stats.availableBalance), "PC");
+    console.log("   Reserved Balance:", hre.ethers.formatEther(stats.reservedBalance), "PC");
+    console.log("   Bet Range:", hre.ethers.formatEther(stats.minStake), "-", hre.ethers.formatEther(stats.maxStake), "PC");
+    console.log("   Is Paused:", stats.isPaused);
   } catch (error) {
     console.warn("⚠️  Could not fetch stats:", error.message);
   }
@@ -79,9 +81,8 @@ async function main() {
   // Next steps
   console.log("📝 Next Steps:");
   console.log("");
-  console.log("1. Update frontend configuration:");
-  console.log("   • Copy CONTRACT_ADDRESS to src/App.jsx");
-  console.log("   • Update line: const CONTRACT_ADDRESS = '" + address + "';");
+  console.log("1. Frontend configuration:");
+  console.log("   • Written to src/contracts/deployments/" + hre.network.name + ".json (commit it)");
   console.log("");
   console.log("2. Choose your spin method:");
   console.log("   • quickSpin() - Instant results (recommended for testnet)");
@@ -123,6 +124,7 @@ async function main() {
     deployer: deployer.address,
     deployedAt: new Date().toISOString(),
     transactionHash: roulette.deploymentTransaction()?.hash,
+    blockNumber: (await roulette.deploymentTransaction()?.wait())?.blockNumber,
     version: "testnet-no-vrf",
     randomnessMethod: "block.prevrandao + commit-reveal"
   };
@@ -133,6 +135,9 @@ async function main() {
   );
   
   console.log("💾 Deployment info saved to:", `deployment-${hre.network.name}.json`);
+
+  const frontendFile = await writeFrontendConfig(hre, deploymentInfo);
+  if (frontendFile) console.log("🖥️  Frontend config written to:", frontendFile);
   console.log("");
 }
 
@@ -141,7 +146,8 @@ function getExplorerUrl(networkName, address) {
     pushTestnet: `https://donut.push.network/address/${address}`,
     pushMainnet: `https://scan.push.org/address/${address}`,
     sepolia: `https://sepolia.etherscan.io/address/${address}`,
-    hardhat: `Local network (no explorer)`
+    hardhat: `Local network (no explorer)`,
+    localhost: `Local network (no explorer)`
   };
   
   return explorers[networkName] || `Unknown network: ${networkName}`;
@@ -0,0 +1,63 @@
+// Frontend contract config generated from deployments and the compiled artifact
+// One file per network in src/contracts/deployments/, imported by src/contracts/roulette.js
+const fs = require("fs");
+const path = require("path");
+
+const LOCAL_RPC_URL = "http://127.0.0.1:8545";
+
+const frontendDeploymentsDir = (hre) =>
+  path.join(hre.config.paths.root, "src", "contracts", "deployments");
+
+const rpcUrlFor = (hre) => hre.network.config.url || LOCAL_RPC_URL;
+
+/**
+ * Write src/contracts/deployments/<network>.json with the address, chain ID,
+ * RPC URL, deploy block and full ABI of a freshly deployed contract.
+ * Returns the file path, or null on the in-process hardhat network, which is gone when the command exits.
+ */
+async function writeFrontendConfig(hre, { contractAddress, blockNumber }) {
+  if (hre.network.name === "hardhat") return null;
+
+  const artifact = await hre.artifacts.readArtifact("PushChainRoulette");
+  const config = {
+    network: hre.network.name,
+    chainId: hre.network.config.chainId,
+    rpcUrl: rpcUrlFor(hre),
+    contractAddress,
+    deployBlock: blockNumber || 0,
+    abi: artifact.abi
+  };
+
+  const dir = frontendDeploymentsDir(hre);
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `${hre.network.name}.json`);
+  fs.writeFileSync(file, JSON.stringify(config, null, 2) + "\n");
+  return file;
+}
+
+// Human-readable fragments, sorted, so ABIs compare regardless of order and formatting
+const abiSignatures = (ethers, abi) =>
+  new ethers.Interface(abi).format().slice().sort();
+
+/**
+ * Compare every generated frontend config against the compiled artifact.
+ * Returns one entry per network with the fragments missing from or extra in the frontend copy.
+ */
+async function checkFrontendAbis(hre) {
+  const artifact = await hre.artifacts.readArtifact("PushChainRoulette");
+  const compiled = abiSignatures(hre.ethers, artifact.abi);
+  const dir = frontendDeploymentsDir(hre);
+  const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter(name => name.endsWith(".json")) : [];
+
+  return files.map(name => {
+    const config = JSON.parse(fs.readFileSync(path.join(dir, name), "utf8"));
+    const frontend = abiSignatures(hre.ethers, config.abi || []);
+    return {
+      file: path.join("src", "contracts", "deployments", name),
+      missing: compiled.filter(sig => !frontend.includes(sig)),
+      extra: frontend.filter(sig => !compiled.includes(sig))
+    };
+  });
+}
+
+module.exports = { writeFrontendConfig, checkFrontendAbis };
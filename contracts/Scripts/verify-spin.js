@@ -0,0 +1,55 @@
+// Verify a commit-reveal spin from the command line
+// Usage: node contracts/Scripts/verify-spin.js <revealTxHash> [contractAddress] [rpcUrl]
+// The address and RPC default to the generated frontend config of NETWORK (pushTestnet if unset).
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const network = process.env.NETWORK || "pushTestnet";
+const deploymentFile = path.join(__dirname, "..", "..", "src", "contracts", "deployments", `${network}.json`);
+const deployment = fs.existsSync(deploymentFile) ? require(deploymentFile) : {};
+
+async function main() {
+  const [txHash, contractAddress = deployment.contractAddress, rpcUrl = deployment.rpcUrl] = process.argv.slice(2);
+  if (!txHash || !contractAddress || !rpcUrl) {
+    console.error("Usage: node contracts/Scripts/verify-spin.js <revealTxHash> [contractAddress] [rpcUrl]");
+    process.exit(1);
+  }
+
+  // Shared with the frontend so the CLI and the Verify button run the same checks
+  const { verifySpin } = await import("../../src/utils/fairness.mjs");
+
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const report = await verifySpin({ ethers, provider, contractAddress, txHash });
+
+  if (!report.verifiable) {
+    console.log("⚠️ ", report.reason);
+    return;
+  }
+
+  console.log("\n🔍 Spin", txHash);
+  console.log("   Revealed in block", report.revealBlock);
+  console.log("");
+  console.log("Inputs:");
+  Object.entries(report.inputs).forEach(([name, value]) => {
+    console.log(`   ${name}: ${value}`);
+  });
+  if (!report.prizeTableAtReveal) {
+    console.log("   (RPC has no historical state, checked against the current prize table)");
+  }
+  console.log("");
+  console.log("Checks:");
+  report.checks.forEach(check => {
+    console.log(`   ${check.ok ? "✅" : "❌"} ${check.label}`);
+  });
+  console.log("");
+  console.log(report.verified ? "✅ Spin verified" : "❌ Spin does NOT match the contract's rules");
+
+  if (!report.verified) process.exitCode = 1;
+}
+
+main().catch((error) => {
+  console.error("\n❌ Verification failed:");
+  console.error(error);
+  process.exit(1);
+});
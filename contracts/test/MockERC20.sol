@@ -0,0 +1,75 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockERC20 - test token for the ERC-20 games
+ * @dev Mintable by anyone, with switches for the awkward tokens the roulette
+ * has to handle. Not for deployment.
+ * - feeBps: a share of every transfer is burnt, so the receiver gets less
+ *   than was sent (fee-on-transfer)
+ * - blocked: transfers to a blocked address revert
+ * - returnFalse: transfer and transferFrom return false instead of moving funds
+ */
+contract MockERC20 is ERC20 {
+    uint256 public constant BPS_BASE = 10000;
+
+    uint8 private immutable i_decimals;
+    uint256 public feeBps;
+    bool public returnFalse;
+    mapping(address => bool) public blocked;
+
+    error ReceiverBlocked(address receiver);
+
+    constructor(string memory name, string memory symbol, uint8 tokenDecimals) ERC20(name, symbol) {
+        i_decimals = tokenDecimals;
+    }
+
+    function mint(address to, uint256 amount) external {
+        _mint(to, amount);
+    }
+
+    function setFee(uint256 newFeeBps) external {
+        feeBps = newFeeBps;
+    }
+
+    function setBlocked(address account, bool isBlocked) external {
+        blocked[account] = isBlocked;
+    }
+
+    function setReturnFalse(bool enabled) external {
+        returnFalse = enabled;
+    }
+
+    function decimals() public view override returns (uint8) {
+        return i_decimals;
+    }
+
+    function transfer(address to, uint256 value) public override returns (bool) {
+        if (returnFalse) return false;
+        return super.transfer(to, value);
+    }
+
+    function transferFrom(address from, address to, uint256 value) public override returns (bool) {
+        if (returnFalse) return false;
+        return super.transferFrom(from, to, value);
+    }
+
+    /**
+     * @dev Applies the block list and burns the fee on transfers; mints and burns are untouched
+     */
+    function _update(address from, address to, uint256 value) internal override {
+        if (from != address(0) && to != address(0)) {
+            if (blocked[to]) {
+                revert ReceiverBlocked(to);
+            }
+            uint256 fee = (value * feeBps) / BPS_BASE;
+            if (fee > 0) {
+                super._update(from, address(0), fee);
+                value -= fee;
+            }
+        }
+        super._update(from, to, value);
+    }
+}
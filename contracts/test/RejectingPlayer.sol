@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title RejectingPlayer - test player that can refuse PC payouts
+ * @dev Plays the roulette through play(), which forwards the call and its value.
+ * While rejecting, every PC transfer to this contract reverts. Not for deployment.
+ */
+contract RejectingPlayer {
+    address public immutable roulette;
+    bool public rejecting = true;
+
+    error PaymentRejected();
+
+    constructor(address rouletteAddress) {
+        roulette = rouletteAddress;
+    }
+
+    function setRejecting(bool enabled) external {
+        rejecting = enabled;
+    }
+
+    /**
+     * @dev Bubbles up the roulette's revert data so tests can match custom errors
+     */
+    function play(bytes calldata data) external payable returns (bytes memory) {
+        (bool success, bytes memory result) = roulette.call{value: msg.value}(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+
+    receive() external payable {
+        if (rejecting) revert PaymentRejected();
+    }
+}
@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+interface IRouletteSpin {
+    function commitSpin(bytes32 secretHash) external payable returns (bytes32 commitHash);
+    function revealSpin(uint256 secret) external returns (uint256 prize);
+}
+
+/**
+ * @title RetryingPlayer - test player that reverts reveals it doesn't like
+ * @dev revealUnlessBelow() reveals through the roulette and reverts the whole
+ * transaction unless the PC it received (prize and jackpot) reaches a minimum,
+ * the "retry every block until it wins" attack. Not for deployment.
+ */
+contract RetryingPlayer {
+    IRouletteSpin public immutable roulette;
+
+    error WinTooSmall(uint256 won);
+
+    constructor(address rouletteAddress) {
+        roulette = IRouletteSpin(rouletteAddress);
+    }
+
+    function commit(bytes32 secretHash) external payable {
+        roulette.commitSpin{value: msg.value}(secretHash);
+    }
+
+    function revealUnlessBelow(uint256 secret, uint256 minWin) external {
+        uint256 balanceBefore = address(this).balance;
+        roulette.revealSpin(secret);
+        uint256 won = address(this).balance - balanceBefore;
+        if (won < minWin) revert WinTooSmall(won);
+    }
+
+    receive() external payable {}
+}
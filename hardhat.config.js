@@ -1,5 +1,6 @@
 require("@nomicfoundation/hardhat-toolbox");
 require('dotenv').config();
+require("./tasks/roulette");
 
 const PRIVATE_KEY = process.env.PRIVATE_KEY;
 if (!PRIVATE_KEY && process.env.NODE_ENV !== 'test') {
@@ -21,6 +22,12 @@ module.exports = {
     hardhat: {
       chainId: 31337
     },
+
+    // `npx hardhat node`; the frontend signs with its unlocked dev accounts
+    localhost: {
+      url: "http://127.0.0.1:8545",
+      chainId: 31337
+    },
     
     pushTestnet: {
       url: "https://rpc.testnet.push.org",
@@ -1,86 +1,98 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 
-// Push Chain SDK Imports
+import { ethers } from 'ethers';
+
+import GlobalActivity from './components/GlobalActivity';
+import RouletteTable from './components/RouletteTable';
+import OperatorDashboard from './components/OperatorDashboard';
+import AutoSpinPanel from './components/AutoSpinPanel';
+import ResponsibleGamingPanel from './components/ResponsibleGamingPanel';
+import ReferralPanel from './components/ReferralPanel';
+import ClaimWinnings from './components/ClaimWinnings';
+import JackpotTicker from './components/JackpotTicker';
+import JackpotCelebration from './components/JackpotCelebration';
+import useWheelRotation from './hooks/useWheelRotation';
+import SpinHistory from './components/SpinHistory';
+import SessionAnalytics from './components/SessionAnalytics';
+import TxLink from './components/TxLink';
+import NetworkSwitcher from './components/NetworkSwitcher';
+import { WalletProvider, WalletButton } from './components/Wallet';
+import useWallet from './hooks/useWallet';
+import useAutoSpin from './hooks/useAutoSpin';
+import useChainUpdates, { useChainStatus } from './hooks/useChainUpdates';
+import { CONTRACT_ADDRESS, ROULETTE_ABI } from './contracts/roulette';
+import { ACTIVE_NETWORK } from './contracts/networks';
+import StakeSelector from './components/StakeSelector';
+import CurrencySelector from './components/CurrencySelector';
 import {
-  PushUniversalWalletProvider,
-  PushUniversalAccountButton,
-  usePushWalletContext,
-  usePushChainClient,
-  usePushChain,
-  PushUI,
-} from '@pushchain/ui-kit';
-
-const SPIN_COST = 0.1;
-
-// ⚠️ REPLACE WITH YOUR DEPLOYED CONTRACT ADDRESS
-const CONTRACT_ADDRESS = '0xda2428f678902607e0360AD630266AFde96e4F30';
-
-// Contract ABI
-const ROULETTE_ABI = [
-  {
-    "inputs": [],
-    "name": "quickSpin",
-    "outputs": [{"internalType": "uint256", "name": "prize", "type": "uint256"}],
-    "stateMutability": "payable",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "getStats",
-    "outputs": [
-      {"internalType": "uint256", "name": "contractBalance", "type": "uint256"},
-      {"internalType": "uint256", "name": "availableBalance", "type": "uint256"},
-      {"internalType": "uint256", "name": "spinCost", "type": "uint256"},
-      {"internalType": "bool", "name": "isPaused", "type": "bool"}
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [{"internalType": "address", "name": "player", "type": "address"}],
-    "name": "getPlayerStats",
-    "outputs": [
-      {"internalType": "uint256", "name": "totalSpins", "type": "uint256"},
-      {"internalType": "uint256", "name": "totalWins", "type": "uint256"},
-      {"internalType": "uint256", "name": "lastSpinTime", "type": "uint256"},
-      {"internalType": "uint256", "name": "canSpinAgainAt", "type": "uint256"}
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "anonymous": false,
-    "inputs": [
-      {"indexed": true, "internalType": "address", "name": "player", "type": "address"},
-      {"indexed": false, "internalType": "uint256", "name": "betAmount", "type": "uint256"},
-      {"indexed": false, "internalType": "uint256", "name": "prizeAmount", "type": "uint256"},
-      {"indexed": false, "internalType": "uint256", "name": "randomNumber", "type": "uint256"},
-      {"indexed": false, "internalType": "uint256", "name": "timestamp", "type": "uint256"}
-    ],
-    "name": "SpinRevealed",
-    "type": "event"
-  }
-];
+  fetchPrizeTable,
+  maxMultiplier,
+  expectedMultiplier,
+  formatPC,
+  stakePresets,
+  toDrawTable,
+} from './utils/prizeTable';
+import { calculatePrize } from './utils/fairness.mjs';
+import {
+  getReadProvider,
+  getReadContract,
+  encodeCall,
+  findEvent,
+} from './utils/chain';
+import { hasChainEvent, waitForBlock } from './utils/chainEvents';
+import {
+  generateSecret,
+  hashSecret,
+  secretToUint,
+  savePendingSpin,
+  loadPendingSpin,
+  clearPendingSpin,
+} from './utils/secureSpin';
+import { decodeContractError } from './utils/contractErrors';
+import { fetchPlayerLimits, limitBlockedReason } from './utils/playerLimits';
+import { captureReferralParam } from './utils/referral';
+import {
+  NATIVE_CURRENCY,
+  isSameToken,
+  encodeApprove,
+  fetchAllowance,
+  currencyOf,
+  fetchTokenGames,
+  fetchTokenAccounts,
+} from './utils/tokens';
 
-const PRIZES = [
-  { amount: 0, probability: 60, label: 'Try Again', gradient: ['#4B5563', '#374151'] },
-  { amount: 0.05, probability: 30, label: '0.05 PC', gradient: ['#3B82F6', '#2563EB'] },
-  { amount: 0.1, probability: 5, label: '0.1 PC', gradient: ['#10B981', '#059669'] },
-  { amount: 0.2, probability: 3, label: '0.2 PC', gradient: ['#F59E0B', '#D97706'] },
-  { amount: 0.5, probability: 1.5, label: '0.5 PC', gradient: ['#F97316', '#EA580C'] },
-  { amount: 1, probability: 0.5, label: '1 PC', gradient: ['#9333EA', '#7C3AED'] }
+// Segment colours, assigned to prize tiers in table order
+const SEGMENT_GRADIENTS = [
+  ['#4B5563', '#374151'],
+  ['#3B82F6', '#2563EB'],
+  ['#10B981', '#059669'],
+  ['#F59E0B', '#D97706'],
+  ['#F97316', '#EA580C'],
+  ['#9333EA', '#7C3AED'],
+  ['#EC4899', '#DB2777'],
+  ['#14B8A6', '#0D9488']
 ];
 
+// Wheel segments for the on-chain prize table, priced at the selected stake
+const toWheelPrizes = (prizes, stake, symbol) => prizes.map((prize, index) => {
+  const amount = parseFloat(formatPC(stake * prize.multiplier));
+  return {
+    ...prize,
+    amount,
+    label: amount > 0 ? `${amount} ${symbol}` : 'Try Again',
+    gradient: SEGMENT_GRADIENTS[index % SEGMENT_GRADIENTS.length]
+  };
+});
+
 // Roulette Wheel Component
-const RouletteWheel = ({ isSpinning }) => {
-  const [rotation, setRotation] = useState(0);
-  const segmentAngle = 360 / PRIZES.length;
-  
-  useEffect(() => {
-    if (isSpinning) {
-      setRotation(prev => prev + 360 * 8 + Math.random() * 360);
-    }
-  }, [isSpinning]);
+// Idles while the transaction is pending, then lands on segment targetIndex
+const RouletteWheel = ({ prizes, isSpinning, targetIndex, onSettled }) => {
+  const { rotation, segmentAngle, transition } = useWheelRotation({
+    isSpinning,
+    targetIndex,
+    segmentCount: prizes.length,
+    onSettled
+  });
   
   return (
     <div className="relative w-96 h-96 mx-auto">
@@ -91,10 +103,10 @@ const RouletteWheel = ({ isSpinning }) => {
           className="w-80 h-80 rounded-full relative"
           style={{ 
             transform: `rotate(${rotation}deg)`,
-            transition: isSpinning ? 'transform 5s cubic-bezier(0.17, 0.67, 0.12, 0.99)' : 'none'
+            transition
           }}
         >
-          {PRIZES.map((prize, index) => {
+          {prizes.map((prize, index) => {
             const startAngle = (segmentAngle * index - 90) * (Math.PI / 180);
             const endAngle = (segmentAngle * (index + 1) - 90) * (Math.PI / 180);
             const x1 = 160 + 160 * Math.cos(startAngle);
@@ -145,120 +157,608 @@ const RouletteWheel = ({ isSpinning }) => {
 
 // Main Game Component
 const RouletteGame = () => {
-  const { connectionStatus } = usePushWalletContext();
-  const { pushChainClient, isInitialized } = usePushChainClient();
-  const { PushChain } = usePushChain();
+  const { account, isConnected, isInitialized, sendTransaction } = useWallet();
   
   const [isSpinning, setIsSpinning] = useState(false);
   const [currentPrize, setCurrentPrize] = useState(null);
   const [showResult, setShowResult] = useState(false);
   const [balance, setBalance] = useState('0');
-  const [totalSpins, setTotalSpins] = useState(0);
-  const [totalWins, setTotalWins] = useState(0);
-  const [history, setHistory] = useState([]);
+  const [prizeTable, setPrizeTable] = useState(null);
+  const [stake, setStake] = useState('');
+  const [playerStats, setPlayerStats] = useState(null);
+  const [gameStats, setGameStats] = useState(null);
+  const [playerLimits, setPlayerLimits] = useState(null);
+  const [historyRefresh, setHistoryRefresh] = useState(0);
   const [error, setError] = useState(null);
+  const [walletNotice, setWalletNotice] = useState(null);
   const [cooldownRemaining, setCooldownRemaining] = useState(0);
+  const [spinMode, setSpinMode] = useState('quick');
+  const [spinPhase, setSpinPhase] = useState(null);
+  const [revealProgress, setRevealProgress] = useState(null);
+  const [pendingCommit, setPendingCommit] = useState(null);
+  const [wheelTarget, setWheelTarget] = useState(null);
+  const [spinResult, setSpinResult] = useState(null);
+  const [unknownResult, setUnknownResult] = useState(null);
+  const [jackpotWin, setJackpotWin] = useState(null);
+  const [gameMode, setGameMode] = useState('wheel');
+  const [tokenGames, setTokenGames] = useState([]);
+  const [tokenAccounts, setTokenAccounts] = useState({});
+  const [currencyAddress, setCurrencyAddress] = useState(null);
+  const [isOwner, setIsOwner] = useState(false);
+  const chainStatus = useChainStatus();
+
+  const autoSpin = useAutoSpin({
+    account,
+    isBusy: isSpinning || !!spinResult,
+    onSpin: () => startAutoSpin()
+  });
+  const { recordResult: recordAutoSpin } = autoSpin;
+  const autoSpinActive = !!autoSpin.session && autoSpin.session.status !== 'done';
+
+  // The wheel bets in PC or a whitelisted token, each with its own prize table and bankroll
+  const selectedToken = currencyAddress
+    ? tokenGames.find(token => token.enabled && isSameToken(token.address, currencyAddress)) || null
+    : null;
+  const currency = selectedToken || NATIVE_CURRENCY;
+  const wheelTable = selectedToken ? selectedToken.prizeTable : prizeTable;
+  const tokenAccount = selectedToken ? tokenAccounts[selectedToken.address.toLowerCase()] : null;
+  const walletBalance = selectedToken ? (tokenAccount ? tokenAccount.balance : '0') : balance;
+  const wheelFreeBalance = selectedToken
+    ? selectedToken.freeBalance
+    : (gameStats ? gameStats.houseBalance : null);
 
-  const isConnected = connectionStatus === PushUI.CONSTANTS.CONNECTION.STATUS.CONNECTED;
+  const stakeAmount = parseFloat(stake) || 0;
+  const prizes = useMemo(
+    () => (wheelTable ? toWheelPrizes(wheelTable.prizes, stakeAmount, currency.symbol) : []),
+    [wheelTable, stakeAmount, currency.symbol]
+  );
+  const stakeInRange = !!wheelTable &&
+    stakeAmount >= parseFloat(wheelTable.minBet) &&
+    stakeAmount <= parseFloat(wheelTable.maxBet);
+  const worstCasePayout = wheelTable ? stakeAmount * maxMultiplier(wheelTable.prizes) : 0;
+  const houseCoversStake = wheelFreeBalance === null || wheelFreeBalance >= worstCasePayout;
+  // Stake in the token's smallest unit; null when it has more decimals than the token
+  const tokenStakeUnits = (() => {
+    if (!selectedToken) return null;
+    try {
+      return ethers.parseUnits(stake, selectedToken.decimals);
+    } catch (err) {
+      return null;
+    }
+  })();
+  // Token stakes are pulled with transferFrom, so a spin may need an approval first
+  const needsApproval = !!tokenAccount && tokenStakeUnits !== null && tokenAccount.allowance < tokenStakeUnits;
+
+  // Hold on to a ?ref= invite until the player connects and can bind it
+  useEffect(() => {
+    captureReferralParam();
+  }, []);
+
+  // Wheel segments and bet limits are built from the contract's prize table
+  const loadPrizeTable = useCallback(async () => {
+    try {
+      const table = await fetchPrizeTable();
+      setPrizeTable(table);
+      setStake(prev => prev || table.minBet);
+    } catch (err) {
+      console.error('Prize table fetch error:', err);
+      setError('Could not load the prize table from the contract. Please reload the page.');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPrizeTable();
+  }, [loadPrizeTable]);
 
   // Fetch balance
+  const fetchBalance = useCallback(async () => {
+    if (account && isInitialized) {
+      try {
+        const provider = await getReadProvider();
+        const balanceWei = await provider.getBalance(account);
+        setBalance(ethers.formatEther(balanceWei));
+      } catch (err) {
+        console.error('Balance fetch error:', err);
+      }
+    }
+  }, [account, isInitialized]);
+
+  useEffect(() => {
+    fetchBalance();
+  }, [fetchBalance]);
+
+  // Lifetime stats, cooldown and game state come from the contract
+  const fetchContractStats = useCallback(async () => {
+    if (!account) return;
+    try {
+      const contract = await getReadContract(CONTRACT_ADDRESS, ROULETTE_ABI);
+      const [player, stats, claimable] = await Promise.all([
+        contract.getPlayerStats(account),
+        contract.getStats(),
+        contract.claimableWinnings(account)
+      ]);
+      setPlayerStats({
+        totalSpins: Number(player.totalSpins),
+        totalWins: parseFloat(ethers.formatEther(player.totalWins)),
+        totalWagered: parseFloat(ethers.formatEther(player.totalWagered)),
+        canSpinAgainAt: Number(player.canSpinAgainAt),
+        claimable: parseFloat(ethers.formatEther(claimable))
+      });
+      setGameStats({
+        isPaused: stats.isPaused,
+        houseBalance: parseFloat(ethers.formatEther(stats.availableBalance)),
+        reservedBalance: parseFloat(ethers.formatEther(stats.reservedBalance))
+      });
+    } catch (err) {
+      console.error('Stats fetch error:', err);
+    }
+    try {
+      setPlayerLimits(await fetchPlayerLimits(account));
+    } catch (err) {
+      console.error('Player limits fetch error:', err);
+    }
+    try {
+      const games = await fetchTokenGames();
+      setTokenGames(games);
+      setTokenAccounts(await fetchTokenAccounts(account, games));
+    } catch (err) {
+      console.error('Token fetch error:', err);
+    }
+  }, [account]);
+
   useEffect(() => {
-    const fetchBalance = async () => {
-      if (isConnected && pushChainClient && isInitialized) {
-        try {
-          const { ethers } = await import('https://cdn.jsdelivr.net/npm/ethers@6.7.0/+esm');
-          const provider = new ethers.JsonRpcProvider('https://rpc.testnet.push.org');
-          const ueaAddress = pushChainClient.universal.account;
-          const balanceWei = await provider.getBalance(ueaAddress);
-          const balancePC = PushChain.utils.helpers.formatUnits(balanceWei.toString(), 18);
-          setBalance(balancePC);
-        } catch (err) {
-          console.error('Balance fetch error:', err);
-        }
+    fetchContractStats();
+  }, [fetchContractStats]);
+
+  // Tick the cooldown down locally between stat refreshes
+  useEffect(() => {
+    if (!playerStats) {
+      setCooldownRemaining(0);
+      return;
+    }
+    const update = () => {
+      setCooldownRemaining(Math.max(0, playerStats.canSpinAgainAt - Math.floor(Date.now() / 1000)));
+    };
+    update();
+    const interval = setInterval(update, 1000);
+    return () => clearInterval(interval);
+  }, [playerStats]);
+
+  // The operator dashboard is only shown to the contract owner
+  useEffect(() => {
+    if (!account) {
+      setIsOwner(false);
+      return;
+    }
+    const checkOwner = async () => {
+      try {
+        const contract = await getReadContract(CONTRACT_ADDRESS, ROULETTE_ABI);
+        const owner = await contract.owner();
+        setIsOwner(owner.toLowerCase() === account.toLowerCase());
+      } catch (err) {
+        console.error('Owner check failed:', err);
+        setIsOwner(false);
       }
     };
-    
+    checkOwner();
+  }, [account]);
+
+  // Look for a commit that was never revealed (page reload, wallet disconnect)
+  const checkPendingCommit = useCallback(async () => {
+    if (!account) return;
+    try {
+      const contract = await getReadContract(CONTRACT_ADDRESS, ROULETTE_ABI);
+      const hasPending = await contract.hasPendingCommit(account);
+      if (!hasPending) {
+        setPendingCommit(null);
+        return;
+      }
+      const [details, refundBps] = await Promise.all([
+        contract.getCommitDetails(account),
+        contract.expiredRefundBps()
+      ]);
+      const staked = await currencyOf(details.token);
+      setPendingCommit({
+        blockNumber: Number(details.blockNumber),
+        betAmount: ethers.formatUnits(details.betAmount, staked.decimals),
+        currency: staked,
+        expiresAtBlock: Number(details.expiresAtBlock),
+        expired: details.expired,
+        refundPercent: Number(refundBps) / 100,
+        hasSecret: !!loadPendingSpin(CONTRACT_ADDRESS, account)
+      });
+    } catch (err) {
+      console.error('Pending commit check failed:', err);
+    }
+  }, [account]);
+
+  useEffect(() => {
+    checkPendingCommit();
+  }, [checkPendingCommit]);
+
+  // Any transfer can change the wallet balance, so it is read on every block; stats follow
+  // the contract's events, and a commit left open is checked again once its reveal window passes
+  useChainUpdates((update) => {
     fetchBalance();
-    const interval = setInterval(fetchBalance, 10000);
-    return () => clearInterval(interval);
-  }, [isConnected, pushChainClient, isInitialized, PushChain]);
-
-  const selectPrize = () => {
-    const random = Math.random() * 100;
-    let cumulative = 0;
-    for (const prize of PRIZES) {
-      cumulative += prize.probability;
-      if (random <= cumulative) return prize;
+    if (update.resync || update.events.length > 0) fetchContractStats();
+    if (hasChainEvent(update, ['PrizeTableUpdated', 'BetLimitsUpdated'])) loadPrizeTable();
+    if (
+      hasChainEvent(update, ['SpinCommitted', 'SpinRevealed', 'TokenSpinRevealed', 'CommitCancelled'], account) ||
+      (pendingCommit && !pendingCommit.expired && update.blockNumber > pendingCommit.expiresAtBlock)
+    ) {
+      checkPendingCommit();
+    }
+  });
+
+  // Land the wheel on the prize decoded from SpinRevealed or TokenSpinRevealed; never make one up
+  const showSpinResult = async (txReceipt, txHash) => {
+    let revealed = null;
+    let pendingClaim = null;
+    let jackpot = null;
+    let staked = NATIVE_CURRENCY;
+    try {
+      revealed = await findEvent(txReceipt, ROULETTE_ABI, 'SpinRevealed');
+      pendingClaim = await findEvent(txReceipt, ROULETTE_ABI, 'PrizePendingClaim');
+      jackpot = await findEvent(txReceipt, ROULETTE_ABI, 'JackpotWon');
+      if (!revealed) {
+        revealed = await findEvent(txReceipt, ROULETTE_ABI, 'TokenSpinRevealed');
+        pendingClaim = await findEvent(txReceipt, ROULETTE_ABI, 'TokenPrizePendingClaim');
+        if (revealed) staked = await currencyOf(revealed.args.token);
+      }
+    } catch (parseError) {
+      console.error('Failed to decode spin result:', parseError);
+    }
+
+    if (!revealed) {
+      setIsSpinning(false);
+      setSpinPhase(null);
+      setRevealProgress(null);
+      setUnknownResult({ txHash });
+      autoSpin.spinFailed('The last spin went through but its result could not be read.');
+      return;
+    }
+
+    const prizeAmount = parseFloat(ethers.formatUnits(revealed.args.prizeAmount, staked.decimals));
+    const betAmount = parseFloat(ethers.formatUnits(revealed.args.betAmount, staked.decimals));
+    // The segment is the tier the draw picked, walked through the weights like _calculatePrize.
+    // A pending spin revealed after switching currency doesn't match the wheel on screen, and
+    // if the tier doesn't pay what the contract paid, the table changed since it was loaded.
+    const onWheel = wheelTable && isSameToken(staked.address, currency.address);
+    const drawn = onWheel
+      ? calculatePrize(ethers, revealed.args.randomNumber, revealed.args.betAmount, toDrawTable(wheelTable))
+      : null;
+    const prizeIndex = drawn && drawn.prize === revealed.args.prizeAmount ? drawn.tier : -1;
+    const prize = prizeIndex >= 0
+      ? { ...prizes[prizeIndex], amount: prizeAmount }
+      : { amount: prizeAmount, label: `${prizeAmount} ${staked.symbol}` };
+    prize.symbol = staked.symbol;
+    // The payout to the wallet failed; the prize waits in claimableWinnings
+    prize.pendingClaim = !!pendingClaim;
+    prize.jackpot = jackpot ? parseFloat(ethers.formatEther(jackpot.args.amount)) : 0;
+
+    setSpinResult({ prize, betAmount, txHash });
+    if (prizeIndex >= 0) {
+      setWheelTarget(prizeIndex);
+    } else {
+      // Prize doesn't match a wheel segment; report it without animating
+      setIsSpinning(false);
+    }
+  };
+
+  // Each currency has its own bet limits, so start again from its smallest stake
+  const selectCurrency = (address) => {
+    const token = address ? tokenGames.find(t => isSameToken(t.address, address)) : null;
+    const table = token ? token.prizeTable : prizeTable;
+    setCurrencyAddress(address);
+    if (table) setStake(table.minBet);
+    setShowResult(false);
+  };
+
+  // Fall back to PC if the selected token is switched off
+  useEffect(() => {
+    if (!currencyAddress || selectedToken) return;
+    setCurrencyAddress(null);
+    if (prizeTable) setStake(prizeTable.minBet);
+  }, [currencyAddress, selectedToken, prizeTable]);
+
+  const handleWheelSettled = useCallback(() => {
+    setIsSpinning(false);
+    setWheelTarget(null);
+  }, []);
+
+  const closeJackpotWin = useCallback(() => setJackpotWin(null), []);
+
+  const handleTableSpinComplete = useCallback(() => {
+    fetchContractStats();
+    setHistoryRefresh(prev => prev + 1);
+  }, [fetchContractStats]);
+
+  // Publish the result once the wheel has stopped on it
+  useEffect(() => {
+    if (!spinResult || isSpinning) return;
+    const { prize, betAmount } = spinResult;
+    recordAutoSpin({ betAmount, prizeAmount: prize.amount + prize.jackpot });
+    setCurrentPrize(prize);
+    if (prize.jackpot > 0) setJackpotWin(prize.jackpot);
+    setSpinPhase(null);
+    setRevealProgress(null);
+    setShowResult(true);
+    setHistoryRefresh(prev => prev + 1);
+    setSpinResult(null);
+    fetchContractStats();
+  }, [spinResult, isSpinning, fetchContractStats, recordAutoSpin]);
+
+  // Approve the stake if the token allowance falls short; tokens like USDT need it reset to 0 first
+  const ensureAllowance = async (token, amount) => {
+    const allowance = await fetchAllowance(token.address, account);
+    if (allowance >= amount) return;
+
+    setSpinPhase('approving');
+    const approvals = allowance > 0n ? [0n, amount] : [amount];
+    for (const value of approvals) {
+      const txResponse = await sendTransaction({
+        to: token.address,
+        value: 0n,
+        data: encodeApprove(value)
+      });
+      await txResponse.wait(1);
+    }
+    setSpinPhase(null);
+  };
+
+  const runQuickSpin = async () => {
+    let call = { value: ethers.parseEther(stake), data: encodeCall('quickSpin') };
+    if (selectedToken) {
+      await ensureAllowance(selectedToken, tokenStakeUnits);
+      call = { value: 0n, data: encodeCall('quickSpinToken', [selectedToken.address, tokenStakeUnits]) };
     }
-    return PRIZES[0];
+    const txResponse = await sendTransaction({ to: CONTRACT_ADDRESS, ...call });
+
+    const txReceipt = await txResponse.wait(1);
+    await showSpinResult(txReceipt, txResponse.hash);
+  };
+
+  // Wait for block commit + REVEAL_DELAY, whose hash seeds the result, then reveal with the stored secret
+  const revealCommittedSpin = async (secret, commitBlock) => {
+    const contract = await getReadContract(CONTRACT_ADDRESS, ROULETTE_ABI);
+    const revealDelay = Number(await contract.REVEAL_DELAY());
+
+    setSpinPhase('waiting');
+    setRevealProgress({ current: 0, target: revealDelay });
+    await waitForBlock(commitBlock + revealDelay, (blockNumber) => {
+      setRevealProgress({ current: Math.min(Math.max(blockNumber - commitBlock, 0), revealDelay), target: revealDelay });
+    });
+
+    setSpinPhase('revealing');
+    const txResponse = await sendTransaction({
+      to: CONTRACT_ADDRESS,
+      value: 0n,
+      data: encodeCall('revealSpin', [secretToUint(secret)])
+    });
+
+    const txReceipt = await txResponse.wait(1);
+    clearPendingSpin(CONTRACT_ADDRESS, account);
+    setPendingCommit(null);
+    await showSpinResult(txReceipt, txResponse.hash);
+  };
+
+  const runSecureSpin = async () => {
+    const secret = generateSecret();
+    const secretHash = hashSecret(secret);
+
+    // Store the secret before any transaction so it survives a reload while the commit is in flight.
+    // Without it a commit that outlives this page could never be revealed, only refunded after expiry.
+    if (!savePendingSpin(CONTRACT_ADDRESS, account, { secret, status: 'committing' })) {
+      throw new Error('Your browser would not save the spin secret, so the secure spin was not started. ' +
+        'Allow site storage or use a quick spin.');
+    }
+
+    let call = { value: ethers.parseEther(stake), data: encodeCall('commitSpin', [secretHash]) };
+    if (selectedToken) {
+      try {
+        await ensureAllowance(selectedToken, tokenStakeUnits);
+      } catch (err) {
+        clearPendingSpin(CONTRACT_ADDRESS, account);
+        throw err;
+      }
+      call = { value: 0n, data: encodeCall('commitTokenSpin', [selectedToken.address, tokenStakeUnits, secretHash]) };
+    }
+
+    setSpinPhase('committing');
+
+    const txResponse = await sendTransaction({ to: CONTRACT_ADDRESS, ...call });
+
+    const txReceipt = await txResponse.wait(1);
+    const committed = await findEvent(txReceipt, ROULETTE_ABI, 'SpinCommitted');
+    const commitBlock = committed ? Number(committed.args.blockNumber) : Number(txReceipt.blockNumber);
+    // If this update fails the 'committing' record still holds the secret for recovery
+    savePendingSpin(CONTRACT_ADDRESS, account, {
+      secret,
+      status: 'committed',
+      commitBlock,
+      commitTxHash: txResponse.hash
+    });
+
+    await revealCommittedSpin(secret, commitBlock);
+  };
+
+  const handleSpinError = async (err) => {
+    console.error('Transaction failed:', err);
+    setIsSpinning(false);
+    setSpinPhase(null);
+    setRevealProgress(null);
+
+    const decoded = await decodeContractError(err, currency);
+    if (decoded.kind === 'rejected') {
+      setWalletNotice(decoded.message);
+    } else {
+      setError(decoded.message);
+    }
+    autoSpin.spinFailed(decoded.message);
+    if (decoded.cooldownSeconds) {
+      // Start the countdown now instead of waiting for the next stats refresh
+      const canSpinAgainAt = Math.floor(Date.now() / 1000) + decoded.cooldownSeconds;
+      setPlayerStats(prev => (prev ? { ...prev, canSpinAgainAt } : prev));
+    }
+    fetchContractStats();
+    // A commit may have landed before the failure; surface it so the player can finish it
+    checkPendingCommit();
+  };
+
+  // Why the contract would reject a spin at this stake, cooldown aside
+  const now = Math.floor(Date.now() / 1000);
+  const spinUnavailableReason = (() => {
+    if (!wheelTable) return 'Loading the prize table...';
+    if (!stakeInRange) {
+      return `Choose a stake between ${wheelTable.minBet} and ${wheelTable.maxBet} ${currency.symbol}.`;
+    }
+    if (selectedToken && tokenStakeUnits === null) {
+      return `${currency.symbol} allows at most ${selectedToken.decimals} decimal places.`;
+    }
+    // Spend and loss limits are in PC; self-exclusion covers token stakes too
+    const limitReason = limitBlockedReason(playerLimits, selectedToken ? 0 : stakeAmount, now);
+    if (limitReason) return limitReason;
+    if (!gameStats) return null;
+    if (gameStats.isPaused) return 'The game is paused by the operator.';
+    if (!houseCoversStake) {
+      return 'The house balance is too low to cover the top prize at this stake. Try a smaller stake.';
+    }
+    return null;
+  })();
+
+  // Why the contract would reject a new spin right now, if anything
+  const spinBlockedReason = spinUnavailableReason ||
+    (cooldownRemaining > 0 ? `You can spin again in ${cooldownRemaining}s.` : null);
+
+  // Set when the player's own limits rule out even the smallest stake
+  const limitsBlockedReason = prizeTable
+    ? limitBlockedReason(playerLimits, parseFloat(prizeTable.minBet), now)
+    : null;
+
+  // Checks on the player's side that the contract can't report
+  const spinPreconditionError = () => {
+    if (parseFloat(walletBalance) < stakeAmount) {
+      return `Insufficient balance! You need at least ${stake} ${currency.symbol} to spin.`;
+    }
+    if (spinMode === 'secure' && pendingCommit) {
+      return pendingCommit.expired
+        ? 'Cancel your expired secure spin before starting a new one.'
+        : 'Finish your pending secure spin before starting a new one.';
+    }
+    return null;
   };
 
   const handleSpin = async () => {
-    if (isSpinning || !isConnected || !pushChainClient || !isInitialized) return;
-    
-    if (parseFloat(balance) < SPIN_COST) {
-      setError('Insufficient balance! You need at least 0.1 PC to spin.');
+    if (isSpinning || autoSpinActive || !account || !isInitialized || spinBlockedReason) return;
+
+    const precondition = spinPreconditionError();
+    if (precondition) {
+      setError(precondition);
       return;
     }
 
+    await beginSpin();
+  };
+
+  // Auto-spin schedules around the cooldown itself; anything else pauses the session
+  const startAutoSpin = () => {
+    if (isSpinning) return 'A spin is already in progress.';
+    if (!account || !isInitialized) return 'Wallet disconnected.';
+    if (selectedToken) return 'Auto-spin plays in PC only.';
+    const blocked = spinUnavailableReason || spinPreconditionError();
+    if (blocked) return blocked;
+    beginSpin();
+    return null;
+  };
+
+  const beginSpin = async () => {
     setIsSpinning(true);
     setShowResult(false);
     setCurrentPrize(null);
+    setUnknownResult(null);
     setError(null);
+    setWalletNotice(null);
 
     try {
-      const spinData = PushChain.utils.helpers.encodeTxData({
-        abi: ROULETTE_ABI,
-        functionName: 'quickSpin',
-        args: []
-      });
-      
-      const txResponse = await pushChainClient.universal.sendTransaction({
+      if (spinMode === 'secure') {
+        await runSecureSpin();
+      } else {
+        await runQuickSpin();
+      }
+    } catch (err) {
+      handleSpinError(err);
+    }
+  };
+
+  const handleFinishReveal = async () => {
+    if (isSpinning || !account || !isInitialized || !pendingCommit) return;
+    const stored = loadPendingSpin(CONTRACT_ADDRESS, account);
+    if (!stored) return;
+
+    setIsSpinning(true);
+    setShowResult(false);
+    setCurrentPrize(null);
+    setUnknownResult(null);
+    setError(null);
+    setWalletNotice(null);
+
+    try {
+      await revealCommittedSpin(stored.secret, pendingCommit.blockNumber);
+    } catch (err) {
+      handleSpinError(err);
+    }
+  };
+
+  // Past the reveal window the commit can only be cancelled, which unblocks secure spins
+  const handleCancelExpired = async () => {
+    if (isSpinning || !account || !isInitialized || !pendingCommit) return;
+    setError(null);
+    setWalletNotice(null);
+    setIsSpinning(true);
+    try {
+      const txResponse = await sendTransaction({
         to: CONTRACT_ADDRESS,
-        value: PushChain.utils.helpers.parseUnits(SPIN_COST.toString(), 18),
-        data: spinData
+        value: 0n,
+        data: encodeCall('cancelExpiredCommit', [account])
       });
-
       const txReceipt = await txResponse.wait(1);
-      
-      let prizeAmount = 0;
-      try {
-        const ethers = await import('https://cdn.jsdelivr.net/npm/ethers@6.7.0/+esm');
-        const iface = new ethers.Interface(ROULETTE_ABI);
-        for (const log of txReceipt.logs) {
-          try {
-            const parsed = iface.parseLog({ topics: log.topics, data: log.data });
-            if (parsed && parsed.name === 'SpinRevealed') {
-              prizeAmount = parseFloat(PushChain.utils.helpers.formatUnits(parsed.args.prizeAmount.toString(), 18));
-              break;
-            }
-          } catch (e) { continue; }
-        }
-      } catch (parseError) {
-        const prize = selectPrize();
-        prizeAmount = prize.amount;
-      }
-      
-      const prize = PRIZES.find(p => Math.abs(p.amount - prizeAmount) < 0.001) || PRIZES[0];
-
-      setTimeout(() => {
-        setCurrentPrize(prize);
-        setIsSpinning(false);
-        setShowResult(true);
-        setTotalSpins(prev => prev + 1);
-        if (prize.amount > 0) {
-          setTotalWins(prev => prev + prize.amount);
-        }
-        setHistory(prev => [{ prize, timestamp: new Date().toLocaleTimeString(), txHash: txResponse.hash }, ...prev.slice(0, 9)]);
-      }, 5000);
-
+      const cancelled = await findEvent(txReceipt, ROULETTE_ABI, 'CommitCancelled');
+      const { decimals, symbol } = pendingCommit.currency;
+      const refund = cancelled ? parseFloat(ethers.formatUnits(cancelled.args.refund, decimals)) : 0;
+      clearPendingSpin(CONTRACT_ADDRESS, account);
+      setPendingCommit(null);
+      setWalletNotice(refund > 0
+        ? `Expired secure spin cancelled; ${formatPC(refund)} ${symbol} was refunded.`
+        : 'Expired secure spin cancelled; its stake went to the house.');
+      fetchContractStats();
     } catch (err) {
-      console.error('Transaction failed:', err);
+      console.error('Cancel failed:', err);
+      const decoded = await decodeContractError(err, pendingCommit.currency);
+      setError(decoded.message);
+      checkPendingCommit();
+    } finally {
       setIsSpinning(false);
-      setError(err.message || 'Transaction failed. Please try again.');
     }
   };
 
+  const spinButtonLabel = () => {
+    if (spinPhase === 'approving') return `Approving ${currency.symbol}...`;
+    if (spinPhase === 'committing') return 'Committing...';
+    if (spinPhase === 'waiting' && revealProgress) {
+      return `Waiting for blocks (${revealProgress.current}/${revealProgress.target})...`;
+    }
+    if (spinPhase === 'revealing') return 'Revealing...';
+    if (isSpinning) return 'Spinning...';
+    if (autoSpinActive) return 'Auto-spin running';
+    if (!wheelTable) return 'Loading...';
+    if (gameStats && gameStats.isPaused) return 'Paused';
+    if (!stakeInRange) return 'Invalid stake';
+    if (!houseCoversStake) return 'Unavailable';
+    if (cooldownRemaining > 0) return `Wait ${cooldownRemaining}s`;
+    const label = `${spinMode === 'secure' ? 'Secure Spin' : 'Spin'} (${stake} ${currency.symbol})`;
+    return needsApproval ? `Approve & ${label}` : label;
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-900 via-purple-900 to-gray-900 text-white">
       <header className="border-b border-purple-800/30 backdrop-blur-sm bg-gray-900/50 sticky top-0 z-50">
@@ -269,18 +769,18 @@ const RouletteGame = () => {
             </div>
             <div>
               <h1 className="text-2xl font-bold">Push Chain Roulette</h1>
-              <p className="text-xs text-gray-400">Testnet</p>
+              <NetworkSwitcher />
             </div>
           </div>
           
           <div className="flex items-center gap-4">
-            {isConnected && isInitialized && pushChainClient && (
+            {isInitialized && (
               <div className="text-right hidden md:block">
                 <div className="text-sm text-gray-400">Balance</div>
-                <div className="text-xl font-bold">{balance} PC</div>
+                <div className="text-xl font-bold">{walletBalance} {currency.symbol}</div>
               </div>
             )}
-            <PushUniversalAccountButton />
+            <WalletButton />
           </div>
         </div>
       </header>
@@ -296,66 +796,302 @@ const RouletteGame = () => {
                 Support for EVM, Solana, and email login.
               </p>
               <div className="text-yellow-400 mb-6">
-                1 spin = 0.1 PC • Win up to 1 PC!
+                {prizeTable
+                  ? `Stake ${prizeTable.minBet} - ${prizeTable.maxBet} PC • Win up to ${maxMultiplier(prizeTable.prizes)}x your stake!`
+                  : 'Loading prize table...'}
               </div>
             </div>
           </div>
         ) : (
           <div className="grid lg:grid-cols-3 gap-6">
             <div className="lg:col-span-2">
-              <div className="bg-gray-800/50 backdrop-blur-sm rounded-2xl p-8 border border-purple-800/30">
-                <RouletteWheel isSpinning={isSpinning} />
+              <JackpotTicker account={account} refreshKey={historyRefresh} />
+
+              <ClaimWinnings
+                amount={playerStats ? playerStats.claimable : 0}
+                onClaimed={fetchContractStats}
+              />
+              {tokenGames.map(token => (
+                <ClaimWinnings
+                  key={token.address}
+                  amount={(tokenAccounts[token.address.toLowerCase()] || {}).claimable || 0}
+                  symbol={token.symbol}
+                  token={token.address}
+                  onClaimed={fetchContractStats}
+                />
+              ))}
+
+              {limitsBlockedReason && (
+                <div className="mb-4 bg-red-500/20 border border-red-500 rounded-2xl p-4 text-red-300">
+                  <div className="font-bold">Play is blocked by your limits</div>
+                  <div className="text-sm mt-1">{limitsBlockedReason}</div>
+                </div>
+              )}
+
+              <div className="mb-4 flex gap-2">
+                {[
+                  { id: 'wheel', label: '🎡 Prize Wheel' },
+                  { id: 'table', label: '🎲 Roulette Table' }
+                ].map(mode => (
+                  <button
+                    key={mode.id}
+                    onClick={() => setGameMode(mode.id)}
+                    disabled={isSpinning || autoSpinActive}
+                    className={`px-4 py-2 rounded-lg font-bold transition-colors ${
+                      gameMode === mode.id ? 'bg-purple-600 text-white' : 'bg-gray-800/50 text-gray-400 hover:bg-gray-700'
+                    }`}
+                  >
+                    {mode.label}
+                  </button>
+                ))}
+              </div>
+
+              {gameMode === 'table' ? (
+                prizeTable && (
+                  <RouletteTable
+                    account={account}
+                    balance={balance}
+                    prizeTable={prizeTable}
+                    gameStats={gameStats}
+                    playerLimits={playerLimits}
+                    cooldownRemaining={cooldownRemaining}
+                    onSpinComplete={handleTableSpinComplete}
+                  />
+                )
+              ) : (
+                <>
+                <div className="bg-gray-800/50 backdrop-blur-sm rounded-2xl p-8 border border-purple-800/30">
+                  <RouletteWheel prizes={prizes} isSpinning={isSpinning} targetIndex={wheelTarget} onSettled={handleWheelSettled} />
                 
-                {showResult && currentPrize && (
-                  <div className="mt-6 text-center">
-                    <div className={`inline-block px-6 py-3 rounded-xl ${
-                      currentPrize.amount > 0 ? 'bg-gradient-to-r from-green-500 to-emerald-500' : 'bg-gray-700'
-                    }`}>
-                      {currentPrize.amount > 0 ? (
+                  {showResult && currentPrize && (
+                    <div className="mt-6 text-center">
+                      <div className={`inline-block px-6 py-3 rounded-xl ${
+                        currentPrize.jackpot > 0
+                          ? 'bg-gradient-to-r from-yellow-400 to-orange-500 text-gray-900'
+                          : currentPrize.amount > 0 ? 'bg-gradient-to-r from-green-500 to-emerald-500' : 'bg-gray-700'
+                      }`}>
+                        {currentPrize.amount > 0 || currentPrize.jackpot > 0 ? (
+                          <div>
+                            <div className="text-2xl font-bold">🎉 Congratulations!</div>
+                            {currentPrize.amount > 0 && (
+                              <div className="text-3xl font-bold mt-1">+{currentPrize.amount} {currentPrize.symbol}</div>
+                            )}
+                            {currentPrize.jackpot > 0 && (
+                              <div className="text-3xl font-bold mt-1">💎 Jackpot +{formatPC(currentPrize.jackpot)} PC</div>
+                            )}
+                            {currentPrize.pendingClaim && (
+                              <div className="text-sm font-bold mt-1">Prize pending claim</div>
+                            )}
+                          </div>
+                        ) : (
+                          <div className="text-xl font-bold">Better luck next time!</div>
+                        )}
+                      </div>
+                    </div>
+                  )}
+                
+                  {unknownResult && (
+                    <div className="mt-6 bg-yellow-500/20 border border-yellow-500 rounded-lg p-4 text-center text-yellow-300">
+                      <div className="font-bold">Unknown result, check transaction</div>
+                      <div className="text-sm mt-1">
+                        The spin went through but no SpinRevealed event was found in its receipt.
+                      </div>
+                      <TxLink
+                        txHash={unknownResult.txHash}
+                        className="text-xs underline break-all"
+                      >
+                        {unknownResult.txHash}
+                      </TxLink>
+                    </div>
+                  )}
+
+                  {error && (
+                    <div className="mt-6 bg-red-500/20 border border-red-500 rounded-lg p-4 text-center text-red-400">
+                      {error}
+                    </div>
+                  )}
+
+                  {walletNotice && (
+                    <div className="mt-6 bg-gray-700/50 border border-gray-600 rounded-lg p-4 text-center text-gray-300">
+                      {walletNotice}
+                    </div>
+                  )}
+
+                  {!chainStatus.connected && (
+                    <div className="mt-6 bg-yellow-500/20 border border-yellow-500 rounded-lg p-4 text-center text-yellow-300">
+                      Lost connection to {ACTIVE_NETWORK.label}. Balances and results may be out of date while we reconnect.
+                    </div>
+                  )}
+                
+                  {pendingCommit && !isSpinning && (
+                    <div className="mt-6 bg-yellow-500/20 border border-yellow-500 rounded-lg p-4 text-center text-yellow-300">
+                      {pendingCommit.expired ? (
                         <div>
-                          <div className="text-2xl font-bold">🎉 Congratulations!</div>
-                          <div className="text-3xl font-bold mt-1">+{currentPrize.amount} PC</div>
+                          <div>
+                            Your secure spin ({pendingCommit.betAmount} {pendingCommit.currency.symbol} staked) was not revealed by
+                            block {pendingCommit.expiresAtBlock} and has expired.
+                          </div>
+                          <div className="text-sm mt-1">
+                            {pendingCommit.refundPercent > 0
+                              ? `Cancel it to get ${pendingCommit.refundPercent}% of the stake back and play again.`
+                              : 'Cancel it to play again; the stake stays with the house.'}
+                          </div>
+                          <button
+                            onClick={handleCancelExpired}
+                            disabled={!isInitialized}
+                            className="mt-3 px-6 py-2 rounded-lg font-bold bg-yellow-500 text-gray-900 hover:bg-yellow-400 transition-colors"
+                          >
+                            Cancel Expired Spin
+                          </button>
+                        </div>
+                      ) : pendingCommit.hasSecret ? (
+                        <div>
+                          <div>You have an unfinished secure spin ({pendingCommit.betAmount} {pendingCommit.currency.symbol} staked).</div>
+                          <div className="text-sm mt-1">Reveal it by block {pendingCommit.expiresAtBlock} or it expires.</div>
+                          <button
+                            onClick={handleFinishReveal}
+                            disabled={!isInitialized}
+                            className="mt-3 px-6 py-2 rounded-lg font-bold bg-yellow-500 text-gray-900 hover:bg-yellow-400 transition-colors"
+                          >
+                            Finish Reveal
+                          </button>
                         </div>
                       ) : (
-                        <div className="text-xl font-bold">Better luck next time!</div>
+                        <div>
+                          You have an unfinished secure spin ({pendingCommit.betAmount} {pendingCommit.currency.symbol} staked), but its secret
+                          isn't stored in this browser. Finish it from the device you started it on before
+                          block {pendingCommit.expiresAtBlock}; after that it can be cancelled here.
+                        </div>
                       )}
                     </div>
+                  )}
+
+                  {spinPhase === 'waiting' && revealProgress && (
+                    <div className="mt-6 max-w-sm mx-auto">
+                      <div className="flex justify-between text-sm text-gray-400 mb-1">
+                        <span>Waiting for reveal blocks</span>
+                        <span>{revealProgress.current}/{revealProgress.target}</span>
+                      </div>
+                      <div className="h-2 bg-gray-700 rounded-full overflow-hidden">
+                        <div
+                          className="h-full bg-gradient-to-r from-purple-500 to-pink-500 transition-all"
+                          style={{ width: `${(revealProgress.current / Math.max(revealProgress.target, 1)) * 100}%` }}
+                        />
+                      </div>
+                    </div>
+                  )}
+
+                  <CurrencySelector
+                    tokens={tokenGames}
+                    value={currency.address}
+                    balances={tokenAccounts}
+                    onChange={selectCurrency}
+                    disabled={isSpinning || autoSpinActive}
+                  />
+
+                  {wheelTable && (
+                    <StakeSelector
+                      presets={stakePresets(wheelTable.minBet, wheelTable.maxBet)}
+                      value={stake}
+                      minBet={wheelTable.minBet}
+                      maxBet={wheelTable.maxBet}
+                      unit={currency.symbol}
+                      onChange={setStake}
+                      disabled={isSpinning || autoSpinActive}
+                    />
+                  )}
+                  {needsApproval && !isSpinning && (
+                    <div className="mt-2 text-center text-xs text-gray-400">
+                      Your wallet will first ask you to approve {stake} {currency.symbol} for the game.
+                    </div>
+                  )}
+
+                  <div className="mt-6 flex justify-center gap-2">
+                    {[
+                      { id: 'quick', label: '⚡ Quick Spin', hint: 'One transaction' },
+                      { id: 'secure', label: '🔒 Secure Spin', hint: 'Commit + reveal' }
+                    ].map(mode => (
+                      <button
+                        key={mode.id}
+                        onClick={() => setSpinMode(mode.id)}
+                        disabled={isSpinning || autoSpinActive}
+                        className={`px-4 py-2 rounded-lg text-sm transition-colors ${
+                          spinMode === mode.id
+                            ? 'bg-purple-600 text-white'
+                            : 'bg-gray-700/50 text-gray-400 hover:bg-gray-700'
+                        }`}
+                      >
+                        <div className="font-bold">{mode.label}</div>
+                        <div className="text-xs opacity-75">{mode.hint}</div>
+                      </button>
+                    ))}
                   </div>
-                )}
-                
-                {error && (
-                  <div className="mt-6 bg-red-500/20 border border-red-500 rounded-lg p-4 text-center text-red-400">
-                    {error}
+
+                  <div className="mt-6 text-center">
+                    <button
+                      onClick={handleSpin}
+                      disabled={isSpinning || autoSpinActive || !isInitialized || !!spinBlockedReason}
+                      className={`px-12 py-4 rounded-xl font-bold text-xl transition-all ${
+                        isSpinning || autoSpinActive || !isInitialized || spinBlockedReason
+                          ? 'bg-gray-700 cursor-not-allowed'
+                          : 'bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-700 hover:to-pink-700 shadow-lg hover:shadow-purple-500/50 hover:scale-105'
+                      }`}
+                    >
+                      {spinButtonLabel()}
+                    </button>
+                    {spinBlockedReason && !isSpinning && !autoSpinActive && (
+                      <div className="mt-3 text-sm text-yellow-400">{spinBlockedReason}</div>
+                    )}
                   </div>
-                )}
-                
-                <div className="mt-8 text-center">
-                  <button
-                    onClick={handleSpin}
-                    disabled={isSpinning || !isInitialized}
-                    className={`px-12 py-4 rounded-xl font-bold text-xl transition-all ${
-                      isSpinning || !isInitialized
-                        ? 'bg-gray-700 cursor-not-allowed'
-                        : 'bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-700 hover:to-pink-700 shadow-lg hover:shadow-purple-500/50 hover:scale-105'
-                    }`}
-                  >
-                    {isSpinning ? 'Spinning...' : `Spin (${SPIN_COST} PC)`}
-                  </button>
                 </div>
-              </div>
 
-              <div className="mt-6 bg-gray-800/50 backdrop-blur-sm rounded-2xl p-6 border border-purple-800/30">
-                <h3 className="text-xl font-bold mb-4">Prize Distribution</h3>
-                <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
-                  {PRIZES.map((prize, index) => (
-                    <div key={index} style={{ background: `linear-gradient(135deg, ${prize.gradient[0]}, ${prize.gradient[1]})` }} 
-                         className="rounded-lg p-3 hover:scale-105 transition-transform">
-                      <div className="font-bold">{prize.label}</div>
-                      <div className="text-sm opacity-90">{prize.probability}% chance</div>
+                <AutoSpinPanel
+                  stake={stake}
+                  session={autoSpin.session}
+                  nextSpinAt={autoSpin.nextSpinAt}
+                  isSpinning={isSpinning}
+                  blockedReason={
+                    isSpinning
+                      ? 'Wait for the current spin to finish.'
+                      : selectedToken
+                        ? 'Auto-spin plays in PC only. Switch the currency back to PC.'
+                        : spinUnavailableReason || (spinMode === 'secure' && pendingCommit
+                          ? 'Finish your pending secure spin first.'
+                          : null)
+                  }
+                  onStart={(settings) => autoSpin.start(settings, stakeAmount)}
+                  onResume={autoSpin.resume}
+                  onCancel={autoSpin.cancel}
+                  onClear={autoSpin.clear}
+                />
+
+                <div className="mt-6 bg-gray-800/50 backdrop-blur-sm rounded-2xl p-6 border border-purple-800/30">
+                  <h3 className="text-xl font-bold mb-4">Prize Distribution</h3>
+                  <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+                    {prizes.map((prize, index) => (
+                      <div key={index} style={{ background: `linear-gradient(135deg, ${prize.gradient[0]}, ${prize.gradient[1]})` }} 
+                           className="rounded-lg p-3 hover:scale-105 transition-transform">
+                        <div className="font-bold">{prize.label}</div>
+                        <div className="text-sm opacity-90">{prize.multiplier}x • {prize.probability}% chance</div>
+                      </div>
+                    ))}
+                  </div>
+                  {wheelTable && stakeAmount > 0 && (
+                    <div className="mt-4 text-sm text-gray-400">
+                      Expected payout per {stake} {currency.symbol} spin:{' '}
+                      <span className="font-bold text-white">
+                        {formatPC(stakeAmount * expectedMultiplier(wheelTable.prizes))} {currency.symbol}
+                      </span>
+                      {' '}(RTP {(expectedMultiplier(wheelTable.prizes) * 100).toFixed(1)}%)
                     </div>
-                  ))}
+                  )}
                 </div>
-              </div>
+                </>
+              )}
+
+              <GlobalActivity account={account} refreshKey={historyRefresh} />
+
+              {isOwner && <OperatorDashboard refreshKey={historyRefresh} onChange={fetchContractStats} />}
             </div>
 
             <div className="space-y-6">
@@ -366,49 +1102,77 @@ const RouletteGame = () => {
                     <span className="text-gray-400">Balance</span>
                     <span className="font-bold text-xl text-purple-400">{balance} PC</span>
                   </div>
+                  {tokenGames.map(token => (
+                    <div key={token.address} className="flex justify-between items-center">
+                      <span className="text-gray-400">{token.symbol} balance</span>
+                      <span className="font-bold text-purple-400">
+                        {(tokenAccounts[token.address.toLowerCase()] || { balance: '0' }).balance} {token.symbol}
+                      </span>
+                    </div>
+                  ))}
                   <div className="flex justify-between items-center">
                     <span className="text-gray-400">Total Spins</span>
-                    <span className="font-bold text-xl">{totalSpins}</span>
+                    <span className="font-bold text-xl">{playerStats ? playerStats.totalSpins : '—'}</span>
                   </div>
                   <div className="flex justify-between items-center">
                     <span className="text-gray-400">Total Wins</span>
-                    <span className="font-bold text-xl text-green-400">{totalWins.toFixed(2)} PC</span>
+                    <span className="font-bold text-xl text-green-400">
+                      {playerStats ? `${playerStats.totalWins.toFixed(2)} PC` : '—'}
+                    </span>
                   </div>
                   <div className="flex justify-between items-center">
                     <span className="text-gray-400">Net P/L</span>
-                    <span className={`font-bold text-xl ${
-                      totalWins - totalSpins * SPIN_COST >= 0 ? 'text-green-400' : 'text-red-400'
-                    }`}>
-                      {(totalWins - totalSpins * SPIN_COST).toFixed(2)} PC
+                    {playerStats ? (
+                      <span className={`font-bold text-xl ${
+                        playerStats.totalWins - playerStats.totalWagered >= 0 ? 'text-green-400' : 'text-red-400'
+                      }`}>
+                        {(playerStats.totalWins - playerStats.totalWagered).toFixed(2)} PC
+                      </span>
+                    ) : (
+                      <span className="font-bold text-xl">—</span>
+                    )}
+                  </div>
+                  {tokenGames.map(token => {
+                    const played = tokenAccounts[token.address.toLowerCase()];
+                    if (!played || played.wagered === 0) return null;
+                    const net = played.won - played.wagered;
+                    return (
+                      <div key={token.address} className="flex justify-between items-center">
+                        <span className="text-gray-400">{token.symbol} Net P/L</span>
+                        <span className={`font-bold ${net >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                          {net.toFixed(2)} {token.symbol}
+                        </span>
+                      </div>
+                    );
+                  })}
+                  <div className="flex justify-between items-center">
+                    <span className="text-gray-400">Next Spin</span>
+                    <span className={`font-bold text-xl ${cooldownRemaining > 0 ? 'text-yellow-400' : 'text-green-400'}`}>
+                      {cooldownRemaining > 0 ? `in ${cooldownRemaining}s` : 'Ready'}
                     </span>
                   </div>
-                </div>
-              </div>
-
-              <div className="bg-gray-800/50 backdrop-blur-sm rounded-2xl p-6 border border-purple-800/30">
-                <h3 className="text-xl font-bold mb-4">Recent Spins</h3>
-                <div className="space-y-2 max-h-96 overflow-y-auto">
-                  {history.length === 0 ? (
-                    <div className="text-center text-gray-400 py-8">
-                      <div className="text-5xl mb-2">🎰</div>
-                      <p>No spins yet.</p>
-                      <p className="text-sm">Try your luck!</p>
-                    </div>
-                  ) : (
-                    history.map((item, index) => (
-                      <div key={index} className="bg-gray-700/50 rounded-lg p-3 hover:bg-gray-700 transition-colors">
-                        <div className="flex justify-between items-center">
-                          <span className={`font-bold ${item.prize.amount > 0 ? 'text-green-400' : 'text-gray-400'}`}>
-                            {item.prize.amount > 0 ? `+${item.prize.amount} PC` : 'No win'}
-                          </span>
-                          <span className="text-xs text-gray-400">{item.timestamp}</span>
-                        </div>
-                        <div className="text-xs text-gray-500 mt-1 truncate">{item.txHash}</div>
+                  {gameStats && (
+                    <div className="pt-3 border-t border-gray-700 text-sm space-y-1">
+                      <div className="flex justify-between">
+                        <span className="text-gray-400">House bankroll free</span>
+                        <span className="font-bold">{formatPC(gameStats.houseBalance)} PC</span>
+                      </div>
+                      <div className="flex justify-between" title="Held back for the top prize of every open secure spin">
+                        <span className="text-gray-400">Reserved for open spins</span>
+                        <span className="font-bold text-yellow-400">{formatPC(gameStats.reservedBalance)} PC</span>
                       </div>
-                    ))
+                    </div>
                   )}
                 </div>
               </div>
+
+              <SessionAnalytics account={account} prizeTable={prizeTable} refreshKey={historyRefresh} />
+
+              <ResponsibleGamingPanel limits={playerLimits} onChange={fetchContractStats} />
+
+              <ReferralPanel account={account} />
+
+              <SpinHistory account={account} refreshKey={historyRefresh} />
             </div>
           </div>
         )}
@@ -416,35 +1180,22 @@ const RouletteGame = () => {
 
       <footer className="mt-12 border-t border-purple-800/30 py-6">
         <div className="container mx-auto px-4 text-center text-gray-400 text-sm">
-          <p>Push Chain Testnet • Powered by Push Protocol • Play Responsibly</p>
+          <p>{ACTIVE_NETWORK.label} • Powered by Push Protocol • Play Responsibly</p>
         </div>
       </footer>
+
+      {jackpotWin && <JackpotCelebration amount={jackpotWin} onClose={closeJackpotWin} />}
     </div>
   );
 };
 
 // App Root Component
 function App() {
-  const walletConfig = {
-    network: PushUI.CONSTANTS.PUSH_NETWORK.TESTNET,
-    login: {
-      email: true,
-      google: true,
-      wallet: { enabled: true }
-    }
-  };
-
-  const appMetadata = {
-    logoUrl: 'https://images.unsplash.com/photo-1620321023374-d1a68fbc720d?w=400',
-    title: 'Push Chain Roulette',
-    description: 'Spin to win PC tokens on Push Chain Testnet'
-  };
-
   return (
-    <PushUniversalWalletProvider config={walletConfig} app={appMetadata} themeMode="dark">
+    <WalletProvider>
       <RouletteGame />
-    </PushUniversalWalletProvider>
+    </WalletProvider>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
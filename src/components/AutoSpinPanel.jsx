@@ -0,0 +1,176 @@
+import React, { useState, useEffect } from 'react';
+
+import { parseLimit, sessionProfit } from '../utils/autoSpin';
+import { formatPC } from '../utils/prizeTable';
+
+const DEFAULT_SPINS = '10';
+const MAX_SPINS = 500;
+
+const LIMIT_FIELDS = [
+  { key: 'stopLoss', label: 'Stop-loss', hint: 'Stop before losing more than' },
+  { key: 'takeProfit', label: 'Take-profit', hint: 'Stop once up by' },
+  { key: 'stopOnWin', label: 'Stop on win ≥', hint: 'Stop after a single win of' }
+];
+
+const useSecondsUntil = (timestamp) => {
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    if (!timestamp) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [timestamp]);
+  return timestamp ? Math.max(0, Math.ceil((timestamp - now) / 1000)) : null;
+};
+
+const SessionProgress = ({ session, nextSpinAt, isSpinning }) => {
+  const secondsToNext = useSecondsUntil(nextSpinAt);
+  const profit = sessionProfit(session);
+  const { spins } = session.settings;
+
+  let status;
+  if (session.status === 'done') status = session.reason;
+  else if (session.status === 'paused') status = `Paused: ${session.reason}`;
+  else if (isSpinning) status = `Spin ${session.spinsDone + 1} in progress...`;
+  else if (secondsToNext) status = `Next spin in ${secondsToNext}s`;
+  else status = 'Starting next spin...';
+
+  return (
+    <div>
+      <div className="flex justify-between text-sm text-gray-400 mb-1">
+        <span>{session.spinsDone} / {spins} spins</span>
+        <span className={session.status === 'paused' ? 'text-yellow-400' : ''}>{status}</span>
+      </div>
+      <div className="h-2 bg-gray-700 rounded-full overflow-hidden">
+        <div
+          className="h-full bg-gradient-to-r from-purple-500 to-pink-500 transition-all"
+          style={{ width: `${(session.spinsDone / spins) * 100}%` }}
+        />
+      </div>
+      <div className="grid grid-cols-3 gap-3 mt-4 text-center">
+        <div>
+          <div className="text-xs text-gray-400">Wagered</div>
+          <div className="font-bold">{formatPC(session.wagered)} PC</div>
+        </div>
+        <div>
+          <div className="text-xs text-gray-400">Won</div>
+          <div className="font-bold text-green-400">{formatPC(session.won)} PC</div>
+        </div>
+        <div>
+          <div className="text-xs text-gray-400">Session P/L</div>
+          <div className={`font-bold ${profit >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+            {profit >= 0 ? '+' : ''}{formatPC(profit)} PC
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Auto-spin settings, and progress and P/L of the running session
+const AutoSpinPanel = ({ stake, session, nextSpinAt, isSpinning, blockedReason, onStart, onResume, onCancel, onClear }) => {
+  const [spins, setSpins] = useState(DEFAULT_SPINS);
+  const [limits, setLimits] = useState({ stopLoss: '', takeProfit: '', stopOnWin: '' });
+
+  const spinCount = parseInt(spins, 10);
+  const stakeAmount = parseFloat(stake) || 0;
+  const stopLoss = parseLimit(limits.stopLoss);
+
+  const formError = (() => {
+    if (!(spinCount >= 1 && spinCount <= MAX_SPINS)) return `Choose between 1 and ${MAX_SPINS} spins.`;
+    if (stopLoss !== null && stopLoss < stakeAmount) return 'The stop-loss must cover at least one stake.';
+    return null;
+  })();
+
+  const handleStart = () => {
+    if (formError || blockedReason) return;
+    onStart({
+      spins: spinCount,
+      stopLoss,
+      takeProfit: parseLimit(limits.takeProfit),
+      stopOnWin: parseLimit(limits.stopOnWin)
+    });
+  };
+
+  const active = session && session.status !== 'done';
+
+  return (
+    <div className="mt-6 bg-gray-800/50 backdrop-blur-sm rounded-2xl p-6 border border-purple-800/30">
+      <h3 className="text-xl font-bold mb-4">Auto-Spin</h3>
+
+      {session && <SessionProgress session={session} nextSpinAt={nextSpinAt} isSpinning={isSpinning} />}
+
+      {active ? (
+        <div className="mt-4 flex justify-center gap-2">
+          {session.status === 'paused' && (
+            <button
+              onClick={onResume}
+              className="px-6 py-2 rounded-lg font-bold bg-purple-600 hover:bg-purple-700 transition-colors"
+            >
+              Resume
+            </button>
+          )}
+          <button
+            onClick={onCancel}
+            className="px-6 py-2 rounded-lg font-bold bg-gray-700 hover:bg-gray-600 transition-colors"
+          >
+            Cancel Session
+          </button>
+        </div>
+      ) : (
+        <div className={session ? 'mt-6 pt-4 border-t border-gray-700' : ''}>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            <label className="text-sm">
+              <span className="block text-gray-400 mb-1">Spins</span>
+              <input
+                type="number"
+                min="1"
+                max={MAX_SPINS}
+                value={spins}
+                onChange={(e) => setSpins(e.target.value)}
+                className="w-full px-3 py-2 rounded-lg bg-gray-700/50 border border-gray-600 outline-none focus:border-purple-500"
+              />
+            </label>
+            {LIMIT_FIELDS.map(field => (
+              <label key={field.key} className="text-sm" title={`${field.hint} this many PC`}>
+                <span className="block text-gray-400 mb-1">{field.label}</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  placeholder="Off"
+                  value={limits[field.key]}
+                  onChange={(e) => setLimits(prev => ({ ...prev, [field.key]: e.target.value }))}
+                  className="w-full px-3 py-2 rounded-lg bg-gray-700/50 border border-gray-600 outline-none focus:border-purple-500"
+                />
+              </label>
+            ))}
+          </div>
+          <div className="mt-4 flex items-center justify-between gap-4">
+            <div className="text-sm text-yellow-400">{formError || blockedReason}</div>
+            <div className="flex gap-2">
+              {session && (
+                <button
+                  onClick={onClear}
+                  className="px-4 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 transition-colors"
+                >
+                  Clear
+                </button>
+              )}
+              <button
+                onClick={handleStart}
+                disabled={!!formError || !!blockedReason}
+                className={`px-6 py-2 rounded-lg font-bold transition-colors ${
+                  formError || blockedReason ? 'bg-gray-700 cursor-not-allowed' : 'bg-purple-600 hover:bg-purple-700'
+                }`}
+              >
+                Start ({stake} PC per spin)
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AutoSpinPanel;
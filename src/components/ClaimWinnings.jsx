@@ -0,0 +1,60 @@
+import React, { useState } from 'react';
+
+import useWallet from '../hooks/useWallet';
+import { CONTRACT_ADDRESS } from '../contracts/roulette';
+import { encodeCall } from '../utils/chain';
+import { decodeContractError } from '../utils/contractErrors';
+import { formatPC } from '../utils/prizeTable';
+
+// Prizes the contract could not send to the player's wallet, held until claimed
+// token is the address for winnings in an ERC-20 token, omitted for PC
+const ClaimWinnings = ({ amount, symbol = 'PC', token, onClaimed }) => {
+  const { isInitialized, sendTransaction } = useWallet();
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (!amount) return null;
+
+  const claim = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const txResponse = await sendTransaction({
+        to: CONTRACT_ADDRESS,
+        value: 0n,
+        data: token ? encodeCall('claimTokenWinnings', [token]) : encodeCall('claimWinnings', [])
+      });
+      await txResponse.wait(1);
+      if (onClaimed) onClaimed();
+    } catch (err) {
+      console.error('Claim failed:', err);
+      const decoded = await decodeContractError(err);
+      setError(decoded.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="mb-4 bg-green-500/20 border border-green-500 rounded-2xl p-4 text-green-300">
+      <div className="flex items-center justify-between gap-4">
+        <div>
+          <div className="font-bold">💰 {formatPC(amount)} {symbol} unclaimed winnings</div>
+          <div className="text-sm mt-1">
+            A prize could not be sent to your wallet. The contract is holding it for you.
+          </div>
+        </div>
+        <button
+          onClick={claim}
+          disabled={busy || !isInitialized}
+          className="px-6 py-2 rounded-lg font-bold bg-green-600 hover:bg-green-700 text-white disabled:bg-gray-700 disabled:cursor-not-allowed transition-colors"
+        >
+          {busy ? 'Claiming...' : 'Claim'}
+        </button>
+      </div>
+      {error && <div className="text-sm text-red-300 mt-2">{error}</div>}
+    </div>
+  );
+};
+
+export default ClaimWinnings;
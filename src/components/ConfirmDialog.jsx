@@ -0,0 +1,32 @@
+import React from 'react';
+
+// Modal asking the operator to confirm an owner transaction
+const ConfirmDialog = ({ title, children, confirmLabel, danger, confirmDisabled, onConfirm, onCancel }) => (
+  <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60 p-4">
+    <div className="w-full max-w-md bg-gray-800 rounded-2xl p-6 border border-purple-800/50 shadow-2xl">
+      <h4 className="text-lg font-bold mb-3">{title}</h4>
+      <div className="text-sm text-gray-300 space-y-2">{children}</div>
+      <div className="mt-6 flex justify-end gap-2">
+        <button
+          onClick={onCancel}
+          className="px-4 py-2 rounded-lg bg-gray-700 hover:bg-gray-600 transition-colors"
+        >
+          Cancel
+        </button>
+        <button
+          onClick={onConfirm}
+          disabled={confirmDisabled}
+          className={`px-4 py-2 rounded-lg font-bold transition-colors ${
+            confirmDisabled
+              ? 'bg-gray-700 text-gray-500 cursor-not-allowed'
+              : danger ? 'bg-red-600 hover:bg-red-500' : 'bg-purple-600 hover:bg-purple-500'
+          }`}
+        >
+          {confirmLabel}
+        </button>
+      </div>
+    </div>
+  </div>
+);
+
+export default ConfirmDialog;
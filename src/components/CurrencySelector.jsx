@@ -0,0 +1,37 @@
+import React from 'react';
+
+import { NATIVE_CURRENCY, isSameToken } from '../utils/tokens';
+
+// Bet in native PC or one of the whitelisted tokens; hidden when no token is enabled
+const CurrencySelector = ({ tokens, value, balances, onChange, disabled }) => {
+  const enabled = tokens.filter(token => token.enabled);
+  if (enabled.length === 0) return null;
+
+  return (
+    <div className="mt-8 text-center">
+      <div className="text-sm text-gray-400 mb-2">Bet in</div>
+      <div className="flex flex-wrap justify-center gap-2">
+        {[NATIVE_CURRENCY, ...enabled].map(currency => {
+          const selected = isSameToken(currency.address, value);
+          const balance = currency.address ? balances[currency.address.toLowerCase()] : null;
+          return (
+            <button
+              key={currency.address || 'native'}
+              onClick={() => onChange(currency.address)}
+              disabled={disabled}
+              title={currency.address || 'Native Push Chain coin'}
+              className={`px-4 py-2 rounded-lg text-sm font-bold transition-colors ${
+                selected ? 'bg-purple-600 text-white' : 'bg-gray-700/50 text-gray-300 hover:bg-gray-700'
+              }`}
+            >
+              {currency.symbol}
+              {balance && <span className="ml-2 text-xs font-normal opacity-75">{parseFloat(balance.balance).toFixed(4)}</span>}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default CurrencySelector;
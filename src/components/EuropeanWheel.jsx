@@ -0,0 +1,84 @@
+import React from 'react';
+
+import useWheelRotation from '../hooks/useWheelRotation';
+import { WHEEL_ORDER, numberColor } from '../utils/rouletteTable';
+
+const POCKET_FILL = {
+  green: '#059669',
+  red: '#DC2626',
+  black: '#111827'
+};
+
+// European single-zero wheel with the 37 pockets in wheel order
+// Idles while the transaction is pending, then lands on targetIndex (an index into WHEEL_ORDER)
+const EuropeanWheel = ({ isSpinning, targetIndex, onSettled }) => {
+  const { rotation, segmentAngle, transition } = useWheelRotation({
+    isSpinning,
+    targetIndex,
+    segmentCount: WHEEL_ORDER.length,
+    onSettled
+  });
+
+  return (
+    <div className="relative w-96 h-96 mx-auto">
+      <div className="absolute inset-0 rounded-full bg-gradient-to-br from-purple-500 to-pink-500 opacity-30 blur-2xl animate-pulse" />
+
+      <div className="absolute inset-4 rounded-full bg-gradient-to-br from-gray-800 to-gray-900 shadow-2xl flex items-center justify-center border-8 border-yellow-700/40">
+        <svg
+          className="w-80 h-80"
+          viewBox="0 0 320 320"
+          style={{ transform: `rotate(${rotation}deg)`, transition }}
+        >
+          {WHEEL_ORDER.map((pocket, index) => {
+            const startAngle = (segmentAngle * index - 90) * (Math.PI / 180);
+            const endAngle = (segmentAngle * (index + 1) - 90) * (Math.PI / 180);
+            const x1 = 160 + 160 * Math.cos(startAngle);
+            const y1 = 160 + 160 * Math.sin(startAngle);
+            const x2 = 160 + 160 * Math.cos(endAngle);
+            const y2 = 160 + 160 * Math.sin(endAngle);
+            const midAngle = (segmentAngle * index + segmentAngle / 2 - 90) * (Math.PI / 180);
+            const textX = 160 + 140 * Math.cos(midAngle);
+            const textY = 160 + 140 * Math.sin(midAngle);
+
+            return (
+              <g key={pocket}>
+                <path
+                  d={`M 160 160 L ${x1} ${y1} A 160 160 0 0 1 ${x2} ${y2} Z`}
+                  fill={POCKET_FILL[numberColor(pocket)]}
+                  stroke="#D4AF37"
+                  strokeWidth="0.5"
+                />
+                <text
+                  x={textX}
+                  y={textY}
+                  textAnchor="middle"
+                  dominantBaseline="middle"
+                  fill="white"
+                  fontSize="10"
+                  fontWeight="bold"
+                  style={{ transform: `rotate(${segmentAngle * index + segmentAngle / 2}deg)`, transformOrigin: `${textX}px ${textY}px` }}
+                >
+                  {pocket}
+                </text>
+              </g>
+            );
+          })}
+          <circle cx="160" cy="160" r="120" fill="#1F2937" stroke="#D4AF37" strokeWidth="2" />
+        </svg>
+
+        <div className="absolute w-24 h-24 bg-gradient-to-br from-purple-600 to-pink-600 rounded-full shadow-xl flex items-center justify-center border-4 border-gray-900">
+          <div className="w-20 h-20 bg-gradient-to-br from-purple-500 to-pink-500 rounded-full flex items-center justify-center text-3xl">
+            🎲
+          </div>
+        </div>
+      </div>
+
+      <div className="absolute top-2 left-1/2 -translate-x-1/2 z-20">
+        <div className="w-6 h-8 bg-gradient-to-b from-yellow-400 to-yellow-600 rounded-b-full shadow-lg"
+             style={{ clipPath: 'polygon(50% 0%, 0% 100%, 100% 100%)' }} />
+      </div>
+    </div>
+  );
+};
+
+export default EuropeanWheel;
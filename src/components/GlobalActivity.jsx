@@ -0,0 +1,155 @@
+import React, { useState, useMemo } from 'react';
+
+import useSpinLog from '../hooks/useSpinLog';
+import TxLink from './TxLink';
+import { shortenAddress } from '../utils/chain';
+import { ALL_PLAYERS, GAME_LABELS } from '../utils/spinHistory';
+import { LEADERBOARD_WINDOWS, computeLeaderboards, emptyLeaderboardTotals } from '../utils/leaderboard';
+
+const FEED_LENGTH = 25;
+
+const isSamePlayer = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+const LeaderboardTable = ({ title, rows, account, renderValue }) => (
+  <div>
+    <h4 className="font-bold mb-2 text-sm text-gray-300">{title}</h4>
+    {rows.length === 0 ? (
+      <div className="text-xs text-gray-500 py-2">No spins in this window.</div>
+    ) : (
+      <ol className="space-y-1">
+        {rows.map((row, index) => (
+          <li
+            key={row.id || row.player}
+            className={`flex justify-between text-sm rounded px-2 py-1 ${
+              isSamePlayer(row.player, account) ? 'bg-purple-600/40' : 'bg-gray-700/30'
+            }`}
+          >
+            <span className="text-gray-400">
+              {index + 1}. {isSamePlayer(row.player, account) ? 'You' : shortenAddress(row.player)}
+            </span>
+            <span className="font-bold">{renderValue(row)}</span>
+          </li>
+        ))}
+      </ol>
+    )}
+  </div>
+);
+
+// Live feed of everyone's spins and leaderboards, straight from contract events
+const GlobalActivity = ({ account, refreshKey }) => {
+  const { spins, leaderboard, scanPercent, syncError } = useSpinLog(ALL_PLAYERS, refreshKey);
+  const [tab, setTab] = useState('feed');
+  const [windowId, setWindowId] = useState('24h');
+
+  const leaderboards = useMemo(() => {
+    const selected = LEADERBOARD_WINDOWS.find(w => w.id === windowId);
+    return computeLeaderboards(leaderboard || emptyLeaderboardTotals(), selected.seconds, Math.floor(Date.now() / 1000));
+  }, [leaderboard, windowId]);
+
+  return (
+    <div className="mt-6 bg-gray-800/50 backdrop-blur-sm rounded-2xl p-6 border border-purple-800/30">
+      <div className="flex justify-between items-center mb-4">
+        <div className="flex gap-2">
+          {[
+            { id: 'feed', label: 'All Spins' },
+            { id: 'leaderboard', label: 'Leaderboard' }
+          ].map(item => (
+            <button
+              key={item.id}
+              onClick={() => setTab(item.id)}
+              className={`px-3 py-1 rounded-lg text-lg font-bold transition-colors ${
+                tab === item.id ? 'bg-purple-600 text-white' : 'text-gray-400 hover:text-white'
+              }`}
+            >
+              {item.label}
+            </button>
+          ))}
+        </div>
+        {tab === 'leaderboard' && (
+          <div className="flex gap-1">
+            {LEADERBOARD_WINDOWS.map(w => (
+              <button
+                key={w.id}
+                onClick={() => setWindowId(w.id)}
+                className={`px-2 py-1 text-xs rounded transition-colors ${
+                  windowId === w.id ? 'bg-purple-600' : 'bg-gray-700 hover:bg-gray-600'
+                }`}
+              >
+                {w.label}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {scanPercent !== null && (
+        <div className="text-xs text-gray-500 mb-3">Scanning blocks... {scanPercent}%</div>
+      )}
+      {syncError && (
+        <div className="mb-3 text-xs text-red-400">{syncError}</div>
+      )}
+
+      {tab === 'feed' ? (
+        <div className="space-y-2 max-h-96 overflow-y-auto">
+          {spins.length === 0 ? (
+            <div className="text-center text-gray-400 py-8">No spins yet.</div>
+          ) : (
+            spins.slice(0, FEED_LENGTH).map(spin => {
+              const won = parseFloat(spin.prizeAmount) > 0;
+              const mine = isSamePlayer(spin.player, account);
+              return (
+                <div
+                  key={spin.id}
+                  className={`flex justify-between items-center rounded-lg p-3 transition-colors ${
+                    mine ? 'bg-purple-600/30 border border-purple-500/50' : 'bg-gray-700/50 hover:bg-gray-700'
+                  }`}
+                >
+                  <div>
+                    <div className="text-sm font-bold">{mine ? 'You' : shortenAddress(spin.player)}</div>
+                    <div className="text-xs text-gray-500">
+                      {new Date(spin.timestamp * 1000).toLocaleTimeString()} • {GAME_LABELS[spin.game]} • bet {spin.betAmount} {spin.symbol}
+                    </div>
+                  </div>
+                  <TxLink
+                    txHash={spin.txHash}
+                    className={`font-bold ${won ? 'text-green-400' : 'text-gray-400'}`}
+                  >
+                    {won ? `+${spin.prizeAmount} ${spin.symbol}` : 'No win'}
+                  </TxLink>
+                </div>
+              );
+            })
+          )}
+        </div>
+      ) : (
+        <div>
+          <div className="grid md:grid-cols-3 gap-4">
+            <LeaderboardTable
+              title="Biggest Win"
+              rows={leaderboards.biggestWins}
+              account={account}
+              renderValue={row => `${row.prize} PC`}
+            />
+            <LeaderboardTable
+              title="Most Spins"
+              rows={leaderboards.mostSpins}
+              account={account}
+              renderValue={row => row.spins}
+            />
+            <LeaderboardTable
+              title="Best Net P/L"
+              rows={leaderboards.bestNet}
+              account={account}
+              renderValue={row => `${row.net >= 0 ? '+' : ''}${row.net.toFixed(2)} PC`}
+            />
+          </div>
+          <div className="text-xs text-gray-500 mt-3">
+            Prize wheel and table spins staked in PC, counted by the hour for 24h and 7d.
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GlobalActivity;
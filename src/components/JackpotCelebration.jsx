@@ -0,0 +1,45 @@
+import React, { useEffect } from 'react';
+
+import { formatPC } from '../utils/prizeTable';
+
+const SHOW_FOR = 8000; // ms
+const SPARKLES = ['💎', '🪙', '✨', '🎉', '💰', '⭐', '🪙', '✨', '💎', '🎉', '💰', '⭐'];
+
+// Full-screen overlay for a jackpot win; closes itself or on click
+const JackpotCelebration = ({ amount, onClose }) => {
+  useEffect(() => {
+    const timer = setTimeout(onClose, SHOW_FOR);
+    return () => clearTimeout(timer);
+  }, [onClose]);
+
+  return (
+    <div
+      onClick={onClose}
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 cursor-pointer overflow-hidden"
+    >
+      {SPARKLES.map((sparkle, index) => (
+        <span
+          key={index}
+          className="absolute text-4xl animate-bounce"
+          style={{
+            left: `${(index * 83) % 100}%`,
+            top: `${(index * 37) % 90}%`,
+            animationDelay: `${(index % 4) * 150}ms`
+          }}
+        >
+          {sparkle}
+        </span>
+      ))}
+      <div className="relative text-center px-10 py-8 rounded-3xl bg-gradient-to-br from-yellow-400 via-amber-500 to-orange-500 text-gray-900 shadow-2xl">
+        <div className="absolute inset-0 rounded-3xl bg-yellow-300 opacity-40 animate-ping" />
+        <div className="relative">
+          <div className="text-5xl font-black tracking-wide">💎 JACKPOT! 💎</div>
+          <div className="text-4xl font-bold mt-3">+{formatPC(amount)} PC</div>
+          <div className="text-sm mt-3 opacity-80">The whole pool is yours.</div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default JackpotCelebration;
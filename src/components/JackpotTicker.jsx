@@ -0,0 +1,120 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+
+import TxLink from './TxLink';
+import useChainUpdates from '../hooks/useChainUpdates';
+import { hasChainEvent } from '../utils/chainEvents';
+import { shortenAddress } from '../utils/chain';
+import { formatPC } from '../utils/prizeTable';
+import { fetchJackpot, fetchJackpotPool, loadCachedWinners, syncJackpotWinners } from '../utils/jackpot';
+
+const TICK_DURATION = 1000; // ms to count up to a new pool value
+const RECENT_WINNERS = 5;
+// Every stake feeds the pool, so any player's spin moves it
+const POOL_EVENTS = ['SpinCommitted', 'SpinRevealed', 'TableSpin', 'JackpotFunded'];
+
+// Count smoothly from the last shown value to the new one
+const useTickingValue = (target) => {
+  const [shown, setShown] = useState(target);
+  const shownRef = useRef(target);
+
+  useEffect(() => {
+    const start = shownRef.current;
+    const startedAt = performance.now();
+    let frame;
+    const step = (now) => {
+      const progress = Math.min(1, (now - startedAt) / TICK_DURATION);
+      shownRef.current = start + (target - start) * progress;
+      setShown(shownRef.current);
+      if (progress < 1) frame = requestAnimationFrame(step);
+    };
+    frame = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(frame);
+  }, [target]);
+
+  return shown;
+};
+
+const isSamePlayer = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+// Live jackpot pool and the latest winners
+const JackpotTicker = ({ account, refreshKey }) => {
+  const [jackpot, setJackpot] = useState(null);
+  const [winners, setWinners] = useState(() => loadCachedWinners());
+  const pool = useTickingValue(jackpot ? jackpot.pool : 0);
+
+  // The winners' log scan only runs when there can be a new winner
+  const refresh = useCallback(async (withWinners = true) => {
+    try {
+      setJackpot(await fetchJackpot());
+      if (withWinners) setWinners(await syncJackpotWinners(loadCachedWinners()));
+    } catch (err) {
+      console.error('Jackpot fetch error:', err);
+    }
+  }, []);
+
+  const refreshPool = useCallback(async () => {
+    try {
+      const next = await fetchJackpotPool();
+      setJackpot(prev => prev && { ...prev, pool: next });
+    } catch (err) {
+      console.error('Jackpot pool fetch error:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh, refreshKey]);
+
+  // A resync matches every event name, so it rescans the winners too
+  useChainUpdates((update) => {
+    if (hasChainEvent(update, ['JackpotWon'])) {
+      refresh();
+    } else if (hasChainEvent(update, ['JackpotConfigUpdated'])) {
+      refresh(false);
+    } else if (hasChainEvent(update, POOL_EVENTS)) {
+      refreshPool();
+    }
+  });
+
+  if (!jackpot) return null;
+
+  const recent = winners ? winners.wins.slice(0, RECENT_WINNERS) : [];
+
+  return (
+    <div className="mb-4 bg-gradient-to-r from-yellow-500/20 via-amber-500/20 to-yellow-500/20 border border-yellow-500/60 rounded-2xl p-4">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <div className="text-sm text-yellow-300 font-bold">💎 Progressive Jackpot</div>
+          <div className="text-4xl font-bold text-yellow-300 tabular-nums">{pool.toFixed(4)} PC</div>
+          <div className="text-xs text-gray-400 mt-1">
+            {jackpot.contributionPercent > 0
+              ? `${jackpot.contributionPercent}% of every stake feeds the pool. `
+              : ''}
+            Every secure spin has a 1 in {jackpot.odds.toLocaleString()} chance to win it all.
+          </div>
+        </div>
+        <div className="min-w-[12rem]">
+          <div className="text-xs text-gray-400 mb-1">Past winners</div>
+          {recent.length === 0 ? (
+            <div className="text-xs text-gray-500">No jackpot won yet.</div>
+          ) : (
+            <ul className="space-y-1">
+              {recent.map(win => (
+                <li key={win.id} className="flex justify-between gap-3 text-xs">
+                  <TxLink txHash={win.txHash} className="text-gray-300 hover:text-white">
+                    {isSamePlayer(win.player, account) ? 'You' : shortenAddress(win.player)}
+                    {' · '}
+                    {new Date(win.timestamp * 1000).toLocaleDateString()}
+                  </TxLink>
+                  <span className="font-bold text-yellow-300">{formatPC(parseFloat(win.amount))} PC</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default JackpotTicker;
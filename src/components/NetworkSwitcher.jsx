@@ -0,0 +1,26 @@
+import React from 'react';
+
+import { NETWORKS, ACTIVE_NETWORK, switchNetwork } from '../contracts/networks';
+
+// Pick which deployment the app talks to; hidden when only one is configured
+const NetworkSwitcher = () => {
+  if (NETWORKS.length < 2) {
+    return <p className="text-xs text-gray-400">{ACTIVE_NETWORK.label}</p>;
+  }
+
+  return (
+    <select
+      value={ACTIVE_NETWORK.id}
+      onChange={(e) => switchNetwork(e.target.value)}
+      className="bg-transparent text-xs text-gray-400 border-none p-0 cursor-pointer focus:outline-none"
+    >
+      {NETWORKS.map(network => (
+        <option key={network.id} value={network.id} className="bg-gray-800">
+          {network.label}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+export default NetworkSwitcher;
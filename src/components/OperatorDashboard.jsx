@@ -0,0 +1,592 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+
+import { ethers } from 'ethers';
+
+import ConfirmDialog from './ConfirmDialog';
+import useSpinLog from '../hooks/useSpinLog';
+import useChainUpdates from '../hooks/useChainUpdates';
+import useWallet from '../hooks/useWallet';
+import { CONTRACT_ADDRESS, ROULETTE_ABI } from '../contracts/roulette';
+import { getReadContract, encodeCall } from '../utils/chain';
+import { decodeContractError } from '../utils/contractErrors';
+import { ALL_PLAYERS } from '../utils/spinHistory';
+import { formatPC } from '../utils/prizeTable';
+import { coverableMaxPrizes, dailyPayouts } from '../utils/bankroll';
+
+const CHART_DAYS = 14;
+
+// Wagered vs paid out per day, as plain CSS bars
+const PayoutChart = ({ days }) => {
+  const peak = Math.max(0, ...days.map(d => Math.max(d.wagered, d.paid)));
+  return (
+    <div>
+      <div className="flex items-end gap-1 h-32">
+        {days.map(d => (
+          <div
+            key={d.day}
+            className="flex-1 flex items-end gap-px h-full"
+            title={`${new Date(d.day * 1000).toLocaleDateString()}: ${d.spins} spins, wagered ${formatPC(d.wagered)} PC, paid ${formatPC(d.paid)} PC`}
+          >
+            <div className="flex-1 bg-purple-500/70 rounded-t" style={{ height: `${peak ? (d.wagered / peak) * 100 : 0}%` }} />
+            <div className="flex-1 bg-green-500/70 rounded-t" style={{ height: `${peak ? (d.paid / peak) * 100 : 0}%` }} />
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between text-xs text-gray-500 mt-1">
+        <span>{days.length ? new Date(days[0].day * 1000).toLocaleDateString() : ''}</span>
+        <span className="flex gap-3">
+          <span><span className="inline-block w-2 h-2 bg-purple-500 rounded-sm mr-1" />Wagered</span>
+          <span><span className="inline-block w-2 h-2 bg-green-500 rounded-sm mr-1" />Paid out</span>
+        </span>
+        <span>Today</span>
+      </div>
+    </div>
+  );
+};
+
+// Bankroll and pause controls, only rendered for the contract owner
+const OperatorDashboard = ({ refreshKey, onChange }) => {
+  const { isInitialized, sendTransaction } = useWallet();
+  const { spins } = useSpinLog(ALL_PLAYERS, refreshKey);
+
+  const [stats, setStats] = useState(null);
+  const [depositAmount, setDepositAmount] = useState('');
+  const [withdrawAmount, setWithdrawAmount] = useState('');
+  const [refundPercent, setRefundPercent] = useState('');
+  const [jackpotPercent, setJackpotPercent] = useState('');
+  const [jackpotSeed, setJackpotSeed] = useState('');
+  const [jackpotFunding, setJackpotFunding] = useState('');
+  const [referralPercent, setReferralPercent] = useState('');
+  const [pendingAction, setPendingAction] = useState(null);
+  const [acknowledged, setAcknowledged] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const fetchStats = useCallback(async () => {
+    try {
+      const contract = await getReadContract(CONTRACT_ADDRESS, ROULETTE_ABI);
+      const [
+        gameStats, houseBalance, claimable, maxPrize, refundBps, maxRefundBps,
+        jackpotPool, jackpotBps, maxJackpotBps, seed,
+        referralBps, maxReferralBps, referralOwed
+      ] = await Promise.all([
+        contract.getStats(),
+        contract.houseBalance(),
+        contract.totalClaimableWinnings(),
+        contract.MAX_PRIZE(),
+        contract.expiredRefundBps(),
+        contract.MAX_EXPIRED_REFUND_BPS(),
+        contract.jackpotPool(),
+        contract.jackpotContributionBps(),
+        contract.MAX_JACKPOT_CONTRIBUTION_BPS(),
+        contract.jackpotSeed(),
+        contract.referralShareBps(),
+        contract.MAX_REFERRAL_SHARE_BPS(),
+        contract.totalReferralEarnings()
+      ]);
+      setStats({
+        contractBalance: parseFloat(ethers.formatEther(gameStats.contractBalance)),
+        houseBalance: parseFloat(ethers.formatEther(houseBalance)),
+        freeBalance: parseFloat(ethers.formatEther(gameStats.availableBalance)),
+        reservedBalance: parseFloat(ethers.formatEther(gameStats.reservedBalance)),
+        claimableWinnings: parseFloat(ethers.formatEther(claimable)),
+        maxPrize: parseFloat(ethers.formatEther(maxPrize)),
+        // Basis points as percentages
+        expiredRefundPercent: Number(refundBps) / 100,
+        maxRefundPercent: Number(maxRefundBps) / 100,
+        jackpotPool: parseFloat(ethers.formatEther(jackpotPool)),
+        jackpotPercent: Number(jackpotBps) / 100,
+        maxJackpotPercent: Number(maxJackpotBps) / 100,
+        jackpotSeed: parseFloat(ethers.formatEther(seed)),
+        jackpotSeedWei: seed,
+        referralPercent: Number(referralBps) / 100,
+        maxReferralPercent: Number(maxReferralBps) / 100,
+        referralEarnings: parseFloat(ethers.formatEther(referralOwed)),
+        isPaused: gameStats.isPaused
+      });
+    } catch (err) {
+      console.error('Operator stats fetch error:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStats();
+  }, [fetchStats, refreshKey]);
+
+  // Any contract event can move the bankroll, the jackpot or the amounts owed
+  useChainUpdates((update) => {
+    if (update.resync || update.events.length > 0) fetchStats();
+  });
+
+  const chartDays = useMemo(
+    () => dailyPayouts(spins, CHART_DAYS, Math.floor(Date.now() / 1000)),
+    [spins]
+  );
+
+  const withdrawValue = parseFloat(withdrawAmount) || 0;
+  const depositValue = parseFloat(depositAmount) || 0;
+  // Only the free bankroll can be withdrawn; reserves back open commits
+  const balanceAfterWithdraw = stats ? stats.freeBalance - withdrawValue : 0;
+  const withdrawBelowMaxPrize = !!stats && balanceAfterWithdraw < stats.maxPrize;
+  const refundValue = refundPercent === '' ? NaN : Number(refundPercent);
+  const refundValid = !!stats && refundValue >= 0 && refundValue <= stats.maxRefundPercent;
+  // Blank jackpot fields keep the current setting
+  const jackpotPercentValue = jackpotPercent === '' ? (stats ? stats.jackpotPercent : NaN) : Number(jackpotPercent);
+  // The seed is sent in wei parsed from the typed string, never through a float; null if it isn't a plain PC amount
+  const jackpotSeedWei = (() => {
+    if (jackpotSeed === '') return stats ? stats.jackpotSeedWei : null;
+    try {
+      return ethers.parseEther(jackpotSeed.trim());
+    } catch (err) {
+      return null;
+    }
+  })();
+  const jackpotSeedLabel = jackpotSeedWei !== null ? ethers.formatEther(jackpotSeedWei) : '';
+  const jackpotConfigValid = !!stats && (jackpotPercent !== '' || jackpotSeed !== '') &&
+    jackpotPercentValue >= 0 && jackpotPercentValue <= stats.maxJackpotPercent &&
+    jackpotSeedWei !== null && jackpotSeedWei >= 0n;
+  const jackpotFundingValue = parseFloat(jackpotFunding) || 0;
+  const referralValue = referralPercent === '' ? NaN : Number(referralPercent);
+  const referralValid = !!stats && referralValue >= 0 && referralValue <= stats.maxReferralPercent;
+  // Winnings and referral earnings still to be claimed stay out of any withdrawal
+  const owedToPlayers = stats ? stats.claimableWinnings + stats.referralEarnings : 0;
+  // An emergency withdrawal also leaves the reserves of open commits behind
+  const emergencyAmount = stats ? stats.contractBalance - owedToPlayers - stats.reservedBalance : 0;
+  // Whatever the contract holds beyond the house, the jackpot and what players are owed
+  const unaccounted = stats
+    ? stats.contractBalance - stats.houseBalance - stats.jackpotPool - owedToPlayers
+    : 0;
+
+  const openDialog = (action) => {
+    setAcknowledged(false);
+    setMessage(null);
+    setPendingAction(action);
+  };
+
+  const sendOwnerTx = async (functionName, args = [], value = '0') => {
+    const txResponse = await sendTransaction({
+      to: CONTRACT_ADDRESS,
+      value: ethers.parseEther(value),
+      data: encodeCall(functionName, args)
+    });
+    await txResponse.wait(1);
+  };
+
+  const handleConfirm = async () => {
+    const action = pendingAction;
+    setPendingAction(null);
+    setBusy(true);
+    setMessage(null);
+    try {
+      switch (action) {
+        case 'deposit':
+          await sendOwnerTx('depositFunds', [], depositAmount);
+          setDepositAmount('');
+          setMessage({ ok: true, text: `Deposited ${depositAmount} PC.` });
+          break;
+        case 'withdraw':
+          await sendOwnerTx('withdrawFunds', [ethers.parseEther(withdrawAmount)]);
+          setWithdrawAmount('');
+          setMessage({ ok: true, text: `Withdrew ${withdrawAmount} PC.` });
+          break;
+        case 'refund':
+          await sendOwnerTx('setExpiredRefund', [Math.round(refundValue * 100)]);
+          setRefundPercent('');
+          setMessage({ ok: true, text: `Expired commits now refund ${refundValue}% of the stake.` });
+          break;
+        case 'referral':
+          await sendOwnerTx('setReferralShare', [Math.round(referralValue * 100)]);
+          setReferralPercent('');
+          setMessage({ ok: true, text: `Referrers now earn ${referralValue}% of their players' stakes.` });
+          break;
+        case 'jackpotConfig':
+          await sendOwnerTx('setJackpotConfig', [
+            Math.round(jackpotPercentValue * 100),
+            jackpotSeedWei
+          ]);
+          setJackpotPercent('');
+          setJackpotSeed('');
+          setMessage({ ok: true, text: `Jackpot takes ${jackpotPercentValue}% of stakes and restarts from ${jackpotSeedLabel} PC.` });
+          break;
+        case 'fundJackpot':
+          await sendOwnerTx('fundJackpot', [], jackpotFunding);
+          setJackpotFunding('');
+          setMessage({ ok: true, text: `Added ${jackpotFunding} PC to the jackpot.` });
+          break;
+        case 'pause':
+          await sendOwnerTx('pause');
+          setMessage({ ok: true, text: 'Game paused.' });
+          break;
+        case 'unpause':
+          await sendOwnerTx('unpause');
+          setMessage({ ok: true, text: 'Game resumed.' });
+          break;
+        case 'emergency':
+          await sendOwnerTx('emergencyWithdraw');
+          setMessage({ ok: true, text: 'Emergency withdrawal sent the contract balance to the owner.' });
+          break;
+        default:
+          break;
+      }
+    } catch (err) {
+      console.error('Owner transaction failed:', err);
+      const decoded = await decodeContractError(err);
+      setMessage({ ok: false, text: decoded.message });
+    } finally {
+      setBusy(false);
+      fetchStats();
+      if (onChange) onChange();
+    }
+  };
+
+  const renderDialog = () => {
+    if (!pendingAction || !stats) return null;
+    const common = { onCancel: () => setPendingAction(null), onConfirm: handleConfirm };
+
+    switch (pendingAction) {
+      case 'deposit':
+        return (
+          <ConfirmDialog {...common} title="Deposit to house balance" confirmLabel={`Deposit ${depositAmount} PC`}>
+            <p>Send {depositAmount} PC from your wallet to the bankroll.</p>
+            <p>House balance will be {formatPC(stats.houseBalance + depositValue)} PC.</p>
+          </ConfirmDialog>
+        );
+      case 'withdraw':
+        return (
+          <ConfirmDialog
+            {...common}
+            title="Withdraw from house balance"
+            confirmLabel={`Withdraw ${withdrawAmount} PC`}
+            danger={withdrawBelowMaxPrize}
+            confirmDisabled={withdrawBelowMaxPrize && !acknowledged}
+          >
+            <p>Free bankroll will drop to {formatPC(balanceAfterWithdraw)} PC.</p>
+            {withdrawBelowMaxPrize && (
+              <>
+                <p className="text-yellow-400">
+                  That is below MAX_PRIZE ({formatPC(stats.maxPrize)} PC). Spins whose top prize the house can't cover
+                  will be rejected until the bankroll is topped up.
+                </p>
+                <label className="flex items-center gap-2">
+                  <input type="checkbox" checked={acknowledged} onChange={e => setAcknowledged(e.target.checked)} />
+                  I understand, withdraw anyway
+                </label>
+              </>
+            )}
+          </ConfirmDialog>
+        );
+      case 'refund':
+        return (
+          <ConfirmDialog {...common} title="Expired commit refund" confirmLabel={`Set ${refundValue}%`}>
+            <p>
+              Secure spins not revealed in time will refund {refundValue}% of the stake when cancelled
+              (currently {stats.expiredRefundPercent}%). The rest stays in the house balance.
+            </p>
+          </ConfirmDialog>
+        );
+      case 'referral':
+        return (
+          <ConfirmDialog {...common} title="Referral share" confirmLabel={`Set ${referralValue}%`}>
+            <p>
+              Referrers will earn {referralValue}% of every stake placed by the players they referred
+              (currently {stats.referralPercent}%). It comes out of the stake before the house balance.
+            </p>
+          </ConfirmDialog>
+        );
+      case 'jackpotConfig':
+        return (
+          <ConfirmDialog {...common} title="Jackpot settings" confirmLabel="Save">
+            <p>
+              {jackpotPercentValue}% of every stake will go into the jackpot pool instead of the house balance
+              (currently {stats.jackpotPercent}%).
+            </p>
+            <p>
+              After a win the pool restarts from {jackpotSeedLabel} PC, taken from the free bankroll
+              (currently {stats.jackpotSeed} PC).
+            </p>
+          </ConfirmDialog>
+        );
+      case 'fundJackpot':
+        return (
+          <ConfirmDialog {...common} title="Fund the jackpot" confirmLabel={`Add ${jackpotFunding} PC`}>
+            <p>Send {jackpotFunding} PC from your wallet straight into the jackpot pool.</p>
+            <p>The pool will be {formatPC(stats.jackpotPool + jackpotFundingValue)} PC. It can't be withdrawn except by an emergency withdrawal.</p>
+          </ConfirmDialog>
+        );
+      case 'pause':
+        return (
+          <ConfirmDialog {...common} title="Pause the game" confirmLabel="Pause" danger>
+            <p>New spins will be rejected until you unpause.</p>
+            <p>
+              Players with a pending secure spin can still reveal it while paused, since its reveal window keeps
+              running.
+            </p>
+          </ConfirmDialog>
+        );
+      case 'unpause':
+        return (
+          <ConfirmDialog {...common} title="Resume the game" confirmLabel="Unpause">
+            <p>Players will be able to spin again.</p>
+          </ConfirmDialog>
+        );
+      case 'emergency':
+        return (
+          <ConfirmDialog
+            {...common}
+            title="Emergency withdraw"
+            confirmLabel={`Withdraw ${formatPC(emergencyAmount)} PC`}
+            danger
+            confirmDisabled={!acknowledged}
+          >
+            <p>
+              Sends the contract balance ({formatPC(emergencyAmount)} PC) to the owner and zeroes the jackpot pool
+              and the free house balance. The reserves of spins still waiting to be revealed, unclaimed winnings and
+              referral earnings stay in the contract for their owners.
+            </p>
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={acknowledged} onChange={e => setAcknowledged(e.target.checked)} />
+              I understand this empties the contract
+            </label>
+          </ConfirmDialog>
+        );
+      default:
+        return null;
+    }
+  };
+
+  const controlsDisabled = busy || !isInitialized || !stats;
+
+  return (
+    <div className="mt-6 bg-gray-800/50 backdrop-blur-sm rounded-2xl p-6 border border-yellow-600/40">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-bold">🛠️ Operator</h3>
+        {stats && (
+          <span className={`px-2 py-1 rounded text-xs font-bold ${stats.isPaused ? 'bg-red-600' : 'bg-green-600'}`}>
+            {stats.isPaused ? 'Paused' : 'Live'}
+          </span>
+        )}
+      </div>
+
+      {!stats ? (
+        <div className="text-sm text-gray-400">Loading contract state...</div>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-6 gap-3 text-center">
+            <div className="bg-gray-900/50 rounded-lg p-3">
+              <div className="text-xs text-gray-400">Contract balance</div>
+              <div className="font-bold">{formatPC(stats.contractBalance)} PC</div>
+            </div>
+            <div className="bg-gray-900/50 rounded-lg p-3">
+              <div className="text-xs text-gray-400">House balance</div>
+              <div className="font-bold">{formatPC(stats.houseBalance)} PC</div>
+            </div>
+            <div className="bg-gray-900/50 rounded-lg p-3" title="Worst-case payouts of open secure spins">
+              <div className="text-xs text-gray-400">Reserved</div>
+              <div className="font-bold text-yellow-400">{formatPC(stats.reservedBalance)} PC</div>
+            </div>
+            <div className="bg-gray-900/50 rounded-lg p-3" title="Backs new spins and can be withdrawn">
+              <div className="text-xs text-gray-400">Free</div>
+              <div className="font-bold text-green-400">{formatPC(stats.freeBalance)} PC</div>
+            </div>
+            <div className="bg-gray-900/50 rounded-lg p-3">
+              <div className="text-xs text-gray-400">Max prizes covered</div>
+              <div className={`font-bold ${coverableMaxPrizes(stats.freeBalance, stats.maxPrize) < 1 ? 'text-red-400' : ''}`}>
+                {coverableMaxPrizes(stats.freeBalance, stats.maxPrize)} × {formatPC(stats.maxPrize)} PC
+              </div>
+            </div>
+            <div className="bg-gray-900/50 rounded-lg p-3" title="Held apart from the house balance">
+              <div className="text-xs text-gray-400">Jackpot pool</div>
+              <div className="font-bold text-yellow-300">{formatPC(stats.jackpotPool)} PC</div>
+            </div>
+          </div>
+          {stats.claimableWinnings > 0 && (
+            <div className="mt-2 text-xs text-gray-500">
+              {formatPC(stats.claimableWinnings)} PC is owed to players whose payouts failed, waiting to be claimed.
+            </div>
+          )}
+          {stats.referralEarnings > 0 && (
+            <div className="mt-2 text-xs text-gray-500">
+              {formatPC(stats.referralEarnings)} PC of referral earnings is waiting to be claimed by referrers.
+            </div>
+          )}
+          {Math.abs(unaccounted) > 1e-9 && (
+            <div className="mt-2 text-xs text-gray-500">
+              {formatPC(unaccounted)} PC held by the contract is not part of the house balance.
+            </div>
+          )}
+
+          <div className="mt-6">
+            <div className="text-sm text-gray-400 mb-2">Last {CHART_DAYS} days, PC prize wheel and table spins</div>
+            <PayoutChart days={chartDays} />
+          </div>
+
+          <div className="mt-6 grid md:grid-cols-2 gap-3">
+            <div className="flex gap-2">
+              <input
+                type="number"
+                min="0"
+                step="any"
+                placeholder="Deposit PC"
+                value={depositAmount}
+                onChange={e => setDepositAmount(e.target.value)}
+                className="flex-1 min-w-0 px-3 py-2 rounded-lg bg-gray-700/50 outline-none"
+              />
+              <button
+                onClick={() => openDialog('deposit')}
+                disabled={controlsDisabled || depositValue <= 0}
+                className="px-4 py-2 rounded-lg font-bold bg-purple-600 hover:bg-purple-500 disabled:bg-gray-700 disabled:cursor-not-allowed transition-colors"
+              >
+                Deposit
+              </button>
+            </div>
+            <div className="flex gap-2">
+              <input
+                type="number"
+                min="0"
+                step="any"
+                placeholder="Withdraw PC"
+                value={withdrawAmount}
+                onChange={e => setWithdrawAmount(e.target.value)}
+                className="flex-1 min-w-0 px-3 py-2 rounded-lg bg-gray-700/50 outline-none"
+              />
+              <button
+                onClick={() => openDialog('withdraw')}
+                disabled={controlsDisabled || withdrawValue <= 0 || withdrawValue > stats.freeBalance}
+                className="px-4 py-2 rounded-lg font-bold bg-purple-600 hover:bg-purple-500 disabled:bg-gray-700 disabled:cursor-not-allowed transition-colors"
+              >
+                Withdraw
+              </button>
+            </div>
+          </div>
+          {withdrawValue > stats.freeBalance && (
+            <div className="mt-2 text-xs text-red-400">
+              You can withdraw at most {formatPC(stats.freeBalance)} PC; {formatPC(stats.reservedBalance)} PC is reserved for open spins.
+            </div>
+          )}
+          {withdrawValue > 0 && withdrawValue <= stats.freeBalance && withdrawBelowMaxPrize && (
+            <div className="mt-2 text-xs text-yellow-400">
+              This leaves less than one max prize ({formatPC(stats.maxPrize)} PC) in the free bankroll.
+            </div>
+          )}
+
+          <div className="mt-4 flex items-center gap-2 text-sm">
+            <span className="text-gray-400">Expired commit refund: {stats.expiredRefundPercent}%</span>
+            <input
+              type="number"
+              min="0"
+              max={stats.maxRefundPercent}
+              step="any"
+              placeholder={`0-${stats.maxRefundPercent}%`}
+              value={refundPercent}
+              onChange={e => setRefundPercent(e.target.value)}
+              className="w-28 px-3 py-2 rounded-lg bg-gray-700/50 outline-none"
+            />
+            <button
+              onClick={() => openDialog('refund')}
+              disabled={controlsDisabled || !refundValid}
+              className="px-4 py-2 rounded-lg font-bold bg-purple-600 hover:bg-purple-500 disabled:bg-gray-700 disabled:cursor-not-allowed transition-colors"
+            >
+              Set
+            </button>
+          </div>
+
+          <div className="mt-4 flex items-center gap-2 text-sm">
+            <span className="text-gray-400">Referral share: {stats.referralPercent}%</span>
+            <input
+              type="number"
+              min="0"
+              max={stats.maxReferralPercent}
+              step="any"
+              placeholder={`0-${stats.maxReferralPercent}%`}
+              value={referralPercent}
+              onChange={e => setReferralPercent(e.target.value)}
+              className="w-28 px-3 py-2 rounded-lg bg-gray-700/50 outline-none"
+            />
+            <button
+              onClick={() => openDialog('referral')}
+              disabled={controlsDisabled || !referralValid}
+              className="px-4 py-2 rounded-lg font-bold bg-purple-600 hover:bg-purple-500 disabled:bg-gray-700 disabled:cursor-not-allowed transition-colors"
+            >
+              Set
+            </button>
+          </div>
+
+          <div className="mt-4 flex flex-wrap items-center gap-2 text-sm">
+            <span className="text-gray-400">
+              Jackpot: {stats.jackpotPercent}% of stakes, seed {formatPC(stats.jackpotSeed)} PC
+            </span>
+            <input
+              type="number"
+              min="0"
+              max={stats.maxJackpotPercent}
+              step="any"
+              placeholder={`0-${stats.maxJackpotPercent}%`}
+              value={jackpotPercent}
+              onChange={e => setJackpotPercent(e.target.value)}
+              className="w-24 px-3 py-2 rounded-lg bg-gray-700/50 outline-none"
+            />
+            <input
+              type="number"
+              min="0"
+              step="any"
+              placeholder="Seed PC"
+              value={jackpotSeed}
+              onChange={e => setJackpotSeed(e.target.value)}
+              className="w-24 px-3 py-2 rounded-lg bg-gray-700/50 outline-none"
+            />
+            <button
+              onClick={() => openDialog('jackpotConfig')}
+              disabled={controlsDisabled || !jackpotConfigValid}
+              className="px-4 py-2 rounded-lg font-bold bg-purple-600 hover:bg-purple-500 disabled:bg-gray-700 disabled:cursor-not-allowed transition-colors"
+            >
+              Set
+            </button>
+            <input
+              type="number"
+              min="0"
+              step="any"
+              placeholder="Fund PC"
+              value={jackpotFunding}
+              onChange={e => setJackpotFunding(e.target.value)}
+              className="w-24 px-3 py-2 rounded-lg bg-gray-700/50 outline-none"
+            />
+            <button
+              onClick={() => openDialog('fundJackpot')}
+              disabled={controlsDisabled || jackpotFundingValue <= 0}
+              className="px-4 py-2 rounded-lg font-bold bg-purple-600 hover:bg-purple-500 disabled:bg-gray-700 disabled:cursor-not-allowed transition-colors"
+            >
+              Fund
+            </button>
+          </div>
+
+          <div className="mt-4 flex flex-wrap gap-2">
+            <button
+              onClick={() => openDialog(stats.isPaused ? 'unpause' : 'pause')}
+              disabled={controlsDisabled}
+              className="px-4 py-2 rounded-lg font-bold bg-gray-700 hover:bg-gray-600 disabled:cursor-not-allowed transition-colors"
+            >
+              {stats.isPaused ? '▶️ Unpause' : '⏸️ Pause'}
+            </button>
+            <button
+              onClick={() => openDialog('emergency')}
+              disabled={controlsDisabled || !stats.isPaused}
+              title={stats.isPaused ? '' : 'Pause the game first'}
+              className="px-4 py-2 rounded-lg font-bold bg-red-700 hover:bg-red-600 disabled:bg-gray-700 disabled:text-gray-500 disabled:cursor-not-allowed transition-colors"
+            >
+              🚨 Emergency Withdraw
+            </button>
+          </div>
+        </>
+      )}
+
+      {busy && <div className="mt-4 text-sm text-gray-400">Waiting for the transaction...</div>}
+      {message && (
+        <div className={`mt-4 text-sm ${message.ok ? 'text-green-400' : 'text-red-400'}`}>{message.text}</div>
+      )}
+
+      {renderDialog()}
+    </div>
+  );
+};
+
+export default OperatorDashboard;
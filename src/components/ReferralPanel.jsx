@@ -0,0 +1,236 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+import useWallet from '../hooks/useWallet';
+import useChainUpdates from '../hooks/useChainUpdates';
+import { CONTRACT_ADDRESS } from '../contracts/roulette';
+import { encodeCall, shortenAddress } from '../utils/chain';
+import { decodeContractError } from '../utils/contractErrors';
+import { formatPC } from '../utils/prizeTable';
+import {
+  referralLink,
+  loadPendingReferrer,
+  clearPendingReferrer,
+  fetchReferralInfo,
+  loadCachedReferred,
+  syncReferredPlayers
+} from '../utils/referral';
+
+// Referral earnings accrue on every stake by a referred player
+const STAKE_EVENTS = ['SpinCommitted', 'SpinRevealed', 'TableSpin'];
+const VISIBLE_REFERRED = 10;
+
+const isSamePlayer = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+// Whether an event changes what the panel shows for account: its own referrer, claims or share,
+// or a stake by one of the players it referred
+const affectsReferrer = (event, account, referredPlayers) => {
+  switch (event.name) {
+    case 'ReferrerSet':
+      return isSamePlayer(event.args.player, account) || isSamePlayer(event.args.referrer, account);
+    case 'ReferralEarningsClaimed':
+      return isSamePlayer(event.args.referrer, account);
+    case 'ReferralShareUpdated':
+      return true;
+    default:
+      return STAKE_EVENTS.includes(event.name) && referredPlayers.has(event.args.player.toLowerCase());
+  }
+};
+
+// Share link, the players it brought in and the referral earnings the contract holds for them
+const ReferralPanel = ({ account }) => {
+  const { isInitialized, sendTransaction } = useWallet();
+
+  const [info, setInfo] = useState(null);
+  const [referred, setReferred] = useState(null);
+  const [pendingReferrer, setPendingReferrer] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const refreshInfo = useCallback(async () => {
+    const next = await fetchReferralInfo(account);
+    setInfo(next);
+    // A referrer is bound once; an invite link seen afterwards no longer applies
+    const pending = loadPendingReferrer();
+    if (next.referrer || isSamePlayer(pending, account)) {
+      clearPendingReferrer();
+      setPendingReferrer(null);
+    } else {
+      setPendingReferrer(pending);
+    }
+  }, [account]);
+
+  // The referred players' log scan only runs when it can have found someone new
+  const refresh = useCallback(async (withReferred = true) => {
+    if (!account) return;
+    try {
+      await refreshInfo();
+      if (withReferred) setReferred(await syncReferredPlayers(account, loadCachedReferred(account)));
+    } catch (err) {
+      console.error('Referral fetch error:', err);
+    }
+  }, [account, refreshInfo]);
+
+  useEffect(() => {
+    setInfo(null);
+    setReferred(null);
+    setMessage(null);
+    refresh();
+  }, [refresh]);
+
+  useChainUpdates((update) => {
+    if (!account) return;
+    const referredPlayers = new Set((referred ? referred.players : []).map(entry => entry.player.toLowerCase()));
+    const events = update.events.filter(event => affectsReferrer(event, account, referredPlayers));
+    if (update.resync || events.some(event => event.name === 'ReferrerSet' && isSamePlayer(event.args.referrer, account))) {
+      refresh();
+    } else if (events.length > 0) {
+      refresh(false);
+    }
+  });
+
+  if (!info) return null;
+
+  const link = referralLink(account);
+  const players = referred ? referred.players : [];
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(link);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Copy failed:', err);
+    }
+  };
+
+  const send = async (functionName, args, successText) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const txResponse = await sendTransaction({
+        to: CONTRACT_ADDRESS,
+        value: 0n,
+        data: encodeCall(functionName, args)
+      });
+      await txResponse.wait(1);
+      setMessage({ ok: true, text: successText });
+      await refresh();
+    } catch (err) {
+      console.error('Referral transaction failed:', err);
+      const decoded = await decodeContractError(err);
+      setMessage({ ok: false, text: decoded.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const dismissInvite = () => {
+    clearPendingReferrer();
+    setPendingReferrer(null);
+  };
+
+  return (
+    <div className="bg-gray-800/50 backdrop-blur-sm rounded-2xl p-6 border border-purple-800/30">
+      <h3 className="text-xl font-bold mb-4">Refer Friends</h3>
+
+      {pendingReferrer && (
+        <div className="mb-4 bg-purple-500/20 border border-purple-500 rounded-lg p-3 text-sm">
+          <div>
+            You were invited by <span className="font-mono">{shortenAddress(pendingReferrer)}</span>.
+            Accept to credit them with a share of your stakes. It costs you nothing and can only be set once.
+          </div>
+          <div className="flex gap-2 mt-2">
+            <button
+              onClick={() => send('setReferrer', [pendingReferrer], 'Referrer saved.')}
+              disabled={busy || !isInitialized}
+              className="px-4 py-1 rounded-lg font-bold bg-purple-600 hover:bg-purple-700 disabled:bg-gray-700 disabled:cursor-not-allowed transition-colors"
+            >
+              Accept invite
+            </button>
+            <button onClick={dismissInvite} className="px-4 py-1 rounded-lg text-gray-400 hover:text-white">
+              Dismiss
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="text-sm text-gray-400 mb-1">Your share link</div>
+      <div className="flex gap-2">
+        <input
+          readOnly
+          value={link}
+          onFocus={(e) => e.target.select()}
+          className="flex-1 min-w-0 px-3 py-2 rounded-lg bg-gray-700/50 border border-gray-600 text-xs font-mono outline-none"
+        />
+        <button
+          onClick={copyLink}
+          className="px-4 py-2 rounded-lg font-bold bg-purple-600 hover:bg-purple-700 transition-colors"
+        >
+          {copied ? 'Copied' : 'Copy'}
+        </button>
+      </div>
+      <div className="text-xs text-gray-500 mt-1">
+        {info.sharePercent > 0
+          ? `You earn ${info.sharePercent}% of every stake placed by players who join through your link.`
+          : 'Referral rewards are currently switched off.'}
+      </div>
+
+      <div className="mt-4 space-y-2 text-sm">
+        <div className="flex justify-between">
+          <span className="text-gray-400">Referred players</span>
+          <span className="font-bold">{info.referredCount}</span>
+        </div>
+        <div className="flex justify-between">
+          <span className="text-gray-400">Earned in total</span>
+          <span className="font-bold">{formatPC(info.accrued)} PC</span>
+        </div>
+        <div className="flex justify-between">
+          <span className="text-gray-400">Claimed</span>
+          <span className="font-bold">{formatPC(info.claimed)} PC</span>
+        </div>
+        <div className="flex justify-between">
+          <span className="text-gray-400">Ready to claim</span>
+          <span className="font-bold text-green-400">{formatPC(info.claimable)} PC</span>
+        </div>
+      </div>
+
+      <button
+        onClick={() => send('claimReferralEarnings', [], 'Referral earnings sent to your wallet.')}
+        disabled={busy || !isInitialized || info.claimable <= 0}
+        className="w-full mt-4 px-6 py-2 rounded-lg font-bold bg-green-600 hover:bg-green-700 disabled:bg-gray-700 disabled:cursor-not-allowed transition-colors"
+      >
+        {busy ? 'Confirming...' : 'Claim earnings'}
+      </button>
+
+      {message && (
+        <div className={`text-sm mt-2 ${message.ok ? 'text-green-400' : 'text-red-300'}`}>{message.text}</div>
+      )}
+
+      {players.length > 0 && (
+        <div className="mt-4 pt-4 border-t border-gray-700">
+          <div className="text-xs text-gray-400 mb-1">Players you referred</div>
+          <ul className="space-y-1 text-xs">
+            {players.slice(0, VISIBLE_REFERRED).map(entry => (
+              <li key={entry.player} className="flex justify-between gap-3">
+                <span className="font-mono text-gray-300">{shortenAddress(entry.player)}</span>
+                <span className="text-gray-500">block {entry.blockNumber}</span>
+              </li>
+            ))}
+          </ul>
+          {players.length > VISIBLE_REFERRED && (
+            <div className="text-xs text-gray-500 mt-1">and {players.length - VISIBLE_REFERRED} more</div>
+          )}
+        </div>
+      )}
+
+      {info.referrer && (
+        <div className="mt-4 text-xs text-gray-500">
+          You were referred by <span className="font-mono">{shortenAddress(info.referrer)}</span>.
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReferralPanel;
@@ -0,0 +1,244 @@
+import React, { useState } from 'react';
+
+import { ethers } from 'ethers';
+
+import ConfirmDialog from './ConfirmDialog';
+import useWallet from '../hooks/useWallet';
+import { CONTRACT_ADDRESS } from '../contracts/roulette';
+import { encodeCall } from '../utils/chain';
+import { decodeContractError } from '../utils/contractErrors';
+import { formatPC } from '../utils/prizeTable';
+import { isSelfExcluded, nextDailyReset } from '../utils/playerLimits';
+
+const DAY = 24 * 60 * 60;
+
+const EXCLUSION_PERIODS = [
+  { label: '24 hours', seconds: DAY },
+  { label: '7 days', seconds: 7 * DAY },
+  { label: '30 days', seconds: 30 * DAY },
+  { label: '6 months', seconds: 182 * DAY },
+  { label: '1 year', seconds: 365 * DAY },
+  { label: '5 years', seconds: 5 * 365 * DAY }
+];
+
+const formatTime = (timestamp) => new Date(timestamp * 1000).toLocaleString();
+
+// How much of one limit is used, and any looser value still waiting out the delay
+const LimitUsage = ({ label, used, limit, pending, resetNote }) => {
+  const reached = limit !== null && used >= limit - 1e-9;
+  return (
+    <div>
+      <div className="flex justify-between text-sm">
+        <span className="text-gray-400">{label}</span>
+        <span className={`font-bold ${reached ? 'text-red-400' : ''}`}>
+          {limit === null ? 'No limit' : `${formatPC(used)} / ${formatPC(limit)} PC`}
+        </span>
+      </div>
+      {limit !== null && (
+        <div className="h-2 mt-1 bg-gray-700 rounded-full overflow-hidden">
+          <div
+            className={`h-full ${reached ? 'bg-red-500' : 'bg-gradient-to-r from-purple-500 to-pink-500'}`}
+            style={{ width: `${Math.min(100, (used / limit) * 100)}%` }}
+          />
+        </div>
+      )}
+      {reached && <div className="text-xs text-red-400 mt-1">Limit reached. {resetNote}</div>}
+      {pending && (
+        <div className="text-xs text-gray-500 mt-1">
+          {pending.limit === null ? 'Removed' : `Rises to ${formatPC(pending.limit)} PC`} on {formatTime(pending.at)}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const LimitInput = ({ label, value, onChange, onSave, disabled }) => (
+  <label className="block text-sm">
+    <span className="block text-gray-400 mb-1">{label}</span>
+    <div className="flex gap-2">
+      <input
+        type="number"
+        min="0"
+        step="any"
+        placeholder="No limit"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="flex-1 min-w-0 px-3 py-2 rounded-lg bg-gray-700/50 border border-gray-600 outline-none focus:border-purple-500"
+      />
+      <button
+        onClick={onSave}
+        disabled={disabled}
+        className="px-4 py-2 rounded-lg font-bold bg-purple-600 hover:bg-purple-700 disabled:bg-gray-700 disabled:cursor-not-allowed transition-colors"
+      >
+        Save
+      </button>
+    </div>
+  </label>
+);
+
+// The player's own spend and loss limits and self-exclusion, enforced by the contract
+const ResponsibleGamingPanel = ({ limits, onChange }) => {
+  const { isInitialized, sendTransaction } = useWallet();
+
+  const [editing, setEditing] = useState(false);
+  const [dailyInput, setDailyInput] = useState('');
+  const [sessionInput, setSessionInput] = useState('');
+  const [exclusion, setExclusion] = useState(EXCLUSION_PERIODS[0]);
+  const [confirmExclusion, setConfirmExclusion] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  if (!limits) return null;
+
+  const now = Math.floor(Date.now() / 1000);
+  const excluded = isSelfExcluded(limits, now);
+  const delayHours = Math.round(limits.increaseDelay / 3600);
+
+  const send = async (functionName, args, successText) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const txResponse = await sendTransaction({
+        to: CONTRACT_ADDRESS,
+        value: 0n,
+        data: encodeCall(functionName, args)
+      });
+      await txResponse.wait(1);
+      setMessage({ ok: true, text: successText });
+      if (onChange) onChange();
+    } catch (err) {
+      console.error('Limit update failed:', err);
+      const decoded = await decodeContractError(err);
+      setMessage({ ok: false, text: decoded.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Blank means no limit; the contract takes 0 for that
+  const saveLimit = (functionName, input, current) => {
+    let amount;
+    try {
+      amount = parseFloat(input) > 0 ? ethers.parseEther(input.trim()) : 0n;
+    } catch (err) {
+      setMessage({ ok: false, text: 'Enter the limit as a plain PC amount, e.g. 0.5.' });
+      return;
+    }
+    // Same rule as _setLimit: only a looser limit waits out the delay
+    const value = parseFloat(ethers.formatEther(amount));
+    const immediate = value === (current || 0) || (value > 0 && (current === null || value < current));
+    send(
+      functionName,
+      [amount],
+      immediate ? 'Limit updated.' : `Limit change saved. It applies in ${delayHours} hours.`
+    );
+  };
+
+  const handleExclude = () => {
+    setConfirmExclusion(false);
+    send('selfExclude', [exclusion.seconds], `You are self-excluded for ${exclusion.label}.`);
+  };
+
+  return (
+    <div className="bg-gray-800/50 backdrop-blur-sm rounded-2xl p-6 border border-purple-800/30">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-bold">Responsible Gaming</h3>
+        {!excluded && (
+          <button
+            onClick={() => setEditing(prev => !prev)}
+            className="text-sm text-purple-400 hover:text-purple-300"
+          >
+            {editing ? 'Done' : 'Manage limits'}
+          </button>
+        )}
+      </div>
+
+      {excluded ? (
+        <div className="bg-red-500/20 border border-red-500 rounded-lg p-4 text-sm text-red-300">
+          You are self-excluded until {formatTime(limits.excludedUntil)}. New spins are blocked until then.
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <LimitUsage
+            label="Spent today"
+            used={limits.spentToday}
+            limit={limits.dailyLimit}
+            pending={limits.pendingDailyLimit}
+            resetNote={`Resets at ${formatTime(nextDailyReset(now))}.`}
+          />
+          <LimitUsage
+            label="Session loss"
+            used={limits.sessionLoss}
+            limit={limits.sessionLossLimit}
+            pending={limits.pendingSessionLossLimit}
+            resetNote={limits.sessionEndsAt ? `A new session starts at ${formatTime(limits.sessionEndsAt)}.` : ''}
+          />
+        </div>
+      )}
+
+      {editing && !excluded && (
+        <div className="mt-6 pt-4 border-t border-gray-700 space-y-4">
+          <p className="text-xs text-gray-400">
+            Lower limits apply at once. Raising or removing a limit takes effect after {delayHours} hours.
+            Leave a field blank for no limit.
+          </p>
+          <LimitInput
+            label="Daily spend limit (PC)"
+            value={dailyInput}
+            onChange={setDailyInput}
+            onSave={() => saveLimit('setDailyLimit', dailyInput, limits.dailyLimit)}
+            disabled={busy || !isInitialized}
+          />
+          <LimitInput
+            label="Session loss limit (PC)"
+            value={sessionInput}
+            onChange={setSessionInput}
+            onSave={() => saveLimit('setSessionLossLimit', sessionInput, limits.sessionLossLimit)}
+            disabled={busy || !isInitialized}
+          />
+          <div className="text-sm">
+            <span className="block text-gray-400 mb-1">Take a break</span>
+            <div className="flex gap-2">
+              <select
+                value={exclusion.seconds}
+                onChange={(e) => setExclusion(EXCLUSION_PERIODS.find(p => p.seconds === Number(e.target.value)))}
+                className="flex-1 px-3 py-2 rounded-lg bg-gray-700/50 border border-gray-600"
+              >
+                {EXCLUSION_PERIODS.map(period => (
+                  <option key={period.seconds} value={period.seconds} className="bg-gray-800">{period.label}</option>
+                ))}
+              </select>
+              <button
+                onClick={() => setConfirmExclusion(true)}
+                disabled={busy || !isInitialized}
+                className="px-4 py-2 rounded-lg font-bold bg-red-700 hover:bg-red-600 disabled:bg-gray-700 disabled:cursor-not-allowed transition-colors"
+              >
+                Self-exclude
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {busy && <div className="mt-4 text-sm text-gray-400">Waiting for confirmation...</div>}
+      {message && (
+        <div className={`mt-4 text-sm ${message.ok ? 'text-green-400' : 'text-red-400'}`}>{message.text}</div>
+      )}
+
+      {confirmExclusion && (
+        <ConfirmDialog
+          title={`Self-exclude for ${exclusion.label}?`}
+          confirmLabel="Exclude me"
+          danger
+          onConfirm={handleExclude}
+          onCancel={() => setConfirmExclusion(false)}
+        >
+          <p>You won't be able to place any spins from this address until {formatTime(now + exclusion.seconds)}.</p>
+          <p>This can't be undone or shortened, only extended. A secure spin you already committed can still be revealed.</p>
+        </ConfirmDialog>
+      )}
+    </div>
+  );
+};
+
+export default ResponsibleGamingPanel;
@@ -0,0 +1,404 @@
+import React, { useState, useCallback } from 'react';
+
+import { ethers } from 'ethers';
+
+import EuropeanWheel from './EuropeanWheel';
+import TxLink from './TxLink';
+import useWallet from '../hooks/useWallet';
+import { CONTRACT_ADDRESS, ROULETTE_ABI } from '../contracts/roulette';
+import { encodeCall, findEvent } from '../utils/chain';
+import { decodeContractError } from '../utils/contractErrors';
+import { formatPC, stakePresets } from '../utils/prizeTable';
+import { limitBlockedReason } from '../utils/playerLimits';
+import {
+  BET_TYPES,
+  MAX_TABLE_BETS,
+  WHEEL_ORDER,
+  numberColor,
+  coveredNumbers,
+  payoutOdds,
+  describeBet,
+  worstCasePayout,
+} from '../utils/rouletteTable';
+
+const INSIDE_BET_MODES = [
+  { id: 'straight', label: 'Straight' },
+  { id: 'splitH', label: 'Split →' },
+  { id: 'splitV', label: 'Split ↓' },
+  { id: 'street', label: 'Street' },
+  { id: 'corner', label: 'Corner' }
+];
+
+// Board cell clicked in the current inside-bet mode -> bet placed
+const insideBetFor = (mode, n) => {
+  switch (mode) {
+    case 'splitH':
+      return { betType: BET_TYPES.SPLIT_HORIZONTAL, number: n };
+    case 'splitV':
+      return { betType: BET_TYPES.SPLIT_VERTICAL, number: n };
+    case 'street':
+      return { betType: BET_TYPES.STREET, number: n - ((n - 1) % 3) };
+    case 'corner':
+      return { betType: BET_TYPES.CORNER, number: n };
+    default:
+      return { betType: BET_TYPES.STRAIGHT, number: n };
+  }
+};
+
+const CELL_COLORS = {
+  green: 'bg-green-700 hover:bg-green-600',
+  red: 'bg-red-700 hover:bg-red-600',
+  black: 'bg-gray-900 hover:bg-gray-800'
+};
+
+// Top row of the layout is 3, 6, ..., 36; bottom row is 1, 4, ..., 34
+const BOARD_ROWS = [3, 2, 1].map(offset =>
+  Array.from({ length: 12 }, (_, column) => column * 3 + offset)
+);
+
+const OUTSIDE_BETS = [
+  { betType: BET_TYPES.LOW, number: 0, label: '1-18' },
+  { betType: BET_TYPES.EVEN, number: 0, label: 'Even' },
+  { betType: BET_TYPES.RED, number: 0, label: 'Red', className: 'bg-red-700 hover:bg-red-600' },
+  { betType: BET_TYPES.BLACK, number: 0, label: 'Black', className: 'bg-gray-900 hover:bg-gray-800' },
+  { betType: BET_TYPES.ODD, number: 0, label: 'Odd' },
+  { betType: BET_TYPES.HIGH, number: 0, label: '19-36' }
+];
+
+const sameBet = (a, b) => a.betType === b.betType && a.number === b.number;
+
+// European roulette game: betting table, bet slip and a 37-pocket wheel
+const RouletteTable = ({ account, balance, prizeTable, gameStats, playerLimits, cooldownRemaining, onSpinComplete }) => {
+  const { isInitialized, sendTransaction } = useWallet();
+
+  const [bets, setBets] = useState([]);
+  const [chip, setChip] = useState(prizeTable.minBet);
+  const [insideMode, setInsideMode] = useState('straight');
+  const [isSpinning, setIsSpinning] = useState(false);
+  const [wheelTarget, setWheelTarget] = useState(null);
+  const [pendingResult, setPendingResult] = useState(null);
+  const [result, setResult] = useState(null);
+  const [unknownResult, setUnknownResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [walletNotice, setWalletNotice] = useState(null);
+
+  const totalBet = bets.reduce((sum, bet) => sum + parseFloat(bet.amount), 0);
+  const maxPayout = worstCasePayout(bets);
+
+  const addBet = (bet) => {
+    if (isSpinning) return;
+    if (!coveredNumbers(bet)) {
+      setError(`That ${INSIDE_BET_MODES.find(m => m.id === insideMode).label} bet isn't on the table.`);
+      return;
+    }
+    const existing = bets.find(b => sameBet(b, bet));
+    if (!existing && bets.length >= MAX_TABLE_BETS) {
+      setError(`You can place up to ${MAX_TABLE_BETS} bets per spin.`);
+      return;
+    }
+    setError(null);
+    setBets(existing
+      ? bets.map(b => (b === existing ? { ...b, amount: formatPC(parseFloat(b.amount) + parseFloat(chip)) } : b))
+      : [...bets, { ...bet, amount: chip }]);
+  };
+
+  const removeBet = (bet) => setBets(prev => prev.filter(b => !sameBet(b, bet)));
+
+  const betOn = (bet) => bets.find(b => sameBet(b, bet));
+
+  // Why the contract would reject these bets right now, if anything
+  const blockedReason = (() => {
+    if (bets.length === 0) return 'Place at least one bet.';
+    if (totalBet < parseFloat(prizeTable.minBet) || totalBet > parseFloat(prizeTable.maxBet)) {
+      return `Total stake must be between ${prizeTable.minBet} and ${prizeTable.maxBet} PC.`;
+    }
+    if (maxPayout > parseFloat(prizeTable.maxPrize)) {
+      return `These bets could pay ${formatPC(maxPayout)} PC, above the ${prizeTable.maxPrize} PC limit per spin.`;
+    }
+    const limitReason = limitBlockedReason(playerLimits, totalBet, Math.floor(Date.now() / 1000));
+    if (limitReason) return limitReason;
+    if (!gameStats) return null;
+    if (gameStats.isPaused) return 'The game is paused by the operator.';
+    if (gameStats.houseBalance < maxPayout) {
+      return 'The house balance is too low to cover these bets. Try smaller bets.';
+    }
+    if (cooldownRemaining > 0) return `You can spin again in ${cooldownRemaining}s.`;
+    return null;
+  })();
+
+  const handleWheelSettled = useCallback(() => {
+    setIsSpinning(false);
+    setWheelTarget(null);
+    setResult(pendingResult);
+    setPendingResult(null);
+    if (onSpinComplete) onSpinComplete();
+  }, [pendingResult, onSpinComplete]);
+
+  const handleSpin = async () => {
+    if (isSpinning || !account || !isInitialized || blockedReason) return;
+
+    if (parseFloat(balance) < totalBet) {
+      setError(`Insufficient balance! These bets need ${formatPC(totalBet)} PC.`);
+      return;
+    }
+
+    setIsSpinning(true);
+    setResult(null);
+    setUnknownResult(null);
+    setError(null);
+    setWalletNotice(null);
+
+    try {
+      const txBets = bets.map(bet => ({
+        betType: bet.betType,
+        number: bet.number,
+        amount: ethers.parseEther(bet.amount)
+      }));
+      const value = txBets.reduce((sum, bet) => sum + bet.amount, 0n);
+
+      const txResponse = await sendTransaction({
+        to: CONTRACT_ADDRESS,
+        value,
+        data: encodeCall('spinTable', [txBets])
+      });
+      const txReceipt = await txResponse.wait(1);
+
+      let settled = null;
+      let pendingClaim = null;
+      try {
+        settled = await findEvent(txReceipt, ROULETTE_ABI, 'TableSpin');
+        pendingClaim = await findEvent(txReceipt, ROULETTE_ABI, 'PrizePendingClaim');
+      } catch (parseError) {
+        console.error('Failed to decode table result:', parseError);
+      }
+
+      if (!settled) {
+        setIsSpinning(false);
+        setUnknownResult({ txHash: txResponse.hash });
+        if (onSpinComplete) onSpinComplete();
+        return;
+      }
+
+      const pocket = Number(settled.args.result);
+      setPendingResult({
+        pocket,
+        payout: parseFloat(ethers.formatEther(settled.args.payout)),
+        totalBet: parseFloat(ethers.formatEther(settled.args.totalBet)),
+        pendingClaim: !!pendingClaim
+      });
+      setWheelTarget(WHEEL_ORDER.indexOf(pocket));
+    } catch (err) {
+      console.error('Transaction failed:', err);
+      setIsSpinning(false);
+      const decoded = await decodeContractError(err);
+      if (decoded.kind === 'rejected') {
+        setWalletNotice(decoded.message);
+      } else {
+        setError(decoded.message);
+      }
+      // Refreshing stats picks up the cooldown or pause that caused the revert
+      if (decoded.kind === 'revert' && onSpinComplete) onSpinComplete();
+    }
+  };
+
+  const renderChip = (bet) => {
+    const placed = betOn(bet);
+    return placed ? (
+      <span className="absolute -top-1 -right-1 px-1 rounded-full bg-yellow-400 text-gray-900 text-[10px] font-bold">
+        {placed.amount}
+      </span>
+    ) : null;
+  };
+
+  return (
+    <div className="bg-gray-800/50 backdrop-blur-sm rounded-2xl p-8 border border-purple-800/30">
+      <EuropeanWheel isSpinning={isSpinning} targetIndex={wheelTarget} onSettled={handleWheelSettled} />
+
+      {result && (
+        <div className="mt-6 text-center">
+          <div className={`inline-block px-6 py-3 rounded-xl ${
+            result.payout > 0 ? 'bg-gradient-to-r from-green-500 to-emerald-500' : 'bg-gray-700'
+          }`}>
+            <div className="text-xl font-bold">
+              {result.pocket} {numberColor(result.pocket) !== 'green' && numberColor(result.pocket)}
+            </div>
+            {result.payout > 0 ? (
+              <>
+                <div className="text-3xl font-bold mt-1">+{formatPC(result.payout)} PC</div>
+                {result.pendingClaim && <div className="text-sm font-bold mt-1">Prize pending claim</div>}
+              </>
+            ) : (
+              <div className="text-lg mt-1">No winning bets this time</div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {unknownResult && (
+        <div className="mt-6 bg-yellow-500/20 border border-yellow-500 rounded-lg p-4 text-center text-yellow-300">
+          <div className="font-bold">Unknown result, check transaction</div>
+          <TxLink
+            txHash={unknownResult.txHash}
+            className="text-xs underline break-all"
+          >
+            {unknownResult.txHash}
+          </TxLink>
+        </div>
+      )}
+
+      {error && (
+        <div className="mt-6 bg-red-500/20 border border-red-500 rounded-lg p-4 text-center text-red-400">
+          {error}
+        </div>
+      )}
+
+      {walletNotice && (
+        <div className="mt-6 bg-gray-700/50 border border-gray-600 rounded-lg p-4 text-center text-gray-300">
+          {walletNotice}
+        </div>
+      )}
+
+      <div className="mt-8 flex flex-wrap justify-between gap-4">
+        <div className="flex flex-wrap gap-2">
+          {stakePresets(prizeTable.minBet, prizeTable.maxBet).map(value => (
+            <button
+              key={value}
+              onClick={() => setChip(value)}
+              className={`px-3 py-1 rounded-full text-sm font-bold transition-colors ${
+                chip === value ? 'bg-yellow-400 text-gray-900' : 'bg-gray-700/50 text-gray-300 hover:bg-gray-700'
+              }`}
+            >
+              {value} PC
+            </button>
+          ))}
+        </div>
+        <div className="flex flex-wrap gap-1">
+          {INSIDE_BET_MODES.map(mode => (
+            <button
+              key={mode.id}
+              onClick={() => setInsideMode(mode.id)}
+              className={`px-2 py-1 rounded text-xs transition-colors ${
+                insideMode === mode.id ? 'bg-purple-600' : 'bg-gray-700 hover:bg-gray-600'
+              }`}
+            >
+              {mode.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="mt-4 overflow-x-auto">
+        <div className="grid gap-1 min-w-[36rem]" style={{ gridTemplateColumns: 'repeat(14, minmax(0, 1fr))' }}>
+          <button
+            onClick={() => addBet({ betType: BET_TYPES.STRAIGHT, number: 0 })}
+            className={`relative row-span-3 rounded font-bold ${CELL_COLORS.green}`}
+          >
+            0
+            {renderChip({ betType: BET_TYPES.STRAIGHT, number: 0 })}
+          </button>
+          {BOARD_ROWS.map((row, rowIndex) => (
+            <React.Fragment key={rowIndex}>
+              {row.map(n => (
+                <button
+                  key={n}
+                  onClick={() => addBet(insideBetFor(insideMode, n))}
+                  className={`relative py-2 rounded text-sm font-bold ${CELL_COLORS[numberColor(n)]}`}
+                  style={{ gridRow: rowIndex + 1 }}
+                >
+                  {n}
+                  {insideMode === 'straight' && renderChip({ betType: BET_TYPES.STRAIGHT, number: n })}
+                </button>
+              ))}
+              <button
+                onClick={() => addBet({ betType: BET_TYPES.COLUMN, number: 3 - rowIndex })}
+                className="relative rounded text-xs bg-gray-700 hover:bg-gray-600"
+                style={{ gridRow: rowIndex + 1 }}
+              >
+                2:1
+                {renderChip({ betType: BET_TYPES.COLUMN, number: 3 - rowIndex })}
+              </button>
+            </React.Fragment>
+          ))}
+          <div />
+          {[1, 2, 3].map(dozen => (
+            <button
+              key={dozen}
+              onClick={() => addBet({ betType: BET_TYPES.DOZEN, number: dozen })}
+              className="relative col-span-4 py-2 rounded text-sm bg-gray-700 hover:bg-gray-600"
+            >
+              {`${12 * (dozen - 1) + 1}-${12 * dozen}`}
+              {renderChip({ betType: BET_TYPES.DOZEN, number: dozen })}
+            </button>
+          ))}
+          <div />
+          <div />
+          {OUTSIDE_BETS.map(bet => (
+            <button
+              key={bet.betType}
+              onClick={() => addBet(bet)}
+              className={`relative col-span-2 py-2 rounded text-sm ${bet.className || 'bg-gray-700 hover:bg-gray-600'}`}
+            >
+              {bet.label}
+              {renderChip(bet)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="mt-6 bg-gray-900/50 rounded-xl p-4">
+        <div className="flex justify-between items-center mb-3">
+          <h4 className="font-bold">Bet Slip</h4>
+          {bets.length > 0 && !isSpinning && (
+            <button onClick={() => setBets([])} className="text-xs text-gray-400 hover:text-white">
+              Clear
+            </button>
+          )}
+        </div>
+        {bets.length === 0 ? (
+          <div className="text-sm text-gray-500">Pick a chip and click the table to place bets.</div>
+        ) : (
+          <div className="space-y-1">
+            {bets.map(bet => (
+              <div key={`${bet.betType}-${bet.number}`} className="flex justify-between items-center text-sm">
+                <span>{describeBet(bet)} <span className="text-gray-500">({payoutOdds(bet)}:1)</span></span>
+                <span className="flex items-center gap-2">
+                  <span className="font-bold">{bet.amount} PC</span>
+                  {!isSpinning && (
+                    <button onClick={() => removeBet(bet)} className="text-gray-500 hover:text-red-400">✕</button>
+                  )}
+                </span>
+              </div>
+            ))}
+            <div className="flex justify-between border-t border-gray-700 pt-2 mt-2 text-sm">
+              <span className="text-gray-400">Total stake</span>
+              <span className="font-bold">{formatPC(totalBet)} PC</span>
+            </div>
+            <div className="flex justify-between text-sm">
+              <span className="text-gray-400">Best possible return</span>
+              <span className="font-bold text-green-400">{formatPC(maxPayout)} PC</span>
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="mt-6 text-center">
+        <button
+          onClick={handleSpin}
+          disabled={isSpinning || !isInitialized || !!blockedReason}
+          className={`px-12 py-4 rounded-xl font-bold text-xl transition-all ${
+            isSpinning || !isInitialized || blockedReason
+              ? 'bg-gray-700 cursor-not-allowed'
+              : 'bg-gradient-to-r from-purple-600 to-pink-600 hover:from-purple-700 hover:to-pink-700 shadow-lg hover:shadow-purple-500/50 hover:scale-105'
+          }`}
+        >
+          {isSpinning ? 'Spinning...' : `Spin (${formatPC(totalBet)} PC)`}
+        </button>
+        {blockedReason && !isSpinning && (
+          <div className="mt-3 text-sm text-yellow-400">{blockedReason}</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RouletteTable;
@@ -0,0 +1,191 @@
+import React, { useState, useMemo } from 'react';
+
+import { ethers } from 'ethers';
+
+import useSpinLog from '../hooks/useSpinLog';
+import { ALL_PLAYERS, MAX_GLOBAL_SPINS, isPcSpin } from '../utils/spinHistory';
+import { formatPC } from '../utils/prizeTable';
+import { analyzeSpins, spinsSinceTableUpdate, thinSeries, DRIFT_THRESHOLD } from '../utils/analytics.mjs';
+
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 120;
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+const signed = (value) => `${value >= 0 ? '+' : ''}${formatPC(value)}`;
+
+// Running P/L after every spin, with the break-even line
+const PnlChart = ({ points }) => {
+  const values = [0, ...points.map(point => point.pnl)];
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const range = max - min || 1;
+  const x = (index) => (points.length > 1 ? (index / (points.length - 1)) * CHART_WIDTH : CHART_WIDTH / 2);
+  const y = (value) => CHART_HEIGHT - ((value - min) / range) * CHART_HEIGHT;
+  const last = points[points.length - 1].pnl;
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-32 bg-gray-900/60 rounded" preserveAspectRatio="none">
+        <line x1="0" x2={CHART_WIDTH} y1={y(0)} y2={y(0)} stroke="#6b7280" strokeDasharray="4 4" strokeWidth="1" />
+        <polyline
+          fill="none"
+          stroke={last >= 0 ? '#4ade80' : '#f87171'}
+          strokeWidth="2"
+          vectorEffect="non-scaling-stroke"
+          points={points.map((point, index) => `${x(index)},${y(point.pnl)}`).join(' ')}
+        />
+      </svg>
+      <div className="flex justify-between text-xs text-gray-500 mt-1">
+        <span>spin 1</span>
+        <span>high {signed(max)} • low {signed(min)}</span>
+        <span>spin {points[points.length - 1].spin}</span>
+      </div>
+    </div>
+  );
+};
+
+// Actual vs theoretical returns for the player or the whole contract
+// Only PC prize wheel spins are analysed: table rounds have other odds and token wheels other tables,
+// and spins from before the last prize table change were played with other odds too
+const SessionAnalytics = ({ account, prizeTable, refreshKey }) => {
+  const [scope, setScope] = useState('you');
+  const { spins, truncated, scanPercent, syncError } = useSpinLog(scope === 'all' ? ALL_PLAYERS : account, refreshKey);
+
+  // The log is newest first; the analysis runs in spin order
+  const analysis = useMemo(() => {
+    if (!prizeTable) return null;
+    const wheelSpins = spins.filter(spin => spin.game === 'wheel' && isPcSpin(spin));
+    const { spins: current, excluded } = spinsSinceTableUpdate(wheelSpins, prizeTable.updatedAtBlock);
+    return { ...analyzeSpins(ethers, current.reverse(), prizeTable), excluded };
+  }, [spins, prizeTable]);
+  const chartPoints = useMemo(() => (analysis ? thinSeries(analysis.pnl) : []), [analysis]);
+
+  return (
+    <div className="bg-gray-800/50 backdrop-blur-sm rounded-2xl p-6 border border-purple-800/30">
+      <div className="flex justify-between items-center mb-4">
+        <div>
+          <h3 className="text-xl font-bold">Analytics</h3>
+          <div className="text-xs text-gray-500">PC prize wheel spins</div>
+        </div>
+        <div className="flex gap-1">
+          {[
+            { id: 'you', label: 'You' },
+            { id: 'all', label: 'All players' }
+          ].map(item => (
+            <button
+              key={item.id}
+              onClick={() => setScope(item.id)}
+              className={`px-2 py-1 text-xs rounded transition-colors ${
+                scope === item.id ? 'bg-purple-600' : 'bg-gray-700 hover:bg-gray-600'
+              }`}
+            >
+              {item.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {scanPercent !== null && (
+        <div className="text-xs text-gray-500 mb-3">Scanning blocks... {scanPercent}%</div>
+      )}
+      {syncError && (
+        <div className="mb-3 text-xs text-red-400">{syncError}</div>
+      )}
+
+      {!analysis ? (
+        <div className="text-center text-gray-400 py-6">Loading prize table...</div>
+      ) : analysis.spins === 0 ? (
+        <div className="text-center text-gray-400 py-6">
+          No PC prize wheel spins {analysis.excluded > 0 ? 'since the prize table last changed' : 'yet'}.
+        </div>
+      ) : (
+        <div className="space-y-4 text-sm">
+          <div className="grid grid-cols-2 gap-3">
+            <div className="bg-gray-700/40 rounded-lg p-3">
+              <div className="text-xs text-gray-400">Actual RTP</div>
+              <div className={`text-xl font-bold ${analysis.rtpDrift ? 'text-yellow-400' : ''}`}>
+                {percent(analysis.actualRtp)}
+              </div>
+              <div className="text-xs text-gray-500">theoretical {percent(analysis.theoreticalRtp)}</div>
+            </div>
+            <div className="bg-gray-700/40 rounded-lg p-3">
+              <div className="text-xs text-gray-400">Net P/L</div>
+              <div className={`text-xl font-bold ${analysis.net >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                {signed(analysis.net)} PC
+              </div>
+              <div className="text-xs text-gray-500">{analysis.spins} spins • {formatPC(analysis.wagered)} PC staked</div>
+            </div>
+            <div className="bg-gray-700/40 rounded-lg p-3" title="Standard deviation of a single spin's return, as a multiple of the stake">
+              <div className="text-xs text-gray-400">Volatility per spin</div>
+              <div className="text-xl font-bold">{analysis.standardDeviation.toFixed(2)}x</div>
+              <div className="text-xs text-gray-500">theoretical {analysis.theoreticalStandardDeviation.toFixed(2)}x</div>
+            </div>
+            <div className="bg-gray-700/40 rounded-lg p-3" title="Spins in a row that paid back less than the stake">
+              <div className="text-xs text-gray-400">Longest losing streak</div>
+              <div className="text-xl font-bold">{analysis.longestLosingStreak}</div>
+              <div className="text-xs text-gray-500">current {analysis.currentLosingStreak}</div>
+            </div>
+          </div>
+
+          {analysis.rtpDrift && (
+            <div className="text-xs text-yellow-400">
+              Returns are {Math.abs(analysis.rtpDeviation).toFixed(1)} standard deviations from the prize table odds.
+            </div>
+          )}
+
+          <div>
+            <h4 className="font-bold mb-2 text-gray-300">
+              {scope === 'all' ? "Players' running P/L" : 'Running P/L'}
+            </h4>
+            <PnlChart points={chartPoints} />
+          </div>
+
+          <div>
+            <h4 className="font-bold mb-2 text-gray-300">Prize tier hits</h4>
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-gray-500 text-left">
+                  <th className="font-normal pb-1">Tier</th>
+                  <th className="font-normal pb-1 text-right">Hits</th>
+                  <th className="font-normal pb-1 text-right">Actual</th>
+                  <th className="font-normal pb-1 text-right">Expected</th>
+                </tr>
+              </thead>
+              <tbody>
+                {analysis.tiers.map((tier, index) => (
+                  <tr
+                    key={index}
+                    className={tier.drift ? 'text-yellow-400' : 'text-gray-300'}
+                    title={`${tier.deviation.toFixed(1)} standard deviations from ${tier.expectedHits.toFixed(1)} expected hits`}
+                  >
+                    <td className="py-0.5">{tier.multiplier}x</td>
+                    <td className="py-0.5 text-right">{tier.hits}</td>
+                    <td className="py-0.5 text-right">{tier.hitRate.toFixed(1)}%</td>
+                    <td className="py-0.5 text-right">{tier.probability.toFixed(1)}%</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="text-xs text-gray-500 mt-2">
+              Spins are sorted into tiers with the contract's thresholds and the current prize table.
+              Highlighted tiers are more than {DRIFT_THRESHOLD} standard deviations off.
+              {analysis.excluded > 0 &&
+                ` ${analysis.excluded} earlier spin${analysis.excluded === 1 ? '' : 's'} from before the last prize table change ${analysis.excluded === 1 ? 'is' : 'are'} left out.`}
+              {truncated && ` Only the latest ${MAX_GLOBAL_SPINS.toLocaleString()} spins are included.`}
+            </div>
+          </div>
+
+          {analysis.mismatchedPayouts > 0 && (
+            <div className="text-xs text-red-400">
+              {analysis.mismatchedPayouts} payout{analysis.mismatchedPayouts === 1 ? '' : 's'} differ from what the
+              current prize table gives for the same roll.
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SessionAnalytics;
@@ -0,0 +1,180 @@
+import React, { useState, useEffect } from 'react';
+
+import { ethers } from 'ethers';
+
+import useSpinLog from '../hooks/useSpinLog';
+import TxLink from './TxLink';
+import { CONTRACT_ADDRESS } from '../contracts/roulette';
+import { getReadProvider } from '../utils/chain';
+import { verifySpin } from '../utils/fairness.mjs';
+import { GAME_LABELS, spinsToCsv, spinsToJson, downloadFile } from '../utils/spinHistory';
+
+const PAGE_LENGTH = 20;
+
+// Outcome of the fairness check for one spin
+const VerificationReport = ({ verification }) => {
+  if (verification.status === 'checking') {
+    return <div className="mt-2 text-xs text-gray-400">Checking against chain data...</div>;
+  }
+  if (verification.status === 'error') {
+    return <div className="mt-2 text-xs text-red-400">{verification.message}</div>;
+  }
+
+  const { report } = verification;
+  if (!report.verifiable) {
+    return <div className="mt-2 text-xs text-yellow-400">{report.reason}</div>;
+  }
+
+  return (
+    <div className="mt-2 bg-gray-900/60 rounded p-2 text-xs space-y-1">
+      <div className={`font-bold ${report.verified ? 'text-green-400' : 'text-red-400'}`}>
+        {report.verified ? '✓ Result verified' : '✗ Result does not match the contract rules'}
+      </div>
+      {report.checks.map(check => (
+        <div key={check.label} className={check.ok ? 'text-gray-400' : 'text-red-400'}>
+          {check.ok ? '✓' : '✗'} {check.label}
+        </div>
+      ))}
+      {!report.prizeTableAtReveal && (
+        <div className="text-gray-500">Checked against the current prize table (RPC has no historical state).</div>
+      )}
+      <details className="text-gray-500">
+        <summary className="cursor-pointer">Inputs</summary>
+        {Object.entries(report.inputs).map(([name, value]) => (
+          <div key={name} className="break-all">{name}: {value}</div>
+        ))}
+      </details>
+    </div>
+  );
+};
+
+// Full spin history for the connected player: prize wheel spins in every currency and table rounds
+const SpinHistory = ({ account, refreshKey }) => {
+  const { spins, lastBlock, scanPercent, syncError } = useSpinLog(account, refreshKey);
+  const [visibleCount, setVisibleCount] = useState(PAGE_LENGTH);
+  const [verifications, setVerifications] = useState({});
+
+  useEffect(() => {
+    setVisibleCount(PAGE_LENGTH);
+    setVerifications({});
+  }, [account]);
+
+  const handleVerify = async (spin) => {
+    setVerifications(prev => ({ ...prev, [spin.id]: { status: 'checking' } }));
+    try {
+      const provider = await getReadProvider();
+      const report = await verifySpin({ ethers, provider, contractAddress: CONTRACT_ADDRESS, txHash: spin.txHash });
+      setVerifications(prev => ({ ...prev, [spin.id]: { status: 'done', report } }));
+    } catch (err) {
+      console.error('Spin verification error:', err);
+      setVerifications(prev => ({
+        ...prev,
+        [spin.id]: { status: 'error', message: 'Could not load the chain data for this spin.' }
+      }));
+    }
+  };
+
+  const handleExport = (format) => {
+    const date = new Date().toISOString().slice(0, 10);
+    if (format === 'csv') {
+      downloadFile(`spins-${account}-${date}.csv`, spinsToCsv(spins), 'text/csv');
+    } else {
+      downloadFile(`spins-${account}-${date}.json`, spinsToJson(spins), 'application/json');
+    }
+  };
+
+  return (
+    <div className="bg-gray-800/50 backdrop-blur-sm rounded-2xl p-6 border border-purple-800/30">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-bold">Spin History</h3>
+        {spins.length > 0 && (
+          <div className="flex gap-2">
+            <button
+              onClick={() => handleExport('csv')}
+              className="px-2 py-1 text-xs rounded bg-gray-700 hover:bg-gray-600 transition-colors"
+            >
+              CSV
+            </button>
+            <button
+              onClick={() => handleExport('json')}
+              className="px-2 py-1 text-xs rounded bg-gray-700 hover:bg-gray-600 transition-colors"
+            >
+              JSON
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="text-xs text-gray-500 mb-3">
+        {scanPercent !== null
+          ? `Scanning blocks... ${scanPercent}%`
+          : lastBlock !== null
+            ? `${spins.length} spins • synced to block ${lastBlock}`
+            : 'Loading history...'}
+      </div>
+
+      {syncError && (
+        <div className="mb-3 text-xs text-red-400">{syncError}</div>
+      )}
+
+      <div className="space-y-2 max-h-96 overflow-y-auto">
+        {spins.length === 0 ? (
+          <div className="text-center text-gray-400 py-8">
+            <div className="text-5xl mb-2">🎰</div>
+            <p>No spins yet.</p>
+            <p className="text-sm">Try your luck!</p>
+          </div>
+        ) : (
+          spins.slice(0, visibleCount).map(spin => {
+            const won = parseFloat(spin.prizeAmount) > 0;
+            return (
+              <div key={spin.id} className="bg-gray-700/50 rounded-lg p-3 hover:bg-gray-700 transition-colors">
+                <div className="flex justify-between items-center">
+                  <span className={`font-bold ${won ? 'text-green-400' : 'text-gray-400'}`}>
+                    {won ? `+${spin.prizeAmount} ${spin.symbol}` : 'No win'}
+                  </span>
+                  <span className="text-xs text-gray-400">
+                    {new Date(spin.timestamp * 1000).toLocaleString()}
+                  </span>
+                </div>
+                <div className="flex justify-between text-xs text-gray-500 mt-1">
+                  <span>{GAME_LABELS[spin.game]} • bet {spin.betAmount} {spin.symbol}</span>
+                  <span className="flex items-center gap-2">
+                    {spin.game === 'table' ? `Pocket ${spin.randomNumber}` : `Roll #${spin.randomNumber}`}
+                    {spin.secure && (
+                      <button
+                        onClick={() => handleVerify(spin)}
+                        disabled={verifications[spin.id] && verifications[spin.id].status === 'checking'}
+                        className="px-2 py-0.5 rounded bg-gray-600 hover:bg-gray-500 text-gray-200 transition-colors"
+                      >
+                        Verify
+                      </button>
+                    )}
+                  </span>
+                </div>
+                {verifications[spin.id] && <VerificationReport verification={verifications[spin.id]} />}
+                <TxLink
+                  txHash={spin.txHash}
+                  className="block text-xs text-purple-400 hover:text-purple-300 mt-1 truncate"
+                >
+                  {spin.txHash}
+                </TxLink>
+              </div>
+            );
+          })
+        )}
+      </div>
+
+      {spins.length > visibleCount && (
+        <button
+          onClick={() => setVisibleCount(prev => prev + PAGE_LENGTH)}
+          className="mt-3 w-full py-2 text-sm rounded-lg bg-gray-700/50 hover:bg-gray-700 transition-colors"
+        >
+          Show more
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default SpinHistory;
@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+
+// Stake chips plus a custom amount, limited to the contract's bet range
+const StakeSelector = ({ presets, value, minBet, maxBet, unit = 'PC', onChange, disabled }) => {
+  const [custom, setCustom] = useState('');
+  const isPreset = presets.some(preset => parseFloat(preset) === parseFloat(value));
+
+  const handleCustomChange = (e) => {
+    setCustom(e.target.value);
+    onChange(e.target.value);
+  };
+
+  return (
+    <div className="mt-8 text-center">
+      <div className="text-sm text-gray-400 mb-2">Stake</div>
+      <div className="flex flex-wrap justify-center gap-2">
+        {presets.map(preset => (
+          <button
+            key={preset}
+            onClick={() => {
+              setCustom('');
+              onChange(preset);
+            }}
+            disabled={disabled}
+            className={`px-3 py-1 rounded-full text-sm font-bold transition-colors ${
+              parseFloat(preset) === parseFloat(value) && !custom
+                ? 'bg-purple-600 text-white'
+                : 'bg-gray-700/50 text-gray-300 hover:bg-gray-700'
+            }`}
+          >
+            {preset} {unit}
+          </button>
+        ))}
+        <input
+          type="number"
+          min={minBet}
+          max={maxBet}
+          step="any"
+          placeholder="Custom"
+          value={custom}
+          onChange={handleCustomChange}
+          disabled={disabled}
+          className={`w-24 px-3 py-1 rounded-full text-sm bg-gray-700/50 border text-center outline-none ${
+            custom && !isPreset ? 'border-purple-500' : 'border-transparent'
+          }`}
+        />
+      </div>
+      <div className="text-xs text-gray-500 mt-2">
+        Any amount from {minBet} to {maxBet} {unit}
+      </div>
+    </div>
+  );
+};
+
+export default StakeSelector;
@@ -0,0 +1,16 @@
+import React from 'react';
+
+import { txUrl } from '../utils/chain';
+
+// Link to a transaction on the block explorer, or plain text on networks without one
+const TxLink = ({ txHash, className, children }) => {
+  const href = txUrl(txHash);
+  if (!href) return <span className={className}>{children}</span>;
+  return (
+    <a href={href} target="_blank" rel="noopener noreferrer" className={className}>
+      {children}
+    </a>
+  );
+};
+
+export default TxLink;
@@ -0,0 +1,111 @@
+import React, { useState, useEffect, useCallback, useContext, useMemo } from 'react';
+
+import { PushUniversalWalletProvider, PushUniversalAccountButton, PushUI } from '@pushchain/ui-kit';
+
+import { ACTIVE_NETWORK } from '../contracts/networks';
+import { LocalWalletContext } from '../hooks/useWallet';
+import { getReadProvider, shortenAddress } from '../utils/chain';
+
+const LOCAL_ACCOUNT_KEY = 'pcr:local-account';
+
+const APP_METADATA = {
+  logoUrl: 'https://images.unsplash.com/photo-1620321023374-d1a68fbc720d?w=400',
+  title: 'Push Chain Roulette',
+  description: `Spin to win PC tokens on ${ACTIVE_NETWORK.label}`
+};
+
+// Signs with the node's unlocked dev accounts; no wallet extension needed for `npx hardhat node`
+const LocalWalletProvider = ({ children }) => {
+  const [accounts, setAccounts] = useState([]);
+  const [account, setAccount] = useState(() => localStorage.getItem(LOCAL_ACCOUNT_KEY));
+
+  useEffect(() => {
+    const loadAccounts = async () => {
+      try {
+        const provider = await getReadProvider();
+        const signers = await provider.listAccounts();
+        setAccounts(signers.map(signer => signer.address));
+      } catch (err) {
+        console.error('Local node unreachable:', err);
+      }
+    };
+    loadAccounts();
+  }, []);
+
+  const selectAccount = useCallback((address) => {
+    if (address) {
+      localStorage.setItem(LOCAL_ACCOUNT_KEY, address);
+    } else {
+      localStorage.removeItem(LOCAL_ACCOUNT_KEY);
+    }
+    setAccount(address);
+  }, []);
+
+  const sendTransaction = useCallback(async (tx) => {
+    const provider = await getReadProvider();
+    const signer = await provider.getSigner(account);
+    return signer.sendTransaction(tx);
+  }, [account]);
+
+  // A stored account may belong to a previous node run with different dev accounts
+  const connected = account && accounts.some(a => a.toLowerCase() === account.toLowerCase()) ? account : null;
+
+  const value = useMemo(() => ({
+    account: connected,
+    isConnected: !!connected,
+    isInitialized: !!connected,
+    sendTransaction,
+    accounts,
+    selectAccount
+  }), [connected, sendTransaction, accounts, selectAccount]);
+
+  return <LocalWalletContext.Provider value={value}>{children}</LocalWalletContext.Provider>;
+};
+
+const LocalAccountButton = () => {
+  const { account, accounts, selectAccount } = useContext(LocalWalletContext);
+
+  if (accounts.length === 0) {
+    return <span className="text-sm text-red-400">Local node not running</span>;
+  }
+
+  return (
+    <select
+      value={account || ''}
+      onChange={(e) => selectAccount(e.target.value || null)}
+      className="bg-gray-800 border border-purple-700 rounded-lg px-3 py-2 text-sm"
+    >
+      <option value="">Connect dev account</option>
+      {accounts.map((address, index) => (
+        <option key={address} value={address}>
+          #{index} {shortenAddress(address)}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+// Wallet provider for the active network
+export const WalletProvider = ({ children }) => {
+  if (ACTIVE_NETWORK.wallet === 'local') {
+    return <LocalWalletProvider>{children}</LocalWalletProvider>;
+  }
+
+  const walletConfig = {
+    network: PushUI.CONSTANTS.PUSH_NETWORK[ACTIVE_NETWORK.pushNetwork],
+    login: {
+      email: true,
+      google: true,
+      wallet: { enabled: true }
+    }
+  };
+
+  return (
+    <PushUniversalWalletProvider config={walletConfig} app={APP_METADATA} themeMode="dark">
+      {children}
+    </PushUniversalWalletProvider>
+  );
+};
+
+export const WalletButton = () =>
+  ACTIVE_NETWORK.wallet === 'local' ? <LocalAccountButton /> : <PushUniversalAccountButton />;
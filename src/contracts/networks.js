@@ -0,0 +1,75 @@
+// Networks the dApp can run against
+// Each one is a generated deployments/<network>.json (address, chain ID, RPC, ABI)
+// plus the metadata below. Pick one at build time with REACT_APP_NETWORK, or at
+// runtime with the network switcher, which remembers the choice in localStorage.
+
+const STORAGE_KEY = 'pcr:network';
+// The build's network must have a deployment file; the app refuses to start otherwise.
+// Push Testnet has none until the current contract is deployed there with
+// `npx hardhat roulette:deploy --network pushTestnet`: the old file pointed at a
+// contract built from an older ABI, so use `npm run start:local` until then.
+const DEFAULT_NETWORK = process.env.REACT_APP_NETWORK || 'pushTestnet';
+
+// Explorer URLs follow getExplorerUrl in contracts/Scripts/deploy.js
+// wallet: 'push' signs through the Push universal wallet, 'local' with the node's unlocked dev accounts
+const NETWORK_METADATA = {
+  localhost: {
+    label: 'Local Hardhat',
+    explorerUrl: null,
+    wallet: 'local'
+  },
+  pushTestnet: {
+    label: 'Push Testnet',
+    explorerUrl: 'https://donut.push.network',
+    wallet: 'push',
+    pushNetwork: 'TESTNET'
+  },
+  pushMainnet: {
+    label: 'Push Mainnet',
+    explorerUrl: 'https://scan.push.org',
+    wallet: 'push',
+    pushNetwork: 'MAINNET'
+  }
+};
+
+// Every network with a deployment file; a new one shows up as soon as it's deployed
+const deploymentFiles = require.context('./deployments', false, /\.json$/);
+
+export const NETWORKS = deploymentFiles.keys()
+  .map(key => deploymentFiles(key))
+  .filter(deployment => NETWORK_METADATA[deployment.network])
+  .map(deployment => ({ id: deployment.network, ...NETWORK_METADATA[deployment.network], ...deployment }));
+
+const storedNetwork = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch (err) {
+    return null;
+  }
+};
+
+// A switcher choice whose deployment is gone falls back to the build's network, never to
+// another one: that could be a local node signing with its dev accounts
+const findActiveNetwork = () => {
+  const network = NETWORKS.find(n => n.id === storedNetwork()) || NETWORKS.find(n => n.id === DEFAULT_NETWORK);
+  if (!network) {
+    throw new Error(
+      `No deployment for network "${DEFAULT_NETWORK}" in src/contracts/deployments. ` +
+      `Deploy it with \`npx hardhat roulette:deploy --network ${DEFAULT_NETWORK}\`, ` +
+      `or pick a deployed network with REACT_APP_NETWORK (available: ${NETWORKS.map(n => n.id).join(', ') || 'none'}).`
+    );
+  }
+  return network;
+};
+
+export const ACTIVE_NETWORK = findActiveNetwork();
+
+// Contract config is read once at startup, so switching reloads the app
+export const switchNetwork = (id) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, id);
+  } catch (err) {
+    console.error('Failed to store network choice:', err);
+  }
+  window.location.reload();
+};
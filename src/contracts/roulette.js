@@ -0,0 +1,14 @@
+// Roulette contract config for the active network
+// Address, chain and ABI come from ./deployments/<network>.json, which the deploy
+// script generates from the compiled artifact; don't edit the ABI by hand.
+
+import { ACTIVE_NETWORK } from './networks';
+
+export const CONTRACT_ADDRESS = ACTIVE_NETWORK.contractAddress;
+export const CHAIN_ID = ACTIVE_NETWORK.chainId;
+export const RPC_URL = ACTIVE_NETWORK.rpcUrl;
+
+// Block the contract was deployed in; event log scans start here
+export const CONTRACT_DEPLOY_BLOCK = ACTIVE_NETWORK.deployBlock;
+
+export const ROULETTE_ABI = ACTIVE_NETWORK.abi;
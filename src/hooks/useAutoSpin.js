@@ -0,0 +1,109 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+import { CONTRACT_ADDRESS, ROULETTE_ABI } from '../contracts/roulette';
+import { getReadContract } from '../utils/chain';
+import { createSession, recordSpin, stopReason } from '../utils/autoSpin';
+
+const CLOCK_MARGIN = 2000; // ms added to the cooldown so the next block is past it
+const RETRY_DELAY = 5000; // ms before retrying when player stats can't be read
+
+/**
+ * Run an auto-spin session: each spin is scheduled for when getPlayerStats
+ * says the cooldown is over, then started with onSpin.
+ * onSpin returns a reason when the spin can't start, which pauses the session.
+ * isBusy holds the schedule while a spin is in flight or its result is showing.
+ * Report the outcome of each spin with recordResult or spinFailed.
+ */
+const useAutoSpin = ({ account, isBusy, onSpin }) => {
+  const [session, setSession] = useState(null);
+  const [nextSpinAt, setNextSpinAt] = useState(null);
+  const onSpinRef = useRef(onSpin);
+  const inFlightRef = useRef(false);
+
+  useEffect(() => {
+    onSpinRef.current = onSpin;
+  }, [onSpin]);
+
+  const isRunning = !!session && session.status === 'running';
+
+  const pause = useCallback((reason) => {
+    setSession(prev => (prev && prev.status === 'running' ? { ...prev, status: 'paused', reason } : prev));
+  }, []);
+
+  useEffect(() => {
+    if (!isRunning || isBusy || !account) return;
+    let cancelled = false;
+    let timer = null;
+
+    const scheduleNext = async () => {
+      let delay;
+      try {
+        const contract = await getReadContract(CONTRACT_ADDRESS, ROULETTE_ABI);
+        const player = await contract.getPlayerStats(account);
+        const cooldown = Number(player.canSpinAgainAt) * 1000 - Date.now();
+        delay = cooldown > 0 ? cooldown + CLOCK_MARGIN : 0;
+      } catch (err) {
+        console.error('Auto-spin schedule error:', err);
+        delay = RETRY_DELAY;
+      }
+      if (cancelled) return;
+
+      setNextSpinAt(Date.now() + delay);
+      timer = setTimeout(() => {
+        setNextSpinAt(null);
+        const blocked = onSpinRef.current();
+        if (blocked) {
+          pause(blocked);
+        } else {
+          inFlightRef.current = true;
+        }
+      }, delay);
+    };
+
+    scheduleNext();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      setNextSpinAt(null);
+    };
+  }, [isRunning, isBusy, account, pause]);
+
+  // A new account starts from scratch
+  useEffect(() => {
+    setSession(null);
+    inFlightRef.current = false;
+  }, [account]);
+
+  const start = useCallback((settings, stake) => {
+    const fresh = createSession(settings, stake);
+    const reason = stopReason(fresh);
+    setSession(reason ? { ...fresh, status: 'done', reason } : fresh);
+  }, []);
+
+  const resume = useCallback(() => {
+    setSession(prev => (prev && prev.status === 'paused' ? { ...prev, status: 'running', reason: null } : prev));
+  }, []);
+
+  // The spin already sent still settles and is counted
+  const cancel = useCallback(() => {
+    setSession(prev => (prev && prev.status !== 'done' ? { ...prev, status: 'done', reason: 'Cancelled' } : prev));
+  }, []);
+
+  const clear = useCallback(() => setSession(null), []);
+
+  const recordResult = useCallback((result) => {
+    if (!inFlightRef.current) return;
+    inFlightRef.current = false;
+    setSession(prev => (prev ? recordSpin(prev, result) : prev));
+  }, []);
+
+  const spinFailed = useCallback((reason) => {
+    if (!inFlightRef.current) return;
+    inFlightRef.current = false;
+    pause(reason);
+  }, [pause]);
+
+  return { session, nextSpinAt, start, resume, cancel, clear, recordResult, spinFailed };
+};
+
+export default useAutoSpin;
@@ -0,0 +1,29 @@
+import { useState, useEffect, useRef } from 'react';
+
+import { subscribeChain, subscribeChainStatus } from '../utils/chainEvents';
+
+/**
+ * Call onUpdate with every update from the shared chain watcher (see subscribeChain):
+ * once per new block, with the roulette events it carried.
+ * The latest onUpdate is always used, so it doesn't have to be memoised.
+ */
+const useChainUpdates = (onUpdate) => {
+  const onUpdateRef = useRef(onUpdate);
+
+  useEffect(() => {
+    onUpdateRef.current = onUpdate;
+  }, [onUpdate]);
+
+  useEffect(() => subscribeChain(update => onUpdateRef.current(update)), []);
+};
+
+// Whether the read RPC is reachable, and when the next retry is due if it isn't
+export const useChainStatus = () => {
+  const [status, setStatus] = useState({ connected: true, failures: 0, retryAt: null });
+
+  useEffect(() => subscribeChainStatus(setStatus), []);
+
+  return status;
+};
+
+export default useChainUpdates;
@@ -0,0 +1,93 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+import useChainUpdates from './useChainUpdates';
+import { hasChainEvent } from '../utils/chainEvents';
+import { ALL_PLAYERS, loadCachedHistory, syncSpinHistory } from '../utils/spinHistory';
+
+const SPIN_EVENTS = ['SpinRevealed', 'TokenSpinRevealed', 'TableSpin'];
+
+/**
+ * Keep a cached spin log (prize wheel and table, every currency) in sync with the chain.
+ * player is an address, ALL_PLAYERS, or null to stay idle.
+ * Syncs again whenever the chain watcher sees a matching spin event; bumping
+ * refreshKey forces an immediate sync (e.g. right after a spin).
+ */
+const useSpinLog = (player, refreshKey) => {
+  const [history, setHistory] = useState(null);
+  const [scanProgress, setScanProgress] = useState(null);
+  const [syncError, setSyncError] = useState(null);
+  // Players with a sync in flight, and those to sync once more when it ends
+  const syncingRef = useRef(new Set());
+  const queuedRef = useRef(new Set());
+  const failedRef = useRef(false);
+  const playerRef = useRef(player);
+
+  const sync = useCallback(async () => {
+    if (!player) return;
+    // A spin revealed mid-scan may be past the scanned range, so run once more afterwards
+    if (syncingRef.current.has(player)) {
+      queuedRef.current.add(player);
+      return;
+    }
+    // A sync still running for a player no longer shown keeps its cache but not the view
+    const isCurrent = () => playerRef.current === player;
+    syncingRef.current.add(player);
+    try {
+      do {
+        queuedRef.current.delete(player);
+        const synced = await syncSpinHistory(player, loadCachedHistory(player), (partial, progress) => {
+          if (!isCurrent()) return;
+          setHistory(partial);
+          setScanProgress(progress);
+        });
+        if (!isCurrent()) break;
+        setHistory(synced);
+        setSyncError(null);
+        failedRef.current = false;
+      } while (queuedRef.current.has(player));
+    } catch (err) {
+      console.error('Spin log sync error:', err);
+      if (isCurrent()) {
+        failedRef.current = true;
+        setSyncError('Could not load spins from the chain. Retrying...');
+      }
+    } finally {
+      syncingRef.current.delete(player);
+      if (isCurrent()) setScanProgress(null);
+    }
+  }, [player]);
+
+  useEffect(() => {
+    playerRef.current = player;
+    failedRef.current = false;
+    setHistory(player ? loadCachedHistory(player) : null);
+    setScanProgress(null);
+    setSyncError(null);
+  }, [player]);
+
+  useEffect(() => {
+    sync();
+  }, [sync, refreshKey]);
+
+  // A failed sync is retried on the next block
+  useChainUpdates((update) => {
+    if (failedRef.current || hasChainEvent(update, SPIN_EVENTS, player === ALL_PLAYERS ? null : player)) sync();
+  });
+
+  const scanPercent = scanProgress && scanProgress.head > scanProgress.fromBlock
+    ? Math.floor(((scanProgress.toBlock - scanProgress.fromBlock) / (scanProgress.head - scanProgress.fromBlock)) * 100)
+    : null;
+
+  return {
+    spins: history ? history.spins : [],
+    lastBlock: history ? history.lastBlock : null,
+    // Everyone's history only keeps the newest MAX_GLOBAL_SPINS spins
+    truncated: !!(history && history.truncated),
+    // Running leaderboard totals over every spin, kept in everyone's history only
+    leaderboard: (history && history.leaderboard) || null,
+    scanPercent,
+    syncError
+  };
+};
+
+export default useSpinLog;
@@ -0,0 +1,35 @@
+import { createContext, useCallback, useContext } from 'react';
+import { usePushWalletContext, usePushChainClient, PushUI } from '@pushchain/ui-kit';
+
+import { ACTIVE_NETWORK } from '../contracts/networks';
+
+// Filled by the local wallet provider in components/Wallet.jsx
+export const LocalWalletContext = createContext(null);
+
+// Push universal wallet: the account is the player's universal executor account
+const usePushWallet = () => {
+  const { connectionStatus } = usePushWalletContext();
+  const { pushChainClient, isInitialized } = usePushChainClient();
+
+  const isConnected = connectionStatus === PushUI.CONSTANTS.CONNECTION.STATUS.CONNECTED;
+  const account = isConnected && pushChainClient ? pushChainClient.universal.account : null;
+
+  const sendTransaction = useCallback(
+    (tx) => pushChainClient.universal.sendTransaction(tx),
+    [pushChainClient]
+  );
+
+  return { account, isConnected, isInitialized: isInitialized && !!account, sendTransaction };
+};
+
+// Unlocked dev accounts of a local Hardhat node
+const useLocalWallet = () => useContext(LocalWalletContext);
+
+/**
+ * Wallet for the active network, so game code doesn't care which one signs.
+ * Returns { account, isConnected, isInitialized, sendTransaction }; sendTransaction
+ * takes { to, value, data } and resolves to a response with hash and wait().
+ */
+const useWallet = ACTIVE_NETWORK.wallet === 'local' ? useLocalWallet : usePushWallet;
+
+export default useWallet;
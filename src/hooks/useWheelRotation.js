@@ -0,0 +1,60 @@
+import { useState, useEffect, useRef } from 'react';
+
+const IDLE_SPIN_SPEED = 360; // degrees per second while the transaction is pending
+const SETTLE_TURNS = 3; // full turns before landing on the target
+export const SETTLE_DURATION = 4000; // ms
+
+/**
+ * Rotation for a wheel of segmentCount equal segments with the pointer at the top.
+ * Idles while isSpinning and targetIndex is null, then eases so the pointer
+ * lands on the centre of segment targetIndex and calls onSettled.
+ */
+const useWheelRotation = ({ isSpinning, targetIndex, segmentCount, onSettled }) => {
+  const [rotation, setRotation] = useState(0);
+  const [settling, setSettling] = useState(false);
+  const rotationRef = useRef(0);
+  const onSettledRef = useRef(onSettled);
+  const segmentAngle = 360 / Math.max(segmentCount, 1);
+
+  useEffect(() => {
+    onSettledRef.current = onSettled;
+  }, [onSettled]);
+
+  useEffect(() => {
+    if (!isSpinning || targetIndex !== null) return;
+    let frame;
+    let last = performance.now();
+    const tick = (now) => {
+      rotationRef.current += IDLE_SPIN_SPEED * (now - last) / 1000;
+      last = now;
+      setRotation(rotationRef.current);
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [isSpinning, targetIndex]);
+
+  useEffect(() => {
+    if (!isSpinning || targetIndex === null) return;
+    // The pointer sits at the top, so segment centre c is under it when rotation ≡ 360 - c
+    const segmentCenter = segmentAngle * targetIndex + segmentAngle / 2;
+    const finalRotation = Math.ceil(rotationRef.current / 360) * 360 + 360 * SETTLE_TURNS + (360 - segmentCenter);
+    rotationRef.current = finalRotation;
+    setSettling(true);
+    setRotation(finalRotation);
+
+    const timer = setTimeout(() => {
+      setSettling(false);
+      if (onSettledRef.current) onSettledRef.current();
+    }, SETTLE_DURATION);
+    return () => clearTimeout(timer);
+  }, [isSpinning, targetIndex, segmentAngle]);
+
+  return {
+    rotation,
+    segmentAngle,
+    transition: settling ? `transform ${SETTLE_DURATION}ms cubic-bezier(0.17, 0.67, 0.12, 0.99)` : 'none'
+  };
+};
+
+export default useWheelRotation;
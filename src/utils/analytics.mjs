@@ -0,0 +1,123 @@
+// Session analytics from SpinRevealed logs: actual vs theoretical RTP, variance,
+// prize tier hit rates, losing streaks and a running P/L series.
+// Spins are bucketed into tiers with the same thresholds as _calculatePrize, and each
+// payout is recomputed in wei, so drift between the contract and its prize table shows up.
+//
+// Like fairness.mjs this module has no app imports so the roulette:analytics task can use it:
+//   const { analyzeSpins } = await import('./src/utils/analytics.mjs');
+
+import { calculatePrize } from './fairness.mjs';
+
+// How far (in standard deviations) a result may stray from the odds before it is flagged
+export const DRIFT_THRESHOLD = 3;
+
+// Points plotted in the P/L chart; longer histories are thinned out evenly
+const MAX_CHART_POINTS = 200;
+
+// Expected return per unit staked, and the variance of a single spin's return
+export const theoreticalReturns = (prizes) => {
+  const rtp = prizes.reduce((sum, p) => sum + (p.probability / 100) * p.multiplier, 0);
+  const variance = prizes.reduce((sum, p) => sum + (p.probability / 100) * (p.multiplier - rtp) ** 2, 0);
+  return { rtp, variance };
+};
+
+// Keep the first and last point and an even spread in between
+export const thinSeries = (points, maxPoints = MAX_CHART_POINTS) => {
+  if (points.length <= maxPoints) return points;
+  const step = (points.length - 1) / (maxPoints - 1);
+  return Array.from({ length: maxPoints }, (_, i) => points[Math.round(i * step)]);
+};
+
+/**
+ * Split spins into those played under the prize table set in updatedAtBlock and the earlier
+ * ones, which had other odds. A spin in that same block is counted as earlier, since only
+ * block numbers are compared.
+ */
+export const spinsSinceTableUpdate = (spins, updatedAtBlock) => {
+  const current = spins.filter(spin => spin.blockNumber > updatedAtBlock);
+  return { spins: current, excluded: spins.length - current.length };
+};
+
+const zScore = (observed, expected, standardDeviation) =>
+  standardDeviation > 0 ? (observed - expected) / standardDeviation : 0;
+
+/**
+ * Analyse revealed spins (oldest first) against a prize table.
+ * table is { prizes, multiplierBase } with prizes as returned by toPrizeTiers; amounts
+ * in spins are PC strings. A spin "loses" when it pays back less than its stake.
+ * Only spins played under that table belong here; see spinsSinceTableUpdate.
+ */
+export const analyzeSpins = (ethers, spins, { prizes, multiplierBase }) => {
+  const { rtp: theoreticalRtp, variance: theoreticalVariance } = theoreticalReturns(prizes);
+  const rules = {
+    multipliers: prizes.map(p => Math.round(p.multiplier * multiplierBase)),
+    weights: prizes.map(p => p.weight),
+    multiplierBase
+  };
+
+  const hits = prizes.map(() => 0);
+  const pnl = [];
+  let wagered = 0;
+  let won = 0;
+  let returnSum = 0;
+  let returnSquares = 0;
+  let mismatched = 0;
+  let streak = 0;
+  let longestLosingStreak = 0;
+
+  spins.forEach(spin => {
+    const bet = parseFloat(spin.betAmount);
+    const prize = parseFloat(spin.prizeAmount);
+    const ratio = bet > 0 ? prize / bet : 0;
+
+    const expected = calculatePrize(ethers, spin.randomNumber, ethers.parseEther(spin.betAmount), rules);
+    hits[expected.tier] += 1;
+    if (expected.prize !== ethers.parseEther(spin.prizeAmount)) mismatched += 1;
+
+    wagered += bet;
+    won += prize;
+    returnSum += ratio;
+    returnSquares += ratio * ratio;
+    streak = prize < bet ? streak + 1 : 0;
+    longestLosingStreak = Math.max(longestLosingStreak, streak);
+    pnl.push({ spin: pnl.length + 1, timestamp: spin.timestamp, pnl: won - wagered });
+  });
+
+  const count = spins.length;
+  const meanReturn = count > 0 ? returnSum / count : 0;
+  const actualVariance = count > 1 ? (returnSquares - count * meanReturn * meanReturn) / (count - 1) : 0;
+  const actualRtp = wagered > 0 ? won / wagered : 0;
+  // Drift is judged on the mean return per spin, which the odds describe whatever the stake sizes
+  const rtpDeviation = zScore(meanReturn, theoreticalRtp, Math.sqrt(theoreticalVariance / Math.max(count, 1)));
+
+  return {
+    spins: count,
+    wagered,
+    won,
+    net: won - wagered,
+    actualRtp,
+    theoreticalRtp,
+    rtpDeviation,
+    rtpDrift: count > 0 && Math.abs(rtpDeviation) > DRIFT_THRESHOLD,
+    standardDeviation: Math.sqrt(Math.max(actualVariance, 0)),
+    theoreticalStandardDeviation: Math.sqrt(theoreticalVariance),
+    tiers: prizes.map((p, i) => {
+      const probability = p.probability / 100;
+      const expectedHits = count * probability;
+      const deviation = zScore(hits[i], expectedHits, Math.sqrt(count * probability * (1 - probability)));
+      return {
+        multiplier: p.multiplier,
+        probability: p.probability,
+        hits: hits[i],
+        hitRate: count > 0 ? (hits[i] * 100) / count : 0,
+        expectedHits,
+        deviation,
+        drift: count > 0 && Math.abs(deviation) > DRIFT_THRESHOLD
+      };
+    }),
+    mismatchedPayouts: mismatched,
+    longestLosingStreak,
+    currentLosingStreak: streak,
+    pnl
+  };
+};
@@ -0,0 +1,75 @@
+import { ethers } from 'ethers';
+import { analyzeSpins, spinsSinceTableUpdate, theoreticalReturns, thinSeries } from './analytics.mjs';
+
+// Even odds of nothing or double the stake
+const COIN_FLIP = {
+  multiplierBase: 10000,
+  prizes: [
+    { multiplier: 0, weight: 500, probability: 50 },
+    { multiplier: 2, weight: 500, probability: 50 }
+  ]
+};
+
+// randomNumber below 500 draws the first tier, from 500 the second
+const spin = (blockNumber, randomNumber, prizeAmount, betAmount = '0.1') =>
+  ({ blockNumber, randomNumber, betAmount, prizeAmount, timestamp: blockNumber });
+
+describe('analytics', () => {
+  it('derives the RTP and variance from the prize table', () => {
+    expect(theoreticalReturns(COIN_FLIP.prizes)).toEqual({ rtp: 1, variance: 1 });
+  });
+
+  it('keeps only spins played after the table was last set', () => {
+    const spins = [spin(5, 0, '0'), spin(9, 0, '0'), spin(10, 0, '0'), spin(12, 0, '0')];
+    const { spins: current, excluded } = spinsSinceTableUpdate(spins, 9);
+
+    expect(current.map(s => s.blockNumber)).toEqual([10, 12]);
+    expect(excluded).toBe(2);
+  });
+
+  it('sorts spins into tiers and adds up the returns', () => {
+    const analysis = analyzeSpins(ethers, [spin(1, 10, '0'), spin(2, 700, '0.2'), spin(3, 20, '0'), spin(4, 30, '0')], COIN_FLIP);
+
+    expect(analysis.spins).toBe(4);
+    expect(analysis.tiers.map(tier => tier.hits)).toEqual([3, 1]);
+    expect(analysis.wagered).toBeCloseTo(0.4);
+    expect(analysis.won).toBeCloseTo(0.2);
+    expect(analysis.actualRtp).toBeCloseTo(0.5);
+    expect(analysis.theoreticalRtp).toBe(1);
+    expect(analysis.longestLosingStreak).toBe(2);
+    expect(analysis.currentLosingStreak).toBe(2);
+    [-0.1, 0, -0.1, -0.2].forEach((pnl, i) => expect(analysis.pnl[i].pnl).toBeCloseTo(pnl));
+    expect(analysis.mismatchedPayouts).toBe(0);
+  });
+
+  it('counts payouts the table would not give for the roll', () => {
+    // A roll of 10 draws the 0x tier, so a 2x payout was made under another table
+    const analysis = analyzeSpins(ethers, [spin(1, 10, '0.2')], COIN_FLIP);
+    expect(analysis.mismatchedPayouts).toBe(1);
+  });
+
+  it('flags returns far from the odds', () => {
+    const losses = Array.from({ length: 100 }, (_, i) => spin(i + 1, 0, '0'));
+    const analysis = analyzeSpins(ethers, losses, COIN_FLIP);
+
+    expect(analysis.rtpDeviation).toBeCloseTo(-10);
+    expect(analysis.rtpDrift).toBe(true);
+    expect(analysis.tiers.every(tier => tier.drift)).toBe(true);
+  });
+
+  it('reports nothing without spins', () => {
+    const analysis = analyzeSpins(ethers, [], COIN_FLIP);
+
+    expect(analysis.spins).toBe(0);
+    expect(analysis.actualRtp).toBe(0);
+    expect(analysis.rtpDrift).toBe(false);
+  });
+
+  it('thins long series down to evenly spread points', () => {
+    const points = Array.from({ length: 1000 }, (_, i) => i);
+    const thinned = thinSeries(points, 5);
+
+    expect(thinned).toEqual([0, 250, 500, 749, 999]);
+    expect(thinSeries([1, 2, 3], 5)).toEqual([1, 2, 3]);
+  });
+});
@@ -0,0 +1,55 @@
+// Auto-spin session bookkeeping and stop conditions
+// Amounts are in PC; a limit left blank (null) is not checked.
+
+const EPSILON = 1e-9; // float noise from summing PC amounts
+
+// Blank or non-positive inputs mean "no limit"
+export const parseLimit = (value) => {
+  const parsed = parseFloat(value);
+  return parsed > 0 ? parsed : null;
+};
+
+export const sessionProfit = (session) => session.won - session.wagered;
+
+/**
+ * Why the session should stop after its latest spin, or null to keep going.
+ * The stop-loss is checked against the next stake too, so a session never
+ * loses more than the limit.
+ */
+export const stopReason = (session) => {
+  const { spins, stopLoss, takeProfit, stopOnWin } = session.settings;
+  const profit = sessionProfit(session);
+
+  if (stopOnWin !== null && session.lastPrize >= stopOnWin) {
+    return `Won ${session.lastPrize} PC in one spin`;
+  }
+  if (takeProfit !== null && profit >= takeProfit - EPSILON) return 'Take-profit reached';
+  if (stopLoss !== null && profit - session.stake < -stopLoss - EPSILON) return 'Stop-loss reached';
+  if (session.spinsDone >= spins) return 'All spins done';
+  return null;
+};
+
+export const createSession = (settings, stake) => ({
+  settings,
+  stake,
+  spinsDone: 0,
+  wagered: 0,
+  won: 0,
+  lastPrize: 0,
+  status: 'running',
+  reason: null
+});
+
+// Add one settled spin; a running session stops here if a limit is hit
+export const recordSpin = (session, { betAmount, prizeAmount }) => {
+  const next = {
+    ...session,
+    spinsDone: session.spinsDone + 1,
+    wagered: session.wagered + betAmount,
+    won: session.won + prizeAmount,
+    lastPrize: prizeAmount
+  };
+  if (next.status !== 'running') return next;
+  const reason = stopReason(next);
+  return reason ? { ...next, status: 'done', reason } : next;
+};
@@ -0,0 +1,76 @@
+import { createSession, parseLimit, recordSpin, sessionProfit, stopReason } from './autoSpin';
+
+const settings = (overrides = {}) => ({
+  spins: 10,
+  stopLoss: null,
+  takeProfit: null,
+  stopOnWin: null,
+  ...overrides
+});
+
+// Play the spins in order, [betAmount, prizeAmount] each
+const play = (session, spins) =>
+  spins.reduce((current, [betAmount, prizeAmount]) => recordSpin(current, { betAmount, prizeAmount }), session);
+
+describe('autoSpin', () => {
+  it('treats blank and non-positive limits as no limit', () => {
+    expect(parseLimit('')).toBeNull();
+    expect(parseLimit('0')).toBeNull();
+    expect(parseLimit('-1')).toBeNull();
+    expect(parseLimit('abc')).toBeNull();
+    expect(parseLimit('0.5')).toBe(0.5);
+  });
+
+  it('adds up each spin and stops once every spin is done', () => {
+    const session = play(createSession(settings({ spins: 3 }), 0.1), [[0.1, 0], [0.1, 0.05], [0.1, 0.1]]);
+
+    expect(session.spinsDone).toBe(3);
+    expect(session.wagered).toBeCloseTo(0.3);
+    expect(session.won).toBeCloseTo(0.15);
+    expect(session.lastPrize).toBe(0.1);
+    expect(sessionProfit(session)).toBeCloseTo(-0.15);
+    expect(session.status).toBe('done');
+    expect(session.reason).toBe('All spins done');
+  });
+
+  it('stops before the next stake could take losses past the stop-loss', () => {
+    // Down 0.2 after two spins: losing the next 0.1 stake would reach 0.3, past the 0.25 limit
+    let session = play(createSession(settings({ stopLoss: 0.25 }), 0.1), [[0.1, 0]]);
+    expect(session.status).toBe('running');
+
+    session = play(session, [[0.1, 0]]);
+    expect(session.status).toBe('done');
+    expect(session.reason).toBe('Stop-loss reached');
+  });
+
+  it('plays right up to a stop-loss the stakes divide evenly', () => {
+    // Summing 0.1 three times gives 0.30000000000000004, which must not count as past 0.3
+    const session = play(createSession(settings({ stopLoss: 0.3 }), 0.1), [[0.1, 0], [0.1, 0]]);
+    expect(session.status).toBe('running');
+    expect(stopReason(play(session, [[0.1, 0]]))).toBe('Stop-loss reached');
+  });
+
+  it('stops at the take-profit', () => {
+    const session = play(createSession(settings({ takeProfit: 0.2 }), 0.1), [[0.1, 0.2], [0.1, 0.2]]);
+
+    expect(session.spinsDone).toBe(2);
+    expect(session.reason).toBe('Take-profit reached');
+  });
+
+  it('stops on a single win of at least the set amount', () => {
+    let session = play(createSession(settings({ stopOnWin: 0.5 }), 0.1), [[0.1, 0.2]]);
+    expect(session.status).toBe('running');
+
+    session = play(session, [[0.1, 1]]);
+    expect(session.reason).toBe('Won 1 PC in one spin');
+  });
+
+  it('counts a spin that settles while paused without changing the status', () => {
+    const paused = { ...createSession(settings({ spins: 1 }), 0.1), status: 'paused', reason: 'Wallet disconnected' };
+    const session = play(paused, [[0.1, 0]]);
+
+    expect(session.spinsDone).toBe(1);
+    expect(session.status).toBe('paused');
+    expect(session.reason).toBe('Wallet disconnected');
+  });
+});
@@ -0,0 +1,33 @@
+// PC bankroll figures for the operator dashboard, from contract state and the global spin log
+
+const DAY = 24 * 60 * 60;
+
+// How many top prizes the house balance can still pay out in a row
+export const coverableMaxPrizes = (houseBalance, maxPrize) =>
+  maxPrize > 0 ? Math.floor(houseBalance / maxPrize) : 0;
+
+/**
+ * Wagered and paid out per UTC day for the last `days` days, oldest first.
+ * now is a unix timestamp in seconds; amounts are in PC. Prize wheel and table
+ * spins count; token spins are paid from their own bankrolls and don't.
+ */
+export const dailyPayouts = (spins, days, now) => {
+  const today = Math.floor(now / DAY);
+  const buckets = Array.from({ length: days }, (_, i) => ({
+    day: (today - days + 1 + i) * DAY,
+    spins: 0,
+    wagered: 0,
+    paid: 0
+  }));
+
+  spins.forEach(spin => {
+    if (spin.token) return;
+    const index = Math.floor(spin.timestamp / DAY) - (today - days + 1);
+    if (index < 0 || index >= days) return;
+    buckets[index].spins += 1;
+    buckets[index].wagered += parseFloat(spin.betAmount);
+    buckets[index].paid += parseFloat(spin.prizeAmount);
+  });
+
+  return buckets;
+};
@@ -0,0 +1,78 @@
+// Shared helpers for talking to the roulette contract outside of the wallet client
+
+import { ethers } from 'ethers';
+import { CHAIN_ID, RPC_URL, ROULETTE_ABI } from '../contracts/roulette';
+import { ACTIVE_NETWORK } from '../contracts/networks';
+
+// null when the network has no block explorer (local Hardhat node)
+export const EXPLORER_URL = ACTIVE_NETWORK.explorerUrl;
+
+export const txUrl = (txHash) => (EXPLORER_URL ? `${EXPLORER_URL}/tx/${txHash}` : null);
+
+let readProvider = null;
+
+// Read-only provider for view calls and block polling
+// The chain ID is known up front, so skip the network detection round trip
+export const getReadProvider = async () => {
+  if (!readProvider) {
+    readProvider = new ethers.JsonRpcProvider(RPC_URL, CHAIN_ID, { staticNetwork: true });
+  }
+  return readProvider;
+};
+
+// Drop the cached provider so the next call connects afresh (after repeated RPC failures)
+export const resetReadProvider = () => {
+  if (readProvider) readProvider.destroy();
+  readProvider = null;
+};
+
+export const getReadContract = async (address, abi) => {
+  const provider = await getReadProvider();
+  return new ethers.Contract(address, abi, provider);
+};
+
+const rouletteInterface = new ethers.Interface(ROULETTE_ABI);
+
+// Calldata for a roulette contract call, for wallets that send raw transactions
+export const encodeCall = (functionName, args = []) =>
+  rouletteInterface.encodeFunctionData(functionName, args);
+
+// Find the first log in a receipt that decodes to the given event
+export const findEvent = async (receipt, abi, eventName) => {
+  const iface = new ethers.Interface(abi);
+  for (const log of receipt.logs) {
+    try {
+      const parsed = iface.parseLog({ topics: log.topics, data: log.data });
+      if (parsed && parsed.name === eventName) return parsed;
+    } catch (e) { continue; }
+  }
+  return null;
+};
+
+const LOG_PAGE_SIZE = 5000; // blocks per eth_getLogs request
+const MIN_LOG_PAGE_SIZE = 100;
+
+/**
+ * Walk fromBlock..toBlock in eth_getLogs-sized pages.
+ * queryPage(from, to) fetches one page; onPage(result, to) is called after each one.
+ * Most RPCs cap the range or result count of eth_getLogs, so a failed page is retried smaller.
+ */
+export const scanLogPages = async (fromBlock, toBlock, queryPage, onPage) => {
+  let pageSize = LOG_PAGE_SIZE;
+  while (fromBlock <= toBlock) {
+    const pageEnd = Math.min(fromBlock + pageSize - 1, toBlock);
+    let result;
+    try {
+      result = await queryPage(fromBlock, pageEnd);
+    } catch (err) {
+      if (pageSize <= MIN_LOG_PAGE_SIZE) throw err;
+      pageSize = Math.max(Math.floor(pageSize / 2), MIN_LOG_PAGE_SIZE);
+      continue;
+    }
+    onPage(result, pageEnd);
+    fromBlock = pageEnd + 1;
+  }
+};
+
+export const shortenAddress = (address) =>
+  address ? `${address.slice(0, 6)}...${address.slice(-4)}` : '';
@@ -0,0 +1,164 @@
+// One block watcher shared by the whole app
+// Polls the chain head with the shared read provider and fetches the roulette contract's
+// logs for each new block range in a single eth_getLogs call, then hands both to every
+// subscriber. Backs off while the RPC is failing and stops while the tab is hidden.
+
+import { ethers } from 'ethers';
+import { CONTRACT_ADDRESS, ROULETTE_ABI } from '../contracts/roulette';
+import { getReadProvider, resetReadProvider } from './chain';
+
+const POLL_INTERVAL = 3000; // ms between chain head checks
+const MAX_BACKOFF = 60000; // ms
+const RESET_AFTER_FAILURES = 3; // rebuild the provider after this many failed polls in a row
+const MAX_CATCHUP_BLOCKS = 2000; // longer gaps (a tab hidden for hours) skip the logs and ask for a resync
+
+const rouletteInterface = new ethers.Interface(ROULETTE_ABI);
+
+const listeners = new Set();
+const statusListeners = new Set();
+let status = { connected: true, failures: 0, retryAt: null };
+let lastBlock = null;
+let timer = null;
+let polling = false;
+
+const setStatus = (next) => {
+  status = next;
+  statusListeners.forEach(listener => listener(status));
+};
+
+const toChainEvent = (log) => {
+  try {
+    const parsed = rouletteInterface.parseLog(log);
+    return parsed && {
+      name: parsed.name,
+      args: parsed.args,
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash
+    };
+  } catch (err) {
+    return null;
+  }
+};
+
+const notify = (update) => {
+  listeners.forEach(listener => {
+    try {
+      listener(update);
+    } catch (err) {
+      console.error('Chain listener error:', err);
+    }
+  });
+};
+
+const stop = () => {
+  clearTimeout(timer);
+  timer = null;
+};
+
+const schedule = (delay) => {
+  stop();
+  if (listeners.size > 0 && !document.hidden) {
+    timer = setTimeout(poll, delay);
+  }
+};
+
+const poll = async () => {
+  if (polling) return;
+  polling = true;
+  let delay = POLL_INTERVAL;
+  try {
+    const provider = await getReadProvider();
+    const head = await provider.getBlockNumber();
+    if (listeners.size === 0) return;
+
+    // After an outage, a restarted local node or too long a gap the missed events are unknown,
+    // so everyone reloads instead
+    const resync = !status.connected ||
+      (lastBlock !== null && (head < lastBlock || head - lastBlock > MAX_CATCHUP_BLOCKS));
+    if (resync || lastBlock === null) {
+      notify({ blockNumber: head, events: [], resync });
+    } else if (head > lastBlock) {
+      const logs = await provider.getLogs({ address: CONTRACT_ADDRESS, fromBlock: lastBlock + 1, toBlock: head });
+      notify({ blockNumber: head, events: logs.map(toChainEvent).filter(Boolean), resync: false });
+    }
+    lastBlock = head;
+    if (!status.connected) setStatus({ connected: true, failures: 0, retryAt: null });
+  } catch (err) {
+    console.error('Chain watcher error:', err);
+    const failures = status.failures + 1;
+    if (failures % RESET_AFTER_FAILURES === 0) resetReadProvider();
+    delay = Math.min(POLL_INTERVAL * 2 ** failures, MAX_BACKOFF);
+    setStatus({ connected: false, failures, retryAt: Date.now() + delay });
+  } finally {
+    polling = false;
+    schedule(delay);
+  }
+};
+
+// Stop while the tab is hidden and catch up as soon as it is shown again
+const handleVisibilityChange = () => {
+  if (document.hidden) {
+    stop();
+  } else {
+    poll();
+  }
+};
+
+/**
+ * Subscribe to new blocks and roulette contract events.
+ * listener({ blockNumber, events, resync }) is called once per new chain head; events are the
+ * decoded contract logs since the previous head ({ name, args, blockNumber, transactionHash }).
+ * resync means updates were missed and listeners should reload everything.
+ * Returns the unsubscribe function.
+ */
+export const subscribeChain = (listener) => {
+  listeners.add(listener);
+  if (listeners.size === 1) {
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    poll();
+  }
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      stop();
+      lastBlock = null;
+    }
+  };
+};
+
+// listener({ connected, failures, retryAt }) whenever the RPC goes down or comes back
+export const subscribeChainStatus = (listener) => {
+  statusListeners.add(listener);
+  listener(status);
+  return () => statusListeners.delete(listener);
+};
+
+const isSameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+/**
+ * True when an update carries one of the named events, or asks for a resync.
+ * With player, only events whose player argument is that address count.
+ */
+export const hasChainEvent = (update, names, player) =>
+  update.resync || update.events.some(event =>
+    names.includes(event.name) && (!player || isSameAddress(event.args.player, player))
+  );
+
+// Resolve once the chain reaches targetBlock, reporting each new block height
+export const waitForBlock = async (targetBlock, onProgress) => {
+  const provider = await getReadProvider();
+  const current = await provider.getBlockNumber();
+  if (onProgress) onProgress(current);
+  if (current >= targetBlock) return current;
+
+  return new Promise(resolve => {
+    const unsubscribe = subscribeChain(({ blockNumber }) => {
+      if (onProgress) onProgress(blockNumber);
+      if (blockNumber >= targetBlock) {
+        unsubscribe();
+        resolve(blockNumber);
+      }
+    });
+  });
+};
@@ -0,0 +1,154 @@
+// Turn failed transactions into messages players can act on
+
+import { ethers } from 'ethers';
+import { ROULETTE_ABI } from '../contracts/roulette';
+
+const GENERIC_MESSAGE = 'Transaction failed. Please try again.';
+const MAX_DEPTH = 6;
+
+// Wallets and libraries each report a rejected signature differently
+const isUserRejection = (err) => {
+  if (!err) return false;
+  if (err.code === 4001 || err.code === 'ACTION_REJECTED') return true;
+  if (err.name === 'UserRejectedRequestError') return true;
+  return /user (rejected|denied|cancel)|rejected by user|request rejected/i.test(err.message || '');
+};
+
+// Revert data can sit at any depth (err.data, err.error.data, err.info.error.data, err.cause...),
+// or only be printed inside a message, so collect every hex blob that might be it
+const HEX_DATA = /^0x[0-9a-f]{8,}$/i;
+const DATA_KEYS = ['data', 'raw'];
+const TEXT_KEYS = ['message', 'shortMessage', 'details'];
+const NESTED_KEYS = ['error', 'info', 'cause', 'data', 'originalError'];
+
+const collectRevertData = (err, found = [], depth = 0) => {
+  if (!err || typeof err !== 'object' || depth > MAX_DEPTH) return found;
+  DATA_KEYS.forEach(key => {
+    if (typeof err[key] === 'string' && HEX_DATA.test(err[key])) found.push(err[key]);
+  });
+  TEXT_KEYS.forEach(key => {
+    if (typeof err[key] === 'string') found.push(...(err[key].match(/0x[0-9a-f]{8,}/gi) || []));
+  });
+  NESTED_KEYS.forEach(key => collectRevertData(err[key], found, depth + 1));
+  return found;
+};
+
+const blocks = (n) => `${n} block${n === 1 ? '' : 's'}`;
+
+// Amounts are PC unless the call staked a token; then they are in that token's units
+const describeError = (ethers, name, args, currency) => {
+  const pc = (amount) => `${ethers.formatUnits(amount, currency.decimals)} ${currency.symbol}`;
+  switch (name) {
+    case 'CooldownNotExpired':
+      return `You can spin again in ${args.timeRemaining}s.`;
+    case 'InsufficientHouseBalance':
+      return `The house can't cover this spin right now (needs ${pc(args.required)}, has ${pc(args.available)}). Try a smaller stake.`;
+    case 'BetOutOfRange':
+      return `Stake must be between ${pc(args.minBet)} and ${pc(args.maxBet)}; you sent ${pc(args.sent)}.`;
+    case 'NoCommitFound':
+      return 'There is no secure spin to reveal. Start a new spin.';
+    case 'CommitAlreadyRevealed':
+      return 'This secure spin has already been revealed.';
+    case 'RevealTooEarly':
+      return `Too early to reveal. Wait ${blocks(Number(args.blocksRemaining))} and press Finish Reveal.`;
+    case 'TransferFailed':
+      return 'The contract could not send the payout. Please try again.';
+    case 'PrizeExceedsMax':
+      return `These bets could pay ${pc(args.prize)}, above the ${pc(args.maxPrize)} limit per spin.`;
+    case 'InvalidTableBet':
+      return 'One of the bets is not a valid position on the table.';
+    case 'InvalidBetCount':
+      return `You can place up to ${args.max} bets per spin.`;
+    case 'TableStakeMismatch':
+      return `The bets add up to ${pc(args.betTotal)} but ${pc(args.sent)} was sent.`;
+    case 'WithdrawalExceedsFreeBalance':
+      return `Only ${pc(args.freeBalance)} is free to withdraw; the rest is reserved for open spins.`;
+    case 'PlayerSelfExcluded':
+      return `You are self-excluded until ${new Date(Number(args.excludedUntil) * 1000).toLocaleString()}.`;
+    case 'DailyLimitExceeded':
+      return `This stake is over your daily limit; you can wager ${pc(args.remaining)} more today.`;
+    case 'SessionLossLimitExceeded':
+      return `This stake could take you past your session loss limit; ${pc(args.remaining)} is left this session.`;
+    case 'InvalidExclusionPeriod':
+      return `Choose a self-exclusion period of up to ${Math.floor(Number(args.maxDuration) / 86400)} days.`;
+    case 'CommitExpired':
+      return `This secure spin expired at block ${args.expiredAtBlock} and can no longer be revealed. Cancel it to play again.`;
+    case 'CommitNotExpired':
+      return `This secure spin can still be revealed; it can be cancelled in ${blocks(Number(args.blocksRemaining))}.`;
+    case 'InvalidRefundPolicy':
+      return `The refund can be at most ${Number(args.maxRefundBps) / 100}% of the stake.`;
+    case 'InvalidJackpotContribution':
+      return `The jackpot can take at most ${Number(args.maxContributionBps) / 100}% of each stake.`;
+    case 'NothingToClaim':
+      return 'There is nothing to claim yet.';
+    case 'ReferrerAlreadySet':
+      return 'Your referrer is already set and cannot be changed.';
+    case 'InvalidReferrer':
+      return 'That referrer address is not valid. You cannot refer yourself.';
+    case 'ReferralLoop':
+      return 'That player was referred through you, so they cannot be your referrer.';
+    case 'InvalidReferralShare':
+      return `The referral share can be at most ${Number(args.maxShareBps) / 100}% of each stake.`;
+    case 'InvalidToken':
+      return 'That token is not set up for betting.';
+    case 'TokenNotEnabled':
+      return 'Betting in this token is switched off. Choose another currency.';
+    case 'SafeERC20FailedOperation':
+      return 'The token transfer failed. Check your token balance and approval.';
+    case 'OpenCommitsPending':
+      return `${args.openCommits} secure spin${Number(args.openCommits) === 1 ? ' is' : 's are'} still open under the current prize table. Wait for them to be revealed, or cancel them once expired.`;
+    case 'EnforcedPause':
+      return 'The game is paused by the operator.';
+    case 'ExpectedPause':
+      return 'Pause the game before making this change.';
+    case 'OwnableUnauthorizedAccount':
+      return 'Only the contract owner can do this.';
+    case 'ReentrancyGuardReentrantCall':
+      return GENERIC_MESSAGE;
+    case 'Error':
+      return `Transaction reverted: ${args[0]}`;
+    case 'Panic':
+      return `Transaction reverted with panic code ${args[0]}.`;
+    default:
+      return GENERIC_MESSAGE;
+  }
+};
+
+/**
+ * Classify a failed contract call or transaction.
+ * Returns { kind: 'rejected' | 'revert' | 'unknown', message, name, args } where
+ * name/args are the decoded custom error for reverts. Recovery hints are added
+ * when they apply: cooldownSeconds (CooldownNotExpired) and blocksRemaining (RevealTooEarly).
+ * currency ({ symbol, decimals }) is the one the failed call staked, for amounts in the message.
+ */
+export const decodeContractError = async (err, currency = { symbol: 'PC', decimals: 18 }) => {
+  if ([err, err && err.cause, err && err.error].some(isUserRejection)) {
+    return { kind: 'rejected', message: 'You rejected the transaction in your wallet.' };
+  }
+
+  const iface = new ethers.Interface(ROULETTE_ABI);
+
+  for (const data of collectRevertData(err)) {
+    let parsed = null;
+    try {
+      parsed = iface.parseError(data);
+    } catch (e) { continue; }
+    if (!parsed) continue;
+
+    const decoded = {
+      kind: 'revert',
+      name: parsed.name,
+      args: parsed.args,
+      message: describeError(ethers, parsed.name, parsed.args, currency)
+    };
+    if (parsed.name === 'CooldownNotExpired') decoded.cooldownSeconds = Number(parsed.args.timeRemaining);
+    if (parsed.name === 'RevealTooEarly') decoded.blocksRemaining = Number(parsed.args.blocksRemaining);
+    return decoded;
+  }
+
+  // Plain require() strings sometimes only survive as text
+  const reason = err && (err.reason || (/reverted(?::| with reason string) ['"]?([^'"\n]+)/i.exec(err.message || '') || [])[1]);
+  if (reason) return { kind: 'revert', name: 'Error', args: [reason], message: `Transaction reverted: ${reason}` };
+
+  return { kind: 'unknown', message: (err && (err.shortMessage || err.message)) || GENERIC_MESSAGE };
+};
@@ -0,0 +1,224 @@
+// Provable-fairness check for commit-reveal spins, staked in PC or a token
+// Recomputes the entropy exactly like _generateEntropy in PushChainRoulette.sol
+// from the revealed secret and the hash of block commit + REVEAL_DELAY, then runs
+// the prize draw through the _calculatePrize tiers and, for PC spins, repeats the
+// jackpot draw of _drawJackpot.
+//
+// This module has no app imports so it can also be used from Node, where the .mjs
+// extension marks it as an ES module:
+//   const { verifySpin } = await import('./src/utils/fairness.mjs');
+//   const report = await verifySpin({ ethers, provider, contractAddress, txHash });
+
+const FAIRNESS_ABI = [
+  'event SpinCommitted(address indexed player, bytes32 commitHash, uint256 blockNumber, uint256 timestamp, bytes32 secretHash, uint256 nonce)',
+  'event SpinRevealed(address indexed player, uint256 betAmount, uint256 prizeAmount, uint256 randomNumber, uint256 timestamp)',
+  'event TokenSpinRevealed(address indexed player, address indexed token, uint256 betAmount, uint256 prizeAmount, uint256 randomNumber, uint256 timestamp)',
+  'event SpinEntropy(address indexed player, uint256 secret, uint256 commitBlock, bytes32 entropyBlockHash)',
+  'event JackpotWon(address indexed player, uint256 amount, uint256 timestamp)',
+  'function JACKPOT_ODDS() view returns (uint256)',
+  'function getPrizeTable() view returns (uint256[] multipliers, uint256[] weights)',
+  'function getTokenGame(address token) view returns (bool enabled, uint256 tokenHouseBalance, uint256 availableBalance, uint256 reservedBalance, uint256 minStake, uint256 maxStake, uint256 maxPrize, uint256[] multipliers, uint256[] weights)',
+  'function MULTIPLIER_BASE() view returns (uint256)',
+  'function PRIZE_WEIGHT_TOTAL() view returns (uint256)',
+  'function REVEAL_DELAY() view returns (uint256)'
+];
+
+const TOKEN_ABI = [
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)'
+];
+
+/**
+ * Same packing as _generateEntropy.
+ * inputs: { secret, entropyBlockHash }, the hash being that of block commit + REVEAL_DELAY
+ */
+export const computeEntropy = (ethers, inputs) =>
+  ethers.toBigInt(ethers.solidityPackedKeccak256(['uint256', 'bytes32'], [inputs.secret, inputs.entropyBlockHash]));
+
+/**
+ * Same hash as _storeCommit, from the revealed secret.
+ * inputs: { secret, player, timestamp, nonce }, the last three from SpinCommitted
+ */
+export const computeCommitHash = (ethers, inputs) => ethers.solidityPackedKeccak256(
+  ['bytes32', 'address', 'uint256', 'uint256'],
+  [ethers.solidityPackedKeccak256(['uint256'], [inputs.secret]), inputs.player, inputs.timestamp, inputs.nonce]
+);
+
+// The prize draw is the entropy modulo PRIZE_WEIGHT_TOTAL
+export const computeRandomNumber = (ethers, inputs, weightTotal) =>
+  computeEntropy(ethers, inputs) % ethers.toBigInt(weightTotal);
+
+// Same second draw as _drawJackpot: the ABI-encoded entropy hashed again
+export const winsJackpot = (ethers, entropy, odds) => {
+  const hash = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [entropy]));
+  return ethers.toBigInt(hash) % ethers.toBigInt(odds) === ethers.toBigInt(0);
+};
+
+// Same tier walk as _calculatePrize; amounts are in wei
+export const calculatePrize = (ethers, randomNumber, betAmount, { multipliers, weights, multiplierBase }) => {
+  let cumulative = ethers.toBigInt(0);
+  let tier = weights.length - 1;
+  for (let i = 0; i < weights.length; i++) {
+    cumulative += ethers.toBigInt(weights[i]);
+    if (ethers.toBigInt(randomNumber) < cumulative) {
+      tier = i;
+      break;
+    }
+  }
+  return {
+    tier,
+    prize: (ethers.toBigInt(betAmount) * ethers.toBigInt(multipliers[tier])) / ethers.toBigInt(multiplierBase)
+  };
+};
+
+const findLog = (iface, receipt, contractAddress, eventName) => {
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== contractAddress.toLowerCase()) continue;
+    try {
+      const parsed = iface.parseLog({ topics: log.topics, data: log.data });
+      if (parsed && parsed.name === eventName) return parsed;
+    } catch (e) { continue; }
+  }
+  return null;
+};
+
+// Prize table in force when the spin was revealed, the PC one or the token's; needs an
+// archive RPC, otherwise falls back to the current one
+const loadPrizeTable = async (contract, blockTag, token) => {
+  const [multiplierBase, weightTotal] = await Promise.all([
+    contract.MULTIPLIER_BASE(),
+    contract.PRIZE_WEIGHT_TOTAL()
+  ]);
+  const read = async (overrides) => {
+    const table = token ? await contract.getTokenGame(token, overrides) : await contract.getPrizeTable(overrides);
+    return { multipliers: table.multipliers, weights: table.weights };
+  };
+  try {
+    return { ...(await read({ blockTag })), multiplierBase, weightTotal, historical: true };
+  } catch (err) {
+    return { ...(await read({})), multiplierBase, weightTotal, historical: false };
+  }
+};
+
+// Symbol and decimals of the spin's currency, for the report labels
+const loadCurrency = async (ethers, provider, token) => {
+  if (!token) return { symbol: 'PC', decimals: 18 };
+  const erc20 = new ethers.Contract(token, TOKEN_ABI, provider);
+  const [symbol, decimals] = await Promise.all([
+    erc20.symbol().catch(() => 'tokens'),
+    erc20.decimals().catch(() => 18)
+  ]);
+  return { symbol, decimals: Number(decimals) };
+};
+
+/**
+ * Verify one revealed spin from its reveal transaction.
+ * Returns { verifiable, reason } when the transaction isn't a commit-reveal spin,
+ * otherwise { verifiable: true, verified, checks, inputs, ... } where every check
+ * has a label and an ok flag. Big numbers in the report are decimal strings.
+ */
+export const verifySpin = async ({ ethers, provider, contractAddress, txHash }) => {
+  const iface = new ethers.Interface(FAIRNESS_ABI);
+  const contract = new ethers.Contract(contractAddress, FAIRNESS_ABI, provider);
+
+  const receipt = await provider.getTransactionReceipt(txHash);
+  if (!receipt) throw new Error(`Transaction ${txHash} not found`);
+
+  const revealed = findLog(iface, receipt, contractAddress, 'SpinRevealed') ||
+    findLog(iface, receipt, contractAddress, 'TokenSpinRevealed');
+  if (!revealed) return { verifiable: false, reason: 'The transaction has no SpinRevealed or TokenSpinRevealed event.' };
+  const token = revealed.name === 'TokenSpinRevealed' ? revealed.args.token : null;
+  const entropy = findLog(iface, receipt, contractAddress, 'SpinEntropy');
+  if (!entropy) {
+    return { verifiable: false, reason: 'Quick spins draw their result in one transaction and cannot be verified.' };
+  }
+
+  const revealBlockNumber = receipt.blockNumber;
+  const commitBlockNumber = Number(entropy.args.commitBlock);
+  const player = entropy.args.player;
+  const entropyBlockNumber = commitBlockNumber + Number(await contract.REVEAL_DELAY());
+
+  const [revealBlock, entropyBlock, prizeTable, commits, currency] = await Promise.all([
+    provider.getBlock(revealBlockNumber),
+    provider.getBlock(entropyBlockNumber),
+    loadPrizeTable(contract, revealBlockNumber, token),
+    contract.queryFilter(contract.filters.SpinCommitted(player), commitBlockNumber, commitBlockNumber),
+    loadCurrency(ethers, provider, token)
+  ]);
+  const amount = (value) => `${ethers.formatUnits(value, currency.decimals)} ${currency.symbol}`;
+
+  // The hash the contract used, checked against the chain's own block below
+  const inputs = { secret: entropy.args.secret, entropyBlockHash: entropy.args.entropyBlockHash };
+  const spinEntropy = computeEntropy(ethers, inputs);
+  const randomNumber = spinEntropy % ethers.toBigInt(prizeTable.weightTotal);
+
+  const { tier, prize } = calculatePrize(ethers, randomNumber, revealed.args.betAmount, prizeTable);
+
+  // The revealed secret has to be the one committed to, or the result could have been picked
+  const committed = commits.length > 0 ? commits[commits.length - 1].args : null;
+  const commitHash = committed
+    ? computeCommitHash(ethers, { secret: inputs.secret, player, timestamp: committed.timestamp, nonce: committed.nonce })
+    : null;
+
+  // Contracts from before the jackpot have no JACKPOT_ODDS, and token spins never draw it
+  const jackpotOdds = token ? null : await contract.JACKPOT_ODDS().catch(() => null);
+  const jackpotWon = findLog(iface, receipt, contractAddress, 'JackpotWon');
+
+  const checks = [
+    {
+      label: `Commit found in block ${commitBlockNumber}`,
+      ok: !!committed
+    },
+    {
+      label: 'Revealed secret hashes to the commit hash',
+      ok: !!committed && commitHash === committed.commitHash
+    },
+    {
+      label: `Entropy block ${entropyBlockNumber} hash matches the one the reveal used`,
+      ok: !!entropyBlock && entropyBlock.hash === inputs.entropyBlockHash
+    },
+    {
+      label: 'Reveal timestamp matches the block',
+      ok: ethers.toBigInt(revealed.args.timestamp) === ethers.toBigInt(revealBlock.timestamp)
+    },
+    {
+      label: `Random number ${randomNumber} matches the event (${revealed.args.randomNumber})`,
+      ok: randomNumber === revealed.args.randomNumber
+    },
+    {
+      label: `Prize tier ${tier + 1} pays ${amount(prize)}, event paid ${amount(revealed.args.prizeAmount)}`,
+      ok: prize === revealed.args.prizeAmount
+    }
+  ];
+  if (jackpotOdds) {
+    const drawWins = winsJackpot(ethers, spinEntropy, jackpotOdds);
+    // A winning draw pays nothing while the pool is empty, so only a paid jackpot has to be backed by the draw
+    checks.push({
+      label: jackpotWon
+        ? `Jackpot of ${ethers.formatEther(jackpotWon.args.amount)} PC won by the draw (1 in ${jackpotOdds})`
+        : `Jackpot draw ${drawWins ? 'won, with an empty pool' : 'did not win'}`,
+      ok: !jackpotWon || drawWins
+    });
+  }
+
+  return {
+    verifiable: true,
+    verified: checks.every(check => check.ok),
+    checks,
+    token,
+    tier,
+    randomNumber: randomNumber.toString(),
+    expectedPrize: prize.toString(),
+    prizeTableAtReveal: prizeTable.historical,
+    revealBlock: revealBlockNumber,
+    inputs: {
+      secret: inputs.secret.toString(),
+      player,
+      commitBlock: commitBlockNumber,
+      commitHash: committed ? committed.commitHash : 'not found',
+      commitNonce: committed ? committed.nonce.toString() : 'not found',
+      entropyBlock: entropyBlockNumber,
+      entropyBlockHash: inputs.entropyBlockHash
+    }
+  };
+};
@@ -0,0 +1,199 @@
+import { ethers } from 'ethers';
+import { calculatePrize, computeCommitHash, computeEntropy, computeRandomNumber, verifySpin, winsJackpot } from './fairness.mjs';
+
+const CONTRACT = '0x00000000000000000000000000000000000000c0';
+const PLAYER = '0x00000000000000000000000000000000000000a1';
+const TX_HASH = `0x${'ab'.repeat(32)}`;
+
+// The constructor's default table
+const DEFAULT_TABLE = {
+  multipliers: [0, 5000, 10000, 20000, 50000, 100000],
+  weights: [600, 300, 50, 30, 15, 5],
+  multiplierBase: 10000
+};
+
+const INPUTS = {
+  secret: 12345n,
+  entropyBlockHash: `0x${'11'.repeat(32)}`
+};
+
+const word = (value) => ethers.toBeHex(value, 32).slice(2);
+
+const eventLog = (iface, name, args) => {
+  const { data, topics } = iface.encodeEventLog(name, args);
+  return { address: CONTRACT, data, topics };
+};
+
+// Just enough of a provider to hand back one receipt
+const receiptProvider = (logs) => ({
+  getTransactionReceipt: async () => ({ blockNumber: 100, logs })
+});
+
+const SPIN_IFACE = new ethers.Interface([
+  'event SpinCommitted(address indexed player, bytes32 commitHash, uint256 blockNumber, uint256 timestamp, bytes32 secretHash, uint256 nonce)',
+  'event SpinRevealed(address indexed player, uint256 betAmount, uint256 prizeAmount, uint256 randomNumber, uint256 timestamp)',
+  'event SpinEntropy(address indexed player, uint256 secret, uint256 commitBlock, bytes32 entropyBlockHash)',
+  'function JACKPOT_ODDS() view returns (uint256)',
+  'function getPrizeTable() view returns (uint256[] multipliers, uint256[] weights)',
+  'function MULTIPLIER_BASE() view returns (uint256)',
+  'function PRIZE_WEIGHT_TOTAL() view returns (uint256)',
+  'function REVEAL_DELAY() view returns (uint256)'
+]);
+
+const COMMIT_BLOCK = 90;
+const ENTROPY_BLOCK_HASH = `0x${'22'.repeat(32)}`;
+const TIMESTAMP = 1700000000;
+const STAKE = ethers.parseEther('0.1');
+
+/**
+ * A chain holding one spin committed with committedSecret and revealed with revealedSecret.
+ * The reveal's own events are consistent with revealedSecret, so only the commit can tell them apart.
+ */
+const spinProvider = ({ committedSecret, revealedSecret }) => {
+  const nonce = 4;
+  const secretHash = ethers.solidityPackedKeccak256(['uint256'], [committedSecret]);
+  const commitHash = computeCommitHash(ethers, { secret: committedSecret, player: PLAYER, timestamp: TIMESTAMP, nonce });
+  const randomNumber = computeRandomNumber(ethers, { secret: revealedSecret, entropyBlockHash: ENTROPY_BLOCK_HASH }, 1000);
+  const { prize } = calculatePrize(ethers, randomNumber, STAKE, DEFAULT_TABLE);
+  const results = {
+    JACKPOT_ODDS: [10000],
+    getPrizeTable: [DEFAULT_TABLE.multipliers, DEFAULT_TABLE.weights],
+    MULTIPLIER_BASE: [DEFAULT_TABLE.multiplierBase],
+    PRIZE_WEIGHT_TOTAL: [1000],
+    REVEAL_DELAY: [2]
+  };
+  const committed = {
+    ...eventLog(SPIN_IFACE, 'SpinCommitted', [PLAYER, commitHash, COMMIT_BLOCK, TIMESTAMP, secretHash, nonce]),
+    blockNumber: COMMIT_BLOCK,
+    blockHash: ethers.ZeroHash,
+    transactionHash: ethers.ZeroHash,
+    transactionIndex: 0,
+    index: 0,
+    removed: false
+  };
+  const provider = {
+    getTransactionReceipt: async () => ({
+      blockNumber: 100,
+      logs: [
+        eventLog(SPIN_IFACE, 'SpinEntropy', [PLAYER, revealedSecret, COMMIT_BLOCK, ENTROPY_BLOCK_HASH]),
+        eventLog(SPIN_IFACE, 'SpinRevealed', [PLAYER, STAKE, prize, randomNumber, TIMESTAMP + 30])
+      ]
+    }),
+    getBlock: async (number) => ({
+      hash: number === COMMIT_BLOCK + 2 ? ENTROPY_BLOCK_HASH : ethers.ZeroHash,
+      timestamp: TIMESTAMP + 30
+    }),
+    getLogs: async () => [committed],
+    call: async ({ data }) => {
+      const { name } = SPIN_IFACE.parseTransaction({ data });
+      return SPIN_IFACE.encodeFunctionResult(name, results[name]);
+    }
+  };
+  provider.provider = provider;
+  return provider;
+};
+
+describe('fairness', () => {
+  it('packs the entropy inputs in _generateEntropy order', () => {
+    const packed = `0x${word(INPUTS.secret)}${INPUTS.entropyBlockHash.slice(2)}`;
+    const entropy = ethers.toBigInt(ethers.keccak256(packed));
+
+    expect(computeEntropy(ethers, INPUTS)).toBe(entropy);
+    expect(computeRandomNumber(ethers, INPUTS, 1000)).toBe(entropy % 1000n);
+  });
+
+  it('draws the jackpot from the entropy hashed again', () => {
+    const hashed = (entropy) => ethers.toBigInt(ethers.keccak256(`0x${word(entropy)}`));
+    const entropy = computeEntropy(ethers, INPUTS);
+
+    expect(winsJackpot(ethers, entropy, 1)).toBe(true);
+    expect(winsJackpot(ethers, entropy, 10000)).toBe(hashed(entropy) % 10000n === 0n);
+
+    // At odds of 2, some of these win and some don't
+    const entropies = [0n, 1n, 2n, 3n, 4n, 5n, 6n, 7n];
+    const wins = entropies.map(e => winsJackpot(ethers, e, 2));
+    expect(wins).toEqual(entropies.map(e => hashed(e) % 2n === 0n));
+    expect(wins).toContain(true);
+    expect(wins).toContain(false);
+  });
+
+  it('hashes the commit inputs like _storeCommit', () => {
+    const secretHash = ethers.keccak256(`0x${word(12345n)}`);
+    const packed = `0x${secretHash.slice(2)}${PLAYER.slice(2)}${word(TIMESTAMP)}${word(4)}`;
+
+    expect(computeCommitHash(ethers, { secret: 12345n, player: PLAYER, timestamp: TIMESTAMP, nonce: 4 }))
+      .toBe(ethers.keccak256(packed));
+  });
+
+  it('walks the cumulative weights like _calculatePrize', () => {
+    const stake = ethers.parseEther('0.1');
+    const draw = (randomNumber) => calculatePrize(ethers, randomNumber, stake, DEFAULT_TABLE);
+
+    expect(draw(0)).toEqual({ tier: 0, prize: 0n });
+    expect(draw(599).tier).toBe(0);
+    expect(draw(600)).toEqual({ tier: 1, prize: ethers.parseEther('0.05') });
+    expect(draw(899).tier).toBe(1);
+    expect(draw(900)).toEqual({ tier: 2, prize: stake });
+    expect(draw(950).tier).toBe(3);
+    expect(draw(980).tier).toBe(4);
+    expect(draw(995)).toEqual({ tier: 5, prize: ethers.parseEther('1') });
+    expect(draw(999).tier).toBe(5);
+  });
+
+  it('rounds prizes down in wei like the contract', () => {
+    const { prize } = calculatePrize(ethers, 600, 3n, DEFAULT_TABLE);
+    expect(prize).toBe(1n);
+  });
+
+  it('reports a transaction without a reveal as not verifiable', async () => {
+    const report = await verifySpin({ ethers, provider: receiptProvider([]), contractAddress: CONTRACT, txHash: TX_HASH });
+
+    expect(report.verifiable).toBe(false);
+    expect(report.reason).toMatch(/no SpinRevealed/);
+  });
+
+  it('reports a quick spin as not verifiable', async () => {
+    const iface = new ethers.Interface([
+      'event SpinRevealed(address indexed player, uint256 betAmount, uint256 prizeAmount, uint256 randomNumber, uint256 timestamp)'
+    ]);
+    const logs = [eventLog(iface, 'SpinRevealed', [PLAYER, ethers.parseEther('0.1'), 0, 42, 1700000000])];
+    const report = await verifySpin({ ethers, provider: receiptProvider(logs), contractAddress: CONTRACT, txHash: TX_HASH });
+
+    expect(report.verifiable).toBe(false);
+    expect(report.reason).toMatch(/Quick spins/);
+  });
+
+  it('ignores matching events from other contracts', async () => {
+    const iface = new ethers.Interface([
+      'event SpinRevealed(address indexed player, uint256 betAmount, uint256 prizeAmount, uint256 randomNumber, uint256 timestamp)'
+    ]);
+    const log = { ...eventLog(iface, 'SpinRevealed', [PLAYER, 1, 0, 42, 1700000000]), address: PLAYER };
+    const report = await verifySpin({ ethers, provider: receiptProvider([log]), contractAddress: CONTRACT, txHash: TX_HASH });
+
+    expect(report.reason).toMatch(/no SpinRevealed/);
+  });
+
+  it('verifies a reveal of the committed secret', async () => {
+    const provider = spinProvider({ committedSecret: 12345n, revealedSecret: 12345n });
+    const report = await verifySpin({ ethers, provider, contractAddress: CONTRACT, txHash: TX_HASH });
+
+    expect(report.checks.filter(check => !check.ok)).toEqual([]);
+    expect(report.verified).toBe(true);
+  });
+
+  it('fails a reveal whose secret does not hash to the commit', async () => {
+    const provider = spinProvider({ committedSecret: 12345n, revealedSecret: 54321n });
+    const report = await verifySpin({ ethers, provider, contractAddress: CONTRACT, txHash: TX_HASH });
+
+    expect(report.verified).toBe(false);
+    expect(report.checks.filter(check => !check.ok).map(check => check.label))
+      .toEqual(['Revealed secret hashes to the commit hash']);
+  });
+
+  it('fails when the transaction does not exist', async () => {
+    const provider = { getTransactionReceipt: async () => null };
+
+    await expect(verifySpin({ ethers, provider, contractAddress: CONTRACT, txHash: TX_HASH }))
+      .rejects.toThrow(`Transaction ${TX_HASH} not found`);
+  });
+});
@@ -0,0 +1,88 @@
+// Progressive jackpot: the live pool from the contract and past winners from JackpotWon logs
+// Winners are cached in localStorage like the spin history, so only new blocks are scanned.
+
+import { ethers } from 'ethers';
+import { CONTRACT_ADDRESS, CONTRACT_DEPLOY_BLOCK, ROULETTE_ABI } from '../contracts/roulette';
+import { getReadProvider, getReadContract, scanLogPages } from './chain';
+
+const STORAGE_PREFIX = 'pcr:jackpots';
+
+const storageKey = () => `${STORAGE_PREFIX}:${CONTRACT_ADDRESS.toLowerCase()}`;
+
+export const fetchJackpot = async () => {
+  const contract = await getReadContract(CONTRACT_ADDRESS, ROULETTE_ABI);
+  const [pool, contributionBps, seed, odds] = await Promise.all([
+    contract.jackpotPool(),
+    contract.jackpotContributionBps(),
+    contract.jackpotSeed(),
+    contract.JACKPOT_ODDS()
+  ]);
+  return {
+    pool: parseFloat(ethers.formatEther(pool)),
+    contributionPercent: Number(contributionBps) / 100,
+    seed: parseFloat(ethers.formatEther(seed)),
+    odds: Number(odds)
+  };
+};
+
+// Just the pool, for the stakes that feed it
+export const fetchJackpotPool = async () => {
+  const contract = await getReadContract(CONTRACT_ADDRESS, ROULETTE_ABI);
+  return parseFloat(ethers.formatEther(await contract.jackpotPool()));
+};
+
+export const loadCachedWinners = () => {
+  try {
+    const raw = localStorage.getItem(storageKey());
+    return raw ? JSON.parse(raw) : null;
+  } catch (err) {
+    console.error('Failed to read jackpot cache:', err);
+    return null;
+  }
+};
+
+const saveCachedWinners = (winners) => {
+  try {
+    localStorage.setItem(storageKey(), JSON.stringify(winners));
+  } catch (err) {
+    console.error('Failed to write jackpot cache:', err);
+  }
+};
+
+const toWinner = (event) => ({
+  id: `${event.transactionHash}:${event.index}`,
+  txHash: event.transactionHash,
+  player: event.args.player,
+  amount: ethers.formatEther(event.args.amount),
+  blockNumber: event.blockNumber,
+  timestamp: Number(event.args.timestamp)
+});
+
+/**
+ * Fetch JackpotWon logs from the last synced block up to the chain head.
+ * Returns { lastBlock, wins } with the newest win first.
+ */
+export const syncJackpotWinners = async (cached) => {
+  const provider = await getReadProvider();
+  const contract = await getReadContract(CONTRACT_ADDRESS, ROULETTE_ABI);
+  const head = await provider.getBlockNumber();
+
+  // A cache ahead of the chain head is from a local node that has since been restarted
+  let winners = cached && cached.lastBlock <= head
+    ? cached
+    : { lastBlock: CONTRACT_DEPLOY_BLOCK - 1, wins: [] };
+
+  await scanLogPages(
+    winners.lastBlock + 1,
+    head,
+    (fromBlock, toBlock) => contract.queryFilter(contract.filters.JackpotWon(), fromBlock, toBlock),
+    (events, toBlock) => {
+      const known = new Set(winners.wins.map(win => win.id));
+      const wins = events.map(toWinner).filter(win => !known.has(win.id)).reverse();
+      winners = { lastBlock: toBlock, wins: [...wins, ...winners.wins] };
+      saveCachedWinners(winners);
+    }
+  );
+
+  return winners;
+};
@@ -0,0 +1,100 @@
+// Leaderboards computed from the global spin log: prize wheel and table spins staked in PC
+// Everyone's spin log only keeps its newest spins, so the leaderboards are kept as
+// running totals instead: one set for all time and one per hour for the timed windows.
+
+export const LEADERBOARD_WINDOWS = [
+  { id: '24h', label: '24h', seconds: 24 * 60 * 60 },
+  { id: '7d', label: '7d', seconds: 7 * 24 * 60 * 60 },
+  { id: 'all', label: 'All-time', seconds: null }
+];
+
+const HOUR = 60 * 60;
+
+// Hourly totals old enough to fall out of every window are dropped
+const KEPT_HOURS = Math.max(...LEADERBOARD_WINDOWS.map(w => w.seconds || 0)) / HOUR + 1;
+
+// Biggest wins kept per set of totals, enough for any leaderboard
+const MAX_TOP_WINS = 10;
+
+const byDescending = (key) => (a, b) => b[key] - a[key];
+
+const emptyTotals = () => ({ players: {}, topWins: [] });
+
+export const emptyLeaderboardTotals = () => ({ allTime: emptyTotals(), hours: {} });
+
+const copyTotals = (totals) => ({ players: { ...totals.players }, topWins: [...totals.topWins] });
+
+// Count one spin into totals copied for this update
+const addSpin = (totals, spin) => {
+  const key = spin.player.toLowerCase();
+  const entry = totals.players[key] || { player: spin.player, spins: 0, wagered: 0, won: 0 };
+  const prize = parseFloat(spin.prizeAmount);
+  totals.players[key] = {
+    ...entry,
+    spins: entry.spins + 1,
+    wagered: entry.wagered + parseFloat(spin.betAmount),
+    won: entry.won + prize
+  };
+  if (prize > 0) {
+    totals.topWins.push({ id: spin.id, txHash: spin.txHash, player: spin.player, prize, timestamp: spin.timestamp });
+    totals.topWins.sort(byDescending('prize'));
+    totals.topWins.length = Math.min(totals.topWins.length, MAX_TOP_WINS);
+  }
+};
+
+/**
+ * Count newly scanned spins into the running totals, each exactly once, and return the
+ * updated totals. Token spins are left out, since their amounts can't be ranked against PC.
+ */
+export const addToLeaderboardTotals = (leaderboard, spins) => {
+  const allTime = copyTotals(leaderboard.allTime);
+  const hours = { ...leaderboard.hours };
+  const copied = new Set();
+  spins.filter(spin => !spin.token).forEach(spin => {
+    const hour = Math.floor(spin.timestamp / HOUR);
+    if (!copied.has(hour)) {
+      hours[hour] = hours[hour] ? copyTotals(hours[hour]) : emptyTotals();
+      copied.add(hour);
+    }
+    addSpin(allTime, spin);
+    addSpin(hours[hour], spin);
+  });
+
+  const latestHour = Math.max(...Object.keys(hours).map(Number));
+  Object.keys(hours).forEach(hour => {
+    if (Number(hour) <= latestHour - KEPT_HOURS) delete hours[hour];
+  });
+  return { allTime, hours };
+};
+
+/**
+ * Top players for a time window.
+ * windowSeconds of null means all-time; now is a unix timestamp in seconds.
+ * Timed windows are counted in whole hours, so 24h covers the last 24 to 25 hours.
+ */
+export const computeLeaderboards = (leaderboard, windowSeconds, now, limit = 10) => {
+  const since = windowSeconds ? now - windowSeconds : null;
+  const sets = since === null
+    ? [leaderboard.allTime]
+    : Object.entries(leaderboard.hours)
+      .filter(([hour]) => (Number(hour) + 1) * HOUR > since)
+      .map(([, totals]) => totals);
+
+  const players = new Map();
+  sets.forEach(totals => Object.entries(totals.players).forEach(([key, entry]) => {
+    const sum = players.get(key) || { player: entry.player, spins: 0, wagered: 0, won: 0 };
+    players.set(key, {
+      ...sum,
+      spins: sum.spins + entry.spins,
+      wagered: sum.wagered + entry.wagered,
+      won: sum.won + entry.won
+    });
+  }));
+  const totals = Array.from(players.values()).map(entry => ({ ...entry, net: entry.won - entry.wagered }));
+
+  return {
+    biggestWins: sets.flatMap(totals => totals.topWins).sort(byDescending('prize')).slice(0, limit),
+    mostSpins: [...totals].sort(byDescending('spins')).slice(0, limit),
+    bestNet: [...totals].sort(byDescending('net')).slice(0, limit)
+  };
+};
@@ -0,0 +1,69 @@
+import { addToLeaderboardTotals, computeLeaderboards, emptyLeaderboardTotals } from './leaderboard';
+
+const ALICE = '0x00000000000000000000000000000000000000A1';
+const BOB = '0x00000000000000000000000000000000000000b0';
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+const NOW = 1000 * DAY;
+
+let nextId = 0;
+const spin = (player, timestamp, betAmount, prizeAmount, token = null) =>
+  ({ id: `0x${nextId++}:0`, txHash: `0x${nextId}`, player, timestamp, betAmount, prizeAmount, token });
+
+describe('leaderboard', () => {
+  it('adds up every spin across pages, however many there are', () => {
+    const pages = Array.from({ length: 30 }, (_, page) =>
+      Array.from({ length: 100 }, () => spin(ALICE, NOW - page * 60, '0.1', '0'))
+    );
+    const totals = pages.reduce(addToLeaderboardTotals, emptyLeaderboardTotals());
+    const [alice] = computeLeaderboards(totals, null, NOW).mostSpins;
+
+    expect(alice.spins).toBe(3000);
+    expect(alice.wagered).toBeCloseTo(300);
+    expect(alice.net).toBeCloseTo(-300);
+  });
+
+  it('matches players case-insensitively and leaves token spins out', () => {
+    const totals = addToLeaderboardTotals(emptyLeaderboardTotals(), [
+      spin(ALICE, NOW, '0.1', '0.2'),
+      spin(ALICE.toLowerCase(), NOW, '0.1', '0'),
+      spin(BOB, NOW, '5', '50', '0x00000000000000000000000000000000000000e2')
+    ]);
+    const { mostSpins, bestNet, biggestWins } = computeLeaderboards(totals, null, NOW);
+
+    expect(mostSpins).toEqual([expect.objectContaining({ player: ALICE, spins: 2 })]);
+    expect(bestNet[0].net).toBeCloseTo(0);
+    expect(biggestWins.map(win => win.prize)).toEqual([0.2]);
+  });
+
+  it('counts timed windows by the hour', () => {
+    const totals = addToLeaderboardTotals(emptyLeaderboardTotals(), [
+      spin(ALICE, NOW - 2 * DAY, '1', '3'),
+      spin(BOB, NOW - HOUR, '1', '2'),
+      spin(BOB, NOW, '1', '0')
+    ]);
+    const spinsIn = (seconds) => computeLeaderboards(totals, seconds, NOW).mostSpins
+      .map(row => [row.player, row.spins]);
+
+    expect(spinsIn(DAY)).toEqual([[BOB, 2]]);
+    expect(spinsIn(7 * DAY)).toEqual([[BOB, 2], [ALICE, 1]]);
+    expect(computeLeaderboards(totals, 7 * DAY, NOW).biggestWins.map(win => win.player)).toEqual([ALICE, BOB]);
+  });
+
+  it('drops hourly totals older than the longest window but keeps them all-time', () => {
+    let totals = addToLeaderboardTotals(emptyLeaderboardTotals(), [spin(ALICE, NOW - 30 * DAY, '1', '10')]);
+    totals = addToLeaderboardTotals(totals, [spin(BOB, NOW, '1', '0')]);
+
+    expect(Object.keys(totals.hours)).toEqual([String(NOW / HOUR)]);
+    expect(computeLeaderboards(totals, 7 * DAY, NOW).biggestWins).toEqual([]);
+    expect(computeLeaderboards(totals, null, NOW).biggestWins[0]).toEqual(expect.objectContaining({ player: ALICE, prize: 10 }));
+  });
+
+  it('leaves the totals it was given untouched', () => {
+    const before = addToLeaderboardTotals(emptyLeaderboardTotals(), [spin(ALICE, NOW, '1', '2')]);
+    const snapshot = JSON.stringify(before);
+    addToLeaderboardTotals(before, [spin(ALICE, NOW, '1', '5'), spin(BOB, NOW, '1', '0')]);
+
+    expect(JSON.stringify(before)).toBe(snapshot);
+  });
+});
@@ -0,0 +1,72 @@
+// Responsible-gaming limits a player has set on-chain, and how much of them is used
+// Amounts are in PC; a limit of null means none is set.
+
+import { ethers } from 'ethers';
+import { CONTRACT_ADDRESS, ROULETTE_ABI } from '../contracts/roulette';
+import { getReadContract } from './chain';
+
+const DAY = 24 * 60 * 60;
+
+const toLimit = (wei) => (wei > 0 ? parseFloat(ethers.formatEther(wei)) : null);
+
+// A looser limit waiting out LIMIT_INCREASE_DELAY, or null
+const toPending = (wei, changeAt) =>
+  Number(changeAt) > 0 ? { limit: toLimit(wei), at: Number(changeAt) } : null;
+
+export const fetchPlayerLimits = async (player) => {
+  const contract = await getReadContract(CONTRACT_ADDRESS, ROULETTE_ABI);
+  const [limits, usage, increaseDelay] = await Promise.all([
+    contract.getPlayerLimits(player),
+    contract.getLimitUsage(player),
+    contract.LIMIT_INCREASE_DELAY()
+  ]);
+
+  return {
+    dailyLimit: toLimit(limits.dailyLimit),
+    sessionLossLimit: toLimit(limits.sessionLossLimit),
+    excludedUntil: Number(limits.excludedUntil),
+    pendingDailyLimit: toPending(limits.pendingDailyLimit, limits.dailyLimitChangeAt),
+    pendingSessionLossLimit: toPending(limits.pendingSessionLossLimit, limits.sessionLossLimitChangeAt),
+    spentToday: parseFloat(ethers.formatEther(usage.spentToday)),
+    sessionLoss: parseFloat(ethers.formatEther(usage.sessionLoss)),
+    sessionEndsAt: Number(usage.sessionEndsAt),
+    increaseDelay: Number(increaseDelay)
+  };
+};
+
+// The daily limit counts stakes since 00:00 UTC
+export const nextDailyReset = (now) => (Math.floor(now / DAY) + 1) * DAY;
+
+export const isSelfExcluded = (limits, now) => !!limits && limits.excludedUntil > now;
+
+export const remainingToday = (limits) =>
+  limits.dailyLimit === null ? null : Math.max(0, limits.dailyLimit - limits.spentToday);
+
+export const remainingThisSession = (limits) =>
+  limits.sessionLossLimit === null ? null : Math.max(0, limits.sessionLossLimit - limits.sessionLoss);
+
+const formatTime = (timestamp) => new Date(timestamp * 1000).toLocaleString();
+
+/**
+ * Why the player's own limits would reject a stake of `amount` PC, or null.
+ * Mirrors _validateLimits in the contract: a stake counts in full against the session loss limit.
+ */
+export const limitBlockedReason = (limits, amount, now) => {
+  if (!limits) return null;
+  if (isSelfExcluded(limits, now)) return `You are self-excluded until ${formatTime(limits.excludedUntil)}.`;
+
+  const today = remainingToday(limits);
+  if (today !== null && amount > today + 1e-9) {
+    return today > 0
+      ? `Your daily limit leaves ${parseFloat(today.toFixed(6))} PC for today.`
+      : `Daily limit reached. It resets at ${formatTime(nextDailyReset(now))}.`;
+  }
+
+  const session = remainingThisSession(limits);
+  if (session !== null && amount > session + 1e-9) {
+    return session > 0
+      ? `Your session loss limit leaves room for ${parseFloat(session.toFixed(6))} PC more.`
+      : `Session loss limit reached. Take a break until ${formatTime(limits.sessionEndsAt)}.`;
+  }
+  return null;
+};
@@ -0,0 +1,114 @@
+import { ethers } from 'ethers';
+import { getReadContract } from './chain';
+import {
+  fetchPlayerLimits,
+  isSelfExcluded,
+  limitBlockedReason,
+  nextDailyReset,
+  remainingThisSession,
+  remainingToday
+} from './playerLimits';
+
+jest.mock('../contracts/roulette', () => ({
+  CONTRACT_ADDRESS: '0x0000000000000000000000000000000000000001',
+  ROULETTE_ABI: []
+}));
+jest.mock('./chain', () => ({ getReadContract: jest.fn() }));
+
+const DAY = 24 * 60 * 60;
+const NOW = 20000 * DAY + 3600; // 01:00 UTC
+
+const limits = (overrides = {}) => ({
+  dailyLimit: null,
+  sessionLossLimit: null,
+  excludedUntil: 0,
+  spentToday: 0,
+  sessionLoss: 0,
+  sessionEndsAt: 0,
+  ...overrides
+});
+
+const formatTime = (timestamp) => new Date(timestamp * 1000).toLocaleString();
+
+describe('playerLimits', () => {
+  it('reads limits and usage from the contract in PC', async () => {
+    getReadContract.mockResolvedValue({
+      getPlayerLimits: async () => ({
+        dailyLimit: ethers.parseEther('0.5'),
+        sessionLossLimit: 0n,
+        excludedUntil: 0n,
+        pendingDailyLimit: 0n,
+        dailyLimitChangeAt: 0n,
+        pendingSessionLossLimit: ethers.parseEther('0.2'),
+        sessionLossLimitChangeAt: ethers.toBigInt(NOW + DAY)
+      }),
+      getLimitUsage: async () => ({
+        spentToday: ethers.parseEther('0.1'),
+        sessionLoss: ethers.parseEther('0.05'),
+        sessionEndsAt: ethers.toBigInt(NOW + 3600)
+      }),
+      LIMIT_INCREASE_DELAY: async () => ethers.toBigInt(DAY)
+    });
+
+    expect(await fetchPlayerLimits('0xplayer')).toEqual({
+      dailyLimit: 0.5,
+      sessionLossLimit: null,
+      excludedUntil: 0,
+      pendingDailyLimit: null,
+      pendingSessionLossLimit: { limit: 0.2, at: NOW + DAY },
+      spentToday: 0.1,
+      sessionLoss: 0.05,
+      sessionEndsAt: NOW + 3600,
+      increaseDelay: DAY
+    });
+  });
+
+  it('resets the daily limit at the next 00:00 UTC', () => {
+    expect(nextDailyReset(NOW)).toBe(20001 * DAY);
+    expect(nextDailyReset(20001 * DAY)).toBe(20002 * DAY);
+  });
+
+  it('reports what is left of each limit, or null without one', () => {
+    const set = limits({ dailyLimit: 0.5, spentToday: 0.2, sessionLossLimit: 0.1, sessionLoss: 0.3 });
+
+    expect(remainingToday(set)).toBeCloseTo(0.3);
+    expect(remainingThisSession(set)).toBe(0);
+    expect(remainingToday(limits())).toBeNull();
+    expect(remainingThisSession(limits())).toBeNull();
+  });
+
+  it('allows any stake without limits', () => {
+    expect(limitBlockedReason(null, 1, NOW)).toBeNull();
+    expect(limitBlockedReason(limits(), 1, NOW)).toBeNull();
+  });
+
+  it('blocks every stake while self-excluded', () => {
+    const excluded = limits({ excludedUntil: NOW + 60 });
+
+    expect(isSelfExcluded(excluded, NOW)).toBe(true);
+    expect(limitBlockedReason(excluded, 0.01, NOW))
+      .toBe(`You are self-excluded until ${formatTime(NOW + 60)}.`);
+    expect(isSelfExcluded(excluded, NOW + 60)).toBe(false);
+    expect(limitBlockedReason(excluded, 0.01, NOW + 60)).toBeNull();
+  });
+
+  it('blocks stakes over what the daily limit leaves', () => {
+    const daily = limits({ dailyLimit: 0.3, spentToday: 0.2 });
+
+    // 0.3 - 0.2 is 0.09999999999999998, which must still allow a 0.1 stake
+    expect(limitBlockedReason(daily, 0.1, NOW)).toBeNull();
+    expect(limitBlockedReason(daily, 0.11, NOW)).toBe('Your daily limit leaves 0.1 PC for today.');
+    expect(limitBlockedReason({ ...daily, spentToday: 0.3 }, 0.01, NOW))
+      .toBe(`Daily limit reached. It resets at ${formatTime(20001 * DAY)}.`);
+  });
+
+  it('counts the whole stake against the session loss limit', () => {
+    const session = limits({ sessionLossLimit: 0.1, sessionLoss: 0.05, sessionEndsAt: NOW + 3600 });
+
+    expect(limitBlockedReason(session, 0.05, NOW)).toBeNull();
+    expect(limitBlockedReason(session, 0.06, NOW))
+      .toBe('Your session loss limit leaves room for 0.05 PC more.');
+    expect(limitBlockedReason({ ...session, sessionLoss: 0.1 }, 0.01, NOW))
+      .toBe(`Session loss limit reached. Take a break until ${formatTime(NOW + 3600)}.`);
+  });
+});
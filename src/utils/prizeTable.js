@@ -0,0 +1,99 @@
+// Prize table and stake limits as configured on-chain
+
+import { ethers } from 'ethers';
+import { CONTRACT_ADDRESS, CONTRACT_DEPLOY_BLOCK, ROULETTE_ABI } from '../contracts/roulette';
+import { getReadContract, getReadProvider, scanLogPages } from './chain';
+
+// Block of the latest PrizeTableUpdated log and how far the logs have been scanned, kept
+// for the page's lifetime so reloading the table only scans the blocks since
+let tableChange = null;
+
+// 1-2-5 steps offered as quick stake choices when they fall inside the bet limits
+const STAKE_STEPS = ['0.001', '0.002', '0.005', '0.01', '0.02', '0.05', '0.1', '0.2', '0.5', '1', '2', '5', '10'];
+
+/**
+ * Load the prize tiers and bet limits from the contract.
+ * Bet limits and the per-spin payout cap are PC strings; multiplier is the prize as a multiple of the stake
+ * and probability a percentage derived from the tier weight. multiplierBase is kept so
+ * payouts can be recomputed in wei exactly like the contract does. updatedAtBlock is the block
+ * the table was last set in, so spins from before it can be told apart.
+ */
+export const fetchPrizeTable = async () => {
+  const contract = await getReadContract(CONTRACT_ADDRESS, ROULETTE_ABI);
+  const [[multipliers, weights], multiplierBase, weightTotal, maxPrize, stats, updatedAtBlock] = await Promise.all([
+    contract.getPrizeTable(),
+    contract.MULTIPLIER_BASE(),
+    contract.PRIZE_WEIGHT_TOTAL(),
+    contract.MAX_PRIZE(),
+    contract.getStats(),
+    fetchTableUpdatedBlock(contract)
+  ]);
+
+  return {
+    minBet: ethers.formatEther(stats.minStake),
+    maxBet: ethers.formatEther(stats.maxStake),
+    maxPrize: ethers.formatEther(maxPrize),
+    multiplierBase: Number(multiplierBase),
+    updatedAtBlock,
+    prizes: toPrizeTiers(multipliers, weights, multiplierBase, weightTotal)
+  };
+};
+
+// The constructor emits the first PrizeTableUpdated, so without one the table dates from deployment
+const fetchTableUpdatedBlock = async (contract) => {
+  const provider = await getReadProvider();
+  const head = await provider.getBlockNumber();
+
+  // A scan ahead of the chain head is from a local node that has since been restarted
+  let change = tableChange && tableChange.lastBlock <= head
+    ? tableChange
+    : { lastBlock: CONTRACT_DEPLOY_BLOCK - 1, updatedAtBlock: CONTRACT_DEPLOY_BLOCK };
+
+  await scanLogPages(
+    change.lastBlock + 1,
+    head,
+    (fromBlock, toBlock) => contract.queryFilter(contract.filters.PrizeTableUpdated(), fromBlock, toBlock),
+    (events, toBlock) => {
+      const updatedAtBlock = events.length > 0 ? events[events.length - 1].blockNumber : change.updatedAtBlock;
+      change = { lastBlock: toBlock, updatedAtBlock };
+    }
+  );
+
+  tableChange = change;
+  return change.updatedAtBlock;
+};
+
+// Prize tiers from the contract's multipliers and weights; rawMultiplier is in MULTIPLIER_BASE units
+export const toPrizeTiers = (multipliers, weights, multiplierBase, weightTotal) =>
+  multipliers.map((multiplier, index) => ({
+    multiplier: Number(multiplier) / Number(multiplierBase),
+    rawMultiplier: Number(multiplier),
+    weight: Number(weights[index]),
+    probability: (Number(weights[index]) * 100) / Number(weightTotal)
+  }));
+
+// The table in the form calculatePrize in fairness.mjs takes
+export const toDrawTable = (table) => ({
+  multipliers: table.prizes.map(p => p.rawMultiplier),
+  weights: table.prizes.map(p => p.weight),
+  multiplierBase: table.multiplierBase
+});
+
+export const maxMultiplier = (prizes) => Math.max(0, ...prizes.map(p => p.multiplier));
+
+// Expected payout as a fraction of the stake (the theoretical RTP)
+export const expectedMultiplier = (prizes) =>
+  prizes.reduce((sum, p) => sum + (p.probability / 100) * p.multiplier, 0);
+
+// Round a PC amount for display without floating point noise
+export const formatPC = (amount) => `${parseFloat(amount.toFixed(6))}`;
+
+export const stakePresets = (minBet, maxBet) => {
+  const min = parseFloat(minBet);
+  const max = parseFloat(maxBet);
+  const values = [minBet, ...STAKE_STEPS.filter(step => {
+    const value = parseFloat(step);
+    return value > min && value < max;
+  }), maxBet];
+  return values.filter((value, index) => values.findIndex(v => parseFloat(v) === parseFloat(value)) === index);
+};
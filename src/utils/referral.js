@@ -0,0 +1,112 @@
+// Referral links, the player's referrer and their referral earnings
+// A ?ref=<address> link is remembered in localStorage until the player binds it on-chain.
+
+import { ethers } from 'ethers';
+import { CONTRACT_ADDRESS, CONTRACT_DEPLOY_BLOCK, ROULETTE_ABI } from '../contracts/roulette';
+import { getReadProvider, getReadContract, scanLogPages } from './chain';
+
+const REF_PARAM = 'ref';
+const PENDING_REFERRER_KEY = 'pcr:referrer';
+const STORAGE_PREFIX = 'pcr:referrals';
+
+export const referralLink = (account) =>
+  `${window.location.origin}${window.location.pathname}?${REF_PARAM}=${account}`;
+
+// Remember the referrer from the landing URL; a later link replaces an earlier one
+export const captureReferralParam = () => {
+  const ref = new URLSearchParams(window.location.search).get(REF_PARAM);
+  if (!ref || !ethers.isAddress(ref)) return;
+  try {
+    localStorage.setItem(PENDING_REFERRER_KEY, ethers.getAddress(ref));
+  } catch (err) {
+    console.error('Failed to store referrer:', err);
+  }
+};
+
+export const loadPendingReferrer = () => {
+  try {
+    return localStorage.getItem(PENDING_REFERRER_KEY);
+  } catch (err) {
+    return null;
+  }
+};
+
+export const clearPendingReferrer = () => {
+  try {
+    localStorage.removeItem(PENDING_REFERRER_KEY);
+  } catch (err) {
+    console.error('Failed to clear referrer:', err);
+  }
+};
+
+export const fetchReferralInfo = async (account) => {
+  const contract = await getReadContract(CONTRACT_ADDRESS, ROULETTE_ABI);
+  const [referrer, referredCount, earnings, claimed, shareBps] = await Promise.all([
+    contract.referrerOf(account),
+    contract.referralCount(account),
+    contract.referralEarnings(account),
+    contract.referralEarningsClaimed(account),
+    contract.referralShareBps()
+  ]);
+  return {
+    referrer: referrer === ethers.ZeroAddress ? null : referrer,
+    referredCount: Number(referredCount),
+    claimable: parseFloat(ethers.formatEther(earnings)),
+    claimed: parseFloat(ethers.formatEther(claimed)),
+    accrued: parseFloat(ethers.formatEther(earnings + claimed)),
+    sharePercent: Number(shareBps) / 100
+  };
+};
+
+const storageKey = (account) =>
+  `${STORAGE_PREFIX}:${CONTRACT_ADDRESS.toLowerCase()}:${account.toLowerCase()}`;
+
+export const loadCachedReferred = (account) => {
+  try {
+    const raw = localStorage.getItem(storageKey(account));
+    return raw ? JSON.parse(raw) : null;
+  } catch (err) {
+    console.error('Failed to read referrals cache:', err);
+    return null;
+  }
+};
+
+const saveCachedReferred = (account, referred) => {
+  try {
+    localStorage.setItem(storageKey(account), JSON.stringify(referred));
+  } catch (err) {
+    console.error('Failed to write referrals cache:', err);
+  }
+};
+
+/**
+ * Fetch ReferrerSet logs naming account as the referrer, from the last synced block up to the chain head.
+ * Returns { lastBlock, players } with the most recently referred player first.
+ */
+export const syncReferredPlayers = async (account, cached) => {
+  const provider = await getReadProvider();
+  const contract = await getReadContract(CONTRACT_ADDRESS, ROULETTE_ABI);
+  const head = await provider.getBlockNumber();
+
+  // A cache ahead of the chain head is from a local node that has since been restarted
+  let referred = cached && cached.lastBlock <= head
+    ? cached
+    : { lastBlock: CONTRACT_DEPLOY_BLOCK - 1, players: [] };
+
+  await scanLogPages(
+    referred.lastBlock + 1,
+    head,
+    (fromBlock, toBlock) => contract.queryFilter(contract.filters.ReferrerSet(null, account), fromBlock, toBlock),
+    (events, toBlock) => {
+      const players = events.map(event => ({
+        player: event.args.player,
+        blockNumber: event.blockNumber,
+        txHash: event.transactionHash
+      })).reverse();
+      referred = { lastBlock: toBlock, players: [...players, ...referred.players] };
+      saveCachedReferred(account, referred);
+    }
+  );
+
+  return referred;
+};
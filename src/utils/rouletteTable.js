@@ -0,0 +1,122 @@
+// European roulette table rules, mirroring spinTable in PushChainRoulette.sol
+
+// Must match the BetType enum order in the contract
+export const BET_TYPES = {
+  STRAIGHT: 0,
+  SPLIT_HORIZONTAL: 1,
+  SPLIT_VERTICAL: 2,
+  STREET: 3,
+  CORNER: 4,
+  DOZEN: 5,
+  COLUMN: 6,
+  RED: 7,
+  BLACK: 8,
+  ODD: 9,
+  EVEN: 10,
+  LOW: 11,
+  HIGH: 12
+};
+
+export const MAX_TABLE_BETS = 10;
+
+// Pocket order around a European single-zero wheel, clockwise from zero
+export const WHEEL_ORDER = [
+  0, 32, 15, 19, 4, 21, 2, 25, 17, 34, 6, 27, 13, 36, 11, 30, 8, 23, 10,
+  5, 24, 16, 33, 1, 20, 14, 31, 9, 22, 18, 29, 7, 28, 12, 35, 3, 26
+];
+
+export const RED_NUMBERS = [1, 3, 5, 7, 9, 12, 14, 16, 18, 19, 21, 23, 25, 27, 30, 32, 34, 36];
+
+export const numberColor = (n) => {
+  if (n === 0) return 'green';
+  return RED_NUMBERS.includes(n) ? 'red' : 'black';
+};
+
+const range = (from, to, step = 1) => {
+  const values = [];
+  for (let n = from; n <= to; n += step) values.push(n);
+  return values;
+};
+
+/**
+ * Pockets covered by a bet, or null if the contract would reject it
+ * with InvalidTableBet.
+ */
+export const coveredNumbers = ({ betType, number: n }) => {
+  switch (betType) {
+    case BET_TYPES.STRAIGHT:
+      return n >= 0 && n <= 36 ? [n] : null;
+    case BET_TYPES.SPLIT_HORIZONTAL:
+      return n >= 1 && n <= 35 && n % 3 !== 0 ? [n, n + 1] : null;
+    case BET_TYPES.SPLIT_VERTICAL:
+      return n >= 1 && n <= 33 ? [n, n + 3] : null;
+    case BET_TYPES.STREET:
+      return n >= 1 && n <= 34 && n % 3 === 1 ? [n, n + 1, n + 2] : null;
+    case BET_TYPES.CORNER:
+      return n >= 1 && n <= 32 && n % 3 !== 0 ? [n, n + 1, n + 3, n + 4] : null;
+    case BET_TYPES.DOZEN:
+      return n >= 1 && n <= 3 ? range(12 * (n - 1) + 1, 12 * n) : null;
+    case BET_TYPES.COLUMN:
+      return n >= 1 && n <= 3 ? range(n, 36, 3) : null;
+    case BET_TYPES.RED:
+      return n === 0 ? RED_NUMBERS : null;
+    case BET_TYPES.BLACK:
+      return n === 0 ? range(1, 36).filter(k => !RED_NUMBERS.includes(k)) : null;
+    case BET_TYPES.ODD:
+      return n === 0 ? range(1, 36, 2) : null;
+    case BET_TYPES.EVEN:
+      return n === 0 ? range(2, 36, 2) : null;
+    case BET_TYPES.LOW:
+      return n === 0 ? range(1, 18) : null;
+    case BET_TYPES.HIGH:
+      return n === 0 ? range(19, 36) : null;
+    default:
+      return null;
+  }
+};
+
+// Payout odds (x:1) for a bet, e.g. 35 for straight up
+export const payoutOdds = (bet) => 36 / coveredNumbers(bet).length - 1;
+
+export const describeBet = (bet) => {
+  const numbers = coveredNumbers(bet);
+  switch (bet.betType) {
+    case BET_TYPES.STRAIGHT:
+      return `Straight ${bet.number}`;
+    case BET_TYPES.SPLIT_HORIZONTAL:
+    case BET_TYPES.SPLIT_VERTICAL:
+      return `Split ${numbers.join('/')}`;
+    case BET_TYPES.STREET:
+      return `Street ${numbers.join('-')}`;
+    case BET_TYPES.CORNER:
+      return `Corner ${numbers.join('/')}`;
+    case BET_TYPES.DOZEN:
+      return `Dozen ${numbers[0]}-${numbers[numbers.length - 1]}`;
+    case BET_TYPES.COLUMN:
+      return `Column ${bet.number}`;
+    case BET_TYPES.RED:
+      return 'Red';
+    case BET_TYPES.BLACK:
+      return 'Black';
+    case BET_TYPES.ODD:
+      return 'Odd';
+    case BET_TYPES.EVEN:
+      return 'Even';
+    case BET_TYPES.LOW:
+      return '1-18';
+    case BET_TYPES.HIGH:
+      return '19-36';
+    default:
+      return 'Unknown bet';
+  }
+};
+
+// Total returned (stakes included) if `pocket` wins; amounts are in PC
+export const tablePayout = (bets, pocket) =>
+  bets.reduce((total, bet) => (
+    coveredNumbers(bet).includes(pocket) ? total + parseFloat(bet.amount) * (payoutOdds(bet) + 1) : total
+  ), 0);
+
+// Largest payout over all pockets, which is what the house has to cover
+export const worstCasePayout = (bets) =>
+  Math.max(0, ...WHEEL_ORDER.map(pocket => tablePayout(bets, pocket)));
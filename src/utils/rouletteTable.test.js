@@ -0,0 +1,105 @@
+import {
+  BET_TYPES,
+  RED_NUMBERS,
+  WHEEL_ORDER,
+  coveredNumbers,
+  describeBet,
+  numberColor,
+  payoutOdds,
+  tablePayout,
+  worstCasePayout
+} from './rouletteTable';
+
+// RED_NUMBERS and BLACK_NUMBERS bitmasks from PushChainRoulette.sol; 37 bits fit in a Number
+const maskNumbers = (mask) => {
+  const numbers = [];
+  for (let n = 0; n <= 36; n++) {
+    if (Math.floor(parseInt(mask, 16) / 2 ** n) % 2 === 1) numbers.push(n);
+  }
+  return numbers;
+};
+
+describe('rouletteTable', () => {
+  it('has every pocket on the wheel exactly once', () => {
+    expect([...WHEEL_ORDER].sort((a, b) => a - b)).toEqual(Array.from({ length: 37 }, (_, n) => n));
+  });
+
+  it('colours pockets like the contract', () => {
+    expect(RED_NUMBERS).toEqual(maskNumbers('0x154aad52aa'));
+    expect(coveredNumbers({ betType: BET_TYPES.BLACK, number: 0 })).toEqual(maskNumbers('0xab552ad54'));
+    expect(numberColor(0)).toBe('green');
+    expect(numberColor(1)).toBe('red');
+    expect(numberColor(2)).toBe('black');
+  });
+
+  it('covers the pockets of each inside bet', () => {
+    expect(coveredNumbers({ betType: BET_TYPES.STRAIGHT, number: 0 })).toEqual([0]);
+    expect(coveredNumbers({ betType: BET_TYPES.SPLIT_HORIZONTAL, number: 1 })).toEqual([1, 2]);
+    expect(coveredNumbers({ betType: BET_TYPES.SPLIT_VERTICAL, number: 33 })).toEqual([33, 36]);
+    expect(coveredNumbers({ betType: BET_TYPES.STREET, number: 34 })).toEqual([34, 35, 36]);
+    expect(coveredNumbers({ betType: BET_TYPES.CORNER, number: 32 })).toEqual([32, 33, 35, 36]);
+  });
+
+  it('covers the pockets of each outside bet', () => {
+    const cover = (betType, number = 0) => coveredNumbers({ betType, number });
+
+    expect(cover(BET_TYPES.DOZEN, 3)).toEqual(Array.from({ length: 12 }, (_, i) => 25 + i));
+    expect(cover(BET_TYPES.COLUMN, 1)).toEqual([1, 4, 7, 10, 13, 16, 19, 22, 25, 28, 31, 34]);
+    for (const betType of [BET_TYPES.RED, BET_TYPES.BLACK, BET_TYPES.ODD, BET_TYPES.EVEN, BET_TYPES.LOW, BET_TYPES.HIGH]) {
+      expect(cover(betType)).toHaveLength(18);
+      expect(cover(betType)).not.toContain(0);
+    }
+    expect(cover(BET_TYPES.LOW)).toEqual(Array.from({ length: 18 }, (_, i) => i + 1));
+  });
+
+  it('rejects the bets the contract rejects with InvalidTableBet', () => {
+    const invalid = [
+      [BET_TYPES.STRAIGHT, 37],
+      [BET_TYPES.SPLIT_HORIZONTAL, 3],
+      [BET_TYPES.SPLIT_HORIZONTAL, 36],
+      [BET_TYPES.SPLIT_VERTICAL, 34],
+      [BET_TYPES.STREET, 2],
+      [BET_TYPES.CORNER, 3],
+      [BET_TYPES.CORNER, 33],
+      [BET_TYPES.DOZEN, 0],
+      [BET_TYPES.COLUMN, 4],
+      [BET_TYPES.RED, 1],
+      [13, 0]
+    ];
+    for (const [betType, number] of invalid) {
+      expect(coveredNumbers({ betType, number })).toBeNull();
+    }
+  });
+
+  it('pays 36 / covered pockets, stake included', () => {
+    expect(payoutOdds({ betType: BET_TYPES.STRAIGHT, number: 7 })).toBe(35);
+    expect(payoutOdds({ betType: BET_TYPES.SPLIT_VERTICAL, number: 7 })).toBe(17);
+    expect(payoutOdds({ betType: BET_TYPES.STREET, number: 7 })).toBe(11);
+    expect(payoutOdds({ betType: BET_TYPES.CORNER, number: 7 })).toBe(8);
+    expect(payoutOdds({ betType: BET_TYPES.DOZEN, number: 1 })).toBe(2);
+    expect(payoutOdds({ betType: BET_TYPES.RED, number: 0 })).toBe(1);
+  });
+
+  it('adds up the winning bets for a pocket', () => {
+    const bets = [
+      { betType: BET_TYPES.STRAIGHT, number: 1, amount: '0.01' },
+      { betType: BET_TYPES.RED, number: 0, amount: '0.02' },
+      { betType: BET_TYPES.EVEN, number: 0, amount: '0.03' }
+    ];
+
+    expect(tablePayout(bets, 1)).toBeCloseTo(0.36 + 0.04);
+    expect(tablePayout(bets, 2)).toBeCloseTo(0.06);
+    expect(tablePayout(bets, 0)).toBe(0);
+    // 1 is the only pocket where the straight and red both win
+    expect(worstCasePayout(bets)).toBeCloseTo(0.4);
+    expect(worstCasePayout([])).toBe(0);
+  });
+
+  it('describes bets for the bet slip', () => {
+    expect(describeBet({ betType: BET_TYPES.STRAIGHT, number: 17 })).toBe('Straight 17');
+    expect(describeBet({ betType: BET_TYPES.SPLIT_VERTICAL, number: 1 })).toBe('Split 1/4');
+    expect(describeBet({ betType: BET_TYPES.STREET, number: 4 })).toBe('Street 4-5-6');
+    expect(describeBet({ betType: BET_TYPES.DOZEN, number: 2 })).toBe('Dozen 13-24');
+    expect(describeBet({ betType: BET_TYPES.HIGH, number: 0 })).toBe('19-36');
+  });
+});
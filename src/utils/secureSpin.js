@@ -0,0 +1,52 @@
+// Commit-reveal spin helpers
+// The secret is kept in localStorage until the reveal lands, so a reload or
+// wallet disconnect between commitSpin and revealSpin doesn't strand the stake.
+
+import { ethers } from 'ethers';
+
+const STORAGE_PREFIX = 'pcr:pending-spin';
+
+const storageKey = (contractAddress, player) =>
+  `${STORAGE_PREFIX}:${contractAddress.toLowerCase()}:${player.toLowerCase()}`;
+
+// Random 256-bit secret from the browser's CSPRNG, as a 0x-prefixed hex string
+export const generateSecret = () => {
+  const bytes = new Uint8Array(32);
+  window.crypto.getRandomValues(bytes);
+  return '0x' + Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+};
+
+// Matches keccak256(abi.encodePacked(secret)) in revealSpin
+export const hashSecret = (secret) => ethers.solidityPackedKeccak256(['uint256'], [secret]);
+
+// revealSpin takes the secret as a uint256
+export const secretToUint = (secret) => ethers.toBigInt(secret);
+
+// Returns false when the browser refused to store it (private mode, full or blocked storage)
+export const savePendingSpin = (contractAddress, player, spin) => {
+  try {
+    localStorage.setItem(storageKey(contractAddress, player), JSON.stringify(spin));
+    return true;
+  } catch (err) {
+    console.error('Failed to store spin secret:', err);
+    return false;
+  }
+};
+
+export const loadPendingSpin = (contractAddress, player) => {
+  try {
+    const raw = localStorage.getItem(storageKey(contractAddress, player));
+    return raw ? JSON.parse(raw) : null;
+  } catch (err) {
+    console.error('Failed to read spin secret:', err);
+    return null;
+  }
+};
+
+export const clearPendingSpin = (contractAddress, player) => {
+  try {
+    localStorage.removeItem(storageKey(contractAddress, player));
+  } catch (err) {
+    console.error('Failed to clear spin secret:', err);
+  }
+};
@@ -0,0 +1,205 @@
+// Spin history rebuilt from SpinRevealed, TokenSpinRevealed and TableSpin logs,
+// for one player or for everyone
+// Logs are fetched in block pages and cached in localStorage, so only new
+// blocks are scanned after the first load. Everyone's history keeps only the
+// latest MAX_GLOBAL_SPINS spins so the cache stays within the storage quota,
+// and running leaderboard totals that count every spin.
+
+import { ethers } from 'ethers';
+import { CONTRACT_ADDRESS, CONTRACT_DEPLOY_BLOCK, ROULETTE_ABI } from '../contracts/roulette';
+import { getReadProvider, getReadContract, scanLogPages } from './chain';
+import { NATIVE_CURRENCY, currencyOf } from './tokens';
+import { addToLeaderboardTotals, emptyLeaderboardTotals } from './leaderboard';
+
+// v2 added table and token spins, v3 the leaderboard totals; older caches are dropped and rebuilt
+const STORAGE_PREFIX = 'pcr:history:v3';
+const LEGACY_STORAGE_PREFIXES = ['pcr:history', 'pcr:history:v2'];
+
+// Pass ALL_PLAYERS instead of an address to follow every player's spins
+export const ALL_PLAYERS = 'all';
+
+// Spins kept in everyone's history; older ones are dropped and the history marked truncated
+export const MAX_GLOBAL_SPINS = 2000;
+
+const storageKey = (player, prefix = STORAGE_PREFIX) =>
+  `${prefix}:${CONTRACT_ADDRESS.toLowerCase()}:${player.toLowerCase()}`;
+
+// Prize wheel spins, staked in PC or a token, and roulette table rounds
+export const GAME_LABELS = { wheel: 'Prize wheel', table: 'Table' };
+
+// Spins staked in PC; token amounts can't be added to them
+export const isPcSpin = (spin) => !spin.token;
+
+export const loadCachedHistory = (player) => {
+  try {
+    const raw = localStorage.getItem(storageKey(player));
+    return raw ? JSON.parse(raw) : null;
+  } catch (err) {
+    console.error('Failed to read spin history cache:', err);
+    return null;
+  }
+};
+
+const saveCachedHistory = (player, history) => {
+  try {
+    localStorage.setItem(storageKey(player), JSON.stringify(history));
+  } catch (err) {
+    console.error('Failed to write spin history cache:', err);
+  }
+};
+
+export const clearCachedHistory = (player) => {
+  try {
+    localStorage.removeItem(storageKey(player));
+    LEGACY_STORAGE_PREFIXES.forEach(prefix => localStorage.removeItem(storageKey(player, prefix)));
+  } catch (err) {
+    console.error('Failed to clear spin history cache:', err);
+  }
+};
+
+/**
+ * One history entry. game is 'wheel' or 'table'; token and symbol give the currency
+ * (token is null for PC). randomNumber is the wheel roll, or the winning pocket of a
+ * table round. secure marks commit-reveal spins, whose reveal also emits SpinEntropy
+ * and can be verified.
+ */
+const toSpinEntry = (event, game, currency, secureTxs) => {
+  const table = game === 'table';
+  return {
+    id: `${event.transactionHash}:${event.index}`,
+    txHash: event.transactionHash,
+    player: event.args.player,
+    blockNumber: event.blockNumber,
+    game,
+    token: currency.address,
+    symbol: currency.symbol,
+    betAmount: ethers.formatUnits(table ? event.args.totalBet : event.args.betAmount, currency.decimals),
+    prizeAmount: ethers.formatUnits(table ? event.args.payout : event.args.prizeAmount, currency.decimals),
+    randomNumber: Number(table ? event.args.result : event.args.randomNumber),
+    timestamp: Number(event.args.timestamp),
+    secure: secureTxs.has(event.transactionHash)
+  };
+};
+
+// Newest first, without duplicates
+const mergeSpins = (existing, incoming) => {
+  const byId = new Map(existing.map(spin => [spin.id, spin]));
+  incoming.forEach(spin => byId.set(spin.id, spin));
+  return Array.from(byId.values()).sort((a, b) =>
+    b.blockNumber - a.blockNumber || b.id.localeCompare(a.id)
+  );
+};
+
+// A player's own history is kept whole; everyone's is cut to the newest MAX_GLOBAL_SPINS
+const capHistory = (player, history) => {
+  if (player !== ALL_PLAYERS || history.spins.length <= MAX_GLOBAL_SPINS) return history;
+  return { ...history, spins: history.spins.slice(0, MAX_GLOBAL_SPINS), truncated: true };
+};
+
+/**
+ * Fetch spin logs for player (or ALL_PLAYERS) from the last synced block up to the chain head.
+ * onPage is called with the updated history after every page so the UI can
+ * render partial results while a long scan is running.
+ */
+export const syncSpinHistory = async (player, cached, onPage) => {
+  const provider = await getReadProvider();
+  const contract = await getReadContract(CONTRACT_ADDRESS, ROULETTE_ABI);
+  const playerFilter = player === ALL_PLAYERS ? null : player;
+  const filters = [
+    contract.filters.SpinRevealed(playerFilter),
+    contract.filters.TokenSpinRevealed(playerFilter),
+    contract.filters.TableSpin(playerFilter),
+    contract.filters.SpinEntropy(playerFilter)
+  ];
+  const head = await provider.getBlockNumber();
+  if (!cached) {
+    try {
+      LEGACY_STORAGE_PREFIXES.forEach(prefix => localStorage.removeItem(storageKey(player, prefix)));
+    } catch (err) {
+      console.error('Failed to clear the old spin history cache:', err);
+    }
+  }
+
+  // A cache ahead of the chain head is from a local node that has since been restarted
+  let history = cached && cached.lastBlock <= head
+    ? capHistory(player, cached)
+    : { lastBlock: CONTRACT_DEPLOY_BLOCK - 1, spins: [] };
+  if (player === ALL_PLAYERS && !history.leaderboard) {
+    history = { ...history, leaderboard: emptyLeaderboardTotals() };
+  }
+
+  await scanLogPages(
+    history.lastBlock + 1,
+    head,
+    async (fromBlock, toBlock) => {
+      const [wheelEvents, tokenEvents, tableEvents, entropyEvents] = await Promise.all(
+        filters.map(filter => contract.queryFilter(filter, fromBlock, toBlock))
+      );
+      const secureTxs = new Set(entropyEvents.map(event => event.transactionHash));
+      const tokenSpins = await Promise.all(tokenEvents.map(async (event) =>
+        toSpinEntry(event, 'wheel', await currencyOf(event.args.token), secureTxs)
+      ));
+      return [
+        ...wheelEvents.map(event => toSpinEntry(event, 'wheel', NATIVE_CURRENCY, secureTxs)),
+        ...tokenSpins,
+        ...tableEvents.map(event => toSpinEntry(event, 'table', NATIVE_CURRENCY, secureTxs))
+      ];
+    },
+    (spins, toBlock) => {
+      // Each page covers blocks past lastBlock, so its spins are all new to the totals
+      history = capHistory(player, {
+        ...history,
+        lastBlock: toBlock,
+        spins: mergeSpins(history.spins, spins),
+        ...(history.leaderboard && { leaderboard: addToLeaderboardTotals(history.leaderboard, spins) })
+      });
+      saveCachedHistory(player, history);
+      if (onPage) onPage(history, { fromBlock: CONTRACT_DEPLOY_BLOCK, toBlock, head });
+    }
+  );
+
+  return history;
+};
+
+const CSV_COLUMNS = [
+  'txHash', 'player', 'blockNumber', 'timestamp', 'game', 'currency', 'betAmount', 'prizeAmount', 'randomNumber'
+];
+
+export const spinsToCsv = (spins) => {
+  const rows = spins.map(spin => [
+    spin.txHash,
+    spin.player,
+    spin.blockNumber,
+    new Date(spin.timestamp * 1000).toISOString(),
+    spin.game,
+    spin.symbol,
+    spin.betAmount,
+    spin.prizeAmount,
+    spin.randomNumber
+  ].join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n');
+};
+
+export const spinsToJson = (spins) => JSON.stringify(spins.map(spin => ({
+  txHash: spin.txHash,
+  player: spin.player,
+  blockNumber: spin.blockNumber,
+  timestamp: new Date(spin.timestamp * 1000).toISOString(),
+  game: spin.game,
+  currency: spin.symbol,
+  token: spin.token,
+  betAmount: spin.betAmount,
+  prizeAmount: spin.prizeAmount,
+  randomNumber: spin.randomNumber
+})), null, 2);
+
+export const downloadFile = (filename, content, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
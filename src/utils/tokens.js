@@ -0,0 +1,112 @@
+// ERC-20 tokens whitelisted for the prize wheel, and the player's balances in them
+// Each token has its own bet limits, prize table and house balance on the contract.
+
+import { ethers } from 'ethers';
+import { CONTRACT_ADDRESS, ROULETTE_ABI } from '../contracts/roulette';
+import { getReadContract, shortenAddress } from './chain';
+import { toPrizeTiers } from './prizeTable';
+
+// Only the calls the game needs
+const ERC20_ABI = [
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function balanceOf(address account) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)'
+];
+
+const erc20Interface = new ethers.Interface(ERC20_ABI);
+
+// Native PC in the same shape as a token
+export const NATIVE_CURRENCY = { address: null, symbol: 'PC', decimals: 18 };
+
+export const isSameToken = (a, b) => (a || '').toLowerCase() === (b || '').toLowerCase();
+
+// Calldata letting the roulette contract pull `amount` of a token
+export const encodeApprove = (amount) =>
+  erc20Interface.encodeFunctionData('approve', [CONTRACT_ADDRESS, amount]);
+
+const metadataCache = new Map();
+
+// Symbol and decimals never change, so each token is only asked once
+export const fetchTokenMetadata = async (address) => {
+  const key = address.toLowerCase();
+  if (!metadataCache.has(key)) {
+    const token = await getReadContract(address, ERC20_ABI);
+    const [symbol, decimals] = await Promise.all([
+      token.symbol().catch(() => shortenAddress(address)),
+      token.decimals()
+    ]);
+    metadataCache.set(key, { address, symbol, decimals: Number(decimals) });
+  }
+  return metadataCache.get(key);
+};
+
+// The currency a commit or spin was staked in; the zero address stands for PC
+export const currencyOf = async (address) =>
+  !address || address === ethers.ZeroAddress ? NATIVE_CURRENCY : fetchTokenMetadata(address);
+
+/**
+ * Load every token ever configured, disabled ones included so their winnings stay claimable.
+ * prizeTable has the fetchPrizeTable shape, with bet limits in token units;
+ * freeBalance is the token bankroll available to back new spins.
+ */
+export const fetchTokenGames = async () => {
+  const contract = await getReadContract(CONTRACT_ADDRESS, ROULETTE_ABI);
+  const [addresses, multiplierBase, weightTotal] = await Promise.all([
+    contract.getTokens(),
+    contract.MULTIPLIER_BASE(),
+    contract.PRIZE_WEIGHT_TOTAL()
+  ]);
+
+  return Promise.all(addresses.map(async (address) => {
+    const [metadata, game] = await Promise.all([
+      fetchTokenMetadata(address),
+      contract.getTokenGame(address)
+    ]);
+    const units = (value) => ethers.formatUnits(value, metadata.decimals);
+    return {
+      ...metadata,
+      enabled: game.enabled,
+      freeBalance: parseFloat(units(game.availableBalance)),
+      prizeTable: {
+        minBet: units(game.minStake),
+        maxBet: units(game.maxStake),
+        maxPrize: units(game.maxPrize),
+        multiplierBase: Number(multiplierBase),
+        prizes: toPrizeTiers(game.multipliers, game.weights, multiplierBase, weightTotal)
+      }
+    };
+  }));
+};
+
+/**
+ * The player's wallet balance, allowance to the roulette contract and unclaimed
+ * winnings for each token, keyed by lowercase token address.
+ */
+export const fetchTokenAccounts = async (account, tokens) => {
+  const contract = await getReadContract(CONTRACT_ADDRESS, ROULETTE_ABI);
+  const entries = await Promise.all(tokens.map(async (tokenInfo) => {
+    const token = await getReadContract(tokenInfo.address, ERC20_ABI);
+    const [balance, allowance, claimable, wagered, won] = await Promise.all([
+      token.balanceOf(account),
+      token.allowance(account, CONTRACT_ADDRESS),
+      contract.claimableTokenWinnings(tokenInfo.address, account),
+      contract.playerTokenWagered(tokenInfo.address, account),
+      contract.playerTokenWins(tokenInfo.address, account)
+    ]);
+    return [tokenInfo.address.toLowerCase(), {
+      balance: ethers.formatUnits(balance, tokenInfo.decimals),
+      allowance,
+      claimable: parseFloat(ethers.formatUnits(claimable, tokenInfo.decimals)),
+      wagered: parseFloat(ethers.formatUnits(wagered, tokenInfo.decimals)),
+      won: parseFloat(ethers.formatUnits(won, tokenInfo.decimals))
+    }];
+  }));
+  return Object.fromEntries(entries);
+};
+
+export const fetchAllowance = async (tokenAddress, account) => {
+  const token = await getReadContract(tokenAddress, ERC20_ABI);
+  return token.allowance(account, CONTRACT_ADDRESS);
+};
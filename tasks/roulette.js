@@ -0,0 +1,849 @@
+// Hardhat tasks for operating a deployed PushChainRoulette
+// Every task reads deployment-<network>.json (written by deploy.js or roulette:deploy)
+// and accepts --json to print machine-readable output instead of the summary.
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { writeFrontendConfig, checkFrontendAbis } = require("../contracts/Scripts/frontendConfig");
+
+const LOG_PAGE_SIZE = 5000; // blocks per eth_getLogs request
+
+// The ERC-20 calls the token tasks make, so any whitelisted token works without its artifact
+const ERC20_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)"
+];
+
+const deploymentPath = (hre) =>
+  path.join(hre.config.paths.root, `deployment-${hre.network.name}.json`);
+
+const loadDeployment = (hre) => {
+  const file = deploymentPath(hre);
+  if (!fs.existsSync(file)) {
+    throw new HardhatPluginError(
+      "roulette",
+      `No deployment found for network "${hre.network.name}" (${file}). ` +
+      `Deploy first with: npx hardhat roulette:deploy --network ${hre.network.name}`
+    );
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+};
+
+const getRoulette = async (hre) => {
+  const deployment = loadDeployment(hre);
+  await hre.run("compile", { quiet: true });
+  const roulette = await hre.ethers.getContractAt("PushChainRoulette", deployment.contractAddress);
+  return { roulette, deployment };
+};
+
+const pc = (hre, wei) => hre.ethers.formatEther(wei);
+
+// --json prints the result object only; otherwise print(result) writes the readable version
+const output = (json, result, print) => {
+  if (json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    print(result);
+  }
+};
+
+// A whitelisted ERC-20 token with its game settings; amounts are formatted in the token's decimals
+const readToken = async (hre, roulette, address) => {
+  const erc20 = await hre.ethers.getContractAt(ERC20_ABI, address);
+  const [symbol, decimals, game, multiplierBase] = await Promise.all([
+    erc20.symbol(),
+    erc20.decimals(),
+    roulette.getTokenGame(address),
+    roulette.MULTIPLIER_BASE()
+  ]);
+  const units = (amount) => hre.ethers.formatUnits(amount, decimals);
+  return {
+    erc20,
+    decimals: Number(decimals),
+    configured: game.weights.length > 0,
+    summary: {
+      address,
+      symbol,
+      enabled: game.enabled,
+      houseBalance: units(game.tokenHouseBalance),
+      reservedBalance: units(game.reservedBalance),
+      freeBalance: units(game.availableBalance),
+      minBet: units(game.minStake),
+      maxBet: units(game.maxStake),
+      maxPrize: units(game.maxPrize),
+      prizeTable: game.multipliers.map((multiplier, i) => ({
+        multiplier: Number(multiplier) / Number(multiplierBase),
+        weight: Number(game.weights[i])
+      }))
+    }
+  };
+};
+
+const getConfiguredToken = async (hre, roulette, address) => {
+  if (!hre.ethers.isAddress(address)) {
+    throw new HardhatPluginError("roulette", `Invalid token address: ${address}`);
+  }
+  const { weights } = await roulette.getTokenGame(address);
+  if (weights.length === 0) {
+    throw new HardhatPluginError(
+      "roulette",
+      `${address} is not whitelisted. Configure it first with roulette:configure-token`
+    );
+  }
+  return readToken(hre, roulette, address);
+};
+
+// "0:500,0.5:300,2:200" -> multipliers in MULTIPLIER_BASE units and weights
+const parsePrizeTable = (table, multiplierBase) => {
+  const tiers = table.split(",").map(tier => tier.trim().split(":"));
+  const invalid = tiers.find(tier =>
+    tier.length !== 2 || tier.some(value => value === "" || !Number.isFinite(Number(value)) || Number(value) < 0)
+  );
+  if (invalid) {
+    throw new HardhatPluginError("roulette", `Invalid prize tier "${invalid.join(":")}", expected multiplier:weight`);
+  }
+  return {
+    multipliers: tiers.map(([multiplier]) => Math.round(Number(multiplier) * Number(multiplierBase))),
+    weights: tiers.map(([, weight]) => Math.round(Number(weight)))
+  };
+};
+
+// A commit's stake with the currency it was placed in
+const readCommitStake = async (hre, roulette, commit) => {
+  if (commit.token === hre.ethers.ZeroAddress) {
+    return { amount: pc(hre, commit.betAmount), symbol: "PC" };
+  }
+  const { decimals, summary } = await readToken(hre, roulette, commit.token);
+  return { amount: hre.ethers.formatUnits(commit.betAmount, decimals), symbol: summary.symbol };
+};
+
+// Symbol and decimals of a spin's currency: PC for address zero, else the token's
+const readCurrency = async (hre, token) => {
+  if (token === hre.ethers.ZeroAddress) return { symbol: "PC", decimals: 18 };
+  const erc20 = await hre.ethers.getContractAt(ERC20_ABI, token);
+  const [symbol, decimals] = await Promise.all([erc20.symbol(), erc20.decimals()]);
+  return { symbol, decimals: Number(decimals) };
+};
+
+/**
+ * Prize wheel spins (SpinRevealed in PC, TokenSpinRevealed in tokens) and table rounds
+ * (TableSpin) in a block range, deployment block to chain head by default, oldest first.
+ * Each row has its game ("wheel" or "table") and currency: token is null and symbol "PC"
+ * for PC stakes. randomNumber is the wheel roll, or the winning pocket of a table round.
+ */
+const readSpins = async (hre, roulette, deployment, { fromBlock, toBlock, player }) => {
+  const playerFilter = player || null;
+  const sources = [
+    { filter: roulette.filters.SpinRevealed(playerFilter), game: "wheel" },
+    { filter: roulette.filters.TokenSpinRevealed(playerFilter), game: "wheel" },
+    { filter: roulette.filters.TableSpin(playerFilter), game: "table" }
+  ];
+  const start = fromBlock !== undefined ? fromBlock : deployment.blockNumber || 0;
+  const end = toBlock !== undefined ? toBlock : await hre.ethers.provider.getBlockNumber();
+
+  const currencies = new Map();
+  const currencyOf = (token) => {
+    if (!currencies.has(token)) currencies.set(token, readCurrency(hre, token));
+    return currencies.get(token);
+  };
+
+  const spins = [];
+  for (let from = start; from <= end; from += LOG_PAGE_SIZE) {
+    const to = Math.min(from + LOG_PAGE_SIZE - 1, end);
+    for (const { filter, game } of sources) {
+      const events = await roulette.queryFilter(filter, from, to);
+      for (const event of events) {
+        const table = game === "table";
+        const token = event.args.token || hre.ethers.ZeroAddress;
+        const { symbol, decimals } = await currencyOf(token);
+        spins.push({
+          txHash: event.transactionHash,
+          blockNumber: event.blockNumber,
+          logIndex: event.index,
+          player: event.args.player,
+          game,
+          token: token === hre.ethers.ZeroAddress ? null : token,
+          symbol,
+          betAmount: hre.ethers.formatUnits(table ? event.args.totalBet : event.args.betAmount, decimals),
+          prizeAmount: hre.ethers.formatUnits(table ? event.args.payout : event.args.prizeAmount, decimals),
+          randomNumber: Number(table ? event.args.result : event.args.randomNumber),
+          timestamp: Number(event.args.timestamp)
+        });
+      }
+    }
+  }
+  spins.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  return { start, end, spins };
+};
+
+// The prize table in force at toBlock and the block it was set in, from the last PrizeTableUpdated
+// log up to there; the constructor emits one, so there is always one after the deployment block
+const readPrizeTableAt = async (hre, roulette, deployment, toBlock) => {
+  let latest = null;
+  for (let from = deployment.blockNumber || 0; from <= toBlock; from += LOG_PAGE_SIZE) {
+    const events = await roulette.queryFilter(
+      roulette.filters.PrizeTableUpdated(), from, Math.min(from + LOG_PAGE_SIZE - 1, toBlock)
+    );
+    if (events.length > 0) latest = events[events.length - 1];
+  }
+  if (!latest) {
+    throw new HardhatPluginError("roulette", `No PrizeTableUpdated event found up to block ${toBlock}`);
+  }
+  return { multipliers: latest.args.multipliers, weights: latest.args.weights, updatedAtBlock: latest.blockNumber };
+};
+
+const readStats = async (hre, roulette) => {
+  const [
+    stats, houseBalance, claimable, refundBps, jackpotPool, jackpotBps, jackpotSeed,
+    referralBps, referralOwed, owner, maxPrize, [multipliers, weights], multiplierBase, tokens
+  ] = await Promise.all([
+    roulette.getStats(),
+    roulette.houseBalance(),
+    roulette.totalClaimableWinnings(),
+    roulette.expiredRefundBps(),
+    roulette.jackpotPool(),
+    roulette.jackpotContributionBps(),
+    roulette.jackpotSeed(),
+    roulette.referralShareBps(),
+    roulette.totalReferralEarnings(),
+    roulette.owner(),
+    roulette.MAX_PRIZE(),
+    roulette.getPrizeTable(),
+    roulette.MULTIPLIER_BASE(),
+    roulette.getTokens()
+  ]);
+  const tokenGames = await Promise.all(tokens.map(address => readToken(hre, roulette, address)));
+  return {
+    contract: await roulette.getAddress(),
+    owner,
+    contractBalance: pc(hre, stats.contractBalance),
+    houseBalance: pc(hre, houseBalance),
+    reservedBalance: pc(hre, stats.reservedBalance),
+    freeBalance: pc(hre, stats.availableBalance),
+    claimableWinnings: pc(hre, claimable),
+    maxPrize: pc(hre, maxPrize),
+    maxPrizesCovered: Number(stats.availableBalance / maxPrize),
+    minBet: pc(hre, stats.minStake),
+    maxBet: pc(hre, stats.maxStake),
+    isPaused: stats.isPaused,
+    expiredRefundPercent: Number(refundBps) / 100,
+    jackpot: {
+      pool: pc(hre, jackpotPool),
+      contributionPercent: Number(jackpotBps) / 100,
+      seed: pc(hre, jackpotSeed)
+    },
+    referral: {
+      sharePercent: Number(referralBps) / 100,
+      unclaimedEarnings: pc(hre, referralOwed)
+    },
+    prizeTable: multipliers.map((multiplier, i) => ({
+      multiplier: Number(multiplier) / Number(multiplierBase),
+      weight: Number(weights[i])
+    })),
+    tokens: tokenGames.map(token => token.summary)
+  };
+};
+
+const printStats = (stats) => {
+  console.log("\n📊 PushChainRoulette", stats.contract);
+  console.log("   Owner:", stats.owner);
+  console.log("   Contract Balance:", stats.contractBalance, "PC");
+  console.log("   House Balance:", stats.houseBalance, "PC");
+  console.log("   Reserved:", stats.reservedBalance, "PC (open commits)");
+  console.log("   Free:", stats.freeBalance, "PC");
+  console.log("   Unclaimed Winnings:", stats.claimableWinnings, "PC (failed payouts owed to players)");
+  console.log("   Max Prize:", stats.maxPrize, "PC", `(${stats.maxPrizesCovered} covered)`);
+  console.log("   Bet Range:", stats.minBet, "-", stats.maxBet, "PC");
+  console.log("   Is Paused:", stats.isPaused);
+  console.log("   Expired Commit Refund:", `${stats.expiredRefundPercent}%`);
+  console.log("   Jackpot Pool:", stats.jackpot.pool, "PC",
+    `(${stats.jackpot.contributionPercent}% of stakes, seed ${stats.jackpot.seed} PC)`);
+  console.log("   Referral Share:", `${stats.referral.sharePercent}%`,
+    `(${stats.referral.unclaimedEarnings} PC unclaimed by referrers)`);
+  console.log("   Prize Table:");
+  stats.prizeTable.forEach(tier => {
+    console.log(`     ${tier.multiplier}x  weight ${tier.weight}`);
+  });
+  stats.tokens.forEach(token => {
+    console.log(`   ${token.symbol} (${token.address})${token.enabled ? "" : " - disabled"}`);
+    console.log("     House Balance:", token.houseBalance, token.symbol,
+      `(${token.freeBalance} free, ${token.reservedBalance} reserved)`);
+    console.log("     Bet Range:", token.minBet, "-", token.maxBet, token.symbol, `(max prize ${token.maxPrize})`);
+    console.log("     Prize Table:", token.prizeTable.map(tier => `${tier.multiplier}x/${tier.weight}`).join(" "));
+  });
+  console.log("");
+};
+
+// Send an owner transaction and report where it landed
+const sendTx = async (txPromise) => {
+  const tx = await txPromise;
+  const receipt = await tx.wait();
+  return { txHash: tx.hash, blockNumber: receipt.blockNumber };
+};
+
+task("roulette:stats", "Show balances, limits and the prize table")
+  .addFlag("json", "Print JSON")
+  .setAction(async ({ json }, hre) => {
+    const { roulette } = await getRoulette(hre);
+    output(json, await readStats(hre, roulette), printStats);
+  });
+
+task("roulette:fund", "Deposit PC into the house balance")
+  .addParam("amount", "Amount in PC")
+  .addFlag("json", "Print JSON")
+  .setAction(async ({ amount, json }, hre) => {
+    const { roulette } = await getRoulette(hre);
+    const result = await sendTx(roulette.depositFunds({ value: hre.ethers.parseEther(amount) }));
+    const stats = await readStats(hre, roulette);
+    output(json, { ...result, amount, houseBalance: stats.houseBalance }, (r) => {
+      console.log(`\n✅ Deposited ${r.amount} PC (tx ${r.txHash})`);
+      console.log("   House Balance:", r.houseBalance, "PC\n");
+    });
+  });
+
+task("roulette:withdraw", "Withdraw PC from the house balance to the owner")
+  .addParam("amount", "Amount in PC")
+  .addFlag("force", "Allow leaving less than MAX_PRIZE in the free bankroll")
+  .addFlag("json", "Print JSON")
+  .setAction(async ({ amount, force, json }, hre) => {
+    const { roulette } = await getRoulette(hre);
+    const value = hre.ethers.parseEther(amount);
+    const [bankroll, maxPrize] = await Promise.all([roulette.getStats(), roulette.MAX_PRIZE()]);
+    const free = bankroll.availableBalance;
+
+    if (value > free) {
+      throw new HardhatPluginError(
+        "roulette",
+        `Cannot withdraw ${amount} PC, free bankroll is ${pc(hre, free)} PC (${pc(hre, bankroll.reservedBalance)} PC reserved for open commits)`
+      );
+    }
+    if (free - value < maxPrize && !force) {
+      throw new HardhatPluginError(
+        "roulette",
+        `Withdrawing ${amount} PC leaves ${pc(hre, free - value)} PC free, below MAX_PRIZE (${pc(hre, maxPrize)} PC). ` +
+        "Pass --force to withdraw anyway."
+      );
+    }
+
+    const result = await sendTx(roulette.withdrawFunds(value));
+    const stats = await readStats(hre, roulette);
+    output(json, { ...result, amount, houseBalance: stats.houseBalance }, (r) => {
+      console.log(`\n✅ Withdrew ${r.amount} PC (tx ${r.txHash})`);
+      console.log("   House Balance:", r.houseBalance, "PC\n");
+    });
+  });
+
+task("roulette:pause", "Pause new spins; open secure spins can still be revealed")
+  .addFlag("json", "Print JSON")
+  .setAction(async ({ json }, hre) => {
+    const { roulette } = await getRoulette(hre);
+    const result = await sendTx(roulette.pause());
+    output(json, { ...result, isPaused: true }, (r) => {
+      console.log(`\n⏸️  Paused (tx ${r.txHash})\n`);
+    });
+  });
+
+task("roulette:unpause", "Resume new spins")
+  .addFlag("json", "Print JSON")
+  .setAction(async ({ json }, hre) => {
+    const { roulette } = await getRoulette(hre);
+    const result = await sendTx(roulette.unpause());
+    output(json, { ...result, isPaused: false }, (r) => {
+      console.log(`\n▶️  Unpaused (tx ${r.txHash})\n`);
+    });
+  });
+
+task("roulette:set-expired-refund", "Set the share of the stake refunded when an expired commit is cancelled")
+  .addParam("percent", "Refund as a percentage of the stake (0 forfeits it all)")
+  .addFlag("json", "Print JSON")
+  .setAction(async ({ percent, json }, hre) => {
+    const { roulette } = await getRoulette(hre);
+    const refundBps = Math.round(Number(percent) * 100);
+    if (!Number.isFinite(refundBps) || refundBps < 0) {
+      throw new HardhatPluginError("roulette", `Invalid refund percentage: ${percent}`);
+    }
+    const maxBps = Number(await roulette.MAX_EXPIRED_REFUND_BPS());
+    if (refundBps > maxBps) {
+      throw new HardhatPluginError("roulette", `Refund can be at most ${maxBps / 100}% of the stake`);
+    }
+    const result = await sendTx(roulette.setExpiredRefund(refundBps));
+    output(json, { ...result, refundPercent: refundBps / 100 }, (r) => {
+      console.log(`\n✅ Expired commits now refund ${r.refundPercent}% of the stake (tx ${r.txHash})\n`);
+    });
+  });
+
+task("roulette:set-jackpot", "Set the jackpot's share of every stake and its restart amount")
+  .addParam("percent", "Share of every stake paid into the pool, in percent")
+  .addParam("seed", "Amount in PC the pool restarts from after a win")
+  .addFlag("json", "Print JSON")
+  .setAction(async ({ percent, seed, json }, hre) => {
+    const { roulette } = await getRoulette(hre);
+    const contributionBps = Math.round(Number(percent) * 100);
+    if (!Number.isFinite(contributionBps) || contributionBps < 0) {
+      throw new HardhatPluginError("roulette", `Invalid jackpot percentage: ${percent}`);
+    }
+    const maxBps = Number(await roulette.MAX_JACKPOT_CONTRIBUTION_BPS());
+    if (contributionBps > maxBps) {
+      throw new HardhatPluginError("roulette", `The jackpot can take at most ${maxBps / 100}% of each stake`);
+    }
+    const result = await sendTx(roulette.setJackpotConfig(contributionBps, hre.ethers.parseEther(seed)));
+    output(json, { ...result, contributionPercent: contributionBps / 100, seed }, (r) => {
+      console.log(`\n✅ Jackpot takes ${r.contributionPercent}% of stakes, restarts from ${r.seed} PC (tx ${r.txHash})\n`);
+    });
+  });
+
+task("roulette:set-referral-share", "Set the share of every stake credited to the player's referrer")
+  .addParam("percent", "Referral reward as a percentage of the stake (0 turns rewards off)")
+  .addFlag("json", "Print JSON")
+  .setAction(async ({ percent, json }, hre) => {
+    const { roulette } = await getRoulette(hre);
+    const shareBps = Math.round(Number(percent) * 100);
+    if (!Number.isFinite(shareBps) || shareBps < 0) {
+      throw new HardhatPluginError("roulette", `Invalid referral percentage: ${percent}`);
+    }
+    const maxBps = Number(await roulette.MAX_REFERRAL_SHARE_BPS());
+    if (shareBps > maxBps) {
+      throw new HardhatPluginError("roulette", `The referral share can be at most ${maxBps / 100}% of each stake`);
+    }
+    const result = await sendTx(roulette.setReferralShare(shareBps));
+    output(json, { ...result, sharePercent: shareBps / 100 }, (r) => {
+      console.log(`\n✅ Referrers now earn ${r.sharePercent}% of their players' stakes (tx ${r.txHash})\n`);
+    });
+  });
+
+task("roulette:fund-jackpot", "Deposit PC straight into the jackpot pool")
+  .addParam("amount", "Amount in PC")
+  .addFlag("json", "Print JSON")
+  .setAction(async ({ amount, json }, hre) => {
+    const { roulette } = await getRoulette(hre);
+    const result = await sendTx(roulette.fundJackpot({ value: hre.ethers.parseEther(amount) }));
+    const pool = pc(hre, await roulette.jackpotPool());
+    output(json, { ...result, amount, jackpotPool: pool }, (r) => {
+      console.log(`\n✅ Added ${r.amount} PC to the jackpot (tx ${r.txHash})`);
+      console.log("   Jackpot Pool:", r.jackpotPool, "PC\n");
+    });
+  });
+
+task("roulette:configure-token", "Whitelist an ERC-20 token or change its bet range and prize table")
+  .addParam("token", "Token address")
+  .addParam("minBet", "Smallest stake in token units")
+  .addParam("maxBet", "Largest stake in token units")
+  .addParam("maxPrize", "Cap on a single prize in token units")
+  .addOptionalParam("table", "Prize tiers as multiplier:weight,... (defaults to the PC prize table)")
+  .addFlag("json", "Print JSON")
+  .setAction(async ({ token: address, minBet, maxBet, maxPrize, table, json }, hre) => {
+    const { roulette } = await getRoulette(hre);
+    if (!hre.ethers.isAddress(address)) {
+      throw new HardhatPluginError("roulette", `Invalid token address: ${address}`);
+    }
+    const token = await readToken(hre, roulette, address).catch(() => {
+      throw new HardhatPluginError("roulette", `${address} does not look like an ERC-20 token (no symbol or decimals)`);
+    });
+    if (token.configured && !(await roulette.paused())) {
+      throw new HardhatPluginError(
+        "roulette",
+        `${token.summary.symbol} is already whitelisted; pause the game with roulette:pause before changing it`
+      );
+    }
+
+    const prizeTable = table
+      ? parsePrizeTable(table, await roulette.MULTIPLIER_BASE())
+      : await roulette.getPrizeTable();
+    const units = (amount) => hre.ethers.parseUnits(amount, token.decimals);
+    const result = await sendTx(roulette.configureToken(
+      address, units(minBet), units(maxBet), units(maxPrize), [...prizeTable.multipliers], [...prizeTable.weights]
+    ));
+    const { summary } = await readToken(hre, roulette, address);
+    output(json, { ...result, token: summary }, (r) => {
+      console.log(`\n✅ ${r.token.symbol} ${token.configured ? "updated" : "whitelisted"} (tx ${r.txHash})`);
+      console.log("   Bet Range:", r.token.minBet, "-", r.token.maxBet, r.token.symbol);
+      console.log("   Max Prize:", r.token.maxPrize, r.token.symbol);
+      console.log("   Prize Table:", r.token.prizeTable.map(tier => `${tier.multiplier}x/${tier.weight}`).join(" "));
+      if (r.token.houseBalance === "0.0") {
+        console.log(`   Fund it with: npx hardhat roulette:fund-token --token ${r.token.address} --amount <amount>`);
+      }
+      console.log("");
+    });
+  });
+
+task("roulette:set-token-enabled", "Allow or stop new bets in a whitelisted token")
+  .addParam("token", "Token address")
+  .addParam("enabled", "true to take bets, false to stop them", undefined, types.boolean)
+  .addFlag("json", "Print JSON")
+  .setAction(async ({ token: address, enabled, json }, hre) => {
+    const { roulette } = await getRoulette(hre);
+    const { summary } = await getConfiguredToken(hre, roulette, address);
+    const result = await sendTx(roulette.setTokenEnabled(address, enabled));
+    output(json, { ...result, token: address, symbol: summary.symbol, enabled }, (r) => {
+      console.log(`\n✅ ${r.symbol} bets ${r.enabled ? "enabled" : "disabled"} (tx ${r.txHash})\n`);
+    });
+  });
+
+task("roulette:fund-token", "Approve and deposit tokens into a token's house balance")
+  .addParam("token", "Token address")
+  .addParam("amount", "Amount in token units")
+  .addFlag("json", "Print JSON")
+  .setAction(async ({ token: address, amount, json }, hre) => {
+    const { roulette } = await getRoulette(hre);
+    const token = await getConfiguredToken(hre, roulette, address);
+    const value = hre.ethers.parseUnits(amount, token.decimals);
+    const [signer] = await hre.ethers.getSigners();
+    const balance = await token.erc20.balanceOf(signer.address);
+    if (value > balance) {
+      throw new HardhatPluginError(
+        "roulette",
+        `Cannot deposit ${amount} ${token.summary.symbol}, the owner holds ${hre.ethers.formatUnits(balance, token.decimals)}`
+      );
+    }
+
+    const allowance = await token.erc20.allowance(signer.address, await roulette.getAddress());
+    if (allowance < value) {
+      // Some tokens refuse to change a non-zero allowance, so clear it first
+      if (allowance > 0n) await sendTx(token.erc20.approve(await roulette.getAddress(), 0));
+      await sendTx(token.erc20.approve(await roulette.getAddress(), value));
+    }
+    const result = await sendTx(roulette.depositTokenFunds(address, value));
+    const { summary } = await readToken(hre, roulette, address);
+    output(json, { ...result, amount, symbol: summary.symbol, houseBalance: summary.houseBalance }, (r) => {
+      console.log(`\n✅ Deposited ${r.amount} ${r.symbol} (tx ${r.txHash})`);
+      console.log("   House Balance:", r.houseBalance, `${r.symbol}\n`);
+    });
+  });
+
+task("roulette:withdraw-token", "Withdraw from a token's free house balance to the owner")
+  .addParam("token", "Token address")
+  .addParam("amount", "Amount in token units")
+  .addFlag("json", "Print JSON")
+  .setAction(async ({ token: address, amount, json }, hre) => {
+    const { roulette } = await getRoulette(hre);
+    const token = await getConfiguredToken(hre, roulette, address);
+    const value = hre.ethers.parseUnits(amount, token.decimals);
+    const free = hre.ethers.parseUnits(token.summary.freeBalance, token.decimals);
+    if (value > free) {
+      throw new HardhatPluginError(
+        "roulette",
+        `Cannot withdraw ${amount} ${token.summary.symbol}, free balance is ${token.summary.freeBalance} ` +
+        `(${token.summary.reservedBalance} reserved for open commits)`
+      );
+    }
+    const result = await sendTx(roulette.withdrawTokenFunds(address, value));
+    const { summary } = await readToken(hre, roulette, address);
+    output(json, { ...result, amount, symbol: summary.symbol, houseBalance: summary.houseBalance }, (r) => {
+      console.log(`\n✅ Withdrew ${r.amount} ${r.symbol} (tx ${r.txHash})`);
+      console.log("   House Balance:", r.houseBalance, `${r.symbol}\n`);
+    });
+  });
+
+task("roulette:cancel-commit", "Cancel a player's expired secure spin and release its reserve")
+  .addParam("player", "Player address")
+  .addFlag("json", "Print JSON")
+  .setAction(async ({ player, json }, hre) => {
+    const { roulette } = await getRoulette(hre);
+    const commit = await roulette.getCommitDetails(player);
+    if (commit.blockNumber === 0n || commit.revealed) {
+      throw new HardhatPluginError("roulette", `${player} has no open commit`);
+    }
+    if (!commit.expired) {
+      throw new HardhatPluginError("roulette", `The commit can still be revealed until block ${commit.expiresAtBlock}`);
+    }
+    const stake = await readCommitStake(hre, roulette, commit);
+    const result = await sendTx(roulette.cancelExpiredCommit(player));
+    output(json, { ...result, player, betAmount: stake.amount, symbol: stake.symbol }, (r) => {
+      console.log(`\n✅ Cancelled the ${r.betAmount} ${r.symbol} commit of ${r.player} (tx ${r.txHash})\n`);
+    });
+  });
+
+task("roulette:player", "Show a player's stats and pending secure spin")
+  .addParam("address", "Player address")
+  .addFlag("json", "Print JSON")
+  .setAction(async ({ address, json }, hre) => {
+    const { roulette } = await getRoulette(hre);
+    const [
+      stats, claimable, hasPending, commit, limits, usage,
+      referrer, referredCount, referralEarnings, referralClaimed
+    ] = await Promise.all([
+      roulette.getPlayerStats(address),
+      roulette.claimableWinnings(address),
+      roulette.hasPendingCommit(address),
+      roulette.getCommitDetails(address),
+      roulette.getPlayerLimits(address),
+      roulette.getLimitUsage(address),
+      roulette.referrerOf(address),
+      roulette.referralCount(address),
+      roulette.referralEarnings(address),
+      roulette.referralEarningsClaimed(address)
+    ]);
+    const stake = hasPending ? await readCommitStake(hre, roulette, commit) : null;
+    // Token stakes and prizes are tracked per token, apart from the PC totals
+    const tokenStats = await Promise.all((await roulette.getTokens()).map(async (token) => {
+      const [{ decimals, summary }, wagered, won] = await Promise.all([
+        readToken(hre, roulette, token),
+        roulette.playerTokenWagered(token, address),
+        roulette.playerTokenWins(token, address)
+      ]);
+      return {
+        token,
+        symbol: summary.symbol,
+        wagered: hre.ethers.formatUnits(wagered, decimals),
+        won: hre.ethers.formatUnits(won, decimals),
+        net: hre.ethers.formatUnits(won - wagered, decimals),
+        played: wagered > 0n
+      };
+    }));
+    const result = {
+      player: address,
+      totalSpins: Number(stats.totalSpins),
+      totalWagered: pc(hre, stats.totalWagered),
+      totalWins: pc(hre, stats.totalWins),
+      net: pc(hre, stats.totalWins - stats.totalWagered),
+      claimable: pc(hre, claimable),
+      lastSpinTime: Number(stats.lastSpinTime),
+      canSpinAgainAt: Number(stats.canSpinAgainAt),
+      tokens: tokenStats.filter(token => token.played).map(({ played, ...token }) => token),
+      pendingCommit: hasPending
+        ? {
+          blockNumber: Number(commit.blockNumber),
+          betAmount: stake.amount,
+          symbol: stake.symbol,
+          canReveal: commit.canReveal,
+          expiresAtBlock: Number(commit.expiresAtBlock),
+          expired: commit.expired
+        }
+        : null,
+      limits: {
+        daily: limits.dailyLimit > 0n ? pc(hre, limits.dailyLimit) : null,
+        spentToday: pc(hre, usage.spentToday),
+        sessionLoss: limits.sessionLossLimit > 0n ? pc(hre, limits.sessionLossLimit) : null,
+        currentSessionLoss: pc(hre, usage.sessionLoss),
+        excludedUntil: Number(limits.excludedUntil)
+      },
+      referral: {
+        referrer: referrer === hre.ethers.ZeroAddress ? null : referrer,
+        referredPlayers: Number(referredCount),
+        unclaimedEarnings: pc(hre, referralEarnings),
+        claimedEarnings: pc(hre, referralClaimed)
+      }
+    };
+    output(json, result, (r) => {
+      console.log("\n👤 Player", r.player);
+      console.log("   Total Spins:", r.totalSpins);
+      console.log("   Total Wagered:", r.totalWagered, "PC");
+      console.log("   Total Wins:", r.totalWins, "PC");
+      console.log("   Net P/L:", r.net, "PC");
+      if (claimable > 0n) console.log("   Unclaimed Winnings:", r.claimable, "PC");
+      r.tokens.forEach(token => {
+        console.log(`   ${token.symbol}: wagered ${token.wagered}, won ${token.won}, net ${token.net}`);
+      });
+      console.log("   Last Spin:", r.lastSpinTime ? new Date(r.lastSpinTime * 1000).toISOString() : "never");
+      console.log("   Can Spin Again:", new Date(r.canSpinAgainAt * 1000).toISOString());
+      if (r.pendingCommit) {
+        console.log(
+          `   Pending Commit: ${r.pendingCommit.betAmount} ${r.pendingCommit.symbol} in block ${r.pendingCommit.blockNumber}` +
+          (r.pendingCommit.expired
+            ? " (expired, cancel with roulette:cancel-commit)"
+            : r.pendingCommit.canReveal
+              ? ` (ready to reveal until block ${r.pendingCommit.expiresAtBlock})`
+              : " (waiting for reveal delay)")
+        );
+      }
+      console.log("   Daily Limit:", r.limits.daily ? `${r.limits.spentToday} / ${r.limits.daily} PC` : "none");
+      console.log("   Session Loss Limit:", r.limits.sessionLoss ? `${r.limits.currentSessionLoss} / ${r.limits.sessionLoss} PC` : "none");
+      if (r.limits.excludedUntil * 1000 > Date.now()) {
+        console.log("   Self-Excluded Until:", new Date(r.limits.excludedUntil * 1000).toISOString());
+      }
+      console.log("   Referrer:", r.referral.referrer || "none");
+      if (r.referral.referredPlayers > 0) {
+        console.log(
+          `   Referred Players: ${r.referral.referredPlayers}` +
+          ` (${r.referral.unclaimedEarnings} PC unclaimed, ${r.referral.claimedEarnings} PC claimed)`
+        );
+      }
+      console.log("");
+    });
+  });
+
+task("roulette:history", "List prize wheel spins in every currency and table rounds")
+  .addOptionalParam("fromBlock", "First block to scan (defaults to the deployment block)", undefined, types.int)
+  .addOptionalParam("toBlock", "Last block to scan (defaults to the chain head)", undefined, types.int)
+  .addOptionalParam("player", "Only spins by this address")
+  .addFlag("json", "Print JSON")
+  .setAction(async ({ fromBlock, toBlock, player, json }, hre) => {
+    const { roulette, deployment } = await getRoulette(hre);
+    const { start, end, spins } = await readSpins(hre, roulette, deployment, { fromBlock, toBlock, player });
+
+    output(json, { fromBlock: start, toBlock: end, spins }, (r) => {
+      console.log(`\n🎰 ${r.spins.length} spins in blocks ${r.fromBlock}-${r.toBlock}`);
+      r.spins.forEach(spin => {
+        console.log(
+          `   #${spin.blockNumber} ${new Date(spin.timestamp * 1000).toISOString()} ${spin.player} ` +
+          `${spin.game} bet ${spin.betAmount} ${spin.symbol} → ${spin.prizeAmount} ${spin.symbol} ` +
+          `(${spin.game === "table" ? "pocket" : "roll"} ${spin.randomNumber})`
+        );
+      });
+      console.log("");
+    });
+  });
+
+task("roulette:analytics", "Compare PC prize wheel spins with the prize table odds: RTP, variance and tier hit rates")
+  .addOptionalParam("fromBlock", "First block to scan (defaults to the deployment block)", undefined, types.int)
+  .addOptionalParam("toBlock", "Last block to scan (defaults to the chain head)", undefined, types.int)
+  .addOptionalParam("player", "Only spins by this address")
+  .addFlag("json", "Print JSON")
+  .setAction(async ({ fromBlock, toBlock, player, json }, hre) => {
+    const { roulette, deployment } = await getRoulette(hre);
+    const [{ start, end, spins: scanned }, multiplierBase, weightTotal] = await Promise.all([
+      readSpins(hre, roulette, deployment, { fromBlock, toBlock, player }),
+      roulette.MULTIPLIER_BASE(),
+      roulette.PRIZE_WEIGHT_TOTAL()
+    ]);
+    // Spins are only comparable with the table they were played under, so the analysis covers
+    // the table in force at the end of the range and the spins since it was set
+    const { multipliers, weights, updatedAtBlock } = await readPrizeTableAt(hre, roulette, deployment, end);
+
+    // Only PC prize wheel spins are drawn from that table; token spins have their own and table
+    // rounds the roulette odds
+    const allSpins = scanned.filter(spin => spin.game === "wheel" && !spin.token);
+
+    // Shared with the frontend's Analytics panel
+    const { analyzeSpins, spinsSinceTableUpdate, DRIFT_THRESHOLD } = await import("../src/utils/analytics.mjs");
+    const { spins, excluded } = spinsSinceTableUpdate(allSpins, updatedAtBlock);
+    const prizes = multipliers.map((multiplier, i) => ({
+      multiplier: Number(multiplier) / Number(multiplierBase),
+      weight: Number(weights[i]),
+      probability: (Number(weights[i]) * 100) / Number(weightTotal)
+    }));
+    const { pnl, ...analysis } = analyzeSpins(hre.ethers, spins, { prizes, multiplierBase: Number(multiplierBase) });
+
+    const result = {
+      fromBlock: start,
+      toBlock: end,
+      player: player || null,
+      prizeTableUpdatedAtBlock: updatedAtBlock,
+      excludedSpins: excluded,
+      otherGameSpins: scanned.length - allSpins.length,
+      ...analysis,
+      pnl
+    };
+    output(json, result, (r) => {
+      const pct = (value) => `${(value * 100).toFixed(2)}%`;
+      const amount = (value) => `${parseFloat(value.toFixed(6))}`;
+      console.log(`\n📈 ${r.spins} spins in blocks ${r.fromBlock}-${r.toBlock}${r.player ? ` by ${r.player}` : ""}`);
+      if (r.excludedSpins > 0) {
+        console.log(`   ${r.excludedSpins} earlier spins left out: the prize table changed in block ${r.prizeTableUpdatedAtBlock}`);
+      }
+      if (r.otherGameSpins > 0) {
+        console.log(`   ${r.otherGameSpins} token and table spins left out: they aren't drawn from the PC prize table`);
+      }
+      if (r.spins === 0) {
+        console.log("");
+        return;
+      }
+      console.log("   Staked:", amount(r.wagered), "PC");
+      console.log("   Paid Out:", amount(r.won), "PC");
+      console.log(r.player ? "   Net P/L:" : "   Players' Net P/L:", amount(r.net), "PC");
+      console.log(
+        `   RTP: ${pct(r.actualRtp)} actual vs ${pct(r.theoreticalRtp)} theoretical` +
+        ` (${r.rtpDeviation.toFixed(2)} sd)${r.rtpDrift ? " ⚠️" : ""}`
+      );
+      console.log(
+        `   Std Dev per Spin: ${r.standardDeviation.toFixed(3)}x actual vs ${r.theoreticalStandardDeviation.toFixed(3)}x theoretical`
+      );
+      console.log("   Longest Losing Streak:", r.longestLosingStreak, `(current ${r.currentLosingStreak})`);
+      console.log("   Prize Tiers:");
+      r.tiers.forEach(tier => {
+        console.log(
+          `     ${tier.multiplier}x  ${tier.hits} hits  ${tier.hitRate.toFixed(2)}% vs ${tier.probability.toFixed(2)}%` +
+          `  (${tier.deviation.toFixed(2)} sd)${tier.drift ? " ⚠️" : ""}`
+        );
+      });
+      if (r.mismatchedPayouts > 0) {
+        console.log(`   ❌ ${r.mismatchedPayouts} payouts differ from the current prize table for the same roll`);
+      }
+      if (r.rtpDrift || r.tiers.some(tier => tier.drift)) {
+        console.log(`   ⚠️  marks results more than ${DRIFT_THRESHOLD} standard deviations from the odds`);
+      }
+      console.log("");
+    });
+  });
+
+task("roulette:deploy", "Deploy a new PushChainRoulette and save deployment-<network>.json")
+  .addOptionalParam("fund", "Initial house balance in PC", "100")
+  .addOptionalParam("owner", "Transfer ownership to this address after funding")
+  .addFlag("json", "Print JSON")
+  .setAction(async ({ fund, owner, json }, hre) => {
+    await hre.run("compile", { quiet: true });
+    const [deployer] = await hre.ethers.getSigners();
+
+    const PushChainRoulette = await hre.ethers.getContractFactory("PushChainRoulette");
+    const roulette = await PushChainRoulette.deploy();
+    await roulette.waitForDeployment();
+    const address = await roulette.getAddress();
+    const deployTx = roulette.deploymentTransaction();
+    const deployReceipt = await deployTx.wait();
+
+    const fundAmount = hre.ethers.parseEther(fund);
+    if (fundAmount > 0n) {
+      await sendTx(roulette.depositFunds({ value: fundAmount }));
+    }
+    if (owner) {
+      await sendTx(roulette.transferOwnership(owner));
+    }
+
+    const deploymentInfo = {
+      network: hre.network.name,
+      chainId: hre.network.config.chainId,
+      contractAddress: address,
+      deployer: deployer.address,
+      owner: owner || deployer.address,
+      deployedAt: new Date().toISOString(),
+      transactionHash: deployTx.hash,
+      blockNumber: deployReceipt.blockNumber,
+      initialFunding: fund,
+      version: "testnet-no-vrf",
+      randomnessMethod: "block.prevrandao + commit-reveal"
+    };
+    fs.writeFileSync(deploymentPath(hre), JSON.stringify(deploymentInfo, null, 2));
+    const frontendFile = await writeFrontendConfig(hre, deploymentInfo);
+
+    output(json, deploymentInfo, (info) => {
+      console.log("\n✅ PushChainRoulette deployed to:", info.contractAddress);
+      console.log("   Block:", info.blockNumber);
+      console.log("   Funded with:", info.initialFunding, "PC");
+      console.log("   Owner:", info.owner);
+      console.log("💾 Deployment info saved to:", path.basename(deploymentPath(hre)));
+      if (frontendFile) {
+        console.log("🖥️  Frontend config written to:", path.relative(hre.config.paths.root, frontendFile));
+      }
+      console.log("");
+    });
+  });
+
+task("roulette:check-abi", "Fail if the frontend ABI no longer matches the compiled contract")
+  .addFlag("json", "Print JSON")
+  .setAction(async ({ json }, hre) => {
+    await hre.run("compile", { quiet: true });
+    const results = await checkFrontendAbis(hre);
+    const drifted = results.filter(r => r.missing.length || r.extra.length);
+
+    output(json, { ok: drifted.length === 0, results }, (r) => {
+      if (r.results.length === 0) console.log("\n⚠️  No frontend configs in src/contracts/deployments");
+      r.results.forEach(result => {
+        const ok = !result.missing.length && !result.extra.length;
+        console.log(`\n${ok ? "✅" : "❌"} ${result.file}`);
+        result.missing.forEach(sig => console.log("   missing:", sig));
+        result.extra.forEach(sig => console.log("   stale:  ", sig));
+      });
+      console.log("");
+    });
+
+    if (drifted.length) {
+      throw new HardhatPluginError(
+        "roulette",
+        "Frontend ABI is out of date. Redeploy to regenerate it: npx hardhat roulette:deploy --network <network>"
+      );
+    }
+  });
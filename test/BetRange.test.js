@@ -0,0 +1,91 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { deployRoulette, hashSecret, passCooldown, setPrizeTableWhilePaused } = require("./helpers");
+
+// Stakes anywhere between the owner-set minimum and maximum, prizes scaled to the
+// stake, and a house-cover check against the worst case for that stake
+describe("PushChainRoulette bet range", function () {
+  const MIN_BET = ethers.parseEther("0.01");
+  const MAX_BET = ethers.parseEther("0.1");
+  const RED = 7; // BetType.Red
+
+  // Every spin pays double, so the prize shows how payouts scale with the stake
+  const DOUBLE_TABLE = { multipliers: [20000], weights: [1000] };
+
+  it("starts with the 0.01 to 0.1 PC range", async function () {
+    const { roulette } = await loadFixture(deployRoulette);
+
+    const stats = await roulette.getStats();
+    expect(stats.minStake).to.equal(MIN_BET);
+    expect(stats.maxStake).to.equal(MAX_BET);
+  });
+
+  it("pays prizes as multiples of any stake in range", async function () {
+    const { roulette, alice } = await loadFixture(deployRoulette);
+    await setPrizeTableWhilePaused(roulette, DOUBLE_TABLE);
+
+    for (const stake of [MIN_BET, ethers.parseEther("0.0375"), MAX_BET]) {
+      await expect(roulette.connect(alice).quickSpin({ value: stake }))
+        .to.emit(roulette, "SpinRevealed")
+        .withArgs(alice.address, stake, stake * 2n, anyValue, anyValue);
+      await passCooldown(roulette);
+    }
+    expect(await roulette.maxPayout(MAX_BET)).to.equal(MAX_BET * 2n);
+  });
+
+  it("rejects stakes outside the range in every game", async function () {
+    const { roulette, alice } = await loadFixture(deployRoulette);
+    const below = MIN_BET - 1n;
+    const above = MAX_BET + 1n;
+
+    for (const value of [below, above]) {
+      await expect(roulette.connect(alice).commitSpin(hashSecret(1), { value }))
+        .to.be.revertedWithCustomError(roulette, "BetOutOfRange").withArgs(value, MIN_BET, MAX_BET);
+      await expect(roulette.connect(alice).quickSpin({ value }))
+        .to.be.revertedWithCustomError(roulette, "BetOutOfRange").withArgs(value, MIN_BET, MAX_BET);
+      await expect(roulette.connect(alice).spinTable([{ betType: RED, number: 0, amount: value }], { value }))
+        .to.be.revertedWithCustomError(roulette, "BetOutOfRange").withArgs(value, MIN_BET, MAX_BET);
+    }
+  });
+
+  it("checks the house can cover the worst case for the stake, not for the maximum", async function () {
+    const { roulette, alice } = await deployRoulette(ethers.parseEther("0.5"));
+
+    // The default table's top prize is 10x: 1 PC on the maximum stake, 0.1 PC on the minimum
+    await expect(roulette.connect(alice).quickSpin({ value: MAX_BET }))
+      .to.be.revertedWithCustomError(roulette, "InsufficientHouseBalance")
+      .withArgs(ethers.parseEther("1"), ethers.parseEther("0.5"));
+    await expect(roulette.connect(alice).quickSpin({ value: MIN_BET })).to.emit(roulette, "SpinRevealed");
+  });
+
+  it("lets the owner change the range", async function () {
+    const { roulette, alice } = await loadFixture(deployRoulette);
+    const newMin = ethers.parseEther("0.02");
+    const newMax = ethers.parseEther("0.05");
+
+    await expect(roulette.connect(alice).setBetLimits(newMin, newMax))
+      .to.be.revertedWithCustomError(roulette, "OwnableUnauthorizedAccount");
+    await expect(roulette.setBetLimits(newMin, newMax))
+      .to.emit(roulette, "BetLimitsUpdated").withArgs(newMin, newMax);
+
+    await expect(roulette.connect(alice).quickSpin({ value: MIN_BET }))
+      .to.be.revertedWithCustomError(roulette, "BetOutOfRange").withArgs(MIN_BET, newMin, newMax);
+  });
+
+  it("rejects an empty or inverted range, and a maximum whose top prize exceeds MAX_PRIZE", async function () {
+    const { roulette } = await loadFixture(deployRoulette);
+
+    await expect(roulette.setBetLimits(0, MAX_BET))
+      .to.be.revertedWithCustomError(roulette, "InvalidBetLimits").withArgs(0, MAX_BET);
+    await expect(roulette.setBetLimits(MAX_BET, MIN_BET))
+      .to.be.revertedWithCustomError(roulette, "InvalidBetLimits").withArgs(MAX_BET, MIN_BET);
+
+    // 10x of 0.2 PC is 2 PC
+    const tooHigh = ethers.parseEther("0.2");
+    await expect(roulette.setBetLimits(MIN_BET, tooHigh))
+      .to.be.revertedWithCustomError(roulette, "PrizeExceedsMax")
+      .withArgs(ethers.parseEther("2"), ethers.parseEther("1"));
+  });
+});
@@ -0,0 +1,93 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { deployRoulette, hashSecret, setPrizeTableWhilePaused } = require("./helpers");
+
+// A prize the player's address refuses stays owed to them as claimable winnings,
+// outside the house balance, until they claim it
+describe("PushChainRoulette claimable winnings", function () {
+  const STAKE = ethers.parseEther("0.05");
+
+  // Every spin pays its stake back, so each one exercises the prize transfer
+  const EVEN_TABLE = { multipliers: [10000], weights: [1000] };
+
+  async function deployFixture() {
+    const { roulette, owner } = await deployRoulette();
+    await setPrizeTableWhilePaused(roulette, EVEN_TABLE);
+
+    const Player = await ethers.getContractFactory("RejectingPlayer");
+    const player = await Player.deploy(roulette.target);
+    return { roulette, owner, player };
+  }
+
+  // Call a roulette function as the player contract
+  const play = (roulette, player, method, args = [], value = 0n) =>
+    player.play(roulette.interface.encodeFunctionData(method, args), { value });
+
+  // The contract's PC must cover the house, the jackpot and everything owed to players
+  const expectBalanceCovered = async (roulette) => {
+    const owed = (await roulette.houseBalance()) + (await roulette.jackpotPool()) +
+      (await roulette.totalClaimableWinnings()) + (await roulette.totalReferralEarnings());
+    expect(await ethers.provider.getBalance(roulette.target)).to.equal(owed);
+  };
+
+  it("credits a refused quick spin prize instead of returning it to the house", async function () {
+    const { roulette, player } = await loadFixture(deployFixture);
+    const houseBefore = await roulette.houseBalance();
+
+    const tx = play(roulette, player, "quickSpin", [], STAKE);
+    await expect(tx).to.emit(roulette, "PrizePendingClaim").withArgs(player.target, STAKE);
+    await expect(tx).to.emit(roulette, "SpinRevealed").withArgs(player.target, STAKE, STAKE, anyValue, anyValue);
+
+    expect(await roulette.claimableWinnings(player.target)).to.equal(STAKE);
+    expect(await roulette.playerTotalWins(player.target)).to.equal(STAKE);
+    expect(await roulette.houseBalance()).to.equal(houseBefore);
+    await expectBalanceCovered(roulette);
+  });
+
+  it("credits a refused reveal prize", async function () {
+    const { roulette, player } = await loadFixture(deployFixture);
+
+    await play(roulette, player, "commitSpin", [hashSecret(1)], STAKE);
+    await mine(2);
+    await expect(play(roulette, player, "revealSpin", [1]))
+      .to.emit(roulette, "PrizePendingClaim").withArgs(player.target, STAKE);
+    expect(await roulette.claimableWinnings(player.target)).to.equal(STAKE);
+    await expectBalanceCovered(roulette);
+  });
+
+  it("pays claimable winnings once the player accepts them, even while paused", async function () {
+    const { roulette, owner, player } = await loadFixture(deployFixture);
+    await play(roulette, player, "quickSpin", [], STAKE);
+
+    await expect(play(roulette, player, "claimWinnings"))
+      .to.be.revertedWithCustomError(roulette, "TransferFailed");
+    expect(await roulette.claimableWinnings(player.target)).to.equal(STAKE);
+
+    await roulette.connect(owner).pause();
+    await player.setRejecting(false);
+    await expect(play(roulette, player, "claimWinnings"))
+      .to.emit(roulette, "WinningsClaimed").withArgs(player.target, STAKE);
+    expect(await ethers.provider.getBalance(player.target)).to.equal(STAKE);
+    expect(await roulette.claimableWinnings(player.target)).to.equal(0);
+    expect(await roulette.totalClaimableWinnings()).to.equal(0);
+
+    await expect(play(roulette, player, "claimWinnings"))
+      .to.be.revertedWithCustomError(roulette, "NothingToClaim");
+  });
+
+  it("keeps claimable winnings out of an emergency withdrawal and the free bankroll", async function () {
+    const { roulette, owner, player } = await loadFixture(deployFixture);
+    await play(roulette, player, "quickSpin", [], STAKE);
+
+    await roulette.connect(owner).pause();
+    await roulette.connect(owner).emergencyWithdraw();
+    expect(await ethers.provider.getBalance(roulette.target)).to.equal(STAKE);
+    expect(await roulette.freeBalance()).to.equal(0);
+
+    await player.setRejecting(false);
+    await expect(play(roulette, player, "claimWinnings"))
+      .to.emit(roulette, "WinningsClaimed").withArgs(player.target, STAKE);
+  });
+});
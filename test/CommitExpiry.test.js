@@ -0,0 +1,124 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployRoulette, hashSecret } = require("./helpers");
+
+// Commits can only be revealed within REVEAL_WINDOW blocks; after that anyone can
+// cancel them, which unblocks the player and refunds the owner-set share of the stake
+describe("PushChainRoulette commit expiry", function () {
+  const STAKE = ethers.parseEther("0.02");
+  const HALF = 5000n;
+
+  // Commit for alice and mine past its reveal window
+  async function expiredFixture() {
+    const fixture = await deployRoulette();
+    const { roulette, alice } = fixture;
+    await roulette.connect(alice).commitSpin(hashSecret(1), { value: STAKE });
+    const commitBlock = await ethers.provider.getBlockNumber();
+    await mine(Number(await roulette.REVEAL_WINDOW()) + 1);
+    return { ...fixture, commitBlock };
+  }
+
+  it("reports the last block a commit can be revealed in", async function () {
+    const { roulette, alice } = await loadFixture(deployRoulette);
+    const window = await roulette.REVEAL_WINDOW();
+
+    await roulette.connect(alice).commitSpin(hashSecret(1), { value: STAKE });
+    const commitBlock = ethers.toBigInt(await ethers.provider.getBlockNumber());
+    let details = await roulette.getCommitDetails(alice.address);
+    expect(details.expiresAtBlock).to.equal(commitBlock + window);
+    expect(details.canReveal).to.equal(false);
+    expect(details.expired).to.equal(false);
+
+    // The reveal itself is mined in the next block, the last one in the window
+    await mine(Number(window) - 1);
+    details = await roulette.getCommitDetails(alice.address);
+    expect(details.canReveal).to.equal(true);
+    await expect(roulette.connect(alice).revealSpin(1)).to.emit(roulette, "SpinRevealed");
+  });
+
+  it("refuses to reveal an expired commit", async function () {
+    const { roulette, alice, commitBlock } = await loadFixture(expiredFixture);
+    const expiresAt = ethers.toBigInt(commitBlock) + (await roulette.REVEAL_WINDOW());
+
+    const details = await roulette.getCommitDetails(alice.address);
+    expect(details.expired).to.equal(true);
+    expect(details.canReveal).to.equal(false);
+    await expect(roulette.connect(alice).revealSpin(1))
+      .to.be.revertedWithCustomError(roulette, "CommitExpired").withArgs(expiresAt);
+  });
+
+  it("keeps commits revealable through a pause that outlasts the reveal window", async function () {
+    const { roulette, alice, bob } = await loadFixture(deployRoulette);
+    const window = Number(await roulette.REVEAL_WINDOW());
+
+    await roulette.connect(alice).commitSpin(hashSecret(1), { value: STAKE });
+    await roulette.connect(bob).commitSpin(hashSecret(2), { value: STAKE });
+    await roulette.pause();
+
+    await mine(window - 10);
+    await expect(roulette.connect(alice).revealSpin(1)).to.emit(roulette, "SpinRevealed");
+
+    // Still paused past the window: bob's commit expired but can be cancelled, and no new spins start
+    await mine(20);
+    expect(await roulette.paused()).to.equal(true);
+    await expect(roulette.connect(bob).revealSpin(2)).to.be.revertedWithCustomError(roulette, "CommitExpired");
+    await expect(roulette.connect(alice).cancelExpiredCommit(bob.address)).to.emit(roulette, "CommitCancelled");
+    await expect(roulette.connect(alice).commitSpin(hashSecret(3), { value: STAKE }))
+      .to.be.revertedWithCustomError(roulette, "EnforcedPause");
+  });
+
+  it("only cancels a commit that is open and expired", async function () {
+    const { roulette, alice, bob } = await loadFixture(deployRoulette);
+
+    await expect(roulette.cancelExpiredCommit(alice.address))
+      .to.be.revertedWithCustomError(roulette, "NoCommitFound");
+
+    await roulette.connect(alice).commitSpin(hashSecret(1), { value: STAKE });
+    const window = await roulette.REVEAL_WINDOW();
+    await expect(roulette.connect(bob).cancelExpiredCommit(alice.address))
+      .to.be.revertedWithCustomError(roulette, "CommitNotExpired").withArgs(window);
+
+    await mine(2);
+    await roulette.connect(alice).revealSpin(1);
+    await mine(Number(window));
+    await expect(roulette.connect(bob).cancelExpiredCommit(alice.address))
+      .to.be.revertedWithCustomError(roulette, "CommitAlreadyRevealed");
+  });
+
+  it("lets anyone cancel an expired commit, keeping the stake by default", async function () {
+    const { roulette, alice, bob } = await loadFixture(expiredFixture);
+    const houseBefore = await roulette.houseBalance();
+
+    await expect(roulette.connect(bob).cancelExpiredCommit(alice.address))
+      .to.emit(roulette, "CommitCancelled").withArgs(alice.address, bob.address, STAKE, 0);
+    expect(await roulette.houseBalance()).to.equal(houseBefore);
+    expect(await roulette.hasPendingCommit(alice.address)).to.equal(false);
+
+    // The player can play again
+    await expect(roulette.connect(alice).commitSpin(hashSecret(2), { value: STAKE }))
+      .to.emit(roulette, "SpinCommitted");
+  });
+
+  it("refunds the owner-set share of the stake to the player", async function () {
+    const { roulette, owner, alice, bob } = await loadFixture(expiredFixture);
+    await expect(roulette.connect(owner).setExpiredRefund(HALF))
+      .to.emit(roulette, "ExpiredRefundUpdated").withArgs(HALF);
+    const refund = (STAKE * HALF) / 10000n;
+    const houseBefore = await roulette.houseBalance();
+
+    await expect(roulette.connect(bob).cancelExpiredCommit(alice.address))
+      .to.changeEtherBalances([alice, roulette], [refund, -refund]);
+    expect(await roulette.houseBalance()).to.equal(houseBefore - refund);
+  });
+
+  it("bounds the refund share and leaves it to the owner", async function () {
+    const { roulette, alice } = await loadFixture(deployRoulette);
+    const maxRefund = await roulette.MAX_EXPIRED_REFUND_BPS();
+
+    await expect(roulette.setExpiredRefund(maxRefund + 1n))
+      .to.be.revertedWithCustomError(roulette, "InvalidRefundPolicy").withArgs(maxRefund + 1n, maxRefund);
+    await expect(roulette.connect(alice).setExpiredRefund(HALF))
+      .to.be.revertedWithCustomError(roulette, "OwnableUnauthorizedAccount");
+  });
+});
@@ -0,0 +1,111 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployRoulette, hashSecret, passCooldown } = require("./helpers");
+
+// Regression tests for overlapping commit-reveal spins: every reveal must verify
+// against its own commit, whatever other players did in between
+describe("PushChainRoulette commit-reveal", function () {
+  const STAKE = ethers.parseEther("0.01");
+
+  const commit = (roulette, player, secret) =>
+    roulette.connect(player).commitSpin(hashSecret(secret), { value: STAKE });
+
+  const reveal = (roulette, player, secret) =>
+    roulette.connect(player).revealSpin(secret);
+
+  const quickSpin = (roulette, player) =>
+    roulette.connect(player).quickSpin({ value: STAKE });
+
+  it("reveals a lone commit", async function () {
+    const { roulette, alice } = await loadFixture(deployRoulette);
+
+    await commit(roulette, alice, 1);
+    await mine(2);
+
+    await expect(reveal(roulette, alice, 1)).to.emit(roulette, "SpinRevealed");
+    expect(await roulette.hasPendingCommit(alice.address)).to.equal(false);
+  });
+
+  it("reveals after another player commits in between", async function () {
+    const { roulette, alice, bob } = await loadFixture(deployRoulette);
+
+    await commit(roulette, alice, 1);
+    await commit(roulette, bob, 2);
+    await mine(2);
+
+    await expect(reveal(roulette, alice, 1)).to.emit(roulette, "SpinRevealed");
+    await expect(reveal(roulette, bob, 2)).to.emit(roulette, "SpinRevealed");
+  });
+
+  it("reveals overlapping commits in any order", async function () {
+    const { roulette, alice, bob, carol } = await loadFixture(deployRoulette);
+
+    await commit(roulette, alice, 1);
+    await commit(roulette, bob, 2);
+    await commit(roulette, carol, 3);
+    await mine(2);
+
+    await expect(reveal(roulette, bob, 2)).to.emit(roulette, "SpinRevealed");
+    await expect(reveal(roulette, carol, 3)).to.emit(roulette, "SpinRevealed");
+    await expect(reveal(roulette, alice, 1)).to.emit(roulette, "SpinRevealed");
+  });
+
+  it("reveals after other players' quick spins", async function () {
+    const { roulette, alice, bob, carol } = await loadFixture(deployRoulette);
+
+    await commit(roulette, alice, 1);
+    await quickSpin(roulette, bob);
+    await quickSpin(roulette, carol);
+    await mine(2);
+
+    await expect(reveal(roulette, alice, 1)).to.emit(roulette, "SpinRevealed");
+  });
+
+  it("reveals after the same player's quick spin", async function () {
+    const { roulette, alice } = await loadFixture(deployRoulette);
+
+    await commit(roulette, alice, 1);
+    await passCooldown(roulette);
+    await quickSpin(roulette, alice);
+    await mine(2);
+
+    await expect(reveal(roulette, alice, 1)).to.emit(roulette, "SpinRevealed");
+  });
+
+  it("keeps reveals working across interleaved rounds from several accounts", async function () {
+    const { roulette, alice, bob, carol } = await loadFixture(deployRoulette);
+
+    await commit(roulette, alice, 11);
+    await commit(roulette, bob, 21);
+    await quickSpin(roulette, carol);
+    await mine(2);
+    await reveal(roulette, bob, 21);
+
+    await passCooldown(roulette);
+    await commit(roulette, bob, 22);
+    await commit(roulette, carol, 31);
+    await quickSpin(roulette, alice);
+    await mine(2);
+
+    await expect(reveal(roulette, alice, 11)).to.emit(roulette, "SpinRevealed");
+    await expect(reveal(roulette, carol, 31)).to.emit(roulette, "SpinRevealed");
+    await expect(reveal(roulette, bob, 22)).to.emit(roulette, "SpinRevealed");
+
+    expect(await roulette.playerTotalSpins(alice.address)).to.equal(2);
+    expect(await roulette.playerTotalSpins(bob.address)).to.equal(2);
+    expect(await roulette.playerTotalSpins(carol.address)).to.equal(2);
+    expect((await roulette.getStats()).reservedBalance).to.equal(0);
+  });
+
+  it("still rejects a wrong secret", async function () {
+    const { roulette, alice, bob } = await loadFixture(deployRoulette);
+
+    await commit(roulette, alice, 1);
+    await commit(roulette, bob, 2);
+    await mine(2);
+
+    await expect(reveal(roulette, alice, 2)).to.be.revertedWith("Invalid secret");
+    await expect(reveal(roulette, alice, 1)).to.emit(roulette, "SpinRevealed");
+  });
+});
@@ -0,0 +1,149 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadFixture, mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { deployRoulette, hashSecret, rigQuickSpin } = require("./helpers");
+
+// Jackpot accounting, and proof that only commit-reveal spins draw the pool: the tests pick
+// block inputs that make a spin's entropy win the draw, so a quick or table spin that could
+// win would do so here
+describe("PushChainRoulette jackpot", function () {
+  const STAKE = ethers.parseEther("0.01");
+  const CONTRIBUTION_BPS = 500n; // 5% of every stake
+  const SEED = ethers.parseEther("0.1");
+  const POOL = ethers.parseEther("1");
+  const RED = 7; // BetType.Red
+
+  async function deployFixture() {
+    const fixture = await deployRoulette();
+    await fixture.roulette.setJackpotConfig(CONTRIBUTION_BPS, SEED);
+    await fixture.roulette.fundJackpot({ value: POOL });
+    return fixture;
+  }
+
+  // Mirrors _drawJackpot: the entropy is hashed again and wins one time in JACKPOT_ODDS
+  const winsJackpot = (entropy) => ethers.toBigInt(ethers.keccak256(ethers.toBeHex(entropy, 32))) % 10000n === 0n;
+
+  // Mirrors _generateEntropy: the secret and the hash of block commit + REVEAL_DELAY
+  const revealEntropy = (secret, entropyBlockHash) => ethers.toBigInt(
+    ethers.solidityPackedKeccak256(["uint256", "bytes32"], [secret, entropyBlockHash])
+  );
+
+  // Default table tiers, for the prize a roll pays
+  const DEFAULT_TABLE = { multipliers: [0n, 5000n, 10000n, 20000n, 50000n, 100000n], weights: [600n, 300n, 50n, 30n, 15n, 5n] };
+  const prizeFor = (randomNumber, stake) => {
+    let cumulative = 0n;
+    const tier = DEFAULT_TABLE.weights.findIndex(weight => randomNumber < (cumulative += weight));
+    return (stake * DEFAULT_TABLE.multipliers[tier]) / 10000n;
+  };
+
+  // Commit with secret, then mine the block whose hash seeds the reveal, trying prevrandao
+  // values until the reveal's entropy wins the draw. Returns that entropy.
+  const commitWinningSpin = async (roulette, player, secret) => {
+    await roulette.connect(player).commitSpin(hashSecret(secret), { value: STAKE });
+    await mine(Number(await roulette.REVEAL_DELAY()) - 1);
+    for (let i = 1n; ; i++) {
+      const snapshot = await network.provider.send("evm_snapshot");
+      await network.provider.send("hardhat_setPrevRandao", [ethers.toBeHex(i, 32)]);
+      await mine(1);
+      const entropy = revealEntropy(secret, (await ethers.provider.getBlock("latest")).hash);
+      if (winsJackpot(entropy)) return entropy;
+      await network.provider.send("evm_revert", [snapshot]);
+    }
+  };
+
+  it("adds the contribution share of every stake to the pool and the rest to the house", async function () {
+    const { roulette, alice } = await loadFixture(deployFixture);
+    const houseBefore = await roulette.houseBalance();
+
+    await roulette.connect(alice).commitSpin(hashSecret(1), { value: STAKE });
+
+    const contribution = (STAKE * CONTRIBUTION_BPS) / 10000n;
+    expect(await roulette.jackpotPool()).to.equal(POOL + contribution);
+    expect(await roulette.houseBalance()).to.equal(houseBefore + STAKE - contribution);
+  });
+
+  it("pays the pool on a winning reveal and reseeds it from the house", async function () {
+    const { roulette, alice } = await loadFixture(deployFixture);
+
+    const entropy = await commitWinningSpin(roulette, alice, 1);
+    const pool = await roulette.jackpotPool();
+    const houseBefore = await roulette.houseBalance();
+
+    const tx = roulette.connect(alice).revealSpin(1);
+    await expect(tx).to.emit(roulette, "JackpotWon").withArgs(alice.address, pool, anyValue);
+    const receipt = await (await tx).wait();
+    const revealed = receipt.logs
+      .map(log => roulette.interface.parseLog(log))
+      .find(log => log && log.name === "SpinRevealed");
+    // The mined block's hash is the one the contract used
+    expect(revealed.args.randomNumber).to.equal(entropy % 1000n);
+
+    expect(await roulette.jackpotPool()).to.equal(SEED);
+    expect(await roulette.houseBalance()).to.equal(houseBefore - SEED - revealed.args.prizeAmount);
+    expect(await roulette.playerTotalWins(alice.address)).to.equal(pool + revealed.args.prizeAmount);
+  });
+
+  it("never pays the pool on a quick spin, even when its entropy would win the draw", async function () {
+    const { roulette, alice } = await loadFixture(deployFixture);
+
+    const entropy = await rigQuickSpin(roulette, alice, STAKE, winsJackpot);
+    const tx = roulette.connect(alice).quickSpin({ value: STAKE });
+
+    await expect(tx).to.emit(roulette, "SpinRevealed")
+      .withArgs(alice.address, STAKE, anyValue, entropy % 1000n, anyValue);
+    await expect(tx).not.to.emit(roulette, "JackpotWon");
+    expect(await roulette.jackpotPool()).to.equal(POOL + (STAKE * CONTRIBUTION_BPS) / 10000n);
+  });
+
+  it("never pays the pool on a table spin, even when its entropy would win the draw", async function () {
+    const { roulette, bob } = await loadFixture(deployFixture);
+
+    const entropy = await rigQuickSpin(roulette, bob, STAKE, winsJackpot);
+    const tx = roulette.connect(bob).spinTable([{ betType: RED, number: 0, amount: STAKE }], { value: STAKE });
+
+    await expect(tx).to.emit(roulette, "TableSpin")
+      .withArgs(bob.address, STAKE, anyValue, entropy % 37n, anyValue);
+    await expect(tx).not.to.emit(roulette, "JackpotWon");
+    expect(await roulette.jackpotPool()).to.equal(POOL + (STAKE * CONTRIBUTION_BPS) / 10000n);
+  });
+
+  it("reseeds only as far as the free bankroll covers", async function () {
+    const { roulette, owner, alice } = await loadFixture(deployFixture);
+    await roulette.setJackpotConfig(CONTRIBUTION_BPS, ethers.parseEther("100"));
+
+    await commitWinningSpin(roulette, alice, 1);
+    await expect(roulette.connect(alice).revealSpin(1)).to.emit(roulette, "JackpotWon");
+
+    expect(await roulette.freeBalance()).to.equal(0);
+    expect(await roulette.jackpotPool()).to.be.lessThan(ethers.parseEther("100"));
+    await expect(roulette.connect(owner).withdrawFunds(1)).to.be.reverted;
+  });
+
+  it("draws the same result for a reveal however often a contract reverts and retries it", async function () {
+    const { roulette } = await loadFixture(deployFixture);
+    const Player = await ethers.getContractFactory("RetryingPlayer");
+    const player = await Player.deploy(roulette.target);
+
+    await player.commit(hashSecret(7), { value: STAKE });
+    const commitBlock = await ethers.provider.getBlockNumber();
+    await mine(Number(await roulette.REVEAL_DELAY()));
+
+    // What the reveal pays is fixed by now, whatever block it lands in
+    const entropyBlock = await ethers.provider.getBlock(commitBlock + Number(await roulette.REVEAL_DELAY()));
+    const entropy = revealEntropy(7, entropyBlock.hash);
+    const pool = await roulette.jackpotPool();
+    const won = prizeFor(entropy % 1000n, STAKE) + (winsJackpot(entropy) ? pool : 0n);
+
+    // Every retry lands in a new block with its own prevrandao and timestamp, and draws the same
+    for (let i = 1; i <= 10; i++) {
+      await time.increase(i * 13);
+      await network.provider.send("hardhat_setPrevRandao", [ethers.toBeHex(i * 7919, 32)]);
+      await expect(player.revealUnlessBelow(7, ethers.MaxUint256))
+        .to.be.revertedWithCustomError(player, "WinTooSmall").withArgs(won);
+      expect(await roulette.hasPendingCommit(player.target)).to.equal(true);
+    }
+
+    await expect(player.revealUnlessBelow(7, 0)).to.changeEtherBalance(player, won);
+  });
+});
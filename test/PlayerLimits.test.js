@@ -0,0 +1,159 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, mine, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployRoulette, hashSecret, passCooldown, setPrizeTableWhilePaused } = require("./helpers");
+
+// Responsible-gaming limits: what each limit blocks, tighter limits applying at once
+// and looser ones only after LIMIT_INCREASE_DELAY
+describe("PushChainRoulette player limits", function () {
+  const STAKE = ethers.parseEther("0.03");
+  const DAILY_LIMIT = ethers.parseEther("0.05");
+  const DAY = 24 * 60 * 60;
+  const RED = 7; // BetType.Red
+
+  // Every spin loses its stake, so session losses are known
+  const LOSING_TABLE = { multipliers: [0], weights: [1000] };
+
+  async function deployFixture() {
+    const fixture = await deployRoulette();
+    const { roulette } = fixture;
+    await setPrizeTableWhilePaused(roulette, LOSING_TABLE);
+    return fixture;
+  }
+
+  const quickSpin = (roulette, player, value = STAKE) =>
+    roulette.connect(player).quickSpin({ value });
+
+  // Start of the next UTC day, plus a minute so the cooldown has long passed
+  const nextDay = async () => {
+    await time.increaseTo(Math.floor((await time.latest()) / DAY + 1) * DAY + 60);
+  };
+
+  it("blocks every game while self-excluded, but lets a pending reveal finish", async function () {
+    const { roulette, alice } = await loadFixture(deployFixture);
+
+    await roulette.connect(alice).commitSpin(hashSecret(1), { value: STAKE });
+    await roulette.connect(alice).selfExclude(DAY);
+    const { excludedUntil } = await roulette.getPlayerLimits(alice.address);
+    expect(excludedUntil).to.equal(ethers.toBigInt(await time.latest()) + ethers.toBigInt(DAY));
+
+    await mine(2);
+    await expect(roulette.connect(alice).revealSpin(1)).to.emit(roulette, "SpinRevealed");
+
+    await passCooldown(roulette);
+    await expect(quickSpin(roulette, alice))
+      .to.be.revertedWithCustomError(roulette, "PlayerSelfExcluded").withArgs(excludedUntil);
+    await expect(roulette.connect(alice).commitSpin(hashSecret(2), { value: STAKE }))
+      .to.be.revertedWithCustomError(roulette, "PlayerSelfExcluded").withArgs(excludedUntil);
+    await expect(roulette.connect(alice).spinTable([{ betType: RED, number: 0, amount: STAKE }], { value: STAKE }))
+      .to.be.revertedWithCustomError(roulette, "PlayerSelfExcluded").withArgs(excludedUntil);
+
+    await time.increaseTo(excludedUntil);
+    await expect(quickSpin(roulette, alice)).to.emit(roulette, "SpinRevealed");
+  });
+
+  it("extends but never shortens a self-exclusion, and bounds its length", async function () {
+    const { roulette, alice } = await loadFixture(deployFixture);
+    const maxExclusion = await roulette.MAX_SELF_EXCLUSION();
+
+    await roulette.connect(alice).selfExclude(7 * DAY);
+    const { excludedUntil } = await roulette.getPlayerLimits(alice.address);
+
+    await expect(roulette.connect(alice).selfExclude(DAY))
+      .to.emit(roulette, "SelfExclusionSet").withArgs(alice.address, excludedUntil);
+    expect((await roulette.getPlayerLimits(alice.address)).excludedUntil).to.equal(excludedUntil);
+
+    await expect(roulette.connect(alice).selfExclude(0))
+      .to.be.revertedWithCustomError(roulette, "InvalidExclusionPeriod").withArgs(0, maxExclusion);
+    await expect(roulette.connect(alice).selfExclude(maxExclusion + 1n))
+      .to.be.revertedWithCustomError(roulette, "InvalidExclusionPeriod").withArgs(maxExclusion + 1n, maxExclusion);
+  });
+
+  it("caps the total staked per UTC day", async function () {
+    const { roulette, alice } = await loadFixture(deployFixture);
+    await nextDay();
+    await roulette.connect(alice).setDailyLimit(DAILY_LIMIT);
+
+    await quickSpin(roulette, alice);
+    expect((await roulette.getLimitUsage(alice.address)).spentToday).to.equal(STAKE);
+
+    await passCooldown(roulette);
+    await expect(quickSpin(roulette, alice))
+      .to.be.revertedWithCustomError(roulette, "DailyLimitExceeded")
+      .withArgs(STAKE, DAILY_LIMIT - STAKE);
+    await expect(quickSpin(roulette, alice, DAILY_LIMIT - STAKE)).to.emit(roulette, "SpinRevealed");
+
+    await nextDay();
+    expect((await roulette.getLimitUsage(alice.address)).spentToday).to.equal(0);
+    await expect(quickSpin(roulette, alice)).to.emit(roulette, "SpinRevealed");
+  });
+
+  it("caps the net loss in a session until the player takes a break", async function () {
+    const { roulette, alice } = await loadFixture(deployFixture);
+    await roulette.connect(alice).setSessionLossLimit(STAKE);
+
+    await quickSpin(roulette, alice);
+    const usage = await roulette.getLimitUsage(alice.address);
+    expect(usage.sessionLoss).to.equal(STAKE);
+
+    await passCooldown(roulette);
+    await expect(quickSpin(roulette, alice))
+      .to.be.revertedWithCustomError(roulette, "SessionLossLimitExceeded").withArgs(STAKE, 0);
+
+    await time.increaseTo(usage.sessionEndsAt);
+    expect((await roulette.getLimitUsage(alice.address)).sessionLoss).to.equal(0);
+    await expect(quickSpin(roulette, alice)).to.emit(roulette, "SpinRevealed");
+  });
+
+  it("applies a tighter limit at once", async function () {
+    const { roulette, alice } = await loadFixture(deployFixture);
+    await roulette.connect(alice).setDailyLimit(DAILY_LIMIT);
+
+    const tx = roulette.connect(alice).setDailyLimit(STAKE);
+    await expect(tx).to.emit(roulette, "DailyLimitSet");
+    const receipt = await (await tx).wait();
+    const { timestamp } = await ethers.provider.getBlock(receipt.blockNumber);
+    const event = receipt.logs.map(log => roulette.interface.parseLog(log)).find(log => log.name === "DailyLimitSet");
+    expect(event.args.effectiveAt).to.equal(timestamp);
+
+    const limits = await roulette.getPlayerLimits(alice.address);
+    expect(limits.dailyLimit).to.equal(STAKE);
+    expect(limits.dailyLimitChangeAt).to.equal(0);
+  });
+
+  it("waits LIMIT_INCREASE_DELAY before a looser limit, or no limit, applies", async function () {
+    const { roulette, alice } = await loadFixture(deployFixture);
+    const delay = await roulette.LIMIT_INCREASE_DELAY();
+    await roulette.connect(alice).setSessionLossLimit(STAKE);
+
+    // Raising the limit
+    await roulette.connect(alice).setSessionLossLimit(STAKE * 2n);
+    let limits = await roulette.getPlayerLimits(alice.address);
+    expect(limits.sessionLossLimit).to.equal(STAKE);
+    expect(limits.pendingSessionLossLimit).to.equal(STAKE * 2n);
+    expect(limits.sessionLossLimitChangeAt).to.equal(ethers.toBigInt(await time.latest()) + delay);
+
+    await quickSpin(roulette, alice);
+    await passCooldown(roulette);
+    await expect(quickSpin(roulette, alice))
+      .to.be.revertedWithCustomError(roulette, "SessionLossLimitExceeded").withArgs(STAKE, 0);
+
+    await time.increaseTo(limits.sessionLossLimitChangeAt);
+    limits = await roulette.getPlayerLimits(alice.address);
+    expect(limits.sessionLossLimit).to.equal(STAKE * 2n);
+    expect(limits.sessionLossLimitChangeAt).to.equal(0);
+
+    // Removing it altogether is the loosest change
+    await roulette.connect(alice).setSessionLossLimit(0);
+    limits = await roulette.getPlayerLimits(alice.address);
+    expect(limits.sessionLossLimit).to.equal(STAKE * 2n);
+    expect(limits.pendingSessionLossLimit).to.equal(0);
+    expect(limits.sessionLossLimitChangeAt).to.equal(ethers.toBigInt(await time.latest()) + delay);
+
+    // Tightening again cancels the pending change
+    await roulette.connect(alice).setSessionLossLimit(STAKE);
+    limits = await roulette.getPlayerLimits(alice.address);
+    expect(limits.sessionLossLimit).to.equal(STAKE);
+    expect(limits.sessionLossLimitChangeAt).to.equal(0);
+  });
+});
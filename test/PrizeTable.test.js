@@ -0,0 +1,105 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployRoulette, hashSecret } = require("./helpers");
+
+// setPrizeTable validation, and the guard that keeps the table fixed while
+// commits reserved under it are still open
+describe("PushChainRoulette prize table", function () {
+  const STAKE = ethers.parseEther("0.01");
+  const MULTIPLIERS = [0, 10000, 20000];
+  const WEIGHTS = [500, 400, 100];
+
+  async function pausedFixture() {
+    const fixture = await deployRoulette();
+    await fixture.roulette.pause();
+    return fixture;
+  }
+
+  it("replaces the table while paused", async function () {
+    const { roulette } = await loadFixture(pausedFixture);
+
+    await expect(roulette.setPrizeTable(MULTIPLIERS, WEIGHTS))
+      .to.emit(roulette, "PrizeTableUpdated")
+      .withArgs(MULTIPLIERS, WEIGHTS);
+
+    const table = await roulette.getPrizeTable();
+    expect(table.multipliers).to.deep.equal(MULTIPLIERS.map(ethers.toBigInt));
+    expect(table.weights).to.deep.equal(WEIGHTS.map(ethers.toBigInt));
+    expect(await roulette.maxPayout(STAKE)).to.equal(STAKE * 2n);
+  });
+
+  it("only lets the owner change the table, and only while paused", async function () {
+    const { roulette, alice } = await loadFixture(deployRoulette);
+
+    await expect(roulette.setPrizeTable(MULTIPLIERS, WEIGHTS))
+      .to.be.revertedWithCustomError(roulette, "ExpectedPause");
+
+    await roulette.pause();
+    await expect(roulette.connect(alice).setPrizeTable(MULTIPLIERS, WEIGHTS))
+      .to.be.revertedWithCustomError(roulette, "OwnableUnauthorizedAccount");
+  });
+
+  it("rejects tables with mismatched, empty or too many tiers", async function () {
+    const { roulette } = await loadFixture(pausedFixture);
+
+    await expect(roulette.setPrizeTable([0, 10000], [1000]))
+      .to.be.revertedWithCustomError(roulette, "InvalidPrizeTable").withArgs(2, 1);
+    await expect(roulette.setPrizeTable([], []))
+      .to.be.revertedWithCustomError(roulette, "InvalidPrizeTable").withArgs(0, 0);
+
+    const tiers = Number(await roulette.MAX_PRIZE_TIERS()) + 1;
+    const weights = Array(tiers).fill(0);
+    weights[0] = 1000;
+    await expect(roulette.setPrizeTable(Array(tiers).fill(0), weights))
+      .to.be.revertedWithCustomError(roulette, "InvalidPrizeTable").withArgs(tiers, tiers);
+  });
+
+  it("rejects weights that don't add up to PRIZE_WEIGHT_TOTAL", async function () {
+    const { roulette } = await loadFixture(pausedFixture);
+
+    await expect(roulette.setPrizeTable(MULTIPLIERS, [500, 400, 99]))
+      .to.be.revertedWithCustomError(roulette, "InvalidPrizeWeights").withArgs(999, 1000);
+  });
+
+  it("rejects a top prize above MAX_PRIZE at the maximum stake", async function () {
+    const { roulette } = await loadFixture(pausedFixture);
+    const maxBet = (await roulette.getStats()).maxStake;
+
+    // 11x of the 0.1 PC maximum stake is 1.1 PC
+    await expect(roulette.setPrizeTable([0, 110000], [999, 1]))
+      .to.be.revertedWithCustomError(roulette, "PrizeExceedsMax")
+      .withArgs((maxBet * 110000n) / 10000n, ethers.parseEther("1"));
+  });
+
+  it("refuses to change the table while a commit is open", async function () {
+    const { roulette, alice } = await loadFixture(deployRoulette);
+
+    await roulette.connect(alice).commitSpin(hashSecret(1), { value: STAKE });
+    expect(await roulette.openCommits()).to.equal(1);
+    await roulette.pause();
+
+    await expect(roulette.setPrizeTable(MULTIPLIERS, WEIGHTS))
+      .to.be.revertedWithCustomError(roulette, "OpenCommitsPending").withArgs(1);
+
+    await roulette.unpause();
+    await mine(2);
+    await roulette.connect(alice).revealSpin(1);
+    expect(await roulette.openCommits()).to.equal(0);
+
+    await roulette.pause();
+    await expect(roulette.setPrizeTable(MULTIPLIERS, WEIGHTS)).to.emit(roulette, "PrizeTableUpdated");
+  });
+
+  it("allows the change once an expired commit is cancelled", async function () {
+    const { roulette, owner, alice } = await loadFixture(deployRoulette);
+
+    await roulette.connect(alice).commitSpin(hashSecret(1), { value: STAKE });
+    await roulette.pause();
+    await mine(Number(await roulette.REVEAL_WINDOW()) + 1);
+
+    await roulette.connect(owner).cancelExpiredCommit(alice.address);
+    expect(await roulette.openCommits()).to.equal(0);
+    await expect(roulette.setPrizeTable(MULTIPLIERS, WEIGHTS)).to.emit(roulette, "PrizeTableUpdated");
+  });
+});
@@ -0,0 +1,113 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployRoulette, hashSecret, passCooldown } = require("./helpers");
+
+// Referral binding, including the self-referral and loop checks, and the share of
+// referred players' stakes accrued to and claimed by their referrer
+describe("PushChainRoulette referrals", function () {
+  const STAKE = ethers.parseEther("0.05");
+  const SHARE_BPS = 200n; // 2% of every stake
+  const RED = 7; // BetType.Red
+
+  async function deployFixture() {
+    const fixture = await deployRoulette();
+    await fixture.roulette.setReferralShare(SHARE_BPS);
+    return fixture;
+  }
+
+  it("binds a referrer once", async function () {
+    const { roulette, alice, bob, carol } = await loadFixture(deployFixture);
+
+    await expect(roulette.connect(alice).setReferrer(bob.address))
+      .to.emit(roulette, "ReferrerSet").withArgs(alice.address, bob.address);
+    expect(await roulette.referrerOf(alice.address)).to.equal(bob.address);
+    expect(await roulette.referralCount(bob.address)).to.equal(1);
+
+    await expect(roulette.connect(alice).setReferrer(carol.address))
+      .to.be.revertedWithCustomError(roulette, "ReferrerAlreadySet").withArgs(bob.address);
+  });
+
+  it("rejects self-referral and the zero address", async function () {
+    const { roulette, alice } = await loadFixture(deployFixture);
+
+    await expect(roulette.connect(alice).setReferrer(alice.address))
+      .to.be.revertedWithCustomError(roulette, "InvalidReferrer").withArgs(alice.address);
+    await expect(roulette.connect(alice).setReferrer(ethers.ZeroAddress))
+      .to.be.revertedWithCustomError(roulette, "InvalidReferrer").withArgs(ethers.ZeroAddress);
+  });
+
+  it("rejects a referrer whose chain leads back to the player", async function () {
+    const { roulette, alice, bob, carol } = await loadFixture(deployFixture);
+
+    await roulette.connect(alice).setReferrer(bob.address);
+    await expect(roulette.connect(bob).setReferrer(alice.address))
+      .to.be.revertedWithCustomError(roulette, "ReferralLoop").withArgs(alice.address);
+
+    // alice -> bob -> carol, so carol can't be referred by alice
+    await roulette.connect(bob).setReferrer(carol.address);
+    await expect(roulette.connect(carol).setReferrer(alice.address))
+      .to.be.revertedWithCustomError(roulette, "ReferralLoop").withArgs(alice.address);
+  });
+
+  it("accrues the share of a referred player's stakes in every game", async function () {
+    const { roulette, alice, bob } = await loadFixture(deployFixture);
+    await roulette.connect(alice).setReferrer(bob.address);
+    const share = (STAKE * SHARE_BPS) / 10000n;
+
+    const houseBefore = await roulette.houseBalance();
+    await roulette.connect(alice).commitSpin(hashSecret(1), { value: STAKE });
+    expect(await roulette.referralEarnings(bob.address)).to.equal(share);
+    expect(await roulette.houseBalance()).to.equal(houseBefore + STAKE - share);
+
+    await mine(2);
+    await roulette.connect(alice).revealSpin(1);
+    await passCooldown(roulette);
+    await roulette.connect(alice).quickSpin({ value: STAKE });
+    await passCooldown(roulette);
+    await roulette.connect(alice).spinTable([{ betType: RED, number: 0, amount: STAKE }], { value: STAKE });
+
+    expect(await roulette.referralEarnings(bob.address)).to.equal(share * 3n);
+    expect(await roulette.totalReferralEarnings()).to.equal(share * 3n);
+  });
+
+  it("pays nothing for players without a referrer", async function () {
+    const { roulette, alice, bob } = await loadFixture(deployFixture);
+    const houseBefore = await roulette.houseBalance();
+
+    await roulette.connect(alice).quickSpin({ value: STAKE });
+    expect(await roulette.referralEarnings(bob.address)).to.equal(0);
+    expect(await roulette.totalReferralEarnings()).to.equal(0);
+    const revealed = (await roulette.queryFilter(roulette.filters.SpinRevealed()))[0];
+    expect(await roulette.houseBalance()).to.equal(houseBefore + STAKE - revealed.args.prizeAmount);
+  });
+
+  it("lets the referrer claim what has accrued", async function () {
+    const { roulette, alice, bob } = await loadFixture(deployFixture);
+    await roulette.connect(alice).setReferrer(bob.address);
+    await roulette.connect(alice).quickSpin({ value: STAKE });
+    const share = (STAKE * SHARE_BPS) / 10000n;
+
+    const tx = roulette.connect(bob).claimReferralEarnings();
+    await expect(tx).to.emit(roulette, "ReferralEarningsClaimed").withArgs(bob.address, share);
+    await expect(tx).to.changeEtherBalance(bob, share);
+    expect(await roulette.referralEarnings(bob.address)).to.equal(0);
+    expect(await roulette.referralEarningsClaimed(bob.address)).to.equal(share);
+    expect(await roulette.totalReferralEarnings()).to.equal(0);
+
+    await expect(roulette.connect(bob).claimReferralEarnings())
+      .to.be.revertedWithCustomError(roulette, "NothingToClaim");
+  });
+
+  it("bounds the referral share and leaves it to the owner", async function () {
+    const { roulette, alice } = await loadFixture(deployFixture);
+    const maxShare = await roulette.MAX_REFERRAL_SHARE_BPS();
+
+    await expect(roulette.setReferralShare(maxShare))
+      .to.emit(roulette, "ReferralShareUpdated").withArgs(maxShare);
+    await expect(roulette.setReferralShare(maxShare + 1n))
+      .to.be.revertedWithCustomError(roulette, "InvalidReferralShare").withArgs(maxShare + 1n, maxShare);
+    await expect(roulette.connect(alice).setReferralShare(SHARE_BPS))
+      .to.be.revertedWithCustomError(roulette, "OwnableUnauthorizedAccount");
+  });
+});
@@ -0,0 +1,104 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployRoulette, hashSecret } = require("./helpers");
+
+// Every open commit holds back its worst-case payout: withdrawals and new spins only
+// use the free bankroll, so a reveal can always be paid
+describe("PushChainRoulette reserves", function () {
+  const STAKE = ethers.parseEther("0.1");
+  const WORST_CASE = ethers.parseEther("1"); // 10x top prize of the default table
+  const BANKROLL = ethers.parseEther("2");
+
+  async function deployFixture() {
+    return deployRoulette(BANKROLL);
+  }
+
+  const commit = (roulette, player, secret) =>
+    roulette.connect(player).commitSpin(hashSecret(secret), { value: STAKE });
+
+  it("reserves a commit's worst-case payout and releases it on reveal", async function () {
+    const { roulette, alice } = await loadFixture(deployFixture);
+
+    await commit(roulette, alice, 1);
+    let stats = await roulette.getStats();
+    expect(stats.reservedBalance).to.equal(WORST_CASE);
+    expect(stats.availableBalance).to.equal(BANKROLL + STAKE - WORST_CASE);
+
+    await mine(2);
+    await roulette.connect(alice).revealSpin(1);
+    stats = await roulette.getStats();
+    expect(stats.reservedBalance).to.equal(0);
+    expect(stats.availableBalance).to.equal(await roulette.houseBalance());
+  });
+
+  it("refuses a commit the free bankroll can't cover", async function () {
+    const { roulette, alice, bob, carol } = await loadFixture(deployFixture);
+
+    // 2 PC covers two worst cases; the stakes add 0.2 PC, short of a third
+    await commit(roulette, alice, 1);
+    await commit(roulette, bob, 2);
+    const free = BANKROLL + STAKE * 2n - WORST_CASE * 2n;
+    await expect(commit(roulette, carol, 3))
+      .to.be.revertedWithCustomError(roulette, "InsufficientHouseBalance").withArgs(WORST_CASE, free);
+    await expect(roulette.connect(carol).quickSpin({ value: STAKE }))
+      .to.be.revertedWithCustomError(roulette, "InsufficientHouseBalance").withArgs(WORST_CASE, free);
+  });
+
+  it("limits withdrawals to the free bankroll and still pays every reveal", async function () {
+    const { roulette, owner, alice, bob } = await loadFixture(deployFixture);
+
+    await commit(roulette, alice, 1);
+    await commit(roulette, bob, 2);
+    const { availableBalance, reservedBalance } = await roulette.getStats();
+
+    await expect(roulette.connect(owner).withdrawFunds(availableBalance + 1n))
+      .to.be.revertedWithCustomError(roulette, "WithdrawalExceedsFreeBalance")
+      .withArgs(availableBalance + 1n, availableBalance);
+    await expect(roulette.connect(owner).withdrawFunds(availableBalance))
+      .to.emit(roulette, "FundsWithdrawn").withArgs(owner.address, availableBalance);
+    expect(await roulette.houseBalance()).to.equal(reservedBalance);
+
+    await mine(2);
+    await expect(roulette.connect(alice).revealSpin(1)).to.emit(roulette, "SpinRevealed");
+    await expect(roulette.connect(bob).revealSpin(2)).to.emit(roulette, "SpinRevealed");
+    expect((await roulette.getStats()).reservedBalance).to.equal(0);
+  });
+
+  it("leaves the reserves of open commits behind in an emergency withdrawal", async function () {
+    const { roulette, owner, alice, bob } = await loadFixture(deployFixture);
+    await roulette.connect(owner).setExpiredRefund(5000);
+
+    await commit(roulette, alice, 1);
+    await commit(roulette, bob, 2);
+    const { reservedBalance } = await roulette.getStats();
+    const taken = (await ethers.provider.getBalance(roulette.target)) - reservedBalance;
+
+    await roulette.connect(owner).pause();
+    await expect(roulette.connect(owner).emergencyWithdraw())
+      .to.changeEtherBalances([owner, roulette], [taken, -taken]);
+    expect(await roulette.houseBalance()).to.equal(reservedBalance);
+    expect(await roulette.jackpotPool()).to.equal(0);
+    expect(await roulette.freeBalance()).to.equal(0);
+
+    // Both commits can still be settled: one revealed, the other cancelled with its refund
+    await mine(2);
+    await expect(roulette.connect(alice).revealSpin(1)).to.emit(roulette, "SpinRevealed");
+    await mine(Number(await roulette.REVEAL_WINDOW()));
+    await expect(roulette.connect(owner).cancelExpiredCommit(bob.address))
+      .to.emit(roulette, "CommitCancelled").withArgs(bob.address, owner.address, STAKE, STAKE / 2n);
+    expect((await roulette.getStats()).reservedBalance).to.equal(0);
+  });
+
+  it("releases the reserve when an expired commit is cancelled", async function () {
+    const { roulette, owner, alice } = await loadFixture(deployFixture);
+
+    await commit(roulette, alice, 1);
+    await mine(Number(await roulette.REVEAL_WINDOW()) + 1);
+    await roulette.connect(owner).cancelExpiredCommit(alice.address);
+
+    const stats = await roulette.getStats();
+    expect(stats.reservedBalance).to.equal(0);
+    expect(stats.availableBalance).to.equal(BANKROLL + STAKE);
+  });
+});
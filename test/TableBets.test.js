@@ -0,0 +1,128 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { deployRoulette, rigQuickSpin } = require("./helpers");
+
+// European roulette table bets: the pockets each bet covers, the 36 / covered payout,
+// and the checks on what can be placed. The tests pick block inputs that land the ball
+// in a chosen pocket.
+describe("PushChainRoulette table bets", function () {
+  const STAKE = ethers.parseEther("0.012"); // divides evenly by every bet's pocket count
+  const BET = {
+    Straight: 0, SplitHorizontal: 1, SplitVertical: 2, Street: 3, Corner: 4, Dozen: 5,
+    Column: 6, Red: 7, Black: 8, Odd: 9, Even: 10, Low: 11, High: 12
+  };
+
+  // Fix the next block's inputs so that player's spin staking value lands on pocket
+  const rigPocket = (roulette, player, value, pocket) =>
+    rigQuickSpin(roulette, player, value, (entropy) => entropy % 37n === ethers.toBigInt(pocket));
+
+  const spin = (roulette, player, bets) => {
+    const value = bets.reduce((sum, bet) => sum + bet.amount, 0n);
+    return roulette.connect(player).spinTable(bets, { value });
+  };
+
+  const spinOn = async (roulette, player, bets, pocket) => {
+    await rigPocket(roulette, player, bets.reduce((sum, bet) => sum + bet.amount, 0n), pocket);
+    return spin(roulette, player, bets);
+  };
+
+  // [bet, number, pockets covered, a pocket it wins on, a pocket it loses on]
+  const CASES = [
+    ["Straight", 17, 1, 17, 18],
+    ["SplitHorizontal", 1, 2, 2, 3],
+    ["SplitVertical", 1, 2, 4, 2],
+    ["Street", 4, 3, 6, 7],
+    ["Corner", 1, 4, 5, 3],
+    ["Dozen", 2, 12, 24, 25],
+    ["Column", 2, 12, 35, 36],
+    ["Red", 0, 18, 1, 2],
+    ["Black", 0, 18, 2, 1],
+    ["Odd", 0, 18, 35, 0],
+    ["Even", 0, 18, 36, 0],
+    ["Low", 0, 18, 18, 19],
+    ["High", 0, 18, 19, 0]
+  ];
+
+  for (const [name, number, covered, winning, losing] of CASES) {
+    it(`pays ${name} bets 36 / ${covered} times the stake on ${winning} and nothing on ${losing}`, async function () {
+      const bets = [{ betType: BET[name], number, amount: STAKE }];
+
+      let { roulette, alice } = await loadFixture(deployRoulette);
+      await expect(spinOn(roulette, alice, bets, winning))
+        .to.emit(roulette, "TableSpin")
+        .withArgs(alice.address, STAKE, (STAKE * 36n) / ethers.toBigInt(covered), winning, anyValue);
+
+      ({ roulette, alice } = await loadFixture(deployRoulette));
+      await expect(spinOn(roulette, alice, bets, losing))
+        .to.emit(roulette, "TableSpin")
+        .withArgs(alice.address, STAKE, 0, losing, anyValue);
+    });
+  }
+
+  it("adds up every winning bet in a spin and keeps the losing ones", async function () {
+    const { roulette, alice } = await loadFixture(deployRoulette);
+    const houseBefore = await roulette.houseBalance();
+    const bets = [
+      { betType: BET.Straight, number: 1, amount: STAKE },
+      { betType: BET.Red, number: 0, amount: STAKE },
+      { betType: BET.Even, number: 0, amount: STAKE }
+    ];
+
+    // 1 is red and odd: 36x on the straight and 2x on red, the even bet is lost
+    const payout = STAKE * 36n + STAKE * 2n;
+    await expect(spinOn(roulette, alice, bets, 1))
+      .to.emit(roulette, "TableSpin")
+      .withArgs(alice.address, STAKE * 3n, payout, 1, anyValue);
+    expect(await roulette.houseBalance()).to.equal(houseBefore + STAKE * 3n - payout);
+    expect(await roulette.playerTotalWins(alice.address)).to.equal(payout);
+  });
+
+  it("rejects bets on numbers the bet type can't cover, and empty bets", async function () {
+    const { roulette, alice } = await loadFixture(deployRoulette);
+    const invalid = [
+      [BET.Straight, 37],
+      [BET.SplitHorizontal, 3], // 3 and 4 are on different rows
+      [BET.SplitVertical, 34],
+      [BET.Street, 2],
+      [BET.Corner, 3],
+      [BET.Dozen, 0],
+      [BET.Column, 4],
+      [BET.Red, 1]
+    ];
+
+    for (const [betType, number] of invalid) {
+      await expect(spin(roulette, alice, [{ betType, number, amount: STAKE }]))
+        .to.be.revertedWithCustomError(roulette, "InvalidTableBet").withArgs(betType, number);
+    }
+    await expect(spin(roulette, alice, [
+      { betType: BET.Red, number: 0, amount: STAKE },
+      { betType: BET.Black, number: 0, amount: 0n }
+    ])).to.be.revertedWithCustomError(roulette, "InvalidTableBet").withArgs(BET.Black, 0);
+  });
+
+  it("limits the number of bets and requires the value sent to match them", async function () {
+    const { roulette, alice } = await loadFixture(deployRoulette);
+    const maxBets = Number(await roulette.MAX_TABLE_BETS());
+    const red = { betType: BET.Red, number: 0, amount: ethers.parseEther("0.001") };
+
+    await expect(roulette.connect(alice).spinTable([], { value: STAKE }))
+      .to.be.revertedWithCustomError(roulette, "InvalidBetCount").withArgs(0, maxBets);
+    await expect(spin(roulette, alice, Array(maxBets + 1).fill(red)))
+      .to.be.revertedWithCustomError(roulette, "InvalidBetCount").withArgs(maxBets + 1, maxBets);
+
+    await expect(roulette.connect(alice).spinTable([{ ...red, amount: STAKE }], { value: STAKE * 2n }))
+      .to.be.revertedWithCustomError(roulette, "TableStakeMismatch").withArgs(STAKE * 2n, STAKE);
+  });
+
+  it("rejects bets whose best pocket would pay more than MAX_PRIZE", async function () {
+    const { roulette, alice } = await loadFixture(deployRoulette);
+    const stake = ethers.parseEther("0.03");
+
+    // 36 x 0.03 PC is 1.08 PC
+    await expect(spin(roulette, alice, [{ betType: BET.Straight, number: 7, amount: stake }]))
+      .to.be.revertedWithCustomError(roulette, "PrizeExceedsMax")
+      .withArgs(stake * 36n, ethers.parseEther("1"));
+  });
+});
@@ -0,0 +1,230 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployRoulette, hashSecret } = require("./helpers");
+
+// ERC-20 prize wheel: stakes and deposits are credited with what arrives, failed
+// transfers are handled through SafeERC20, and the token's bankroll always adds up
+describe("PushChainRoulette token games", function () {
+  const DECIMALS = 6;
+  const units = (amount) => ethers.parseUnits(amount, DECIMALS);
+  const STAKE = units("10");
+  const MIN_BET = units("1");
+  const MAX_BET = units("100");
+  const MAX_PRIZE = units("1000");
+  const BANKROLL = units("10000");
+  const FEE_BPS = 100n; // 1% burnt on every transfer
+
+  // Every spin pays its stake back, so each one exercises the prize transfer
+  const EVEN_TABLE = { multipliers: [10000], weights: [1000] };
+  const DEFAULT_TABLE = { multipliers: [0, 5000, 20000], weights: [600, 300, 100] };
+
+  async function deployFixture() {
+    // No PC bankroll: every game here is played in the token
+    const { roulette, owner, alice, bob } = await deployRoulette(0n);
+    const Token = await ethers.getContractFactory("MockERC20");
+    const token = await Token.deploy("Mock USD", "mUSD", DECIMALS);
+
+    await roulette.configureToken(
+      token.target, MIN_BET, MAX_BET, MAX_PRIZE, DEFAULT_TABLE.multipliers, DEFAULT_TABLE.weights
+    );
+    for (const account of [owner, alice, bob]) {
+      await token.mint(account.address, BANKROLL);
+      await token.connect(account).approve(roulette.target, ethers.MaxUint256);
+    }
+    await roulette.depositTokenFunds(token.target, BANKROLL);
+    return { roulette, token, owner, alice, bob };
+  }
+
+  const useTable = async (roulette, token, table) => {
+    await roulette.pause();
+    await roulette.configureToken(token.target, MIN_BET, MAX_BET, MAX_PRIZE, table.multipliers, table.weights);
+    await roulette.unpause();
+  };
+
+  // Tokens the contract holds must cover the house balance and every unclaimed prize
+  const expectBankrollCovered = async (roulette, token, players) => {
+    const game = await roulette.getTokenGame(token.target);
+    let claimable = 0n;
+    for (const player of players) {
+      claimable += await roulette.claimableTokenWinnings(token.target, player.address);
+    }
+    expect(await token.balanceOf(roulette.target)).to.equal(game.tokenHouseBalance + claimable);
+  };
+
+  it("settles a quick spin from the token's own bankroll", async function () {
+    const { roulette, token, alice } = await loadFixture(deployFixture);
+
+    const tx = roulette.connect(alice).quickSpinToken(token.target, STAKE);
+    await expect(tx).to.emit(roulette, "TokenSpinRevealed");
+    const receipt = await (await tx).wait();
+    const revealed = receipt.logs
+      .map(log => roulette.interface.parseLog(log))
+      .find(log => log && log.name === "TokenSpinRevealed");
+
+    const game = await roulette.getTokenGame(token.target);
+    expect(game.tokenHouseBalance).to.equal(BANKROLL + STAKE - revealed.args.prizeAmount);
+    expect(await roulette.playerTokenWagered(token.target, alice.address)).to.equal(STAKE);
+    expect(await roulette.playerTokenWins(token.target, alice.address)).to.equal(revealed.args.prizeAmount);
+    expect(await roulette.playerTotalSpins(alice.address)).to.equal(1);
+    // PC totals stay PC only
+    expect(await roulette.playerTotalWagered(alice.address)).to.equal(0);
+    await expectBankrollCovered(roulette, token, [alice]);
+  });
+
+  it("reserves a commit's worst case and releases it on reveal", async function () {
+    const { roulette, token, alice } = await loadFixture(deployFixture);
+
+    await roulette.connect(alice).commitTokenSpin(token.target, STAKE, hashSecret(1));
+    let game = await roulette.getTokenGame(token.target);
+    expect(game.reservedBalance).to.equal(STAKE * 2n);
+    expect(game.availableBalance).to.equal(BANKROLL + STAKE - STAKE * 2n);
+
+    await mine(2);
+    await expect(roulette.connect(alice).revealSpin(1)).to.emit(roulette, "TokenSpinRevealed");
+    game = await roulette.getTokenGame(token.target);
+    expect(game.reservedBalance).to.equal(0);
+    expect(await roulette.playerTotalSpins(alice.address)).to.equal(1);
+    await expectBankrollCovered(roulette, token, [alice]);
+  });
+
+  it("credits fee-on-transfer stakes and deposits with the amount received", async function () {
+    const { roulette, token, owner, alice } = await loadFixture(deployFixture);
+    await token.setFee(FEE_BPS);
+    const received = STAKE - (STAKE * FEE_BPS) / 10000n;
+
+    await roulette.connect(alice).commitTokenSpin(token.target, STAKE, hashSecret(1));
+    const commit = await roulette.getCommitDetails(alice.address);
+    expect(commit.betAmount).to.equal(received);
+    expect(commit.token).to.equal(token.target);
+    expect(await roulette.playerTokenWagered(token.target, alice.address)).to.equal(received);
+    expect((await roulette.getTokenGame(token.target)).reservedBalance).to.equal(received * 2n);
+
+    const deposit = units("500");
+    await token.mint(owner.address, deposit);
+    await expect(roulette.connect(owner).depositTokenFunds(token.target, deposit))
+      .to.emit(roulette, "TokenFundsDeposited")
+      .withArgs(token.target, owner.address, deposit - (deposit * FEE_BPS) / 10000n);
+
+    await mine(2);
+    await roulette.connect(alice).revealSpin(1);
+    await expectBankrollCovered(roulette, token, [alice]);
+  });
+
+  it("checks the bet range against the amount received", async function () {
+    const { roulette, token, alice } = await loadFixture(deployFixture);
+    await token.setFee(FEE_BPS);
+
+    // 1 token sent arrives as 0.99, under the 1 token minimum
+    await expect(roulette.connect(alice).quickSpinToken(token.target, MIN_BET))
+      .to.be.revertedWithCustomError(roulette, "BetOutOfRange")
+      .withArgs(MIN_BET - (MIN_BET * FEE_BPS) / 10000n, MIN_BET, MAX_BET);
+  });
+
+  it("rejects a stake when the token's transferFrom fails", async function () {
+    const { roulette, token, alice } = await loadFixture(deployFixture);
+    await token.setReturnFalse(true);
+
+    await expect(roulette.connect(alice).commitTokenSpin(token.target, STAKE, hashSecret(1)))
+      .to.be.revertedWithCustomError(roulette, "SafeERC20FailedOperation")
+      .withArgs(token.target);
+    expect(await roulette.hasPendingCommit(alice.address)).to.equal(false);
+  });
+
+  it("keeps a prize the player can't receive as claimable winnings", async function () {
+    const { roulette, token, alice } = await loadFixture(deployFixture);
+    await useTable(roulette, token, EVEN_TABLE);
+    await token.setBlocked(alice.address, true);
+
+    await expect(roulette.connect(alice).quickSpinToken(token.target, STAKE))
+      .to.emit(roulette, "TokenPrizePendingClaim")
+      .withArgs(alice.address, token.target, STAKE);
+    expect(await roulette.claimableTokenWinnings(token.target, alice.address)).to.equal(STAKE);
+    await expectBankrollCovered(roulette, token, [alice]);
+
+    // Claiming reverts while the token still refuses the transfer, and the prize stays claimable
+    await expect(roulette.connect(alice).claimTokenWinnings(token.target))
+      .to.be.revertedWithCustomError(token, "ReceiverBlocked");
+
+    await token.setBlocked(alice.address, false);
+    const before = await token.balanceOf(alice.address);
+    await expect(roulette.connect(alice).claimTokenWinnings(token.target))
+      .to.emit(roulette, "TokenWinningsClaimed")
+      .withArgs(alice.address, token.target, STAKE);
+    expect(await token.balanceOf(alice.address)).to.equal(before + STAKE);
+    expect(await roulette.claimableTokenWinnings(token.target, alice.address)).to.equal(0);
+  });
+
+  it("treats a transfer that returns false as failed", async function () {
+    const { roulette, token, alice } = await loadFixture(deployFixture);
+    await useTable(roulette, token, EVEN_TABLE);
+
+    await roulette.connect(alice).commitTokenSpin(token.target, STAKE, hashSecret(1));
+    await mine(2);
+    await token.setReturnFalse(true);
+
+    await expect(roulette.connect(alice).revealSpin(1))
+      .to.emit(roulette, "TokenPrizePendingClaim")
+      .withArgs(alice.address, token.target, STAKE);
+    await expectBankrollCovered(roulette, token, [alice]);
+  });
+
+  it("only lets the owner withdraw the token's free balance", async function () {
+    const { roulette, token, owner, alice } = await loadFixture(deployFixture);
+
+    await roulette.connect(alice).commitTokenSpin(token.target, STAKE, hashSecret(1));
+    const { tokenHouseBalance, availableBalance } = await roulette.getTokenGame(token.target);
+
+    await expect(roulette.withdrawTokenFunds(token.target, tokenHouseBalance))
+      .to.be.revertedWithCustomError(roulette, "WithdrawalExceedsFreeBalance")
+      .withArgs(tokenHouseBalance, availableBalance);
+
+    const before = await token.balanceOf(owner.address);
+    await roulette.withdrawTokenFunds(token.target, availableBalance);
+    expect(await token.balanceOf(owner.address)).to.equal(before + availableBalance);
+
+    // The reserve still pays the reveal
+    await mine(2);
+    await expect(roulette.connect(alice).revealSpin(1)).to.emit(roulette, "TokenSpinRevealed");
+    await expectBankrollCovered(roulette, token, [alice]);
+  });
+
+  it("refuses to reconfigure a token while commits in it are open", async function () {
+    const { roulette, token, alice } = await loadFixture(deployFixture);
+
+    await roulette.connect(alice).commitTokenSpin(token.target, STAKE, hashSecret(1));
+    await roulette.pause();
+    await expect(roulette.configureToken(
+      token.target, MIN_BET, MAX_BET, MAX_PRIZE, EVEN_TABLE.multipliers, EVEN_TABLE.weights
+    )).to.be.revertedWithCustomError(roulette, "OpenCommitsPending").withArgs(1);
+
+    // Reveals need the game running; once the commit is settled the change goes through
+    await roulette.unpause();
+    await mine(2);
+    await roulette.connect(alice).revealSpin(1);
+    await roulette.pause();
+    await expect(roulette.configureToken(
+      token.target, MIN_BET, MAX_BET, MAX_PRIZE, EVEN_TABLE.multipliers, EVEN_TABLE.weights
+    )).to.emit(roulette, "TokenConfigured");
+  });
+
+  it("verifies a token spin with the fairness checker", async function () {
+    const { roulette, token, alice } = await loadFixture(deployFixture);
+    const { verifySpin } = await import("../src/utils/fairness.mjs");
+
+    await roulette.connect(alice).commitTokenSpin(token.target, STAKE, hashSecret(1));
+    await mine(2);
+    const reveal = await roulette.connect(alice).revealSpin(1);
+
+    const report = await verifySpin({
+      ethers,
+      provider: ethers.provider,
+      contractAddress: roulette.target,
+      txHash: reveal.hash
+    });
+    expect(report.verifiable).to.equal(true);
+    expect(report.token).to.equal(token.target);
+    expect(report.checks.filter(check => !check.ok)).to.deep.equal([]);
+    expect(report.verified).to.equal(true);
+  });
+});
@@ -0,0 +1,71 @@
+const { ethers, network } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+// Setup shared by the PushChainRoulette tests: deployment, commit secrets, the cooldown
+// and block inputs rigged for quick and table spins
+
+const DEFAULT_BANKROLL = ethers.parseEther("10");
+
+// The secretHash commitSpin takes: keccak256(abi.encodePacked(secret))
+const hashSecret = (secret) => ethers.solidityPackedKeccak256(["uint256"], [secret]);
+
+// A roulette with `bankroll` PC in the house (none for 0), and the signers the tests play with
+const deployRoulette = async (bankroll = DEFAULT_BANKROLL) => {
+  const [owner, alice, bob, carol] = await ethers.getSigners();
+  const Roulette = await ethers.getContractFactory("PushChainRoulette");
+  const roulette = await Roulette.deploy();
+  if (bankroll > 0n) {
+    await roulette.depositFunds({ value: bankroll });
+  }
+  return { roulette, owner, alice, bob, carol };
+};
+
+// Replace the PC prize table, which the contract only allows while paused
+const setPrizeTableWhilePaused = async (roulette, { multipliers, weights }) => {
+  await roulette.pause();
+  await roulette.setPrizeTable(multipliers, weights);
+  await roulette.unpause();
+};
+
+const passCooldown = async (roulette) => {
+  await time.increase(await roulette.COOLDOWN_PERIOD());
+};
+
+// Mirrors _generateQuickEntropy, with the nonce already bumped
+const quickEntropy = ({ prevrandao, timestamp, player, nonce, parentHash, balance }) => ethers.toBigInt(
+  ethers.solidityPackedKeccak256(
+    ["uint256", "uint256", "address", "uint256", "bytes32", "uint256"],
+    [prevrandao, timestamp, player, nonce, parentHash, balance]
+  )
+);
+
+/**
+ * Fix the next block's prevrandao and timestamp so that a quick or table spin by player
+ * staking value gets an entropy `accept` returns true for, and return that entropy.
+ * The contract's nonce is private, so nonce must be the one the spin will use (1 for the
+ * first spin of a fresh deployment, as commits bump it too).
+ */
+const rigQuickSpin = async (roulette, player, value, accept, nonce = 1) => {
+  const parentHash = (await ethers.provider.getBlock("latest")).hash;
+  const balance = (await ethers.provider.getBalance(roulette.target)) + value;
+  const timestamp = (await time.latest()) + 10;
+  for (let i = 1n; ; i++) {
+    const prevrandao = ethers.toBeHex(i, 32);
+    const entropy = quickEntropy({ prevrandao, timestamp, player: player.address, nonce, parentHash, balance });
+    if (accept(entropy)) {
+      await network.provider.send("hardhat_setPrevRandao", [prevrandao]);
+      await time.setNextBlockTimestamp(timestamp);
+      return entropy;
+    }
+  }
+};
+
+module.exports = {
+  DEFAULT_BANKROLL,
+  hashSecret,
+  deployRoulette,
+  setPrizeTableWhilePaused,
+  passCooldown,
+  quickEntropy,
+  rigQuickSpin
+};